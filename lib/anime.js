@@ -0,0 +1,243 @@
+// lib/anime.js - Anime IDs (kitsu:, anilist:, mal:) from anime addons and catalogs: titles and
+// absolute episode numbering
+//
+// Stremio anime addons address episodes as "kitsu:<id>:<episode>", where <id> is one season (or cour) and
+// <episode> counts from 1 within it. Fansub releases usually name the romaji title and often number
+// episodes across seasons ("One Piece - 1087"), so the absolute number is derived from the chain of TV
+// prequels and their episode counts.
+
+const { METADATA_TTL_MS, createCache } = require('./cache');
+const { createLogger } = require('./logger');
+
+const log = createLogger('anime');
+
+const KITSU_API_URL = (process.env.KITSU_API_URL || 'https://kitsu.app/api/edge').replace(/\/+$/, '');
+const ANILIST_API_URL = process.env.ANILIST_API_URL || 'https://graphql.anilist.co';
+const JIKAN_API_URL = (process.env.JIKAN_API_URL || 'https://api.jikan.moe/v4').replace(/\/+$/, '');
+const ANIME_FETCH_TIMEOUT_MS = 10000;
+// Long franchises are walked back through at most this many prequels
+const MAX_PREQUELS = 30;
+
+const ANIME_ID_PREFIXES = ['kitsu:', 'anilist:', 'mal:'];
+const ANIME_ID_REGEX = /^(kitsu|anilist|mal):(\d+)(?::(\d+))?$/;
+// Season markers in anime titles: "2nd Season", "Season 3", "Title S2", "Title II"
+const SEASON_TITLE_REGEX = /[\s:]+(?:(\d+)(?:st|nd|rd|th) season|season (\d+)|s(\d+)|(ii|iii|iv|v))(?=$|[\s:-])/i;
+const ROMAN_NUMERALS = { ii: 2, iii: 3, iv: 4, v: 5 };
+
+const animeCache = createCache('anime');
+
+/**
+ * Parses an anime ID as sent by Stremio.
+ * @param {string} id - e.g. "kitsu:46474:5", "anilist:154587", "mal:52991:3".
+ * @returns {{source: string, id: string, episode: number|null}|null} - null for other IDs (e.g. IMDb).
+ */
+function parseAnimeId(id) {
+    const match = String(id || '').match(ANIME_ID_REGEX);
+    if (!match) return null;
+    return { source: match[1], id: match[2], episode: match[3] ? parseInt(match[3], 10) : null };
+}
+
+async function fetchJson(url, options = {}) {
+    const timeoutSignal = AbortSignal.timeout(ANIME_FETCH_TIMEOUT_MS);
+    const response = await fetch(url, Object.assign({}, options, {
+        signal: options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal,
+    }));
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    return response.json();
+}
+
+function yearOf(date) {
+    const match = date ? String(date).match(/\d{4}/) : null;
+    return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Fetches one Kitsu entry and its TV prequel.
+ */
+async function fetchKitsuEntry(id, signal) {
+    const data = await fetchJson(`${KITSU_API_URL}/anime/${id}`, { signal, headers: { Accept: 'application/vnd.api+json' } });
+    const attributes = data.data.attributes;
+    const relations = await fetchJson(
+        `${KITSU_API_URL}/media-relationships?filter[source_id]=${id}&filter[source_type]=Anime&filter[role]=prequel&include=destination`,
+        { signal, headers: { Accept: 'application/vnd.api+json' } }
+    );
+    const prequel = (relations.included || []).find(item => item.type === 'anime' && item.attributes.subtype === 'TV');
+    const titles = attributes.titles || {};
+    return {
+        romaji: titles.en_jp || attributes.canonicalTitle,
+        english: titles.en || titles.en_us || null,
+        titles: [attributes.canonicalTitle, ...Object.values(titles), ...(attributes.abbreviatedTitles || [])],
+        year: yearOf(attributes.startDate),
+        format: attributes.subtype === 'movie' ? 'movie' : (attributes.subtype === 'TV' ? 'tv' : 'other'),
+        episodeCount: attributes.episodeCount || null,
+        runtimeMinutes: attributes.episodeLength || null,
+        prequelId: prequel ? prequel.id : null,
+    };
+}
+
+const ANILIST_QUERY = `query ($id: Int) {
+  Media(id: $id, type: ANIME) {
+    title { romaji english native }
+    synonyms format episodes duration startDate { year }
+    relations { edges { relationType node { id type format } } }
+  }
+}`;
+
+/**
+ * Fetches one AniList entry and its TV prequel.
+ */
+async function fetchAnilistEntry(id, signal) {
+    const data = await fetchJson(ANILIST_API_URL, {
+        signal,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ query: ANILIST_QUERY, variables: { id: parseInt(id, 10) } }),
+    });
+    const media = data.data && data.data.Media;
+    if (!media) throw new Error('Entry not found');
+    const prequel = ((media.relations && media.relations.edges) || [])
+        .find(edge => edge.relationType === 'PREQUEL' && edge.node.type === 'ANIME' && edge.node.format === 'TV');
+    return {
+        romaji: media.title.romaji,
+        english: media.title.english,
+        titles: [media.title.romaji, media.title.english, ...(media.synonyms || [])],
+        year: media.startDate ? media.startDate.year : null,
+        format: media.format === 'MOVIE' ? 'movie' : (media.format === 'TV' ? 'tv' : 'other'),
+        episodeCount: media.episodes || null,
+        runtimeMinutes: media.duration || null,
+        prequelId: prequel ? String(prequel.node.id) : null,
+    };
+}
+
+/**
+ * Parses a Jikan duration ("24 min per ep", "1 hr 55 min") into minutes.
+ */
+function parseJikanDuration(duration) {
+    const hours = String(duration || '').match(/(\d+) hr/);
+    const minutes = String(duration || '').match(/(\d+) min/);
+    const total = (hours ? parseInt(hours[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+    return total || null;
+}
+
+/**
+ * Fetches one MyAnimeList entry (through Jikan) and its prequel.
+ */
+async function fetchMalEntry(id, signal) {
+    const { data } = await fetchJson(`${JIKAN_API_URL}/anime/${id}/full`, { signal });
+    const prequelRelation = (data.relations || []).find(relation => relation.relation === 'Prequel');
+    const prequel = prequelRelation ? prequelRelation.entry.find(entry => entry.type === 'anime') : null;
+    return {
+        romaji: data.title,
+        english: data.title_english || null,
+        titles: [data.title, data.title_english, ...(data.title_synonyms || [])],
+        year: data.year || (data.aired && data.aired.prop && data.aired.prop.from ? data.aired.prop.from.year : null),
+        format: data.type === 'Movie' ? 'movie' : (data.type === 'TV' ? 'tv' : 'other'),
+        episodeCount: data.episodes || null,
+        runtimeMinutes: parseJikanDuration(data.duration),
+        // Jikan doesn't say which prequel is a TV series; non-TV prequels end the walk in getEpisodeOffset
+        prequelId: prequel ? String(prequel.mal_id) : null,
+    };
+}
+
+const ENTRY_FETCHERS = { kitsu: fetchKitsuEntry, anilist: fetchAnilistEntry, mal: fetchMalEntry };
+
+/**
+ * Returns one anime entry, cached for CACHE_METADATA_TTL_DAYS.
+ */
+async function getAnimeEntry(source, id, signal) {
+    const cacheKey = `${source}:${id}`;
+    const cached = await animeCache.get(cacheKey);
+    if (cached) return cached;
+    const entry = await ENTRY_FETCHERS[source](id, signal);
+    entry.titles = [...new Set(entry.titles.filter(Boolean).map(title => title.trim()))];
+    await animeCache.set(cacheKey, entry, METADATA_TTL_MS);
+    return entry;
+}
+
+/**
+ * Sums the episodes of the TV prequels before an entry.
+ * @returns {Promise<{offset: number|null, seasons: number}>} - offset is null when a prequel's episode count
+ *   is unknown; seasons counts the TV entries before this one.
+ */
+async function getEpisodeOffset(source, entry, signal) {
+    let offset = 0;
+    let seasons = 0;
+    let prequelId = entry.prequelId;
+    while (prequelId && seasons < MAX_PREQUELS) {
+        const prequel = await getAnimeEntry(source, prequelId, signal);
+        if (prequel.format !== 'tv') break;
+        if (!prequel.episodeCount) return { offset: null, seasons: seasons + 1 };
+        offset += prequel.episodeCount;
+        seasons++;
+        prequelId = prequel.prequelId;
+    }
+    return { offset, seasons };
+}
+
+/**
+ * Reads a season number from a title ("Sousou no Frieren 2nd Season" -> 2) and returns the title without it.
+ */
+function splitSeasonFromTitle(title) {
+    const match = title.match(SEASON_TITLE_REGEX);
+    if (!match) return { title, season: null };
+    const season = match[4] ? ROMAN_NUMERALS[match[4].toLowerCase()] : parseInt(match[1] || match[2] || match[3], 10);
+    return { title: title.replace(SEASON_TITLE_REGEX, '').trim(), season };
+}
+
+/**
+ * Resolves an anime ID to the metadata used for searching and title validation.
+ * @param {string} source - 'kitsu', 'anilist' or 'mal'.
+ * @param {string} id - Entry ID at that source.
+ * @param {AbortSignal} [signal] - Request deadline.
+ * @returns {Promise<{
+ *   title: string, titles: string[], seasonTitles: string[], year: number|null, type: string,
+ *   season: number|null, episodeOffset: number|null, episodeCount: number|null, runtimeMinutes: number|null,
+ *   english: string|null, baseTitle: string|null
+ * }|null>} - `titles` are all known titles plus their season-less base titles, `seasonTitles` the titles
+ *   that name this season (releases using them number episodes from 1), `episodeOffset` the episodes
+ *   before this entry. null when the entry can't be fetched.
+ */
+async function getAnimeMetadata(source, id, signal) {
+    try {
+        const entry = await getAnimeEntry(source, id, signal);
+        const { offset, seasons } = entry.format === 'tv' ? await getEpisodeOffset(source, entry, signal) : { offset: 0, seasons: 0 };
+
+        const baseTitles = [];
+        let titleSeason = null;
+        for (const title of entry.titles) {
+            const split = splitSeasonFromTitle(title);
+            if (split.season && split.title) {
+                baseTitles.push(split.title);
+                titleSeason = titleSeason || split.season;
+            }
+        }
+        const titles = [...new Set([...entry.titles, ...baseTitles])];
+        let season = titleSeason || (entry.format === 'tv' ? seasons + 1 : null);
+        // Split cours ("Part 2") continue a season and share its prequel chain, so only trust titled seasons then
+        if (!titleSeason && seasons > 0 && entry.titles.some(title => /\bpart \d\b|\bcour \d\b/i.test(title))) season = null;
+
+        return {
+            title: entry.romaji || titles[0],
+            titles,
+            seasonTitles: offset === 0 ? [] : entry.titles,
+            year: entry.year,
+            type: entry.format === 'movie' ? 'movie' : 'series',
+            season,
+            episodeOffset: offset,
+            episodeCount: entry.episodeCount,
+            runtimeMinutes: entry.runtimeMinutes,
+            english: entry.english,
+            baseTitle: baseTitles[0] || null,
+        };
+    } catch (error) {
+        const message = error.name === 'TimeoutError' || error.name === 'AbortError' ? 'request timed out' : error.message;
+        log.warn(`Metadata fetch failed for ${source}:${id}: ${message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    ANIME_ID_PREFIXES,
+    parseAnimeId,
+    getAnimeMetadata,
+};
@@ -0,0 +1,93 @@
+// lib/bencode.js - Minimal bencode decoder for .torrent files
+
+class BencodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BencodeError';
+    }
+}
+
+const CHAR_D = 0x64; // 'd'
+const CHAR_L = 0x6c; // 'l'
+const CHAR_I = 0x69; // 'i'
+const CHAR_E = 0x65; // 'e'
+const CHAR_COLON = 0x3a; // ':'
+
+/**
+ * Decodes a bencoded buffer. Byte strings are returned as Buffers, dictionary keys as UTF-8 strings.
+ * The byte range of every top-level dictionary value is reported in `ranges`, so callers can hash
+ * the raw `info` dictionary exactly as it was encoded.
+ * @param {Buffer} buffer - Bencoded data.
+ * @param {Object} [options] - { keyEncoding: 'utf8' (default), or 'latin1' for binary keys such as the
+ *   infohashes of a scrape response, which survive as one character per byte }.
+ * @returns {{value: *, ranges: Object<string, {start: number, end: number}>}}
+ */
+function decode(buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer)) throw new BencodeError('Input must be a Buffer');
+    let position = 0;
+    const ranges = {};
+    const keyEncoding = options.keyEncoding || 'utf8';
+
+    function readInteger() {
+        const end = buffer.indexOf(CHAR_E, position);
+        if (end === -1) throw new BencodeError(`Unterminated integer at ${position}`);
+        const text = buffer.toString('ascii', position, end);
+        if (!/^-?\d+$/.test(text)) throw new BencodeError(`Invalid integer "${text}" at ${position}`);
+        position = end + 1;
+        return parseInt(text, 10);
+    }
+
+    function readString() {
+        const colon = buffer.indexOf(CHAR_COLON, position);
+        if (colon === -1) throw new BencodeError(`Invalid string length at ${position}`);
+        const lengthText = buffer.toString('ascii', position, colon);
+        if (!/^\d+$/.test(lengthText)) throw new BencodeError(`Invalid string length "${lengthText}" at ${position}`);
+        const length = parseInt(lengthText, 10);
+        const start = colon + 1;
+        if (start + length > buffer.length) throw new BencodeError(`String at ${position} runs past the end of the data`);
+        position = start + length;
+        return buffer.subarray(start, start + length);
+    }
+
+    function readValue(depth) {
+        if (position >= buffer.length) throw new BencodeError('Unexpected end of data');
+        const type = buffer[position];
+        if (type === CHAR_I) {
+            position++;
+            return readInteger();
+        }
+        if (type === CHAR_L) {
+            position++;
+            const list = [];
+            while (buffer[position] !== CHAR_E) {
+                if (position >= buffer.length) throw new BencodeError('Unterminated list');
+                list.push(readValue(depth + 1));
+            }
+            position++;
+            return list;
+        }
+        if (type === CHAR_D) {
+            position++;
+            const dict = {};
+            while (buffer[position] !== CHAR_E) {
+                if (position >= buffer.length) throw new BencodeError('Unterminated dictionary');
+                const key = readString().toString(keyEncoding);
+                const start = position;
+                dict[key] = readValue(depth + 1);
+                if (depth === 0) ranges[key] = { start, end: position };
+            }
+            position++;
+            return dict;
+        }
+        if (type >= 0x30 && type <= 0x39) return readString();
+        throw new BencodeError(`Unexpected byte 0x${type.toString(16)} at ${position}`);
+    }
+
+    const value = readValue(0);
+    return { value, ranges };
+}
+
+module.exports = {
+    BencodeError,
+    decode,
+};
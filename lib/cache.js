@@ -0,0 +1,198 @@
+// lib/cache.js - Two-level cache: in-memory LRU in front of an on-disk JSON store that survives restarts
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
+
+const CACHE_DIR = path.resolve(process.env.CACHE_DIR || path.join(__dirname, '..', 'cache'));
+const CACHE_ENABLED = (process.env.CACHE_ENABLED || 'true').toLowerCase() !== 'false';
+const CACHE_MEMORY_MAX_ENTRIES = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES || '500', 10);
+const CACHE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// --- TTLs ---
+const METADATA_TTL_MS = parseFloat(process.env.CACHE_METADATA_TTL_DAYS || '7') * 24 * 60 * 60 * 1000;
+const SEARCH_TTL_MS = parseFloat(process.env.CACHE_SEARCH_TTL_MINUTES || '60') * 60 * 1000;
+const SEARCH_NEW_RELEASE_TTL_MS = parseFloat(process.env.CACHE_SEARCH_NEW_RELEASE_TTL_MINUTES || '10') * 60 * 1000;
+const STREAMS_TTL_MS = parseFloat(process.env.CACHE_STREAMS_TTL_MINUTES || '15') * 60 * 1000;
+// Torrent file contents never change, so parsed .torrent metadata can be kept for a long time
+const TORRENT_TTL_MS = parseFloat(process.env.CACHE_TORRENT_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+const caches = [];
+
+/**
+ * Hashes a cache key into a file-system safe name.
+ * @param {string} key - Cache key.
+ * @returns {string} - Hex digest.
+ */
+function hashKey(key) {
+    return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Creates a namespaced cache. Values must be JSON-serializable.
+ * @param {string} namespace - Cache name, also used as the on-disk subdirectory.
+ * @param {{maxEntries?: number}} [options] - In-memory LRU capacity.
+ * @returns {{get: Function, set: Function, stats: Function, prune: Function}}
+ */
+function createCache(namespace, options = {}) {
+    const maxEntries = options.maxEntries || CACHE_MEMORY_MAX_ENTRIES;
+    const directory = path.join(CACHE_DIR, namespace);
+    const memory = new Map(); // Map preserves insertion order, so the first key is the least recently used
+    const counters = { hits: 0, diskHits: 0, misses: 0, writes: 0, errors: 0 };
+    let directoryReady = null;
+
+    function ensureDirectory() {
+        if (!directoryReady) {
+            directoryReady = fs.promises.mkdir(directory, { recursive: true }).catch(error => {
+                directoryReady = null;
+                throw error;
+            });
+        }
+        return directoryReady;
+    }
+
+    function remember(key, entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+        while (memory.size > maxEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    /**
+     * Returns the cached value for a key, or undefined on a miss or expired entry.
+     */
+    async function get(key) {
+        if (!CACHE_ENABLED) return undefined;
+        const now = Date.now();
+        const inMemory = memory.get(key);
+        if (inMemory) {
+            if (inMemory.expires > now) {
+                remember(key, inMemory);
+                counters.hits++;
+                log.debug(`HIT (memory) ${namespace}:${key}`);
+                return inMemory.value;
+            }
+            memory.delete(key);
+        }
+
+        const file = path.join(directory, `${hashKey(key)}.json`);
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            if (entry.key === key && entry.expires > now) {
+                remember(key, entry);
+                counters.diskHits++;
+                log.debug(`HIT (disk) ${namespace}:${key}`);
+                return entry.value;
+            }
+            fs.promises.unlink(file).catch(() => {});
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                counters.errors++;
+                log.warn(`Failed to read ${namespace}:${key} from disk`, { error: error.message });
+            }
+        }
+        counters.misses++;
+        log.debug(`MISS ${namespace}:${key}`);
+        return undefined;
+    }
+
+    /**
+     * Stores a value in memory and on disk. Disk errors are logged, never thrown.
+     */
+    async function set(key, value, ttlMs) {
+        if (!CACHE_ENABLED || value === undefined || !(ttlMs > 0)) return;
+        const entry = { key, expires: Date.now() + ttlMs, value };
+        remember(key, entry);
+        counters.writes++;
+        try {
+            await ensureDirectory();
+            const file = path.join(directory, `${hashKey(key)}.json`);
+            // Write to a temp file first so a crash never leaves a half-written entry behind. The name is
+            // unique per write, so overlapping writes of the same key never share (and rename) one temp file.
+            const tempFile = `${file}.${crypto.randomUUID()}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify(entry));
+            await fs.promises.rename(tempFile, file);
+        } catch (error) {
+            counters.errors++;
+            log.warn(`Failed to persist ${namespace}:${key}`, { error: error.message });
+        }
+    }
+
+    /**
+     * Removes expired entries from disk. Temp files belong to writes in progress and are left alone.
+     */
+    async function prune() {
+        let files;
+        try {
+            files = await fs.promises.readdir(directory);
+        } catch (error) {
+            return 0;
+        }
+        let removed = 0;
+        const now = Date.now();
+        for (const name of files) {
+            if (name.endsWith('.tmp')) continue;
+            const file = path.join(directory, name);
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                if (!(entry.expires > now)) {
+                    await fs.promises.unlink(file);
+                    removed++;
+                }
+            } catch (error) {
+                await fs.promises.unlink(file).catch(() => {});
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    function stats() {
+        return Object.assign({ namespace, memoryEntries: memory.size }, counters);
+    }
+
+    const cache = { namespace, get, set, prune, stats };
+    caches.push(cache);
+    return cache;
+}
+
+/**
+ * Removes expired disk entries from every cache, now and then periodically.
+ */
+function startCachePruning() {
+    if (!CACHE_ENABLED) {
+        log.info('Caching is disabled (CACHE_ENABLED=false).');
+        return;
+    }
+    log.info(`Persistent cache directory: ${CACHE_DIR}`);
+    const pruneAll = async () => {
+        for (const cache of caches) {
+            const removed = await cache.prune();
+            if (removed > 0) log.info(`Pruned ${removed} expired entries from ${cache.namespace}.`);
+        }
+    };
+    pruneAll();
+    setInterval(pruneAll, CACHE_PRUNE_INTERVAL_MS).unref();
+}
+
+/**
+ * Returns hit/miss counters for all caches.
+ */
+function getCacheStats() {
+    return caches.map(cache => cache.stats());
+}
+
+module.exports = {
+    METADATA_TTL_MS,
+    SEARCH_TTL_MS,
+    SEARCH_NEW_RELEASE_TTL_MS,
+    STREAMS_TTL_MS,
+    TORRENT_TTL_MS,
+    createCache,
+    startCachePruning,
+    getCacheStats,
+};
@@ -0,0 +1,318 @@
+// lib/catalog.js - "Fresh on my indexers" catalogs built from the providers' latest uploads
+//
+// The recent-uploads feed of every enabled provider is parsed and grouped by release title, each group
+// is mapped to an IMDb ID (from the indexer when it reports one, otherwise through a title lookup) and
+// the resulting items are served as Stremio catalogs. Catalogs are rebuilt in the background and kept
+// per set of CATALOG_CONFIG_FIELDS, since indexers and preferences differ between users.
+
+const { createCache } = require('./cache');
+const { parseRelease } = require('./releaseParser');
+const { configFingerprint } = require('./config');
+const { getReleaseLanguages, hasRequiredLanguage } = require('./languages');
+const { createLogger } = require('./logger');
+
+const log = createLogger('catalog');
+
+const CATALOGS_ENABLED = (process.env.CATALOGS || 'true').toLowerCase() !== 'false';
+const CATALOG_REFRESH_MS = parseFloat(process.env.CATALOG_REFRESH_MINUTES || '60') * 60 * 1000;
+// Results requested per provider target and category
+const CATALOG_FETCH_LIMIT = parseInt(process.env.CATALOG_FETCH_LIMIT || '100', 10);
+// Upper bound of titles mapped to IMDb IDs per refresh, newest first
+const CATALOG_MAX_ITEMS = parseInt(process.env.CATALOG_MAX_ITEMS || '200', 10);
+const CATALOG_LOOKUP_CONCURRENCY = 4;
+// Catalogs of configs nobody asked for in this long stop being refreshed
+const CATALOG_IDLE_MS = 24 * 60 * 60 * 1000;
+// Stremio requests catalog pages of 100 items (the `skip` extra moves in steps of 100)
+const PAGE_SIZE = 100;
+// Time the first build of a catalog may take before an empty page is returned (the build continues)
+const FIRST_BUILD_WAIT_MS = 15000;
+const CATALOG_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// The config fields a catalog depends on: the search providers and their credentials, the metadata keys
+// used for the IMDb lookups and the filters of isWanted. Configs differing only elsewhere (sorting,
+// templates, debrid...) share their catalogs.
+const CATALOG_CONFIG_FIELDS = [
+    'SEARCH_PROVIDERS', 'JACKETT_HOST', 'JACKETT_API_KEY', 'PROWLARR_URL', 'PROWLARR_API_KEY', 'TORZNAB_FEEDS',
+    'INDEXER_ALLOWLIST', 'INDEXER_DENYLIST', 'OMDB_API_KEY', 'TMDB_API_KEY',
+    'MINIMUM_SEEDERS', 'REQUIRED_LANGUAGES', 'UNTAGGED_LANGUAGE',
+];
+
+const CATALOG_DEFINITIONS = [
+    { type: 'movie', id: 'jackett-fresh-movies', name: 'Recently Added Movies', filter: () => true },
+    { type: 'movie', id: 'jackett-fresh-movies-4k', name: 'Recently Added 4K Movies', filter: item => item.resolutions.includes('2160p') },
+    { type: 'series', id: 'jackett-new-episodes', name: 'New Episodes', filter: item => item.episodes.length > 0 },
+    { type: 'series', id: 'jackett-fresh-season-packs', name: 'New Season Packs', filter: item => item.packs.length > 0 },
+];
+
+// Catalog entries for the manifest
+const CATALOGS = CATALOGS_ENABLED
+    ? CATALOG_DEFINITIONS.map(({ type, id, name }) => ({ type, id, name, extra: [{ name: 'skip', isRequired: false }], extraSupported: ['skip'] }))
+    : [];
+
+const catalogCache = createCache('catalogs');
+
+const RESOLUTION_RANKS = { '2160p': 4, '1440p': 3, '1080p': 3, '720p': 2 };
+
+/**
+ * Normalizes a parsed title for grouping ("The.Office (US)" and "the office us" end up together).
+ */
+function groupingTitle(title) {
+    return title.toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function episodeLabel(season, episode) {
+    return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+/**
+ * Applies the config's seeders, resolution and required languages to a recent upload, the same way
+ * the stream handler does.
+ */
+function isWanted(result, release, type, config) {
+    if (release.lowQuality || !release.title) return false;
+    if ((result.Seeders || 0) < config.MINIMUM_SEEDERS) return false;
+    if (!RESOLUTION_RANKS[release.resolution]) return false;
+    const isEpisodic = release.seasons.length > 0 || release.episodes.length > 0 || release.absoluteEpisodes.length > 0 || release.batch || release.complete;
+    if (type === 'movie' ? isEpisodic : !isEpisodic) return false;
+    // The original language isn't known before matching, so UNTAGGED_LANGUAGE 'original' counts as unknown
+    if (!hasRequiredLanguage(getReleaseLanguages(release, { untaggedLanguage: config.UNTAGGED_LANGUAGE }), config.REQUIRED_LANGUAGES)) return false;
+    return true;
+}
+
+/**
+ * Groups recent uploads by parsed title (and year, when the release names one).
+ * @returns {Array<Object>} - Groups, most recently updated first.
+ */
+function groupResults(results, type, config) {
+    const groups = new Map();
+    for (const result of results) {
+        const release = parseRelease(result.Title || '');
+        if (!isWanted(result, release, type, config)) continue;
+        const key = `${groupingTitle(release.title)}|${release.year || ''}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = { title: release.title, year: release.year, imdb: null, latestAt: 0, releases: 0, maxSeeders: 0, resolutions: [], episodes: [], packs: [] };
+            groups.set(key, group);
+        }
+        const publishedAt = result.PublishDate ? new Date(result.PublishDate).getTime() || 0 : 0;
+        group.latestAt = Math.max(group.latestAt, publishedAt);
+        group.releases++;
+        group.maxSeeders = Math.max(group.maxSeeders, result.Seeders || 0);
+        if (!group.imdb && result.Imdb) group.imdb = `tt${String(result.Imdb).replace(/^tt/, '').padStart(7, '0')}`;
+        if (!group.resolutions.includes(release.resolution)) group.resolutions.push(release.resolution);
+        if (release.episodes.length > 0) {
+            for (const episode of release.episodes) {
+                const label = episodeLabel(release.seasons[0] || 1, episode);
+                if (!group.episodes.includes(label)) group.episodes.push(label);
+            }
+        } else {
+            for (const season of release.seasons) {
+                if (!group.packs.includes(season)) group.packs.push(season);
+            }
+        }
+    }
+    return [...groups.values()].sort((a, b) => b.latestAt - a.latestAt);
+}
+
+/**
+ * Computes the key catalogs are kept under: a fingerprint of the config's CATALOG_CONFIG_FIELDS.
+ * @param {Object} config - Effective request config.
+ * @returns {string}
+ */
+function getCatalogKey(config) {
+    return configFingerprint(Object.fromEntries(CATALOG_CONFIG_FIELDS.map(field => [field, config[field]])));
+}
+
+/**
+ * Runs an async mapper over items with bounded concurrency, keeping the input order.
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+    const output = new Array(items.length);
+    let next = 0;
+    const runners = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        runners.push((async () => {
+            while (next < items.length) {
+                const index = next++;
+                output[index] = await mapper(items[index]);
+            }
+        })());
+    }
+    await Promise.all(runners);
+    return output;
+}
+
+/**
+ * Builds the short description shown on a catalog item.
+ */
+function describeItem(item) {
+    const parts = [];
+    if (item.episodes.length > 0) parts.push(`New: ${item.episodes.slice().sort().reverse().slice(0, 4).join(', ')}`);
+    if (item.packs.length > 0) parts.push(`Season packs: ${item.packs.slice().sort((a, b) => a - b).map(season => `S${String(season).padStart(2, '0')}`).join(', ')}`);
+    parts.push(`${item.resolutions.sort((a, b) => RESOLUTION_RANKS[b] - RESOLUTION_RANKS[a]).join(', ')}`);
+    parts.push(`${item.releases} release${item.releases === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Creates the catalog service.
+ * @param {Object} deps
+ * @param {Function} deps.search - (searchParams, config, cacheTtlMs) => Promise<results> over all enabled providers.
+ * @param {Function} deps.findTitle - (title, year, type, config, imdbId) => Promise<{imdbId, name, year, poster}|null>;
+ *   imdbId is passed when the indexer already reported one.
+ * @param {Function} deps.getDetails - (imdbId, type, config, seasons) => Promise<Object|null>: a full Stremio meta object.
+ * @returns {{getCatalog: Function, getMeta: Function, startCatalogRefresh: Function}}
+ */
+function createCatalogService({ search, findTitle, getDetails }) {
+    // Catalog state per catalog key (getCatalogKey): { config, items, refreshedAt, refreshing, lastRequestedAt }
+    const catalogs = new Map();
+    let defaultKey = null;
+
+    async function buildItems(config, type) {
+        const results = await search({ query: '', title: '', type, recent: true, limit: CATALOG_FETCH_LIMIT }, config, CATALOG_REFRESH_MS);
+        const groups = groupResults(results, type, config).slice(0, CATALOG_MAX_ITEMS);
+        const matched = await mapWithConcurrency(groups, CATALOG_LOOKUP_CONCURRENCY, async (group) => {
+            const found = await findTitle(group.title, group.year, type, config, group.imdb);
+            return found ? Object.assign({}, group, found) : null;
+        });
+
+        // Different release names can map to the same title
+        const items = new Map();
+        for (const group of matched) {
+            if (!group) continue;
+            const existing = items.get(group.imdbId);
+            if (!existing) {
+                items.set(group.imdbId, Object.assign({ type }, group));
+                continue;
+            }
+            existing.releases += group.releases;
+            existing.latestAt = Math.max(existing.latestAt, group.latestAt);
+            for (const field of ['resolutions', 'episodes', 'packs']) {
+                for (const value of group[field]) if (!existing[field].includes(value)) existing[field].push(value);
+            }
+        }
+        log.info(`${type}: ${results.length} recent uploads, ${groups.length} titles, ${items.size} matched to IMDb.`);
+        return [...items.values()];
+    }
+
+    async function refresh(key) {
+        const state = catalogs.get(key);
+        if (state.refreshing) return state.refreshing;
+        state.refreshing = (async () => {
+            const startTime = Date.now();
+            try {
+                const items = [];
+                for (const type of ['movie', 'series']) items.push(...await buildItems(state.config, type));
+                state.items = items;
+                state.refreshedAt = Date.now();
+                await catalogCache.set(key, { items, refreshedAt: state.refreshedAt }, CATALOG_TTL_MS);
+                log.info(`Refreshed catalogs with ${items.length} items in ${((Date.now() - startTime) / 1000).toFixed(2)} seconds.`);
+            } catch (error) {
+                log.error('Catalog refresh failed', { error: error.message });
+            } finally {
+                state.refreshing = null;
+            }
+        })();
+        return state.refreshing;
+    }
+
+    /**
+     * Returns the catalog state for a config, loading a persisted copy or starting the first build.
+     * Stale catalogs are served as they are while a refresh runs in the background.
+     */
+    async function getState(config) {
+        const key = getCatalogKey(config);
+        let state = catalogs.get(key);
+        if (!state) {
+            state = { config, items: null, refreshedAt: 0, refreshing: null, lastRequestedAt: 0 };
+            catalogs.set(key, state);
+            const persisted = await catalogCache.get(key);
+            if (persisted) {
+                state.items = persisted.items;
+                state.refreshedAt = persisted.refreshedAt;
+            }
+        }
+        state.lastRequestedAt = Date.now();
+        if (!state.items) {
+            let timer;
+            await Promise.race([refresh(key), new Promise(resolve => { timer = setTimeout(resolve, FIRST_BUILD_WAIT_MS); })]);
+            clearTimeout(timer);
+        } else if (Date.now() - state.refreshedAt > CATALOG_REFRESH_MS) {
+            refresh(key);
+        }
+        return state;
+    }
+
+    /**
+     * Returns one page of a catalog as Stremio meta previews.
+     * @param {string} type - 'movie' or 'series'.
+     * @param {string} id - Catalog id from CATALOGS.
+     * @param {number} skip - Items to skip (paging).
+     * @param {Object} config - Effective request config.
+     * @returns {Promise<Array<Object>>}
+     */
+    async function getCatalog(type, id, skip, config) {
+        const definition = CATALOG_DEFINITIONS.find(catalog => catalog.id === id && catalog.type === type);
+        if (!definition) return [];
+        const state = await getState(config);
+        return (state.items || [])
+            .filter(item => item.type === type && definition.filter(item))
+            .sort((a, b) => b.latestAt - a.latestAt)
+            .slice(skip, skip + PAGE_SIZE)
+            .map(item => ({
+                id: item.imdbId,
+                type: item.type,
+                name: item.name,
+                poster: item.poster || undefined,
+                posterShape: 'poster',
+                releaseInfo: item.year ? String(item.year) : undefined,
+                description: describeItem(item),
+            }));
+    }
+
+    /**
+     * Returns the full meta object for an item. Items of the fresh catalogs get their series episode
+     * lists for the seasons that have new uploads; other IMDb IDs are looked up directly.
+     * @param {string} type - 'movie' or 'series'.
+     * @param {string} id - IMDb ID.
+     * @param {Object} config - Effective request config.
+     * @returns {Promise<Object|null>}
+     */
+    async function getMeta(type, id, config) {
+        const state = catalogs.get(getCatalogKey(config));
+        const item = state && state.items ? state.items.find(entry => entry.imdbId === id && entry.type === type) : null;
+        const seasons = item ? [...new Set([...item.packs, ...item.episodes.map(label => parseInt(label.slice(1, 3), 10))])] : [];
+        const meta = await getDetails(id, type, config, seasons);
+        if (meta && item) meta.description = [meta.description, `Fresh on your indexers: ${describeItem(item)}`].filter(Boolean).join('\n\n');
+        return meta;
+    }
+
+    /**
+     * Builds the catalogs of the environment default config and then periodically refreshes them, along
+     * with those of the user configs requested within the last day.
+     * @param {Object} defaultConfig - Effective config without user overrides.
+     */
+    function startCatalogRefresh(defaultConfig) {
+        if (!CATALOGS_ENABLED) return;
+        defaultKey = getCatalogKey(defaultConfig);
+        getState(defaultConfig).catch(error => log.error('Initial catalog build failed', { error: error.message }));
+        setInterval(() => {
+            const now = Date.now();
+            for (const [key, state] of catalogs) {
+                if (key !== defaultKey && now - state.lastRequestedAt > CATALOG_IDLE_MS) {
+                    catalogs.delete(key);
+                    continue;
+                }
+                if (now - state.refreshedAt >= CATALOG_REFRESH_MS) refresh(key);
+            }
+        }, Math.min(CATALOG_REFRESH_MS, 15 * 60 * 1000)).unref();
+    }
+
+    return { getCatalog, getMeta, startCatalogRefresh };
+}
+
+module.exports = {
+    CATALOGS_ENABLED,
+    CATALOGS,
+    getCatalogKey,
+    createCatalogService,
+};
@@ -0,0 +1,569 @@
+// lib/config.js - Addon configuration: environment defaults plus per-user overrides carried in the manifest URL
+
+const crypto = require('crypto');
+const { DEBRID_SERVICES } = require('./debrid');
+const { SEARCH_PROVIDER_IDS } = require('./providers');
+const { SCORE_FACTORS, SORT_PRESET_IDS, SORT_BY_OPTIONS, SORT_ORDERS, parseRequirement, getWeights } = require('./scoring');
+const { compileTitlePattern, normalizeInfoHash } = require('./releaseRules');
+const { normalizeLanguage, parseLanguageTiers } = require('./languages');
+const { DEFAULT_NAME_TEMPLATE, DEFAULT_DESCRIPTION_TEMPLATE, STREAM_TEMPLATE_FIELDS, findUnknownPlaceholders } = require('./streamFormat');
+const { createLogger } = require('./logger');
+
+const log = createLogger('config');
+
+/**
+ * Parses a comma-separated list into lowercase, trimmed, non-empty entries.
+ * @param {string} value - Raw comma-separated string.
+ * @returns {string[]} - Parsed list.
+ */
+function parseList(value) {
+    return String(value || '').toLowerCase().split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parses a comma-separated list of URLs, keeping their case (API keys in query strings are case-sensitive).
+ * @param {string} value - Raw comma-separated string.
+ * @returns {string[]} - Parsed list.
+ */
+function parseUrlList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parses factor weights written as "factor:weight" pairs (e.g. "resolution:4,seeders:1").
+ * Unknown factors and non-numeric weights are skipped.
+ * @param {string} value - Raw comma-separated string.
+ * @returns {Object<string, number>} - Weights by factor.
+ */
+function parseWeights(value) {
+    const weights = {};
+    for (const entry of parseList(value)) {
+        const [factor, weight] = entry.split(':').map(part => part.trim());
+        const number = parseFloat(weight);
+        if (SCORE_FACTORS.includes(factor) && Number.isFinite(number)) weights[factor] = number;
+    }
+    return weights;
+}
+
+/**
+ * Parses hard scoring requirements (e.g. "resolution>=1080p,source!=hdtv"), warning about and
+ * skipping the ones that don't parse.
+ * @param {string} value - Raw comma-separated string.
+ * @returns {string[]} - Normalized requirement expressions.
+ */
+function parseRequirements(value) {
+    const requirements = [];
+    for (const entry of parseUrlList(value)) {
+        try {
+            requirements.push(parseRequirement(entry).text);
+        } catch (error) {
+            log.warn(`Ignoring SCORE_REQUIREMENTS entry: ${error.message}`);
+        }
+    }
+    return requirements;
+}
+
+/**
+ * Parses a title pattern (regular expression) from the environment, ignoring an invalid one with a warning.
+ * @param {string} name - Environment variable name, for the warning.
+ * @param {string} value - Raw pattern.
+ * @returns {string} - Pattern, or '' for none.
+ */
+function parsePattern(name, value) {
+    if (!value) return '';
+    try {
+        compileTitlePattern(value);
+        return value;
+    } catch (error) {
+        log.warn(`Ignoring ${name}: ${error.message}`);
+        return '';
+    }
+}
+
+/**
+ * Parses a comma-separated list of infohashes, warning about and skipping invalid entries.
+ * @param {string} name - Environment variable name, for the warning.
+ * @param {string} value - Raw comma-separated string.
+ * @returns {string[]} - Lowercase infohashes.
+ */
+function parseInfoHashes(name, value) {
+    const infoHashes = [];
+    for (const entry of parseList(value)) {
+        try {
+            infoHashes.push(normalizeInfoHash(entry));
+        } catch (error) {
+            log.warn(`Ignoring ${name} entry: ${error.message}`);
+        }
+    }
+    return infoHashes;
+}
+
+/**
+ * Parses language tiers from the environment ("hi|ta,en"; see lib/languages.js), warning about and skipping
+ * unknown languages.
+ * @param {string} name - Environment variable name, for the warning.
+ * @param {string} value - Raw comma-separated string.
+ * @returns {string[][]} - ISO 639-1 codes per tier.
+ */
+function parseLanguages(name, value) {
+    const tiers = [];
+    for (const entry of String(value || '').split(',')) {
+        const tier = [];
+        for (const language of entry.split('|').map(part => part.trim()).filter(Boolean)) {
+            try {
+                const code = normalizeLanguage(language);
+                if (!tier.includes(code)) tier.push(code);
+            } catch (error) {
+                log.warn(`Ignoring ${name} entry: ${error.message}`);
+            }
+        }
+        if (tier.length > 0) tiers.push(tier);
+    }
+    return tiers;
+}
+
+/**
+ * Normalizes UNTAGGED_LANGUAGE: an ISO 639-1 code, 'original' (the title's original language) or 'none'.
+ * @param {string} value
+ * @returns {string}
+ * @throws {LanguageError} - For an unknown language.
+ */
+function normalizeUntaggedLanguage(value) {
+    const setting = String(value).toLowerCase().trim();
+    return setting === 'original' || setting === 'none' ? setting : normalizeLanguage(setting);
+}
+
+/**
+ * Parses UNTAGGED_LANGUAGE from the environment, falling back to English with a warning when it is unknown.
+ * @param {string} value - Raw setting.
+ * @returns {string} - ISO 639-1 code, 'original' or 'none'.
+ */
+function parseUntaggedLanguage(value) {
+    if (!value) return 'en';
+    try {
+        return normalizeUntaggedLanguage(value);
+    } catch (error) {
+        log.warn(`Ignoring UNTAGGED_LANGUAGE: ${error.message}`);
+        return 'en';
+    }
+}
+
+// Files that can't be played and are typical of fake releases
+const DEFAULT_EXTENSION_DENYLIST = 'exe,lnk,scr,bat,cmd,msi,apk,zip,rar';
+
+/**
+ * Parses a stream template from the environment, where line breaks are written as "\\n". A template with
+ * unknown placeholders is ignored with a warning.
+ * @param {string} name - Environment variable name, for the warning.
+ * @param {string} value - Raw template.
+ * @param {string} fallback - Default template.
+ * @returns {string} - Template.
+ */
+function parseTemplate(name, value, fallback) {
+    if (!value) return fallback;
+    const template = value.replace(/\\n/g, '\n');
+    const unknown = findUnknownPlaceholders(template);
+    if (unknown.length > 0) {
+        log.warn(`Ignoring ${name}: unknown placeholders ${unknown.map(field => `{${field}}`).join(', ')}`);
+        return fallback;
+    }
+    return template;
+}
+
+// --- Defaults (Set these as environment variables or update directly) ---
+const DEFAULT_CONFIG = Object.freeze({
+    JACKETT_HOST: process.env.JACKETT_HOST || 'http://localhost:9117',
+    JACKETT_API_KEY: process.env.JACKETT_API_KEY || 'YOUR_JACKETT_API_KEY_HERE',
+    OMDB_API_KEY: process.env.OMDB_API_KEY || 'YOUR_OMDB_API_KEY_HERE',
+    TMDB_API_KEY: process.env.TMDB_API_KEY || 'YOUR_TMDB_API_KEY_HERE',
+    MINIMUM_SEEDERS: parseInt(process.env.MINIMUM_SEEDERS || '0', 10),
+    MAX_STREAMS: parseInt(process.env.MAX_STREAMS || '20', 10),
+    MIN_TORRENT_SIZE_MB: parseInt(process.env.MIN_TORRENT_SIZE_MB || '10', 10),
+    // 0 leaves the upper bound to the per-resolution bitrate check
+    MAX_TORRENT_SIZE_MB: parseInt(process.env.MAX_TORRENT_SIZE_MB || '0', 10),
+    BITRATE_CHECK: (process.env.BITRATE_CHECK || 'true').toLowerCase() !== 'false',
+    FAKE_CHECK: (process.env.FAKE_CHECK || 'true').toLowerCase() !== 'false',
+    PREFERRED_LANGUAGES: parseLanguages('PREFERRED_LANGUAGES', process.env.PREFERRED_LANGUAGES),
+    REQUIRED_LANGUAGES: [...new Set(parseLanguages('REQUIRED_LANGUAGES', process.env.REQUIRED_LANGUAGES).flat())],
+    UNTAGGED_LANGUAGE: parseUntaggedLanguage(process.env.UNTAGGED_LANGUAGE),
+    PREFERRED_VIDEO_QUALITIES_CONFIG: parseList(process.env.PREFERRED_VIDEO_QUALITIES || 'remux,bluray,bdrip,web-dl,webrip,hdrip,hdtv,dvdrip,x265,x264,hevc,xvid,av1'),
+    PREFERRED_AUDIO_QUALITIES_CONFIG: parseList(process.env.PREFERRED_AUDIO_QUALITIES || 'truehd,dts-hd,atmos,dts,eac3,ddp,ac3,aac,mp3'),
+    DEBRID_SERVICE: (process.env.DEBRID_SERVICE || '').toLowerCase().trim(),
+    DEBRID_API_KEY: process.env.DEBRID_API_KEY || '',
+    INDEXER_ALLOWLIST: parseList(process.env.INDEXER_ALLOWLIST),
+    INDEXER_DENYLIST: parseList(process.env.INDEXER_DENYLIST),
+    SEARCH_PROVIDERS: parseList(process.env.SEARCH_PROVIDERS || 'jackett'),
+    PROWLARR_URL: (process.env.PROWLARR_URL || '').replace(/\/+$/, ''),
+    PROWLARR_API_KEY: process.env.PROWLARR_API_KEY || '',
+    TORZNAB_FEEDS: parseUrlList(process.env.TORZNAB_FEEDS),
+    SEASON_PACKS: (process.env.SEASON_PACKS || 'true').toLowerCase() !== 'false',
+    SORT_BY: (process.env.SORT_BY || 'score').toLowerCase().trim(),
+    SORT_ORDER: (process.env.SORT_ORDER || 'desc').toLowerCase().trim(),
+    SORT_PRESET: (process.env.SORT_PRESET || 'balanced').toLowerCase().trim(),
+    SCORE_WEIGHTS: parseWeights(process.env.SCORE_WEIGHTS),
+    SCORE_REQUIREMENTS: parseRequirements(process.env.SCORE_REQUIREMENTS),
+    STREAM_NAME_TEMPLATE: parseTemplate('STREAM_NAME_TEMPLATE', process.env.STREAM_NAME_TEMPLATE, DEFAULT_NAME_TEMPLATE),
+    STREAM_DESCRIPTION_TEMPLATE: parseTemplate('STREAM_DESCRIPTION_TEMPLATE', process.env.STREAM_DESCRIPTION_TEMPLATE, DEFAULT_DESCRIPTION_TEMPLATE),
+    STREAM_EMOJI: (process.env.STREAM_EMOJI || 'true').toLowerCase() !== 'false',
+    TRACKER_ALLOWLIST: parseList(process.env.TRACKER_ALLOWLIST),
+    TRACKER_DENYLIST: parseList(process.env.TRACKER_DENYLIST),
+    GROUP_ALLOWLIST: parseList(process.env.GROUP_ALLOWLIST),
+    GROUP_DENYLIST: parseList(process.env.GROUP_DENYLIST),
+    TITLE_ALLOW_PATTERN: parsePattern('TITLE_ALLOW_PATTERN', process.env.TITLE_ALLOW_PATTERN),
+    TITLE_DENY_PATTERN: parsePattern('TITLE_DENY_PATTERN', process.env.TITLE_DENY_PATTERN),
+    EXTENSION_ALLOWLIST: parseList(process.env.EXTENSION_ALLOWLIST),
+    // An empty EXTENSION_DENYLIST turns the default off
+    EXTENSION_DENYLIST: parseList(process.env.EXTENSION_DENYLIST !== undefined ? process.env.EXTENSION_DENYLIST : DEFAULT_EXTENSION_DENYLIST),
+    INFOHASH_ALLOWLIST: parseInfoHashes('INFOHASH_ALLOWLIST', process.env.INFOHASH_ALLOWLIST),
+    INFOHASH_DENYLIST: parseInfoHashes('INFOHASH_DENYLIST', process.env.INFOHASH_DENYLIST),
+});
+
+// Field types accepted in a user config. Anything not listed here is rejected.
+const USER_CONFIG_FIELDS = {
+    JACKETT_HOST: 'url',
+    JACKETT_API_KEY: 'string',
+    OMDB_API_KEY: 'string',
+    TMDB_API_KEY: 'string',
+    MINIMUM_SEEDERS: 'integer',
+    MAX_STREAMS: 'integer',
+    MIN_TORRENT_SIZE_MB: 'integer',
+    MAX_TORRENT_SIZE_MB: 'integer',
+    BITRATE_CHECK: 'boolean',
+    FAKE_CHECK: 'boolean',
+    PREFERRED_LANGUAGES: 'languageTiers',
+    REQUIRED_LANGUAGES: 'languageList',
+    UNTAGGED_LANGUAGE: 'untaggedLanguage',
+    PREFERRED_VIDEO_QUALITIES_CONFIG: 'list',
+    PREFERRED_AUDIO_QUALITIES_CONFIG: 'list',
+    DEBRID_SERVICE: 'debridService',
+    DEBRID_API_KEY: 'string',
+    INDEXER_ALLOWLIST: 'list',
+    INDEXER_DENYLIST: 'list',
+    SEARCH_PROVIDERS: 'searchProviders',
+    PROWLARR_URL: 'url',
+    PROWLARR_API_KEY: 'string',
+    TORZNAB_FEEDS: 'urlList',
+    SEASON_PACKS: 'boolean',
+    SORT_BY: 'sortBy',
+    SORT_ORDER: 'sortOrder',
+    SORT_PRESET: 'sortPreset',
+    SCORE_WEIGHTS: 'scoreWeights',
+    SCORE_REQUIREMENTS: 'scoreRequirements',
+    STREAM_NAME_TEMPLATE: 'template',
+    STREAM_DESCRIPTION_TEMPLATE: 'template',
+    STREAM_EMOJI: 'boolean',
+    TRACKER_ALLOWLIST: 'list',
+    TRACKER_DENYLIST: 'list',
+    GROUP_ALLOWLIST: 'list',
+    GROUP_DENYLIST: 'list',
+    EXTENSION_ALLOWLIST: 'list',
+    EXTENSION_DENYLIST: 'list',
+    INFOHASH_ALLOWLIST: 'infoHashList',
+    INFOHASH_DENYLIST: 'infoHashList',
+};
+
+// Fields only the server environment may set. Title patterns are regular expressions run against every
+// result, and a user-supplied one could backtrack catastrophically (ReDoS) and stall the worker pool.
+const ENV_ONLY_FIELDS = ['TITLE_ALLOW_PATTERN', 'TITLE_DENY_PATTERN'];
+
+// Credentials bound to the host, URL or service they are sent to. A user config that points one of these
+// elsewhere gets none of the environment's credential, so the server's keys never leave for a user-picked host.
+const CREDENTIAL_FIELDS = {
+    JACKETT_HOST: 'JACKETT_API_KEY',
+    PROWLARR_URL: 'PROWLARR_API_KEY',
+    DEBRID_SERVICE: 'DEBRID_API_KEY',
+};
+
+// Allowed values of the enumerated field types
+const ENUM_FIELD_VALUES = {
+    sortBy: SORT_BY_OPTIONS,
+    sortOrder: SORT_ORDERS,
+    sortPreset: SORT_PRESET_IDS,
+};
+
+// Upper bound for the encoded URL segment, to keep obviously bogus input out of JSON.parse.
+const MAX_ENCODED_CONFIG_LENGTH = 4096;
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * Validates an http(s) URL config value.
+ * @param {string} key - Config field name, for error messages.
+ * @param {*} value - Raw value.
+ * @returns {string} - Normalized URL.
+ */
+function normalizeUrl(key, value) {
+    let parsed;
+    try {
+        parsed = new URL(String(value));
+    } catch (error) {
+        throw new ConfigError(`${key} is not a valid URL`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new ConfigError(`${key} must use http or https`);
+    }
+    return parsed.toString();
+}
+
+/**
+ * Coerces and validates a single user config value according to its declared type.
+ * @param {string} key - Config field name.
+ * @param {*} value - Raw value from the decoded config.
+ * @returns {*} - Normalized value.
+ */
+function normalizeField(key, value) {
+    switch (USER_CONFIG_FIELDS[key]) {
+        case 'url':
+            return normalizeUrl(key, value).replace(/\/+$/, '');
+        case 'urlList': {
+            const urls = Array.isArray(value) ? value.map(String) : (typeof value === 'string' ? parseUrlList(value) : null);
+            if (!urls) throw new ConfigError(`${key} must be a comma-separated string or an array`);
+            return urls.map(url => normalizeUrl(key, url));
+        }
+        case 'searchProviders': {
+            const providers = Array.isArray(value) ? parseList(value.join(',')) : parseList(value);
+            const unknown = providers.filter(provider => !SEARCH_PROVIDER_IDS.includes(provider));
+            if (providers.length === 0 || unknown.length > 0) {
+                throw new ConfigError(`${key} must list one or more of: ${SEARCH_PROVIDER_IDS.join(', ')}`);
+            }
+            return providers;
+        }
+        case 'string':
+            if (typeof value !== 'string' || value.trim().length === 0 || value.length > 256) {
+                throw new ConfigError(`${key} must be a non-empty string`);
+            }
+            return value.trim();
+        case 'integer': {
+            const number = typeof value === 'number' ? value : parseInt(value, 10);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new ConfigError(`${key} must be a non-negative integer`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') return value === 'true';
+            throw new ConfigError(`${key} must be true or false`);
+        case 'list':
+            if (Array.isArray(value)) return parseList(value.join(','));
+            if (typeof value === 'string') return parseList(value);
+            throw new ConfigError(`${key} must be a comma-separated string or an array`);
+        case 'languageTiers':
+        case 'languageList': {
+            // Arrays hold one tier per entry, as a "hi|ta" string or an array of languages
+            const text = Array.isArray(value)
+                ? value.map(tier => (Array.isArray(tier) ? tier.join('|') : String(tier))).join(',')
+                : (typeof value === 'string' ? value : null);
+            if (text === null) throw new ConfigError(`${key} must be a comma-separated string or an array`);
+            try {
+                const tiers = parseLanguageTiers(text);
+                return USER_CONFIG_FIELDS[key] === 'languageList' ? [...new Set(tiers.flat())] : tiers;
+            } catch (error) {
+                throw new ConfigError(`${key}: ${error.message}`);
+            }
+        }
+        case 'untaggedLanguage':
+            try {
+                return normalizeUntaggedLanguage(value);
+            } catch (error) {
+                throw new ConfigError(`${key} must be an ISO 639 code or English language name, "original" or "none"`);
+            }
+        case 'sortBy':
+        case 'sortOrder':
+        case 'sortPreset': {
+            const allowed = ENUM_FIELD_VALUES[USER_CONFIG_FIELDS[key]];
+            const option = String(value).toLowerCase().trim();
+            if (!allowed.includes(option)) {
+                throw new ConfigError(`${key} must be one of: ${allowed.join(', ')}`);
+            }
+            return option;
+        }
+        case 'scoreWeights': {
+            const entries = typeof value === 'string'
+                ? parseList(value).map(entry => entry.split(':').map(part => part.trim()))
+                : (value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null);
+            if (!entries) throw new ConfigError(`${key} must be a "factor:weight" list or an object`);
+            const weights = {};
+            for (const [factor, weight] of entries) {
+                const number = typeof weight === 'number' ? weight : parseFloat(weight);
+                if (!SCORE_FACTORS.includes(factor)) {
+                    throw new ConfigError(`${key}: unknown factor "${factor}" (one of: ${SCORE_FACTORS.join(', ')})`);
+                }
+                if (!Number.isFinite(number) || Math.abs(number) > 10) {
+                    throw new ConfigError(`${key}: weight of ${factor} must be a number between -10 and 10`);
+                }
+                weights[factor] = number;
+            }
+            return weights;
+        }
+        case 'scoreRequirements': {
+            const requirements = Array.isArray(value) ? value.map(String) : (typeof value === 'string' ? parseUrlList(value) : null);
+            if (!requirements) throw new ConfigError(`${key} must be a comma-separated string or an array`);
+            return requirements.map(requirement => {
+                try {
+                    return parseRequirement(requirement).text;
+                } catch (error) {
+                    throw new ConfigError(`${key}: ${error.message}`);
+                }
+            });
+        }
+        case 'template': {
+            if (typeof value !== 'string' || value.length > 1024) {
+                throw new ConfigError(`${key} must be a string of at most 1024 characters`);
+            }
+            const template = value.replace(/\\n/g, '\n');
+            const unknown = findUnknownPlaceholders(template);
+            if (unknown.length > 0) {
+                throw new ConfigError(`${key}: unknown placeholder {${unknown[0]}} (one of: ${STREAM_TEMPLATE_FIELDS.join(', ')})`);
+            }
+            return template;
+        }
+        case 'infoHashList': {
+            const infoHashes = Array.isArray(value) ? value.map(String) : (typeof value === 'string' ? parseList(value) : null);
+            if (!infoHashes) throw new ConfigError(`${key} must be a comma-separated string or an array`);
+            return infoHashes.map(infoHash => {
+                try {
+                    return normalizeInfoHash(infoHash);
+                } catch (error) {
+                    throw new ConfigError(`${key}: ${error.message}`);
+                }
+            });
+        }
+        case 'debridService': {
+            const service = String(value).toLowerCase().trim();
+            if (!DEBRID_SERVICES.includes(service)) {
+                throw new ConfigError(`${key} must be one of: ${DEBRID_SERVICES.join(', ')}`);
+            }
+            return service;
+        }
+        default:
+            if (ENV_ONLY_FIELDS.includes(key)) throw new ConfigError(`${key} can only be set in the server environment`);
+            throw new ConfigError(`Unknown config field: ${key}`);
+    }
+}
+
+/**
+ * Validates a decoded user config object, dropping empty values so the defaults apply.
+ * @param {Object} rawConfig - Decoded config object.
+ * @returns {Object} - Validated user overrides.
+ */
+function validateUserConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+        throw new ConfigError('Config must be a JSON object');
+    }
+    const overrides = {};
+    for (const [key, value] of Object.entries(rawConfig)) {
+        if (value === null || value === undefined || value === '') continue;
+        overrides[key] = normalizeField(key, value);
+    }
+    if (overrides.MAX_STREAMS === 0) {
+        throw new ConfigError('MAX_STREAMS must be at least 1');
+    }
+    const minSize = overrides.MIN_TORRENT_SIZE_MB !== undefined ? overrides.MIN_TORRENT_SIZE_MB : DEFAULT_CONFIG.MIN_TORRENT_SIZE_MB;
+    const maxSize = overrides.MAX_TORRENT_SIZE_MB !== undefined ? overrides.MAX_TORRENT_SIZE_MB : DEFAULT_CONFIG.MAX_TORRENT_SIZE_MB;
+    if (maxSize > 0 && minSize > maxSize) {
+        throw new ConfigError('MIN_TORRENT_SIZE_MB must not exceed MAX_TORRENT_SIZE_MB');
+    }
+    return overrides;
+}
+
+/**
+ * Decodes the config segment of an addon URL (base64url-encoded JSON) and validates it.
+ * @param {string} segment - The URL path segment preceding manifest.json / stream/...
+ * @returns {Object} - Validated user overrides.
+ */
+function decodeUserConfig(segment) {
+    if (typeof segment !== 'string' || segment.length === 0 || segment.length > MAX_ENCODED_CONFIG_LENGTH) {
+        throw new ConfigError('Config segment is missing or too long');
+    }
+    let rawConfig;
+    try {
+        rawConfig = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ConfigError('Config segment is not valid base64-encoded JSON');
+    }
+    return validateUserConfig(rawConfig);
+}
+
+/**
+ * Encodes a user config object into a URL-safe segment. Inverse of decodeUserConfig.
+ * @param {Object} userConfig - User overrides.
+ * @returns {string} - base64url-encoded JSON.
+ */
+function encodeUserConfig(userConfig) {
+    return Buffer.from(JSON.stringify(userConfig), 'utf8').toString('base64url');
+}
+
+/**
+ * Merges validated user overrides on top of the environment defaults. When the user moves a host, URL
+ * or service away from the environment's without supplying its credential, the credential is left empty
+ * (the provider then counts as unconfigured) instead of inheriting the environment's.
+ * @param {Object} [userConfig] - Validated user overrides (may be empty).
+ * @returns {Object} - Frozen effective config for a single request.
+ */
+function resolveConfig(userConfig) {
+    const overrides = userConfig || {};
+    const config = Object.assign({}, DEFAULT_CONFIG, overrides);
+    for (const [field, credential] of Object.entries(CREDENTIAL_FIELDS)) {
+        const moved = overrides[field] !== undefined && overrides[field] !== DEFAULT_CONFIG[field];
+        if (moved && overrides[credential] === undefined) config[credential] = '';
+    }
+    return Object.freeze(config);
+}
+
+/**
+ * Serializes a JSON value with the keys of every object, at any depth, in sorted order, so equal
+ * configs serialize the same whatever order their keys were set in.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(item => (item === undefined ? 'null' : canonicalStringify(item))).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes a short, stable fingerprint of an effective config, for use in cache keys. Nested values
+ * (SCORE_WEIGHTS, language tiers...) count in full.
+ * @param {Object} config - Effective config.
+ * @returns {string} - 16 hex characters.
+ */
+function configFingerprint(config) {
+    const serialized = canonicalStringify(config);
+    return crypto.createHash('sha256').update(serialized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds the streams cache key of a request. Besides the config it names the effective ranking weights
+ * (the preset's with SCORE_WEIGHTS on top), so a ranking change never serves a list ranked the old way.
+ * @param {string} id - Stremio item id.
+ * @param {Object} config - Effective config.
+ * @param {string[]} [parts] - Further parts that change the list (admin rules key, continuity); empty ones are skipped.
+ * @returns {string}
+ */
+function getStreamsCacheKey(id, config, parts = []) {
+    return [id, configFingerprint(config), configFingerprint(getWeights(config)), ...parts.filter(Boolean)].join(':');
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    ConfigError,
+    parseList,
+    validateUserConfig,
+    decodeUserConfig,
+    encodeUserConfig,
+    resolveConfig,
+    configFingerprint,
+    getStreamsCacheKey,
+};
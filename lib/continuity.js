@@ -0,0 +1,133 @@
+// lib/continuity.js - Binge continuity: keeps a series on the same kind of release from episode to episode
+//
+// A release identity is group + resolution + source + language. It is sent to Stremio as the bingeGroup, so
+// the player's auto-play picks the same kind of release for the next episode, and the addon remembers the
+// identities of recent episodes per show: the top stream served for an episode, or the stream actually
+// played through the debrid resolve route, which takes precedence. When another episode of the show is
+// requested, streams matching that identity get the 'continuity' score factor (see lib/scoring.js).
+// Memory is kept per show and config fingerprint in the persistent cache, so it survives restarts.
+
+const { createCache } = require('./cache');
+const { createLogger } = require('./logger');
+
+const log = createLogger('continuity');
+
+const BINGE_MEMORY_TTL_MS = parseFloat(process.env.BINGE_MEMORY_DAYS || '14') * 24 * 60 * 60 * 1000;
+// Episodes remembered per show
+const MAX_REMEMBERED_EPISODES = 5;
+
+// Share of each component in the continuity factor; the group matters most, the language least
+const IDENTITY_FIELDS = { group: 0.4, resolution: 0.3, source: 0.2, language: 0.1 };
+
+const continuityCache = createCache('continuity');
+
+/**
+ * Derives the release identity of a processed stream.
+ * @param {Object} stream - Processed stream (see torrentProcessorWorker.js).
+ * @returns {{group: string|null, resolution: string|null, source: string|null, language: string|null}}
+ */
+function getReleaseIdentity(stream) {
+    const release = stream.release || {};
+    return {
+        group: release.group ? release.group.toLowerCase() : null,
+        resolution: stream.parsedDetails.resolution || null,
+        source: release.source || null,
+        language: stream.parsedDetails.language || (release.languages || [])[0] || null,
+    };
+}
+
+/**
+ * Formats a release identity as a stable string, e.g. "ntb|1080p|web-dl|en" ("-" for unknown parts).
+ * @param {Object} identity
+ * @returns {string}
+ */
+function formatIdentity(identity) {
+    return Object.keys(IDENTITY_FIELDS).map(field => identity[field] || '-').join('|');
+}
+
+/**
+ * Measures how closely an identity matches the remembered one, from 0 to 1. Parts the remembered
+ * identity doesn't know are left out.
+ * @param {Object} identity - Identity of a candidate stream.
+ * @param {Object|null} preferred - Remembered identity.
+ * @returns {number}
+ */
+function matchIdentity(identity, preferred) {
+    if (!preferred) return 0;
+    let matched = 0;
+    let total = 0;
+    for (const [field, share] of Object.entries(IDENTITY_FIELDS)) {
+        if (!preferred[field]) continue;
+        total += share;
+        if (identity[field] === preferred[field]) matched += share;
+    }
+    return total > 0 ? matched / total : 0;
+}
+
+function showKey(userKey, showId) {
+    return `show:${userKey}:${showId}`;
+}
+
+/**
+ * Returns the identity to continue with for an episode: the most recently played identity of another
+ * episode of the show, or else the most recently served one.
+ * @param {string} userKey - Config fingerprint.
+ * @param {string} showId - IMDb ID, or source:id for anime.
+ * @param {string} episodeId - Stremio ID of the requested episode.
+ * @returns {Promise<Object|null>}
+ */
+async function getPreferredIdentity(userKey, showId, episodeId) {
+    const episodes = (await continuityCache.get(showKey(userKey, showId))) || [];
+    const others = episodes.filter(entry => entry.episodeId !== episodeId);
+    const entry = others.find(other => other.played) || others[0];
+    return entry ? entry.identity : null;
+}
+
+async function rememberEpisode(userKey, showId, episodeId, identity, played) {
+    const key = showKey(userKey, showId);
+    const episodes = (await continuityCache.get(key)) || [];
+    const previous = episodes.find(entry => entry.episodeId === episodeId);
+    // Serving an episode again doesn't overwrite what was played for it
+    if (previous && previous.played && !played) return;
+    const entry = { episodeId, identity, played, at: Date.now() };
+    const updated = [entry, ...episodes.filter(other => other.episodeId !== episodeId)].slice(0, MAX_REMEMBERED_EPISODES);
+    await continuityCache.set(key, updated, BINGE_MEMORY_TTL_MS);
+}
+
+/**
+ * Remembers the streams served for an episode: the identity of the top stream and, when the streams are
+ * played through the resolve route, which episode and identity each infohash stands for.
+ * @param {string} userKey - Config fingerprint.
+ * @param {string} showId - IMDb ID, or source:id for anime.
+ * @param {string} episodeId - Stremio ID of the episode.
+ * @param {Array<Object>} streams - Ranked streams in the order served.
+ * @param {boolean} resolvable - Whether plays will reach the resolve route (debrid streams).
+ */
+async function rememberServed(userKey, showId, episodeId, streams, resolvable) {
+    if (streams.length === 0) return;
+    await rememberEpisode(userKey, showId, episodeId, getReleaseIdentity(streams[0]), false);
+    if (!resolvable) return;
+    await Promise.all(streams.map(stream => continuityCache.set(`stream:${userKey}:${stream.infoHash}`,
+        { showId, episodeId, identity: getReleaseIdentity(stream) }, BINGE_MEMORY_TTL_MS)));
+}
+
+/**
+ * Remembers that a served stream was played, so its identity is preferred for the show's next episodes.
+ * @param {string} userKey - Config fingerprint.
+ * @param {string} infoHash
+ */
+async function rememberPlayed(userKey, infoHash) {
+    const served = await continuityCache.get(`stream:${userKey}:${infoHash}`);
+    if (!served) return;
+    await rememberEpisode(userKey, served.showId, served.episodeId, served.identity, true);
+    log.debug(`Played ${formatIdentity(served.identity)} for ${served.episodeId}`);
+}
+
+module.exports = {
+    getReleaseIdentity,
+    formatIdentity,
+    matchIdentity,
+    getPreferredIdentity,
+    rememberServed,
+    rememberPlayed,
+};
@@ -0,0 +1,49 @@
+// lib/deadline.js - Request-wide deadlines built on AbortSignal
+
+/**
+ * Creates a deadline for one stream request.
+ * The pipeline signal fires reserveMs before the response timeout, leaving time to sort and format
+ * partial results; the response signal fires just before Stremio itself would give up.
+ * @param {number} timeoutMs - Total time Stremio is given a response in.
+ * @param {number} reserveMs - Time kept back for the final stages.
+ * @returns {{expiresAt: number, signal: AbortSignal, responseSignal: AbortSignal, remainingMs: Function}}
+ */
+function createDeadline(timeoutMs, reserveMs) {
+    const pipelineMs = Math.max(timeoutMs - reserveMs, 0);
+    const expiresAt = Date.now() + pipelineMs;
+    return {
+        expiresAt,
+        signal: AbortSignal.timeout(pipelineMs),
+        responseSignal: AbortSignal.timeout(Math.max(timeoutMs - 250, 0)),
+        remainingMs: () => Math.max(expiresAt - Date.now(), 0),
+    };
+}
+
+/**
+ * Waits for a promise, but settles with a fallback value once the signal aborts.
+ * The underlying work is not cancelled, so it can still complete (and e.g. populate a cache) later.
+ * @param {Promise} promise - Work to wait for.
+ * @param {AbortSignal} [signal] - Deadline signal.
+ * @param {*} fallback - Value returned if the deadline is reached first.
+ * @returns {Promise<*>}
+ */
+function withDeadline(promise, signal, fallback) {
+    if (!signal) return promise;
+    if (signal.aborted) {
+        promise.catch(() => {});
+        return Promise.resolve(fallback);
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => resolve(fallback);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+            error => { signal.removeEventListener('abort', onAbort); reject(error); }
+        );
+    });
+}
+
+module.exports = {
+    createDeadline,
+    withDeadline,
+};
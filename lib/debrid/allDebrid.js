@@ -0,0 +1,92 @@
+// lib/debrid/allDebrid.js - AllDebrid provider (https://docs.alldebrid.com/)
+
+const { DebridError, DebridNotReadyError, debridFetch, pickFile } = require('./common');
+
+const API_URL = (process.env.ALLDEBRID_API_URL || 'https://api.alldebrid.com/v4').replace(/\/+$/, '');
+const AGENT = process.env.ALLDEBRID_AGENT || 'stremio-jackett-addon';
+
+// AllDebrid "ready" status code for a magnet
+const STATUS_READY = 4;
+
+function apiUrl(endpoint, apiKey, params) {
+    const query = new URLSearchParams({ agent: AGENT, apikey: apiKey });
+    for (const [key, value] of params) query.append(key, value);
+    return `${API_URL}${endpoint}?${query.toString()}`;
+}
+
+/**
+ * Unwraps AllDebrid's { status, data, error } envelope.
+ */
+function unwrap(body) {
+    if (body.status !== 'success') {
+        const message = body.error ? `${body.error.code}: ${body.error.message}` : 'unknown error';
+        throw new DebridError(`AllDebrid API error ${message}`);
+    }
+    return body.data || {};
+}
+
+/**
+ * Flattens AllDebrid's nested file tree ({ n, s, l, e }) into a flat list.
+ */
+function flattenFiles(entries, prefix = '', out = []) {
+    for (const entry of entries || []) {
+        const name = prefix ? `${prefix}/${entry.n}` : entry.n;
+        if (Array.isArray(entry.e)) flattenFiles(entry.e, name, out);
+        else out.push({ index: out.length, name, size: entry.s || 0, link: entry.l });
+    }
+    return out;
+}
+
+/**
+ * Checks which infohashes are instantly available (cached) on AllDebrid.
+ * @param {string} apiKey - User API key.
+ * @param {string[]} infoHashes - Lowercase infohashes.
+ * @param {AbortSignal} [signal] - Abort signal for the request.
+ * @returns {Promise<Set<string>>} - Set of cached infohashes.
+ */
+async function checkAvailability(apiKey, infoHashes, signal) {
+    const data = unwrap(await debridFetch(apiUrl('/magnet/instant', apiKey, infoHashes.map(hash => ['magnets[]', hash])), { signal }));
+    const cached = new Set();
+    for (const magnet of data.magnets || []) {
+        if (magnet.instant && magnet.hash) cached.add(String(magnet.hash).toLowerCase());
+    }
+    return cached;
+}
+
+/**
+ * Uploads a magnet, waits for it to be ready and unlocks the wanted file's link.
+ * @param {string} apiKey - User API key.
+ * @param {string} magnetLink - Magnet URI of the torrent.
+ * @param {{fileIdx?: number, filename?: string}} [hints] - File selection hints.
+ * @param {AbortSignal} [signal] - Bounds the whole resolve.
+ * @returns {Promise<string>} - Direct download URL.
+ */
+async function resolve(apiKey, magnetLink, hints = {}, signal) {
+    const uploaded = unwrap(await debridFetch(apiUrl('/magnet/upload', apiKey, [['magnets[]', magnetLink]]), { signal }));
+    const magnetId = uploaded.magnets && uploaded.magnets[0] && uploaded.magnets[0].id;
+    if (!magnetId) throw new DebridError('AllDebrid did not return a magnet id');
+
+    const status = unwrap(await debridFetch(apiUrl('/magnet/status', apiKey, [['id', String(magnetId)]]), { signal }));
+    const magnet = Array.isArray(status.magnets) ? status.magnets[0] : status.magnets;
+    if (!magnet || magnet.statusCode !== STATUS_READY) {
+        throw new DebridNotReadyError(`AllDebrid magnet status is "${magnet ? magnet.status : 'unknown'}"`);
+    }
+
+    const files = magnet.files
+        ? flattenFiles(magnet.files)
+        : (magnet.links || []).map((link, index) => ({ index, name: link.filename, size: link.size || 0, link: link.link }));
+    const selected = pickFile(files, hints);
+    if (!selected || !selected.link) throw new DebridError('AllDebrid magnet has no downloadable files');
+
+    const unlocked = unwrap(await debridFetch(apiUrl('/link/unlock', apiKey, [['link', selected.link]]), { signal }));
+    if (!unlocked.link) throw new DebridError('AllDebrid did not return a download link');
+    return unlocked.link;
+}
+
+module.exports = {
+    id: 'alldebrid',
+    name: 'AllDebrid',
+    shortName: 'AD',
+    checkAvailability,
+    resolve,
+};
@@ -0,0 +1,98 @@
+// lib/debrid/common.js - Shared HTTP and file-selection helpers for debrid providers
+
+const VIDEO_EXTENSIONS = ['mkv', 'mp4', 'avi', 'm4v', 'mov', 'wmv', 'ts', 'm2ts', 'webm', 'mpg', 'mpeg'];
+// Upper bound of a single debrid API call, on top of the caller's signal
+const DEBRID_REQUEST_TIMEOUT_MS = parseInt(process.env.DEBRID_REQUEST_TIMEOUT_MS || '10000', 10);
+
+class DebridError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'DebridError';
+        this.status = status || null;
+    }
+}
+
+/**
+ * Raised when a torrent was accepted by the debrid service but is not downloaded yet.
+ */
+class DebridNotReadyError extends DebridError {
+    constructor(message) {
+        super(message);
+        this.name = 'DebridNotReadyError';
+    }
+}
+
+/**
+ * Performs a debrid API call and returns the parsed JSON body. The call stops after
+ * DEBRID_REQUEST_TIMEOUT_MS or when options.signal aborts.
+ * @param {string} url - Full request URL.
+ * @param {Object} [options] - fetch options (method, headers, body, signal).
+ * @returns {Promise<Object>} - Parsed JSON response (an empty object for 204 responses).
+ */
+async function debridFetch(url, options = {}) {
+    const timeout = AbortSignal.timeout(DEBRID_REQUEST_TIMEOUT_MS);
+    const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+    let response;
+    let text;
+    try {
+        response = await fetch(url, Object.assign({}, options, { signal }));
+        if (response.status === 204) return {};
+        text = await response.text();
+    } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') throw new DebridError('Debrid API request timed out');
+        throw error;
+    }
+    let data;
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (error) {
+        throw new DebridError(`Invalid JSON from debrid API (HTTP ${response.status})`, response.status);
+    }
+    if (!response.ok) {
+        const detail = data.error || data.message || response.statusText;
+        throw new DebridError(`Debrid API HTTP ${response.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, response.status);
+    }
+    return data;
+}
+
+/**
+ * Checks whether a file name has a playable video extension.
+ * @param {string} name - File name or path.
+ * @returns {boolean}
+ */
+function isVideoFile(name) {
+    const extension = String(name || '').split('.').pop().toLowerCase();
+    return VIDEO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Picks the file to play from a torrent's file list.
+ * Prefers a matching file name, then the file index, then the largest video file. The name goes first
+ * because not every service lists files in torrent order (AllDebrid flattens its folder tree).
+ * @param {Array<{index: number, name: string, size: number}>} files - Files as reported by the provider.
+ * @param {{fileIdx?: number, filename?: string}} [hints] - Selection hints from the stream.
+ * @returns {Object|null} - The selected file entry, or null if the list is empty.
+ */
+function pickFile(files, hints = {}) {
+    if (!files || files.length === 0) return null;
+    if (hints.filename) {
+        const wanted = hints.filename.toLowerCase();
+        const byName = files.find(file => String(file.name).toLowerCase().split('/').pop() === wanted);
+        if (byName) return byName;
+    }
+    if (Number.isInteger(hints.fileIdx)) {
+        const byIndex = files.find(file => file.index === hints.fileIdx);
+        if (byIndex) return byIndex;
+    }
+    const videos = files.filter(file => isVideoFile(file.name));
+    const candidates = videos.length > 0 ? videos : files;
+    return candidates.reduce((largest, file) => (file.size > largest.size ? file : largest), candidates[0]);
+}
+
+module.exports = {
+    DebridError,
+    DebridNotReadyError,
+    debridFetch,
+    isVideoFile,
+    pickFile,
+};
@@ -0,0 +1,94 @@
+// lib/debrid/index.js - Debrid service registry: cached-availability checks and magnet resolution
+
+const crypto = require('crypto');
+const { DebridError, DebridNotReadyError } = require('./common');
+const { createLogger } = require('../logger');
+
+const log = createLogger('debrid');
+
+const PROVIDERS = [
+    require('./realDebrid'),
+    require('./allDebrid'),
+    require('./premiumize'),
+];
+
+const DEBRID_SERVICES = PROVIDERS.map(provider => provider.id);
+const DEBRID_AVAILABILITY_TIMEOUT_MS = parseInt(process.env.DEBRID_AVAILABILITY_TIMEOUT_MS || '5000', 10);
+// Whole resolve (add, select, unrestrict), so a stuck service doesn't hold the player's request
+const DEBRID_RESOLVE_TIMEOUT_MS = parseInt(process.env.DEBRID_RESOLVE_TIMEOUT_MS || '30000', 10);
+const RESOLVED_LINK_TTL_MS = parseInt(process.env.DEBRID_LINK_TTL_MS || String(30 * 60 * 1000), 10);
+
+// Resolved direct links, so replaying a stream doesn't re-add the torrent every time
+const resolvedLinks = new Map();
+
+/**
+ * Looks up a debrid provider by id.
+ * @param {string} service - Provider id (e.g. 'realdebrid').
+ * @returns {Object|null} - Provider module or null if unknown.
+ */
+function getDebridProvider(service) {
+    return PROVIDERS.find(provider => provider.id === service) || null;
+}
+
+/**
+ * Returns the configured debrid provider, or null when debrid is not set up for this config.
+ * @param {Object} config - Effective request config.
+ * @returns {Object|null}
+ */
+function getConfiguredProvider(config) {
+    if (!config.DEBRID_SERVICE || !config.DEBRID_API_KEY) return null;
+    return getDebridProvider(config.DEBRID_SERVICE);
+}
+
+/**
+ * Checks cached availability for a batch of infohashes within a time budget.
+ * Failures are logged and reported as "nothing cached" so streams are still returned.
+ * @param {Object} provider - Debrid provider module.
+ * @param {string} apiKey - User API key.
+ * @param {string[]} infoHashes - Lowercase infohashes.
+ * @param {AbortSignal} [signal] - Request deadline; the check also stops after DEBRID_AVAILABILITY_TIMEOUT_MS.
+ * @returns {Promise<Set<string>>} - Set of cached infohashes.
+ */
+async function checkCachedAvailability(provider, apiKey, infoHashes, signal) {
+    if (infoHashes.length === 0) return new Set();
+    const timeoutSignal = AbortSignal.timeout(DEBRID_AVAILABILITY_TIMEOUT_MS);
+    try {
+        return await provider.checkAvailability(apiKey, infoHashes, signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal);
+    } catch (error) {
+        log.warn(`${provider.name} availability check failed for ${infoHashes.length} hashes`, { error: error.message });
+        return new Set();
+    }
+}
+
+/**
+ * Resolves a magnet to a direct link through the provider within DEBRID_RESOLVE_TIMEOUT_MS, reusing recent results.
+ * @param {Object} provider - Debrid provider module.
+ * @param {string} apiKey - User API key.
+ * @param {string} infoHash - Lowercase infohash.
+ * @param {string} magnetLink - Magnet URI of the torrent.
+ * @param {{fileIdx?: number, filename?: string}} [hints] - File selection hints.
+ * @returns {Promise<string>} - Direct download URL.
+ */
+async function resolveDebridLink(provider, apiKey, infoHash, magnetLink, hints = {}) {
+    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+    const cacheKey = `${provider.id}:${keyHash}:${infoHash}:${hints.fileIdx !== undefined ? hints.fileIdx : ''}:${hints.filename || ''}`;
+    const cachedLink = resolvedLinks.get(cacheKey);
+    if (cachedLink && cachedLink.expires > Date.now()) return cachedLink.url;
+
+    const url = await provider.resolve(apiKey, magnetLink, hints, AbortSignal.timeout(DEBRID_RESOLVE_TIMEOUT_MS));
+    resolvedLinks.set(cacheKey, { url, expires: Date.now() + RESOLVED_LINK_TTL_MS });
+    for (const [key, entry] of resolvedLinks) {
+        if (entry.expires <= Date.now()) resolvedLinks.delete(key);
+    }
+    return url;
+}
+
+module.exports = {
+    DEBRID_SERVICES,
+    DebridError,
+    DebridNotReadyError,
+    getDebridProvider,
+    getConfiguredProvider,
+    checkCachedAvailability,
+    resolveDebridLink,
+};
@@ -0,0 +1,73 @@
+// lib/debrid/premiumize.js - Premiumize.me provider (https://app.swaggerhub.com/apis-docs/premiumize.me/api)
+
+const { DebridError, DebridNotReadyError, debridFetch, pickFile } = require('./common');
+
+const API_URL = (process.env.PREMIUMIZE_API_URL || 'https://www.premiumize.me/api').replace(/\/+$/, '');
+
+/**
+ * Unwraps Premiumize's { status, message } envelope.
+ */
+function unwrap(body) {
+    if (body.status !== 'success') {
+        throw new DebridError(`Premiumize API error: ${body.message || 'unknown error'}`);
+    }
+    return body;
+}
+
+function postForm(endpoint, apiKey, params, signal) {
+    const body = new URLSearchParams({ apikey: apiKey });
+    for (const [key, value] of params) body.append(key, value);
+    return debridFetch(`${API_URL}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString(),
+        signal,
+    });
+}
+
+/**
+ * Checks which infohashes are cached on Premiumize.
+ * @param {string} apiKey - User API key.
+ * @param {string[]} infoHashes - Lowercase infohashes.
+ * @param {AbortSignal} [signal] - Abort signal for the request.
+ * @returns {Promise<Set<string>>} - Set of cached infohashes.
+ */
+async function checkAvailability(apiKey, infoHashes, signal) {
+    const data = unwrap(await postForm('/cache/check', apiKey, infoHashes.map(hash => ['items[]', hash]), signal));
+    const cached = new Set();
+    (data.response || []).forEach((isCached, index) => {
+        if (isCached && infoHashes[index]) cached.add(infoHashes[index]);
+    });
+    return cached;
+}
+
+/**
+ * Requests a direct download for a cached magnet and returns the wanted file's link.
+ * @param {string} apiKey - User API key.
+ * @param {string} magnetLink - Magnet URI of the torrent.
+ * @param {{fileIdx?: number, filename?: string}} [hints] - File selection hints.
+ * @param {AbortSignal} [signal] - Bounds the whole resolve.
+ * @returns {Promise<string>} - Direct download URL.
+ */
+async function resolve(apiKey, magnetLink, hints = {}, signal) {
+    const data = await postForm('/transfer/directdl', apiKey, [['src', magnetLink]], signal);
+    if (data.status !== 'success' || !Array.isArray(data.content) || data.content.length === 0) {
+        // Uncached items are not available for direct download; queue a transfer so it becomes cached
+        await postForm('/transfer/create', apiKey, [['src', magnetLink]], signal).catch(() => {});
+        throw new DebridNotReadyError(`Premiumize has no cached copy yet (${data.message || 'transfer queued'})`);
+    }
+
+    // Premiumize does not report torrent file indexes, so selection falls back to name/size
+    const files = data.content.map(file => ({ index: null, name: file.path, size: file.size || 0, link: file.link || file.stream_link }));
+    const selected = pickFile(files, { filename: hints.filename });
+    if (!selected || !selected.link) throw new DebridError('Premiumize returned no downloadable files');
+    return selected.link;
+}
+
+module.exports = {
+    id: 'premiumize',
+    name: 'Premiumize',
+    shortName: 'PM',
+    checkAvailability,
+    resolve,
+};
@@ -0,0 +1,86 @@
+// lib/debrid/realDebrid.js - Real-Debrid provider (https://api.real-debrid.com/)
+
+const { DebridError, DebridNotReadyError, debridFetch, pickFile } = require('./common');
+
+const API_URL = (process.env.REALDEBRID_API_URL || 'https://api.real-debrid.com/rest/1.0').replace(/\/+$/, '');
+
+// Real-Debrid accepts many hashes per instantAvailability call, but long URLs get rejected
+const AVAILABILITY_BATCH_SIZE = 40;
+
+function authHeaders(apiKey) {
+    return { Authorization: `Bearer ${apiKey}` };
+}
+
+function formBody(fields) {
+    return new URLSearchParams(fields).toString();
+}
+
+/**
+ * Checks which infohashes are instantly available (cached) on Real-Debrid.
+ * @param {string} apiKey - User API token.
+ * @param {string[]} infoHashes - Lowercase infohashes.
+ * @param {AbortSignal} [signal] - Abort signal for the request.
+ * @returns {Promise<Set<string>>} - Set of cached infohashes.
+ */
+async function checkAvailability(apiKey, infoHashes, signal) {
+    const cached = new Set();
+    for (let i = 0; i < infoHashes.length; i += AVAILABILITY_BATCH_SIZE) {
+        const batch = infoHashes.slice(i, i + AVAILABILITY_BATCH_SIZE);
+        const data = await debridFetch(`${API_URL}/torrents/instantAvailability/${batch.join('/')}`, { headers: authHeaders(apiKey), signal });
+        for (const hash of batch) {
+            const entry = data[hash] || data[hash.toUpperCase()];
+            if (entry && Array.isArray(entry.rd) && entry.rd.length > 0) cached.add(hash);
+        }
+    }
+    return cached;
+}
+
+/**
+ * Adds a magnet to the account, selects the wanted file and returns an unrestricted download link.
+ * @param {string} apiKey - User API token.
+ * @param {string} magnetLink - Magnet URI of the torrent.
+ * @param {{fileIdx?: number, filename?: string}} [hints] - File selection hints.
+ * @param {AbortSignal} [signal] - Bounds the whole resolve.
+ * @returns {Promise<string>} - Direct download URL.
+ */
+async function resolve(apiKey, magnetLink, hints = {}, signal) {
+    const headers = Object.assign({ 'Content-Type': 'application/x-www-form-urlencoded' }, authHeaders(apiKey));
+    const added = await debridFetch(`${API_URL}/torrents/addMagnet`, { method: 'POST', headers, body: formBody({ magnet: magnetLink }), signal });
+    if (!added.id) throw new DebridError('Real-Debrid did not return a torrent id');
+
+    let info = await debridFetch(`${API_URL}/torrents/info/${added.id}`, { headers: authHeaders(apiKey), signal });
+    // The file list only exists once the magnet is converted
+    if (info.status === 'magnet_conversion') {
+        throw new DebridNotReadyError('Real-Debrid is still converting the magnet');
+    }
+    // Real-Debrid file ids are 1-based and follow the torrent's file order
+    const files = (info.files || []).map(file => ({ index: file.id - 1, id: file.id, name: file.path, size: file.bytes }));
+    const selected = pickFile(files, hints);
+    if (!selected) throw new DebridError('Torrent has no files');
+
+    if (info.status === 'waiting_files_selection') {
+        await debridFetch(`${API_URL}/torrents/selectFiles/${added.id}`, { method: 'POST', headers, body: formBody({ files: String(selected.id) }), signal });
+        info = await debridFetch(`${API_URL}/torrents/info/${added.id}`, { headers: authHeaders(apiKey), signal });
+    }
+
+    if (info.status !== 'downloaded' || !info.links || info.links.length === 0) {
+        throw new DebridNotReadyError(`Real-Debrid torrent status is "${info.status}" (${info.progress || 0}%)`);
+    }
+
+    // Links are listed in the order of the selected files
+    const selectedFiles = (info.files || []).filter(file => file.selected);
+    const linkIndex = Math.max(0, selectedFiles.findIndex(file => file.id === selected.id));
+    const link = info.links[linkIndex] || info.links[0];
+
+    const unrestricted = await debridFetch(`${API_URL}/unrestrict/link`, { method: 'POST', headers, body: formBody({ link }), signal });
+    if (!unrestricted.download) throw new DebridError('Real-Debrid did not return a download link');
+    return unrestricted.download;
+}
+
+module.exports = {
+    id: 'realdebrid',
+    name: 'Real-Debrid',
+    shortName: 'RD',
+    checkAvailability,
+    resolve,
+};
@@ -0,0 +1,23 @@
+// lib/fallbackTrackers.js - Bundled public tracker list, used when no tracker source could be loaded
+//
+// Long-lived trackers from the ngosang/trackerslist "best" list. Keep it short: it only has to get peer
+// discovery going on boxes that can't reach the configured sources.
+
+module.exports = [
+    'udp://tracker.opentrackr.org:1337/announce',
+    'udp://open.demonii.com:1337/announce',
+    'udp://open.stealth.si:80/announce',
+    'udp://tracker.torrent.eu.org:451/announce',
+    'udp://exodus.desync.com:6969/announce',
+    'udp://tracker.tiny-vps.com:6969/announce',
+    'udp://tracker.moeking.me:6969/announce',
+    'udp://explodie.org:6969/announce',
+    'udp://tracker.theoks.net:6969/announce',
+    'udp://tracker1.bt.moack.co.kr:80/announce',
+    'udp://tracker.dler.org:6969/announce',
+    'udp://opentracker.io:6969/announce',
+    'udp://open.tracker.cl:1337/announce',
+    'udp://tracker-udp.gbitt.info:80/announce',
+    'http://tracker.opentrackr.org:1337/announce',
+    'https://tracker.tamersunion.org:443/announce',
+];
@@ -0,0 +1,171 @@
+// lib/indexerHealth.js - Per-indexer latency/error/result tracking with a circuit breaker
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('indexers');
+
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10);
+const CIRCUIT_OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_MS || String(5 * 60 * 1000), 10);
+const CIRCUIT_MAX_OPEN_MS = parseInt(process.env.CIRCUIT_MAX_OPEN_MS || String(60 * 60 * 1000), 10);
+// Indexers from user URL configs can be any host; past this many, the least recently used are forgotten
+const MAX_USER_INDEXER_ENTRIES = parseInt(process.env.MAX_USER_INDEXER_ENTRIES || '200', 10);
+
+// Circuit states: closed (normal), open (skipped), half-open (one trial request allowed)
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half-open';
+
+// Entries by key, least recently used first
+const indexers = new Map();
+// Request counts of the forgotten user indexers, so totals summed over all indexers never go down
+const forgottenTotals = { successes: 0, failures: 0, skipped: 0 };
+
+/**
+ * Forgets the least recently used indexers that don't come from the environment beyond MAX_USER_INDEXER_ENTRIES.
+ */
+function evictUserEntries() {
+    let userEntries = 0;
+    for (const entry of indexers.values()) if (!entry.configured) userEntries++;
+    for (const [key, entry] of indexers) {
+        if (userEntries <= MAX_USER_INDEXER_ENTRIES) break;
+        if (entry.configured) continue;
+        for (const field of Object.keys(forgottenTotals)) forgottenTotals[field] += entry[field];
+        indexers.delete(key);
+        userEntries--;
+    }
+}
+
+function getEntry(key, name, configured) {
+    let entry = indexers.get(key);
+    if (entry) {
+        // Re-inserted to keep the map in least recently used order
+        indexers.delete(key);
+        indexers.set(key, entry);
+        if (name) entry.name = name;
+        if (configured) entry.configured = true;
+        return entry;
+    }
+    entry = {
+        key,
+        name: name || key,
+        configured: !!configured,
+        state: STATE_CLOSED,
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        skipped: 0,
+        consecutiveFailures: 0,
+        totalResults: 0,
+        lastResultCount: null,
+        lastLatencyMs: null,
+        avgLatencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+        openUntil: null,
+        openDurationMs: CIRCUIT_OPEN_MS,
+        trialInFlight: false,
+    };
+    indexers.set(key, entry);
+    if (!entry.configured) evictUserEntries();
+    return entry;
+}
+
+/**
+ * Decides whether an indexer may be queried now. Moves open circuits to half-open once their
+ * cool-down has passed and lets exactly one trial request through.
+ * @param {string} key - Indexer key (host-qualified id).
+ * @param {string} [name] - Display name.
+ * @param {boolean} [configured] - Whether the indexer comes from the environment config; only the others are
+ *   subject to MAX_USER_INDEXER_ENTRIES.
+ * @returns {boolean} - True if the request should be made.
+ */
+function shouldQuery(key, name, configured) {
+    const entry = getEntry(key, name, configured);
+    if (entry.state === STATE_OPEN && Date.now() >= entry.openUntil) {
+        entry.state = STATE_HALF_OPEN;
+        entry.trialInFlight = false;
+        log.info(`Circuit for ${entry.name} is half-open; allowing a trial request.`);
+    }
+    if (entry.state === STATE_CLOSED) return true;
+    if (entry.state === STATE_HALF_OPEN && !entry.trialInFlight) {
+        entry.trialInFlight = true;
+        return true;
+    }
+    entry.skipped++;
+    return false;
+}
+
+/**
+ * Records a successful indexer request.
+ */
+function recordSuccess(key, latencyMs, resultCount) {
+    const entry = getEntry(key);
+    entry.requests++;
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.lastLatencyMs = Math.round(latencyMs);
+    entry.avgLatencyMs = entry.avgLatencyMs === null ? entry.lastLatencyMs : Math.round(entry.avgLatencyMs * 0.8 + latencyMs * 0.2);
+    entry.lastResultCount = resultCount;
+    entry.totalResults += resultCount;
+    entry.lastSuccessAt = new Date().toISOString();
+    if (entry.state !== STATE_CLOSED) {
+        log.info(`Circuit for ${entry.name} closed after a successful request.`);
+    }
+    entry.state = STATE_CLOSED;
+    entry.openUntil = null;
+    entry.openDurationMs = CIRCUIT_OPEN_MS;
+    entry.trialInFlight = false;
+}
+
+/**
+ * Records a failed indexer request and opens the circuit when failures keep piling up.
+ * A failed half-open trial reopens the circuit for twice as long (up to CIRCUIT_MAX_OPEN_MS).
+ */
+function recordFailure(key, latencyMs, error) {
+    const entry = getEntry(key);
+    entry.requests++;
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastLatencyMs = Math.round(latencyMs);
+    entry.lastError = error.message;
+    entry.lastErrorAt = new Date().toISOString();
+    entry.trialInFlight = false;
+
+    if (entry.state === STATE_HALF_OPEN) {
+        entry.openDurationMs = Math.min(entry.openDurationMs * 2, CIRCUIT_MAX_OPEN_MS);
+    }
+    if (entry.state === STATE_HALF_OPEN || entry.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+        entry.state = STATE_OPEN;
+        entry.openUntil = Date.now() + entry.openDurationMs;
+        log.warn(`Circuit for ${entry.name} opened for ${Math.round(entry.openDurationMs / 1000)} seconds after ${entry.consecutiveFailures} consecutive failures (last: ${error.message}).`);
+    }
+}
+
+/**
+ * Returns a snapshot of the health table, worst indexers first.
+ */
+function getIndexerHealth() {
+    return Array.from(indexers.values())
+        .map(entry => {
+            const { trialInFlight, openDurationMs, ...snapshot } = entry;
+            return Object.assign(snapshot, { openUntil: entry.openUntil ? new Date(entry.openUntil).toISOString() : null });
+        })
+        .sort((a, b) => b.consecutiveFailures - a.consecutiveFailures || a.name.localeCompare(b.name));
+}
+
+/**
+ * Returns the request counts of the user indexers forgotten beyond MAX_USER_INDEXER_ENTRIES.
+ * @returns {{successes: number, failures: number, skipped: number}}
+ */
+function getForgottenIndexerTotals() {
+    return Object.assign({}, forgottenTotals);
+}
+
+module.exports = {
+    shouldQuery,
+    recordSuccess,
+    recordFailure,
+    getIndexerHealth,
+    getForgottenIndexerTotals,
+};
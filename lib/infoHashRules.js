@@ -0,0 +1,142 @@
+// lib/infoHashRules.js - Infohash allow/deny lists managed at runtime through the admin API
+//
+// The lists apply to every request on top of the configured rules (see lib/releaseRules.js) and are
+// persisted as JSON in RELEASE_RULES_FILE, so they survive restarts. The lists' key (a hash of their
+// content) changes with every edit; the worker pool uses it to send the new lists to the workers and the
+// streams cache to drop stream lists that may contain a newly denied infohash.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RuleError, normalizeInfoHash } = require('./releaseRules');
+const { createLogger } = require('./logger');
+
+const log = createLogger('rules');
+
+const RELEASE_RULES_FILE = path.resolve(process.env.RELEASE_RULES_FILE || path.join(__dirname, '..', 'data', 'release-rules.json'));
+const LISTS = ['allowed', 'blocked'];
+
+// infoHash -> { list, reason, addedAt }
+const entries = new Map();
+let snapshot = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the persisted lists. A missing file means empty lists; an unreadable one is logged and ignored.
+ */
+async function loadInfoHashRules() {
+    let data;
+    try {
+        data = JSON.parse(await fs.promises.readFile(RELEASE_RULES_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') log.error(`Failed to read ${RELEASE_RULES_FILE}`, { error: error.message });
+        return;
+    }
+    for (const list of LISTS) {
+        for (const [infoHash, entry] of Object.entries(data[list] || {})) {
+            try {
+                entries.set(normalizeInfoHash(infoHash), { list, reason: entry.reason || null, addedAt: entry.addedAt || null });
+            } catch (error) {
+                log.warn(`Skipping ${list} entry: ${error.message}`);
+            }
+        }
+    }
+    snapshot = null;
+    log.info(`Loaded ${entries.size} infohash rules from ${RELEASE_RULES_FILE}.`);
+}
+
+function persist() {
+    const data = { allowed: {}, blocked: {} };
+    for (const [infoHash, entry] of entries) {
+        data[entry.list][infoHash] = { reason: entry.reason, addedAt: entry.addedAt };
+    }
+    const content = JSON.stringify(data, null, 2);
+    // Writes are queued so an older state never overwrites a newer one
+    const write = writeQueue.then(async () => {
+        await fs.promises.mkdir(path.dirname(RELEASE_RULES_FILE), { recursive: true });
+        const tempFile = `${RELEASE_RULES_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, content);
+        await fs.promises.rename(tempFile, RELEASE_RULES_FILE);
+    });
+    writeQueue = write.catch(() => {});
+    return write.catch(error => {
+        log.error(`Failed to persist ${RELEASE_RULES_FILE}`, { error: error.message });
+        throw error;
+    });
+}
+
+/**
+ * Adds an infohash to a list (moving it from the other list if needed) and persists the lists.
+ * @param {string} infoHash - 40 hex characters.
+ * @param {string} list - 'allowed' or 'blocked'.
+ * @param {string} [reason] - Note shown in the admin API.
+ * @returns {Promise<Object>} - The stored entry.
+ */
+async function setInfoHashRule(infoHash, list, reason) {
+    if (!LISTS.includes(list)) throw new RuleError(`list must be one of: ${LISTS.join(', ')}`);
+    const key = normalizeInfoHash(infoHash);
+    const entry = { list, reason: reason ? String(reason).slice(0, 256) : null, addedAt: new Date().toISOString() };
+    entries.set(key, entry);
+    snapshot = null;
+    await persist();
+    log.info(`Infohash ${key} ${list}${entry.reason ? `: ${entry.reason}` : ''}`);
+    return Object.assign({ infoHash: key }, entry);
+}
+
+/**
+ * Removes an infohash from the lists and persists them.
+ * @returns {Promise<boolean>} - Whether it was listed.
+ */
+async function removeInfoHashRule(infoHash) {
+    const key = normalizeInfoHash(infoHash);
+    if (!entries.delete(key)) return false;
+    snapshot = null;
+    await persist();
+    log.info(`Infohash ${key} removed from the rules`);
+    return true;
+}
+
+/**
+ * Returns the infohashes of each list, for the worker.
+ * @returns {{allowed: string[], blocked: string[]}}
+ */
+function getInfoHashLists() {
+    return getSnapshot().lists;
+}
+
+function getSnapshot() {
+    if (!snapshot) {
+        const lists = { allowed: [], blocked: [] };
+        for (const [infoHash, entry] of entries) lists[entry.list].push(infoHash);
+        lists.allowed.sort();
+        lists.blocked.sort();
+        const key = entries.size > 0 ? crypto.createHash('sha1').update(JSON.stringify(lists)).digest('hex').slice(0, 16) : 'empty';
+        snapshot = { lists, key };
+    }
+    return snapshot;
+}
+
+/**
+ * Returns every entry, for the admin API.
+ * @returns {Array<{infoHash: string, list: string, reason: string|null, addedAt: string|null}>}
+ */
+function getInfoHashRules() {
+    return [...entries.entries()].map(([infoHash, entry]) => Object.assign({ infoHash }, entry));
+}
+
+/**
+ * Returns a key that changes whenever the lists change.
+ */
+function getInfoHashRulesKey() {
+    return getSnapshot().key;
+}
+
+module.exports = {
+    RELEASE_RULES_FILE,
+    loadInfoHashRules,
+    setInfoHashRule,
+    removeInfoHashRule,
+    getInfoHashLists,
+    getInfoHashRules,
+    getInfoHashRulesKey,
+};
@@ -0,0 +1,154 @@
+// lib/languages.js - Audio and subtitle languages of releases: ISO 639-1 codes, language tiers, untagged default
+//
+// The release parser (lib/releaseParser.js) reduces the many ways names tag a language (ENG, iTALiAN,
+// Hin-Eng, VOSTFR, ESub) to ISO 639-1 codes, with subtitles in their own list. A release without a language
+// tag is most often in English or the title's original language, so its audio language is assumed from
+// UNTAGGED_LANGUAGE; MULTi and dual-audio releases also carry the original audio track.
+// PREFERRED_LANGUAGES is an ordered list of tiers used for ranking ("hi|ta,en": Hindi or Tamil first, then
+// English); REQUIRED_LANGUAGES drops releases that have none of its languages as audio or subtitles.
+
+// ISO 639-1 codes of the languages recognized in release names
+const LANGUAGE_NAMES = {
+    en: 'english', hi: 'hindi', ta: 'tamil', te: 'telugu', ml: 'malayalam', kn: 'kannada', bn: 'bengali',
+    mr: 'marathi', pa: 'punjabi', zh: 'chinese', ko: 'korean', ja: 'japanese', es: 'spanish', de: 'german',
+    fr: 'french', it: 'italian', uk: 'ukrainian', ru: 'russian', pt: 'portuguese', pl: 'polish', nl: 'dutch',
+    tr: 'turkish', ar: 'arabic', th: 'thai', vi: 'vietnamese', id: 'indonesian', sv: 'swedish', da: 'danish',
+    no: 'norwegian', fi: 'finnish', hu: 'hungarian', cs: 'czech', el: 'greek', he: 'hebrew', fa: 'persian',
+};
+// ISO 639-2 codes of the same languages, as written in release names and by some indexers
+const ISO_639_2_CODES = {
+    eng: 'en', hin: 'hi', tam: 'ta', tel: 'te', mal: 'ml', kan: 'kn', ben: 'bn', mar: 'mr', pan: 'pa',
+    chi: 'zh', zho: 'zh', kor: 'ko', jpn: 'ja', spa: 'es', ger: 'de', deu: 'de', fre: 'fr', fra: 'fr',
+    ita: 'it', ukr: 'uk', rus: 'ru', por: 'pt', pol: 'pl', dut: 'nl', nld: 'nl', tur: 'tr', ara: 'ar',
+    tha: 'th', vie: 'vi', ind: 'id', swe: 'sv', dan: 'da', nor: 'no', fin: 'fi', hun: 'hu', cze: 'cs',
+    ces: 'cs', gre: 'el', ell: 'el', heb: 'he', per: 'fa', fas: 'fa',
+};
+// ISO 639-2 code for several languages, used for multi-language subtitles
+const MULTIPLE_LANGUAGES = 'mul';
+// A tier matched only by subtitles is worth this share of the same tier matched by audio
+const SUBTITLE_TIER_SHARE = 0.5;
+
+class LanguageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LanguageError';
+    }
+}
+
+/**
+ * Normalizes a language written as an ISO 639-1 or 639-2 code or an English name to its ISO 639-1 code.
+ * @param {string} value - e.g. 'en', 'eng' or 'English'.
+ * @returns {string} - ISO 639-1 code.
+ * @throws {LanguageError} - For an unknown language.
+ */
+function normalizeLanguage(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (LANGUAGE_NAMES[text]) return text;
+    if (ISO_639_2_CODES[text]) return ISO_639_2_CODES[text];
+    const code = Object.keys(LANGUAGE_NAMES).find(key => LANGUAGE_NAMES[key] === text);
+    if (code) return code;
+    throw new LanguageError(`unknown language "${value}" (an ISO 639 code or English name, e.g. en, eng or english)`);
+}
+
+/**
+ * Parses language tiers: comma-separated tiers, the languages of a tier joined with "|".
+ * @param {string} value - e.g. "hi|ta,en".
+ * @returns {string[][]} - ISO 639-1 codes per tier, best tier first.
+ * @throws {LanguageError} - For an unknown language.
+ */
+function parseLanguageTiers(value) {
+    return String(value || '').split(',')
+        .map(tier => tier.split('|').map(language => language.trim()).filter(Boolean))
+        .filter(tier => tier.length > 0)
+        .map(tier => [...new Set(tier.map(normalizeLanguage))]);
+}
+
+/**
+ * Display name of a language code ('en' -> 'English', 'mul' -> 'Multi').
+ * @param {string} code
+ * @returns {string}
+ */
+function getLanguageName(code) {
+    if (code === MULTIPLE_LANGUAGES) return 'Multi';
+    const name = LANGUAGE_NAMES[code];
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : String(code).toUpperCase();
+}
+
+/**
+ * Lists the audio and subtitle languages of a release.
+ * @param {Object} release - Parsed release name (see lib/releaseParser.js).
+ * @param {Object} options - { untaggedLanguage: ISO 639-1 code, 'original' or 'none' (UNTAGGED_LANGUAGE),
+ *   originalLanguage: the title's original language when known, indexerLanguage: a language the indexer
+ *   reported for the result, which wins over the name }.
+ * @returns {{audio: string[], subtitles: string[], assumed: boolean}} - assumed is set when the audio
+ *   languages come from the untagged default rather than the name.
+ */
+function getReleaseLanguages(release, options = {}) {
+    const originalLanguage = LANGUAGE_NAMES[options.originalLanguage] ? options.originalLanguage : null;
+    let indexerLanguage = null;
+    try {
+        if (options.indexerLanguage) indexerLanguage = normalizeLanguage(options.indexerLanguage);
+    } catch (error) {
+        // Free-form indexer values ("English/Hindi") fall back to the name
+    }
+
+    const audio = indexerLanguage ? [indexerLanguage] : release.languages.slice();
+    const assumed = audio.length === 0;
+    if (assumed) {
+        const untagged = options.untaggedLanguage === 'original' ? originalLanguage : options.untaggedLanguage;
+        if (LANGUAGE_NAMES[untagged]) audio.push(untagged);
+    }
+    // MULTi and dual-audio releases keep the original track next to the dubs
+    if ((release.flags.multi || release.flags.dualAudio) && originalLanguage && !audio.includes(originalLanguage)) {
+        audio.push(originalLanguage);
+    }
+    return { audio, subtitles: release.subtitles.slice(), assumed };
+}
+
+/**
+ * Finds the best tier containing one of the languages.
+ * @param {string[]} languages - ISO 639-1 codes.
+ * @param {string[][]} tiers - PREFERRED_LANGUAGES.
+ * @returns {number} - Tier index, or -1 when no tier has any of them.
+ */
+function findLanguageTier(languages, tiers) {
+    return tiers.findIndex(tier => tier.some(language => languages.includes(language)));
+}
+
+/**
+ * Rates a release's languages against the tiers: 1 for audio in the first tier, down to 1/n for audio in
+ * the last of n tiers; subtitles in a tier are worth SUBTITLE_TIER_SHARE of that.
+ * @param {{audio: string[], subtitles: string[]}} languages - See getReleaseLanguages.
+ * @param {string[][]} tiers - PREFERRED_LANGUAGES.
+ * @returns {number} - 0..1, 0 when no tier matches or there are no tiers.
+ */
+function rateLanguages(languages, tiers) {
+    const tierValue = tier => (tier === -1 ? 0 : 1 - tier / tiers.length);
+    return Math.max(
+        tierValue(findLanguageTier(languages.audio, tiers)),
+        tierValue(findLanguageTier(languages.subtitles, tiers)) * SUBTITLE_TIER_SHARE
+    );
+}
+
+/**
+ * Checks a release's languages against REQUIRED_LANGUAGES: one of them must be an audio or subtitle language.
+ * @param {{audio: string[], subtitles: string[]}} languages - See getReleaseLanguages.
+ * @param {string[]} required - ISO 639-1 codes; empty means any release passes.
+ * @returns {boolean}
+ */
+function hasRequiredLanguage(languages, required) {
+    return required.length === 0 || [...languages.audio, ...languages.subtitles].some(language => required.includes(language));
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    MULTIPLE_LANGUAGES,
+    LanguageError,
+    normalizeLanguage,
+    parseLanguageTiers,
+    getLanguageName,
+    getReleaseLanguages,
+    findLanguageTier,
+    rateLanguages,
+    hasRequiredLanguage,
+};
@@ -0,0 +1,100 @@
+// lib/logger.js - Leveled, structured logging with a per-request context
+//
+// Each line is one JSON object ({time, level, component, requestId?, msg, ...fields}) or, with
+// LOG_FORMAT=text, a human-readable line. Lines below LOG_LEVEL (error < warn < info < debug) are dropped.
+// The request ID is kept in an AsyncLocalStorage context, so every log line written while serving a
+// request carries it without being passed around; worker threads set it per job (see withLogContext).
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_LEVEL_NAME = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] !== undefined
+    ? String(process.env.LOG_LEVEL).toLowerCase()
+    : 'info';
+const LOG_LEVEL = LEVELS[LOG_LEVEL_NAME];
+const LOG_FORMAT = String(process.env.LOG_FORMAT || 'json').toLowerCase() === 'text' ? 'text' : 'json';
+
+const logContext = new AsyncLocalStorage();
+// Warnings and errors per component, counted even when LOG_LEVEL hides them (exported as metrics)
+const messageCounts = new Map();
+
+/**
+ * Runs fn with context fields (e.g. { requestId }) added to every log line written during it.
+ */
+function withLogContext(fields, fn) {
+    return logContext.run(Object.assign({}, logContext.getStore(), fields), fn);
+}
+
+/**
+ * Returns the request ID of the current context, if any.
+ */
+function getRequestId() {
+    const store = logContext.getStore();
+    return store ? store.requestId : undefined;
+}
+
+function serializeField(value) {
+    if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+    return value;
+}
+
+function formatText(entry) {
+    const { time, level, component, msg, ...fields } = entry;
+    const details = Object.entries(fields).map(([key, value]) => {
+        const text = value && typeof value === 'object' ? (value.message || JSON.stringify(value)) : String(value);
+        return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+    });
+    return `${time} [${level.toUpperCase()}] [${component}] ${msg}${details.length > 0 ? ` ${details.join(' ')}` : ''}`;
+}
+
+function write(level, component, message, fields) {
+    if (level === 'error' || level === 'warn') {
+        const key = `${level}|${component}`;
+        messageCounts.set(key, (messageCounts.get(key) || 0) + 1);
+    }
+    if (LEVELS[level] > LOG_LEVEL) return;
+
+    const entry = Object.assign({ time: new Date().toISOString(), level, component }, logContext.getStore(), { msg: message });
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value !== undefined) entry[key] = serializeField(value);
+    }
+    const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatText(entry);
+    (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Creates a logger for a component.
+ * @param {string} component - Component name shown on every line (e.g. 'server', 'indexers').
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function, child: Function, isLevelEnabled: Function}}
+ *   Each level method takes (message, fields?); child(name) returns a logger for a sub-component.
+ */
+function createLogger(component) {
+    return {
+        error: (message, fields) => write('error', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        debug: (message, fields) => write('debug', component, message, fields),
+        child: name => createLogger(`${component}:${name}`),
+        isLevelEnabled: level => LEVELS[level] <= LOG_LEVEL,
+    };
+}
+
+/**
+ * Returns the warning and error counts per component.
+ * @returns {Array<{level: string, component: string, count: number}>}
+ */
+function getLogCounts() {
+    return [...messageCounts.entries()].map(([key, count]) => {
+        const [level, component] = key.split('|');
+        return { level, component, count };
+    });
+}
+
+module.exports = {
+    LOG_LEVEL: LOG_LEVEL_NAME,
+    LOG_FORMAT,
+    createLogger,
+    withLogContext,
+    getRequestId,
+    getLogCounts,
+};
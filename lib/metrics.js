@@ -0,0 +1,130 @@
+// lib/metrics.js - Prometheus metrics in the text exposition format
+//
+// Counters and histograms are updated as requests are served; collectors read values owned by other
+// modules (cache counters, worker pool, indexer health) when /metrics is scraped. Metrics are kept in
+// memory for the lifetime of the process.
+
+const METRIC_PREFIX = 'jackett_addon_';
+// Histogram buckets in seconds, spanning cache hits to the response deadline
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+const metrics = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function header(name, type, help) {
+    return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+}
+
+/**
+ * Creates a counter.
+ * @param {string} name - Metric name without the prefix (e.g. 'requests_total').
+ * @param {string} help - Description shown in the exposition.
+ * @returns {{inc: Function}} - inc(labels?, amount = 1).
+ */
+function createCounter(name, help) {
+    const fullName = METRIC_PREFIX + name;
+    const series = new Map();
+    metrics.push({
+        render: () => header(fullName, 'counter', help)
+            + [...series.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}\n`).join(''),
+    });
+    return {
+        inc(labels = {}, amount = 1) {
+            if (amount <= 0) return;
+            const key = seriesKey(labels);
+            const entry = series.get(key);
+            if (entry) entry.value += amount;
+            else series.set(key, { labels, value: amount });
+        },
+    };
+}
+
+/**
+ * Creates a histogram.
+ * @param {string} name - Metric name without the prefix (e.g. 'stage_duration_seconds').
+ * @param {string} help - Description shown in the exposition.
+ * @param {number[]} [buckets] - Upper bounds, ascending.
+ * @returns {{observe: Function}} - observe(labels, value).
+ */
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const fullName = METRIC_PREFIX + name;
+    const series = new Map();
+    metrics.push({
+        render: () => header(fullName, 'histogram', help) + [...series.values()].map(({ labels, counts, sum, count }) => {
+            const lines = buckets.map((bound, index) => `${fullName}_bucket${formatLabels(Object.assign({}, labels, { le: bound }))} ${counts[index]}\n`);
+            lines.push(`${fullName}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${count}\n`);
+            lines.push(`${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}\n`);
+            lines.push(`${fullName}_count${formatLabels(labels)} ${count}\n`);
+            return lines.join('');
+        }).join(''),
+    });
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+    };
+}
+
+/**
+ * Registers a metric whose samples are read at scrape time.
+ * @param {string} name - Metric name without the prefix.
+ * @param {string} type - 'gauge' or 'counter' (for totals counted elsewhere).
+ * @param {string} help - Description shown in the exposition.
+ * @param {Function} collect - Returns an array of { labels?, value }.
+ */
+function registerCollector(name, type, help, collect) {
+    const fullName = METRIC_PREFIX + name;
+    metrics.push({
+        render: () => header(fullName, type, help)
+            + collect().map(({ labels, value }) => `${fullName}${formatLabels(labels || {})} ${formatValue(value)}\n`).join(''),
+    });
+}
+
+/**
+ * Renders every registered metric in the Prometheus text format (version 0.0.4).
+ * A collector that throws is skipped, so one broken source doesn't take down the whole scrape.
+ */
+function renderMetrics() {
+    return metrics.map(metric => {
+        try {
+            return metric.render();
+        } catch (error) {
+            return '';
+        }
+    }).join('');
+}
+
+module.exports = {
+    createCounter,
+    createHistogram,
+    registerCollector,
+    renderMetrics,
+};
@@ -0,0 +1,127 @@
+// lib/plausibility.js - Fake and low-quality release detection: runtime-based bitrate bounds and suspicious signs
+//
+// A release's size only means something next to its runtime: 700 MB is a fine 22-minute 720p episode but an
+// implausible 1080p film. With the runtime from the metadata, the worker estimates the overall bitrate and
+// checks it against bounds per resolution (raised for remuxes, lowered for efficient codecs); without it, the
+// shortest and longest usual runtimes of the type give per-type size bounds. Suspicious signs are executables,
+// archives and password hints, a file list without a video, and swarms with far more seeders than leechers
+// (inflated counts).
+
+const { isVideoFile } = require('./debrid/common');
+
+// Overall bitrate bounds in Mbps per resolution: below the minimum a release is a fake or unwatchable,
+// above the maximum it is a mislabelled or bloated file. UHD Blu-ray remuxes peak around 100 Mbps.
+const BITRATE_BOUNDS = {
+    '2160p': { min: 3, max: 140 },
+    '1440p': { min: 2, max: 80 },
+    '1080p': { min: 1, max: 60 },
+    '720p': { min: 0.5, max: 30 },
+    '576p': { min: 0.25, max: 15 },
+    '480p': { min: 0.2, max: 12 },
+};
+// Remuxes keep the disc's video stream, so they can't be small
+const REMUX_MIN_BITRATE = { '2160p': 25, '1080p': 10, '720p': 5 };
+// HEVC and AV1 reach the same quality at roughly 60% of the bitrate
+const EFFICIENT_CODECS = ['hevc', 'av1'];
+const EFFICIENT_CODEC_FACTOR = 0.6;
+// Usual runtimes in minutes, for when the metadata has none
+const DEFAULT_RUNTIMES = { movie: { min: 70, max: 200 }, episode: { min: 18, max: 75 } };
+
+// Inflated swarms: at least this many seeders with fewer than 1 leecher per SUSPICIOUS_SEEDER_RATIO seeders
+const SUSPICIOUS_MIN_SEEDERS = 1000;
+const SUSPICIOUS_SEEDER_RATIO = 200;
+const EXECUTABLE_REGEX = /\.(exe|scr|bat|cmd|msi|lnk|apk|vbs|ps1)$/i;
+const ARCHIVE_REGEX = /\.(rar|r\d{2}|zip|7z|tar|gz)$/i;
+// Title hints of a packed or locked download; "rarbg" and other names containing "rar" don't match
+const SUSPICIOUS_TITLE_REGEX = /\.(exe|scr|msi|lnk|apk|rar|zip)\b|\bpassw(or)?d\b|\bpass(word)?[ ._-]?protected\b|\bcodec[ ._-]?pack\b/i;
+
+/**
+ * Estimates the overall bitrate of a release.
+ * @param {number} sizeBytes
+ * @param {number} runtimeMinutes
+ * @returns {number|null} - Mbps, or null when either is unknown.
+ */
+function estimateBitrate(sizeBytes, runtimeMinutes) {
+    if (!sizeBytes || !runtimeMinutes) return null;
+    return (sizeBytes * 8) / (runtimeMinutes * 60) / 1e6;
+}
+
+function getBitrateBounds(resolution, release) {
+    const bounds = BITRATE_BOUNDS[resolution];
+    if (!bounds) return null;
+    // Remux minimums already account for the disc's codec (UHD Blu-rays are HEVC)
+    if (release && release.source === 'remux' && REMUX_MIN_BITRATE[resolution]) return { min: REMUX_MIN_BITRATE[resolution], max: bounds.max };
+    const min = release && EFFICIENT_CODECS.includes(release.codec) ? bounds.min * EFFICIENT_CODEC_FACTOR : bounds.min;
+    return { min, max: bounds.max };
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+/**
+ * Checks a release's size against its resolution and runtime.
+ * @param {Object} candidate - { size (bytes), resolution, release (parsed name), type ('movie' or 'episode'),
+ *   runtimeMinutes (null when unknown) }.
+ * @returns {{bitrateMbps: number|null, reason: string|null}} - reason is set when the size is implausible.
+ */
+function checkSize(candidate) {
+    const bounds = getBitrateBounds(candidate.resolution, candidate.release);
+    const bitrateMbps = estimateBitrate(candidate.size, candidate.runtimeMinutes);
+    if (!bounds || !candidate.size) return { bitrateMbps, reason: null };
+    const label = candidate.release && candidate.release.source === 'remux' ? `${candidate.resolution} remux` : candidate.resolution;
+
+    if (bitrateMbps !== null) {
+        if (bitrateMbps < bounds.min) {
+            return { bitrateMbps, reason: `${bitrateMbps.toFixed(1)} Mbps over ${candidate.runtimeMinutes} min is too low for ${label} (minimum ${bounds.min.toFixed(1)} Mbps)` };
+        }
+        if (bitrateMbps > bounds.max) {
+            return { bitrateMbps, reason: `${bitrateMbps.toFixed(1)} Mbps over ${candidate.runtimeMinutes} min is too high for ${label} (maximum ${bounds.max} Mbps)` };
+        }
+        return { bitrateMbps, reason: null };
+    }
+
+    // Unknown runtime: the widest plausible range for the type
+    const runtimes = DEFAULT_RUNTIMES[candidate.type] || DEFAULT_RUNTIMES.movie;
+    const minSize = (bounds.min * 1e6 / 8) * runtimes.min * 60;
+    const maxSize = (bounds.max * 1e6 / 8) * runtimes.max * 60;
+    if (candidate.size < minSize || candidate.size > maxSize) {
+        return { bitrateMbps, reason: `${formatSize(candidate.size)} is outside ${formatSize(minSize)}-${formatSize(maxSize)} for a ${label} ${candidate.type}` };
+    }
+    return { bitrateMbps, reason: null };
+}
+
+/**
+ * Looks for signs of a fake release.
+ * @param {Object} candidate - { title, files: [{name, size}] (the .torrent's files, empty when unknown), seeders,
+ *   peers (Jackett's peers: seeders plus leechers) }.
+ * @returns {string|null} - What looks fake, or null.
+ */
+function findSuspiciousSigns(candidate) {
+    const titleMatch = String(candidate.title || '').match(SUSPICIOUS_TITLE_REGEX);
+    if (titleMatch) return `title mentions "${titleMatch[0].trim()}"`;
+
+    const files = candidate.files || [];
+    if (files.length > 0) {
+        const executable = files.find(file => EXECUTABLE_REGEX.test(file.name));
+        if (executable) return `contains the executable ${executable.name.split('/').pop()}`;
+        const largest = files.reduce((best, file) => (file.size > best.size ? file : best), files[0]);
+        if (ARCHIVE_REGEX.test(largest.name)) return `packed in archives (${largest.name.split('/').pop()})`;
+        if (!files.some(file => isVideoFile(file.name))) return 'no video file in the torrent';
+    }
+
+    const seeders = candidate.seeders || 0;
+    if (seeders >= SUSPICIOUS_MIN_SEEDERS && candidate.peers !== undefined && candidate.peers !== null) {
+        // Most indexers count seeders in the peers; some report leechers only
+        const leechers = candidate.peers >= seeders ? candidate.peers - seeders : candidate.peers;
+        if (leechers * SUSPICIOUS_SEEDER_RATIO < seeders) return `${seeders} seeders but only ${leechers} leechers`;
+    }
+    return null;
+}
+
+module.exports = {
+    BITRATE_BOUNDS,
+    estimateBitrate,
+    checkSize,
+    findSuspiciousSigns,
+};
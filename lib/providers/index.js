@@ -0,0 +1,108 @@
+// lib/providers/index.js - Search provider registry: builds search targets and queries them concurrently
+//
+// A provider module exports { id, name, configFields, getTargets(config) }. Each target is one independently
+// searchable source ({ id, key, name, configured, search(params) }) whose search resolves to results in the shared
+// Jackett JSON shape (Title, InfoHash, MagnetUri, Link, Seeders, Peers, Size, PublishDate, Imdb, Tracker,
+// TrackerId, Provider) consumed by torrentProcessorWorker.js. A search with `recent: true` ignores the
+// query and lists the latest uploads of the type's category instead (used by the catalogs); one with
+// `anime: true` is a free-text search limited to the anime category.
+
+const { performance } = require('perf_hooks');
+const { shouldQuery, recordSuccess, recordFailure } = require('../indexerHealth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('indexers');
+
+const PROVIDERS = [
+    require('./jackett'),
+    require('./prowlarr'),
+    require('./torznab'),
+];
+
+const SEARCH_PROVIDER_IDS = PROVIDERS.map(provider => provider.id);
+const SEARCH_CONCURRENCY = parseInt(process.env.SEARCH_CONCURRENCY || process.env.JACKETT_CONCURRENCY || '8', 10);
+
+/**
+ * Applies the allowlist/denylist from config to a list of targets (matched on target id).
+ */
+function filterTargets(targets, config) {
+    const allow = config.INDEXER_ALLOWLIST || [];
+    const deny = config.INDEXER_DENYLIST || [];
+    return targets.filter(target => {
+        const id = String(target.id).toLowerCase();
+        if (allow.length > 0 && !allow.includes(id)) return false;
+        return !deny.includes(id);
+    });
+}
+
+/**
+ * Collects the search targets of every provider enabled in config.SEARCH_PROVIDERS. Targets of a provider
+ * set up as in the environment are marked `configured`; the others come from a user's URL config.
+ * @param {Object} config - Effective request config.
+ * @param {Object} [defaultConfig] - Environment config.
+ * @returns {Promise<Array<{id: string, key: string, name: string, configured: boolean, search: Function}>>}
+ */
+async function getSearchTargets(config, defaultConfig) {
+    const targets = [];
+    for (const provider of PROVIDERS) {
+        if (!config.SEARCH_PROVIDERS.includes(provider.id)) continue;
+        const configured = !!defaultConfig && provider.configFields
+            .every(field => JSON.stringify(config[field]) === JSON.stringify(defaultConfig[field]));
+        try {
+            const providerTargets = await provider.getTargets(config);
+            targets.push(...providerTargets.map(target => Object.assign(target, { configured })));
+        } catch (error) {
+            log.error(`Failed to set up ${provider.name} search targets`, { error: error.message });
+        }
+    }
+    return filterTargets(targets, config);
+}
+
+/**
+ * Searches one target and records its latency, result count or error.
+ */
+async function searchTarget(target, params) {
+    const startTime = performance.now();
+    try {
+        const results = await target.search(params);
+        recordSuccess(target.key, performance.now() - startTime, results.length);
+        return results;
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? 'request timed out' : error.message;
+        recordFailure(target.key, performance.now() - startTime, new Error(message));
+        log.warn(`${target.name} search failed: ${message}`);
+        return [];
+    }
+}
+
+/**
+ * Runs the searches with bounded concurrency, skipping targets whose circuit is open.
+ * onResults is called as each target completes, so callers can use partial results.
+ * @param {Array<Object>} targets - Targets from getSearchTargets.
+ * @param {{query: string, title: string, imdbId?: string, type: string, season?: number, episode?: number, recent?: boolean, anime?: boolean, limit: number}} params - Search parameters.
+ * @param {Function} onResults - Called with (target, results) per completed target.
+ * @returns {Promise<void>} - Resolves once every target has completed.
+ */
+async function searchTargets(targets, params, onResults) {
+    const queue = targets.filter(target => {
+        if (shouldQuery(target.key, target.name, target.configured)) return true;
+        log.info(`Skipping ${target.name}: circuit open.`);
+        return false;
+    });
+    const runners = [];
+    for (let i = 0; i < Math.min(SEARCH_CONCURRENCY, queue.length); i++) {
+        runners.push((async () => {
+            while (queue.length > 0) {
+                const target = queue.shift();
+                onResults(target, await searchTarget(target, params));
+            }
+        })());
+    }
+    await Promise.all(runners);
+}
+
+module.exports = {
+    SEARCH_PROVIDER_IDS,
+    getSearchTargets,
+    searchTargets,
+};
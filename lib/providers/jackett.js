@@ -0,0 +1,132 @@
+// lib/providers/jackett.js - Jackett JSON API provider: one search target per configured indexer
+
+const { createLogger } = require('../logger');
+
+const log = createLogger('indexers');
+
+const JACKETT_TIMEOUT_MS = parseInt(process.env.JACKETT_TIMEOUT_MS || '30000', 10);
+const INDEXER_LIST_TTL_MS = parseInt(process.env.INDEXER_LIST_TTL_MINUTES || '15', 10) * 60 * 1000;
+
+// Pseudo-indexer used when discovery fails: Jackett's aggregate endpoint
+const AGGREGATE_INDEXER = Object.freeze({ id: 'all', name: 'All indexers (aggregate)' });
+
+// Torznab categories for the recent-uploads feeds: 2000 = Movies, 5000 = TV
+const RECENT_CATEGORIES = { movie: [2000], series: [5000] };
+// Anime searches are limited to 5070 = TV/Anime (anime movies are often filed there as well)
+const ANIME_CATEGORIES = { movie: [5070, 2000], series: [5070] };
+
+// Discovered indexer lists per Jackett host + API key
+const indexerLists = new Map();
+
+/**
+ * Decodes the XML entities Jackett uses in indexer titles.
+ */
+function decodeXmlEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Lists the configured indexers through Jackett's Torznab "t=indexers" capability (works with the API key).
+ * Results are kept for INDEXER_LIST_TTL_MINUTES. Falls back to the aggregate endpoint on failure.
+ * @param {Object} config - Effective request config.
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function discoverIndexers(config) {
+    const listKey = `${config.JACKETT_HOST}|${config.JACKETT_API_KEY}`;
+    const known = indexerLists.get(listKey);
+    if (known && known.expires > Date.now()) return known.indexers;
+
+    const url = `${config.JACKETT_HOST}/api/v2.0/indexers/all/results/torznab/api?t=indexers&configured=true&apikey=${config.JACKETT_API_KEY}`;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(JACKETT_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`Jackett indexer list HTTP error: ${response.statusText}`);
+        const xml = await response.text();
+        const indexers = [];
+        const indexerPattern = /<indexer\s+id="([^"]+)"[^>]*>([\s\S]*?)<\/indexer>/g;
+        let match;
+        while ((match = indexerPattern.exec(xml)) !== null) {
+            const titleMatch = match[2].match(/<title>([\s\S]*?)<\/title>/);
+            indexers.push({ id: match[1], name: titleMatch ? decodeXmlEntities(titleMatch[1].trim()) : match[1] });
+        }
+        if (indexers.length === 0) throw new Error('Jackett reported no configured indexers');
+        log.info(`Discovered ${indexers.length} configured Jackett indexers on ${config.JACKETT_HOST}.`);
+        indexerLists.set(listKey, { indexers, expires: Date.now() + INDEXER_LIST_TTL_MS });
+        return indexers;
+    } catch (error) {
+        log.warn(`Indexer discovery failed on ${config.JACKETT_HOST}, using the aggregate endpoint`, { error: error.message });
+        return [AGGREGATE_INDEXER];
+    }
+}
+
+/**
+ * Builds the Jackett JSON query string for a search.
+ */
+function buildQueryString(params) {
+    let queryString = `Query=${encodeURIComponent(params.query)}`;
+    // An empty query with a category returns the indexer's latest uploads (its RSS feed)
+    if (params.recent) {
+        for (const category of RECENT_CATEGORIES[params.type] || []) queryString += `&Category[]=${category}`;
+    } else if (params.anime) {
+        for (const category of ANIME_CATEGORIES[params.type] || []) queryString += `&Category[]=${category}`;
+    }
+    if (params.imdbId) queryString += `&imdbid=${params.imdbId}`;
+    if (params.type === 'series' && params.season) {
+        queryString += `&season=${params.season}`;
+        // Season-pack searches leave the episode out
+        if (params.episode) queryString += `&ep=${params.episode}`;
+    }
+
+    // Add sort by posted date (descending) and limit the results directly from Jackett
+    queryString += `&sort=posted_desc`; // 'posted' is the Torznab equivalent for pubDate
+    queryString += `&limit=${params.limit}`; // Limit results fetched from Jackett
+    return queryString;
+}
+
+/**
+ * Jackett's JSON results already use the shared result shape; this only fills in the provider fields.
+ */
+function normalizeResult(result, indexer) {
+    return Object.assign({}, result, {
+        Tracker: result.Tracker || indexer.name,
+        TrackerId: result.TrackerId || indexer.id,
+        Provider: 'jackett',
+    });
+}
+
+/**
+ * Returns one search target per configured Jackett indexer.
+ * @param {Object} config - Effective request config.
+ * @returns {Promise<Array<{id: string, key: string, name: string, search: Function}>>}
+ */
+async function getTargets(config) {
+    if (!config.JACKETT_HOST || !config.JACKETT_API_KEY) {
+        log.warn('Jackett is enabled but JACKETT_HOST or JACKETT_API_KEY is missing.');
+        return [];
+    }
+    const indexers = await discoverIndexers(config);
+    return indexers.map(indexer => ({
+        id: indexer.id,
+        key: `jackett|${config.JACKETT_HOST}|${indexer.id}`,
+        name: indexer.name,
+        search: async (params) => {
+            const url = `${config.JACKETT_HOST}/api/v2.0/indexers/${encodeURIComponent(indexer.id)}/results?apikey=${config.JACKETT_API_KEY}&${buildQueryString(params)}`;
+            const response = await fetch(url, { signal: AbortSignal.timeout(JACKETT_TIMEOUT_MS) });
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            const data = await response.json();
+            const results = data.Results || [];
+            // Jackett reports per-indexer errors (e.g. Cloudflare blocks) inside a 200 response
+            const indexerStatus = (data.Indexers || []).find(status => status.Error);
+            if (indexerStatus && results.length === 0) throw new Error(indexerStatus.Error);
+            return results.map(result => normalizeResult(result, indexer));
+        },
+    }));
+}
+
+module.exports = {
+    id: 'jackett',
+    name: 'Jackett',
+    timeoutMs: JACKETT_TIMEOUT_MS,
+    // Config fields the targets are built from
+    configFields: ['JACKETT_HOST', 'JACKETT_API_KEY'],
+    getTargets,
+};
@@ -0,0 +1,112 @@
+// lib/providers/prowlarr.js - Prowlarr search API provider (GET /api/v1/search)
+
+const { createLogger } = require('../logger');
+
+const log = createLogger('indexers');
+
+const PROWLARR_TIMEOUT_MS = parseInt(process.env.PROWLARR_TIMEOUT_MS || process.env.JACKETT_TIMEOUT_MS || '30000', 10);
+
+// Newznab standard categories: 2000 = Movies, 5000 = TV
+const CATEGORIES = { movie: [2000], series: [5000] };
+// 5070 = TV/Anime
+const ANIME_CATEGORIES = { movie: [5070, 2000], series: [5070] };
+
+/**
+ * Extracts the v1 infohash from a magnet URI.
+ */
+function infoHashFromMagnet(magnetUri) {
+    const match = typeof magnetUri === 'string' ? magnetUri.match(/btih:([^&/]+)/i) : null;
+    return match ? match[1] : null;
+}
+
+/**
+ * Converts a Prowlarr release into the shared (Jackett JSON) result shape.
+ */
+function normalizeResult(release) {
+    const magnetUri = release.magnetUrl || (release.downloadUrl && release.downloadUrl.startsWith('magnet:') ? release.downloadUrl : null);
+    return {
+        Title: release.title || '',
+        Guid: release.guid || null,
+        Link: release.downloadUrl && !release.downloadUrl.startsWith('magnet:') ? release.downloadUrl : null,
+        MagnetUri: magnetUri,
+        InfoHash: release.infoHash || infoHashFromMagnet(magnetUri),
+        Seeders: release.seeders || 0,
+        Peers: release.leechers !== undefined ? (release.seeders || 0) + release.leechers : 0,
+        Size: release.size || 0,
+        PublishDate: release.publishDate || null,
+        Imdb: release.imdbId || null,
+        Tracker: release.indexer || 'Prowlarr',
+        TrackerId: release.indexerId !== undefined ? String(release.indexerId) : 'prowlarr',
+        Provider: 'prowlarr',
+    };
+}
+
+/**
+ * Builds the search query parameters. Prowlarr understands the Torznab-style {ImdbId}/{Season}/{Episode}
+ * tokens in the query for movie and tvsearch searches.
+ */
+function buildSearchParams(params) {
+    const search = new URLSearchParams();
+    if (params.recent) {
+        // An empty search limited to the type's categories lists the latest releases
+        search.set('type', 'search');
+        search.set('query', '');
+    } else if (params.anime) {
+        // Anime releases rarely carry IMDb IDs, so they are found by title in the anime category
+        search.set('type', 'search');
+        search.set('query', params.query);
+    } else if (params.type === 'movie') {
+        search.set('type', 'movie');
+        search.set('query', params.imdbId ? `{ImdbId:${params.imdbId}}` : params.query);
+    } else if (params.type === 'series') {
+        search.set('type', 'tvsearch');
+        let query = params.imdbId ? `{ImdbId:${params.imdbId}}` : (params.title || params.query);
+        if (params.season) query += `{Season:${params.season}}`;
+        if (params.episode) query += `{Episode:${params.episode}}`;
+        search.set('query', query);
+    } else {
+        search.set('type', 'search');
+        search.set('query', params.query);
+    }
+    for (const category of (params.anime ? ANIME_CATEGORIES : CATEGORIES)[params.type] || []) search.append('categories', String(category));
+    search.set('limit', String(params.limit));
+    return search.toString();
+}
+
+/**
+ * Returns a single search target for the configured Prowlarr instance (Prowlarr fans out to its indexers itself).
+ * @param {Object} config - Effective request config.
+ * @returns {Array<{id: string, key: string, name: string, search: Function}>}
+ */
+function getTargets(config) {
+    if (!config.PROWLARR_URL || !config.PROWLARR_API_KEY) {
+        log.warn('Prowlarr is enabled but PROWLARR_URL or PROWLARR_API_KEY is missing.');
+        return [];
+    }
+    return [{
+        id: 'prowlarr',
+        key: `prowlarr|${config.PROWLARR_URL}`,
+        name: `Prowlarr ${new URL(config.PROWLARR_URL).host}`,
+        search: async (params) => {
+            const url = `${config.PROWLARR_URL}/api/v1/search?${buildSearchParams(params)}`;
+            const response = await fetch(url, {
+                headers: { 'X-Api-Key': config.PROWLARR_API_KEY },
+                signal: AbortSignal.timeout(PROWLARR_TIMEOUT_MS),
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            const releases = await response.json();
+            if (!Array.isArray(releases)) throw new Error('Unexpected Prowlarr search response');
+            // Prowlarr also returns usenet releases when such indexers are configured
+            return releases.filter(release => !release.protocol || release.protocol === 'torrent').map(normalizeResult);
+        },
+    }];
+}
+
+module.exports = {
+    id: 'prowlarr',
+    name: 'Prowlarr',
+    timeoutMs: PROWLARR_TIMEOUT_MS,
+    // Config fields the targets are built from
+    configFields: ['PROWLARR_URL', 'PROWLARR_API_KEY'],
+    getTargets,
+};
@@ -0,0 +1,207 @@
+// lib/providers/torznab.js - Generic Torznab XML provider (Jackett, Prowlarr or any indexer's Torznab feed)
+
+const { createLogger } = require('../logger');
+
+const log = createLogger('indexers');
+
+const TORZNAB_TIMEOUT_MS = parseInt(process.env.TORZNAB_TIMEOUT_MS || process.env.JACKETT_TIMEOUT_MS || '30000', 10);
+const CAPS_TTL_MS = 60 * 60 * 1000;
+
+// Newznab categories searched for the recent-uploads catalogs
+const RECENT_CATEGORIES = { movie: '2000', series: '5000' };
+// Anime searches: 5070 = TV/Anime
+const ANIME_CATEGORIES = { movie: '5070,2000', series: '5070' };
+
+// Capabilities per feed URL, so t=caps is not requested on every search
+const capsByFeed = new Map();
+
+/**
+ * Decodes XML entities and CDATA wrappers in element text.
+ */
+function decodeXml(text) {
+    return String(text || '')
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Reads the text of the first matching child element.
+ */
+function elementText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Reads the value of a named <torznab:attr name="..." value="..."/> element.
+ */
+function torznabAttr(xml, name) {
+    const match = xml.match(new RegExp(`<(?:torznab|newznab):attr\\s+name="${name}"\\s+value="([^"]*)"`, 'i'));
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Splits a feed URL into a base URL and its API key (taken from the apikey query parameter).
+ */
+function parseFeedUrl(feedUrl) {
+    const url = new URL(feedUrl);
+    const apiKey = url.searchParams.get('apikey') || '';
+    url.searchParams.delete('apikey');
+    url.searchParams.delete('t');
+    const base = url.toString().replace(/\?$/, '');
+    return { base, apiKey, host: url.host };
+}
+
+function feedUrl(feed, params) {
+    const query = new URLSearchParams(params);
+    if (feed.apiKey) query.set('apikey', feed.apiKey);
+    return `${feed.base}${feed.base.includes('?') ? '&' : '?'}${query.toString()}`;
+}
+
+/**
+ * Fetches and parses the feed's search capabilities. Feeds without a usable t=caps answer are
+ * searched with plain t=search.
+ * @returns {Promise<{movie: string[]|null, tv: string[]|null}>} - Supported params per search type, null if unavailable.
+ */
+async function getCaps(feed) {
+    const known = capsByFeed.get(feed.base);
+    if (known && known.expires > Date.now()) return known.caps;
+
+    try {
+        return await fetchCaps(feed);
+    } catch (error) {
+        log.warn(`Torznab caps request failed for ${feed.host}, falling back to t=search`, { error: error.message });
+        return { movie: null, tv: null };
+    }
+}
+
+async function fetchCaps(feed) {
+    const response = await fetch(feedUrl(feed, { t: 'caps' }), { signal: AbortSignal.timeout(TORZNAB_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Torznab caps HTTP ${response.status} ${response.statusText}`);
+    const xml = await response.text();
+    const searchCaps = type => {
+        const match = xml.match(new RegExp(`<${type}\\s[^>]*available="yes"[^>]*>`));
+        if (!match) return null;
+        const paramsMatch = match[0].match(/supportedParams="([^"]*)"/);
+        return paramsMatch ? paramsMatch[1].toLowerCase().split(',').map(param => param.trim()) : ['q'];
+    };
+    const caps = { movie: searchCaps('movie-search'), tv: searchCaps('tv-search') };
+    capsByFeed.set(feed.base, { caps, expires: Date.now() + CAPS_TTL_MS });
+    return caps;
+}
+
+/**
+ * Builds Torznab search parameters, using t=movie / t=tvsearch with imdbid/season/ep where the feed supports them.
+ * Recent-upload searches are a plain t=search without a query, limited to the type's category; anime
+ * searches a free-text t=search in the anime category.
+ */
+function buildSearchParams(params, caps) {
+    if (params.recent) {
+        const search = { t: 'search', limit: String(params.limit) };
+        if (RECENT_CATEGORIES[params.type]) search.cat = RECENT_CATEGORIES[params.type];
+        return search;
+    }
+    if (params.anime) {
+        return { t: 'search', q: params.query, cat: ANIME_CATEGORIES[params.type] || ANIME_CATEGORIES.series, limit: String(params.limit) };
+    }
+    const imdbNumeric = params.imdbId ? params.imdbId.replace(/^tt/, '') : null;
+    if (params.type === 'movie' && caps.movie) {
+        const search = { t: 'movie', limit: String(params.limit) };
+        if (imdbNumeric && caps.movie.includes('imdbid')) search.imdbid = imdbNumeric;
+        else search.q = params.query;
+        return search;
+    }
+    if (params.type === 'series' && caps.tv) {
+        const search = { t: 'tvsearch', limit: String(params.limit) };
+        if (imdbNumeric && caps.tv.includes('imdbid')) search.imdbid = imdbNumeric;
+        else search.q = params.title || params.query;
+        if (params.season && caps.tv.includes('season')) search.season = String(params.season);
+        if (params.episode && caps.tv.includes('ep')) search.ep = String(params.episode);
+        // Without season/ep support the episode token has to go into the free-text query
+        if (!search.season && !search.imdbid) search.q = params.query;
+        return search;
+    }
+    return { t: 'search', q: params.query, limit: String(params.limit) };
+}
+
+/**
+ * Parses a Torznab RSS response into results in the shared (Jackett JSON) shape.
+ */
+function parseItems(xml, feed) {
+    const results = [];
+    const itemPattern = /<item>([\s\S]*?)<\/item>/g;
+    let match;
+    while ((match = itemPattern.exec(xml)) !== null) {
+        const item = match[1];
+        const enclosure = item.match(/<enclosure\s[^>]*url="([^"]*)"[^>]*>/);
+        const enclosureLength = item.match(/<enclosure\s[^>]*length="(\d+)"/);
+        const link = elementText(item, 'link') || (enclosure ? decodeXml(enclosure[1]) : null);
+        const magnetUri = torznabAttr(item, 'magneturl') || (link && link.startsWith('magnet:') ? link : null);
+        const seeders = parseInt(torznabAttr(item, 'seeders') || '0', 10);
+        const peers = parseInt(torznabAttr(item, 'peers') || '0', 10);
+        const indexerMatch = item.match(/<jackettindexer\s+id="([^"]*)"[^>]*>([\s\S]*?)<\/jackettindexer>/) || item.match(/<prowlarrindexer\s+id="([^"]*)"[^>]*>([\s\S]*?)<\/prowlarrindexer>/);
+        const pubDate = elementText(item, 'pubDate');
+        const imdb = torznabAttr(item, 'imdbid') || torznabAttr(item, 'imdb');
+        results.push({
+            Title: elementText(item, 'title') || '',
+            Guid: elementText(item, 'guid'),
+            Link: link && !link.startsWith('magnet:') ? link : null,
+            MagnetUri: magnetUri,
+            InfoHash: torznabAttr(item, 'infohash'),
+            Seeders: seeders,
+            Peers: peers,
+            Size: parseInt(elementText(item, 'size') || torznabAttr(item, 'size') || (enclosureLength ? enclosureLength[1] : '0'), 10),
+            PublishDate: pubDate && !isNaN(new Date(pubDate).getTime()) ? new Date(pubDate).toISOString() : null,
+            Imdb: imdb && /^(tt)?\d+$/.test(imdb) ? parseInt(imdb.replace(/^tt/, ''), 10) : null,
+            Tracker: indexerMatch ? decodeXml(indexerMatch[2]) : feed.host,
+            TrackerId: indexerMatch ? indexerMatch[1] : feed.host,
+            Provider: 'torznab',
+        });
+    }
+    return results;
+}
+
+/**
+ * Returns one search target per configured Torznab feed URL.
+ * @param {Object} config - Effective request config.
+ * @returns {Array<{id: string, key: string, name: string, search: Function}>}
+ */
+function getTargets(config) {
+    const targets = [];
+    for (const url of config.TORZNAB_FEEDS || []) {
+        let feed;
+        try {
+            feed = parseFeedUrl(url);
+        } catch (error) {
+            log.warn(`Ignoring invalid Torznab feed URL: ${error.message}`);
+            continue;
+        }
+        targets.push({
+            id: feed.host,
+            key: `torznab|${feed.base}`,
+            name: `Torznab ${feed.host}`,
+            search: async (params) => {
+                const caps = await getCaps(feed);
+                const response = await fetch(feedUrl(feed, buildSearchParams(params, caps)), { signal: AbortSignal.timeout(TORZNAB_TIMEOUT_MS) });
+                if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                const xml = await response.text();
+                const errorMatch = xml.match(/<error\s+code="(\d+)"\s+description="([^"]*)"/);
+                if (errorMatch) throw new Error(`Torznab error ${errorMatch[1]}: ${decodeXml(errorMatch[2])}`);
+                return parseItems(xml, feed);
+            },
+        });
+    }
+    return targets;
+}
+
+module.exports = {
+    id: 'torznab',
+    name: 'Torznab',
+    timeoutMs: TORZNAB_TIMEOUT_MS,
+    // Config fields the targets are built from
+    configFields: ['TORZNAB_FEEDS'],
+    getTargets,
+};
@@ -0,0 +1,475 @@
+// lib/releaseParser.js - Tokenising parser for scene/P2P release names
+//
+// Release names are normalised by turning '.' and '_' into spaces (keeping every character position, so
+// matches map straight back onto the original name). Everything before the first structural tag (year,
+// season/episode marker, resolution, source, codec...) is the title; the remaining "tag section" is
+// scanned for quality, language and flag tokens. Short or ambiguous tokens (TS, TC, DD, ITA, DV...) are
+// only recognised in the tag section, so titles such as "Outsiders" or "Kansas City" are never mistaken
+// for tags.
+
+// Token boundaries: tags are delimited by anything that is not a letter or digit
+const START = '(?<![a-z0-9])';
+const END = '(?![a-z0-9])';
+// Audio tags may run straight into their channel count (DDP5.1, AAC2.0)
+const AUDIO_END = '(?![a-z])';
+
+const LATEST_YEAR = new Date().getFullYear() + 1;
+
+/**
+ * Builds a tag rule. Unambiguous rules also mark where the title ends.
+ */
+function rule(value, pattern, options = {}) {
+    return {
+        value,
+        regex: new RegExp(`${START}(?:${pattern})${options.end || END}`, 'g'),
+        ambiguous: !!options.ambiguous,
+    };
+}
+
+const RESOLUTION_RULES = [
+    rule('2160p', '2160[pi]|4k|uhd|3840x2160'),
+    rule('1440p', '1440[pi]|2560x1440'),
+    rule('1080p', '1080[pi]|fhd|1920x1080'),
+    rule('720p', '720p|1280x720'),
+    rule('576p', '576[pi]'),
+    rule('480p', '480[pi]|640x480'),
+];
+
+// Ordered by precedence: a "BluRay REMUX" is a remux, an "HDCAM" a cam
+const SOURCE_RULES = [
+    rule('remux', 'remux|bdremux'),
+    rule('cam', 'cam|camrip|cam-rip|hdcam'),
+    rule('telesync', 'telesync|hdts|hd-ts|tsrip'),
+    rule('telesync', 'ts|pdvd', { ambiguous: true }),
+    rule('telecine', 'telecine|hdtc|hd-tc'),
+    rule('telecine', 'tc', { ambiguous: true }),
+    rule('screener', 'screener|dvdscr|dvdscreener|bdscr|webscreener'),
+    rule('screener', 'scr', { ambiguous: true }),
+    rule('bdrip', 'bdrip|brrip|bd-rip|br-rip'),
+    rule('bluray', 'blu-?ray|bd25|bd50|bdmv'),
+    rule('bluray', 'bd', { ambiguous: true }),
+    rule('webrip', 'web-?rip'),
+    rule('web-dl', 'web-?dl'),
+    rule('web-dl', 'web', { ambiguous: true }),
+    rule('hdrip', 'hdrip'),
+    rule('hdtv', 'hdtv|pdtv|hdtvrip|tvrip|sdtv'),
+    rule('hdtv', 'dsr', { ambiguous: true }),
+    rule('dvdrip', 'dvd-?rip'),
+    rule('dvd', 'dvd[59]?|dvdr'),
+];
+
+const LOW_QUALITY_SOURCES = ['cam', 'telesync', 'telecine', 'screener'];
+
+const CODEC_RULES = [
+    rule('hevc', 'x265|h 265|h265|hevc'),
+    rule('avc', 'x264|h 264|h264|avc'),
+    rule('av1', 'av1'),
+    rule('vp9', 'vp9'),
+    rule('xvid', 'xvid|divx'),
+    rule('mpeg2', 'mpeg-?2'),
+];
+
+const HDR_RULES = [
+    rule('dv', 'dolby ?vision|dovi'),
+    rule('dv', 'dv', { ambiguous: true }),
+    rule('hdr10+', 'hdr10\\+|hdr10plus|hdr10p'),
+    rule('hdr10', 'hdr10'),
+    rule('hlg', 'hlg', { ambiguous: true }),
+    rule('hdr', 'hdr'),
+];
+
+const BIT_DEPTH_RULES = [
+    rule(10, '10 ?-?bits?|hi10p?'),
+    rule(12, '12 ?-?bits?'),
+    rule(8, '8 ?-?bits?'),
+];
+
+// Ordered from richest to plainest
+const AUDIO_RULES = [
+    rule('truehd', 'true-?hd', { end: AUDIO_END }),
+    rule('atmos', 'atmos', { end: AUDIO_END }),
+    rule('dts-x', 'dts-?x', { end: AUDIO_END }),
+    rule('dts-hd ma', 'dts-?hd ?ma|dts-?ma', { end: AUDIO_END }),
+    rule('dts-hd', 'dts-?hd|dts-?hra', { end: AUDIO_END }),
+    rule('dts', 'dts', { end: AUDIO_END }),
+    rule('eac3', 'ddp|dd\\+|eac3|e-ac-?3|dolby digital plus', { end: AUDIO_END }),
+    rule('ac3', 'ac-?3|dolby digital(?! plus)', { end: AUDIO_END }),
+    rule('ac3', 'dd(?!\\+)', { end: AUDIO_END, ambiguous: true }),
+    rule('aac', 'aac', { end: AUDIO_END }),
+    rule('flac', 'flac', { end: AUDIO_END }),
+    rule('opus', 'opus', { end: AUDIO_END, ambiguous: true }),
+    rule('lpcm', 'l?pcm', { end: AUDIO_END }),
+    rule('mp3', 'mp3', { end: AUDIO_END }),
+];
+
+// Less specific audio tags that are dropped when a more specific one matched the same text
+const AUDIO_SUPERSEDED = { 'dts': ['dts-x', 'dts-hd ma', 'dts-hd'], 'dts-hd': ['dts-hd ma'] };
+
+// Language tags by ISO 639-1 code (see lib/languages.js)
+const LANGUAGE_PATTERNS = [
+    ['en', 'english|eng'],
+    ['hi', 'hindi|hin'],
+    ['ta', 'tamil|tam'],
+    ['te', 'telugu|tel'],
+    ['ml', 'malayalam|mal'],
+    ['kn', 'kannada|kan'],
+    ['bn', 'bengali|bangla|ben'],
+    ['mr', 'marathi'],
+    ['pa', 'punjabi'],
+    ['zh', 'chinese|chi|chn|mandarin|cantonese|chs|cht'],
+    ['ko', 'korean|kor'],
+    ['ja', 'japanese|jpn|jap'],
+    ['es', 'spanish|spa|esp|castellano|latino'],
+    ['de', 'german|ger|deu'],
+    ['fr', 'french|fre|fra|truefrench|vff|vfq|vf2|vf'],
+    ['it', 'italian|ita'],
+    ['uk', 'ukrainian|ukr'],
+    ['ru', 'russian|rus'],
+    ['pt', 'portuguese|por|pt-br|dublado'],
+    ['pl', 'polish|pol|plsub|lektor'],
+    ['nl', 'dutch|nld'],
+    ['tr', 'turkish|tur'],
+    ['ar', 'arabic|ara'],
+    ['th', 'thai'],
+    ['vi', 'vietnamese|vie'],
+    ['id', 'indonesian|ind'],
+    ['sv', 'swedish|swe'],
+    ['da', 'danish|dan'],
+    ['no', 'norwegian|nor'],
+    ['fi', 'finnish|fin'],
+    ['hu', 'hungarian|hun'],
+    ['cs', 'czech|cze'],
+    ['el', 'greek|gre'],
+    ['he', 'hebrew|heb'],
+    ['fa', 'persian|farsi|per'],
+];
+const LANGUAGE_RULES = LANGUAGE_PATTERNS.map(([code, pattern]) => rule(code, pattern));
+const LANGUAGE_TOKEN = `(?:${LANGUAGE_PATTERNS.map(([, pattern]) => pattern).join('|')})${END}`;
+
+// Subtitle phrases; they are removed before language detection so "ENG SUBS" is not an English audio track.
+// Groups: hardcoded subs, multi-language subs, a language before "subs" (ESub, ENG SUBS), languages after
+// it (Sub Ita Eng, SUBFRENCH). In "ita eng sub ita eng" the languages after "sub" are the subtitles.
+const SUBTITLE_PATTERN = new RegExp(`${START}(?:(hc|hard|kor)[ -]?subs?|(multi|multiple)[ -]?sub(?:titles?|s)?|msubs|vostfr|vose|legendado|(e|[a-z]{3,10})[ -]?subs?(?![ :-]*${LANGUAGE_TOKEN})|subs?((?:[ :-]*${LANGUAGE_TOKEN})(?:[ +-]+${LANGUAGE_TOKEN})*)|subs?|subbed|subtitled)${END}`, 'g');
+// Subtitle languages named by the phrase itself
+const SUBTITLE_PHRASE_LANGUAGES = { vostfr: 'fr', vose: 'es', legendado: 'pt' };
+
+const EDITION_RULES = [
+    rule('extended', 'extended(?: (?:cut|edition|version))?'),
+    rule("director's cut", "director'?s cut|directors cut"),
+    rule('theatrical', 'theatrical(?: (?:cut|edition|version))?'),
+    rule('unrated', 'unrated'),
+    rule('uncut', 'uncut'),
+    rule('imax', 'imax(?: edition)?'),
+    rule('remastered', 'remastered|4k remaster'),
+    rule('criterion', 'criterion(?: collection)?'),
+    rule('special edition', 'special edition'),
+    rule('anniversary edition', '(?:\\d+th )?anniversary(?: edition)?'),
+    rule('final cut', 'final cut'),
+    rule('ultimate edition', 'ultimate (?:cut|edition)'),
+    rule('open matte', 'open matte'),
+];
+
+const FLAG_RULES = {
+    repack: rule(true, 'repack\\d?|rerip'),
+    proper: rule(true, 'proper'),
+    internal: rule(true, 'internal|int', { ambiguous: true }),
+    limited: rule(true, 'limited', { ambiguous: true }),
+    hybrid: rule(true, 'hybrid', { ambiguous: true }),
+    threeD: rule(true, '3d|hsbs|h-sbs|half-sbs|hou'),
+    dubbed: rule(true, 'dubbed|dub', { ambiguous: true }),
+    multi: rule(true, 'multi(?:-audio|-lang)?', { ambiguous: true }),
+    dualAudio: rule(true, 'dual[ -]?audio|dual|duo', { ambiguous: true }),
+};
+
+// Year, season and episode markers also end the title
+const YEAR_REGEX = new RegExp(`${START}(19\\d{2}|20\\d{2})${END}`, 'g');
+const EPISODE_REGEX = new RegExp(`${START}s(\\d{1,2}) ?e(\\d{1,4})(?:(?: ?- ?e?| ?e)(\\d{1,4}))?${END}`, 'g');
+const CROSS_EPISODE_REGEX = new RegExp(`${START}(\\d{1,2})x(\\d{2,3})${END}`, 'g');
+// "S01-05" is a season range, a spaced "S2 - 05" is an anime episode of season 2
+const SEASON_RANGE_REGEX = new RegExp(`${START}(?:s(\\d{1,2})(?:-s?| ?- ?s)(\\d{1,2})|seasons? (\\d{1,2}) ?(?:-|to|&) ?(\\d{1,2}))${END}`, 'g');
+const SEASON_REGEX = new RegExp(`${START}(?:s(\\d{1,2})|season (\\d{1,2}))${END}`, 'g');
+// "E05" or "Episode 5"; a spaced "e 2008" is not an episode ("WALL-E 2008")
+const LONE_EPISODE_REGEX = new RegExp(`${START}(?:episode ?|ep ?|e)(\\d{1,4})${END}`, 'g');
+// Anime numbering counts episodes across seasons: "[Group] Title - 1087", "Title - 05v2",
+// batches "Title - 01-12", "Title (01-24)", "Title 01 ~ 12", "Episodes 1-12". A size ("- 2.5GB") is no episode.
+const ANIME_EPISODE_REGEX = new RegExp(` - (\\d{1,4})(?:v\\d)?(?! \\d{1,3} ?[gm]i?b${END})${END}`, 'g');
+const ANIME_BATCH_REGEX = new RegExp(`(?: - |[([] ?|${START}(?:episodes?|eps?) )(\\d{1,4}) ?(?:-|~|to) ?(\\d{1,4})(?:v\\d)?${END}`, 'g');
+const BATCH_REGEX = new RegExp(`${START}batch${END}`, 'g');
+const VERSION_REGEX = new RegExp(`${START}(?:\\d{1,4})?v([2-9])${END}`);
+const COMPLETE_SERIES_REGEX = new RegExp(`${START}(?:complete (?:series|collection)|all seasons)${END}`, 'g');
+const COMPLETE_REGEX = new RegExp(`${START}(?:complete|all seasons)${END}`, 'g');
+const CHANNELS_REGEX = /(?<!\d)([1-9]) ([01])(?!\d)|(?<![a-z0-9])([2-8])ch(?![a-z0-9])/;
+
+const FILE_EXTENSION_REGEX = /\.(?:mkv|mp4|avi|m4v|mov|wmv|ts|m2ts|webm|mpg|mpeg|torrent)$/i;
+// "www.site.org - ", "[ site.org ]" or "site.org - "; a bare "Up.In.The.Air" is not a site
+const SITE_DOMAIN = '[a-z0-9-]+\\.(?:com|org|net|to|me|se|ag|io|cc|tv|in|lol|li|ws|xyz|club|mx)';
+const SITE_PREFIX_REGEX = new RegExp(`^(?:\\[\\s*(?:www\\.)?${SITE_DOMAIN}\\s*\\]|www\\.${SITE_DOMAIN}|${SITE_DOMAIN}(?=\\s+-\\s))\\s*-?\\s*`, 'i');
+
+/**
+ * Collects all matches of a regex as {index, match} pairs.
+ */
+function matchAll(regex, text) {
+    regex.lastIndex = 0;
+    return [...text.matchAll(regex)];
+}
+
+/**
+ * Returns the values of every rule that matches, in rule order, without duplicates.
+ */
+function matchRules(rules, text) {
+    const values = [];
+    for (const tagRule of rules) {
+        if (matchAll(tagRule.regex, text).length > 0 && !values.includes(tagRule.value)) values.push(tagRule.value);
+    }
+    return values;
+}
+
+/**
+ * Builds an inclusive integer range.
+ */
+function range(from, to) {
+    const values = [];
+    for (let value = from; value <= to && values.length < 200; value++) values.push(value);
+    return values;
+}
+
+/**
+ * Reads the release group: the "-GROUP" suffix, or a leading "[Group]" tag as used by fansub releases.
+ */
+function parseGroup(name) {
+    let rest = name.trim();
+    // Trailing site/uploader tags such as [rartv] or [EtHD] are not the group
+    while (/(?:\[[^\]]*\]|\([^)]*\))$/.test(rest)) rest = rest.replace(/\s*(?:\[[^\]]*\]|\([^)]*\))$/, '').trim();
+    const suffix = rest.match(/-\s?([a-z0-9][a-z0-9_]{0,24})$/i);
+    if (suffix) {
+        const lower = suffix[1].toLowerCase();
+        const isTag = [...RESOLUTION_RULES, ...SOURCE_RULES, ...CODEC_RULES, ...HDR_RULES, ...AUDIO_RULES, ...LANGUAGE_RULES]
+            .some(tagRule => matchAll(tagRule.regex, lower).some(match => match.index === 0 && match[0].length === lower.length));
+        const isSubtitleTag = matchAll(SUBTITLE_PATTERN, lower).some(match => match[0].length === lower.length);
+        // Numbers and episode markers ("Title - 05", "Title - S04E28 [1080p]") are not groups either
+        const isEpisode = /^(?:\d+(?:v\d)?|s\d{1,2}(?:e\d{1,4})*|e\d{1,4})$/.test(lower);
+        if (!isTag && !isSubtitleTag && !isEpisode && lower !== 'dl' && lower !== 'rip') return suffix[1];
+    }
+    const leading = name.match(/^\s*\[([^\]]+)\]/);
+    if (leading && !SITE_PREFIX_REGEX.test(leading[0])) return leading[1].trim();
+    return null;
+}
+
+/**
+ * Parses the season/episode structure of a release.
+ */
+function parseEpisodes(text) {
+    const seasons = [];
+    const episodes = [];
+    const addAll = (list, values) => values.forEach(value => { if (!list.includes(value)) list.push(value); });
+
+    for (const match of matchAll(EPISODE_REGEX, text)) {
+        const season = parseInt(match[1], 10);
+        const first = parseInt(match[2], 10);
+        const last = match[3] ? parseInt(match[3], 10) : first;
+        addAll(seasons, [season]);
+        addAll(episodes, last > first ? range(first, last) : [first]);
+    }
+    if (episodes.length === 0) {
+        for (const match of matchAll(CROSS_EPISODE_REGEX, text)) {
+            addAll(seasons, [parseInt(match[1], 10)]);
+            addAll(episodes, [parseInt(match[2], 10)]);
+        }
+    }
+    if (seasons.length === 0) {
+        for (const match of matchAll(SEASON_RANGE_REGEX, text)) {
+            const from = parseInt(match[1] || match[3], 10);
+            const to = parseInt(match[2] || match[4], 10);
+            if (to >= from) addAll(seasons, range(from, to));
+        }
+    }
+    if (seasons.length === 0) {
+        for (const match of matchAll(SEASON_REGEX, text)) addAll(seasons, [parseInt(match[1] || match[2], 10)]);
+    }
+    if (episodes.length === 0) {
+        for (const match of matchAll(LONE_EPISODE_REGEX, text)) addAll(episodes, [parseInt(match[1], 10)]);
+    }
+
+    // Absolute (anime) numbers: batch ranges first, so "- 01-12" isn't also read as episode 1
+    const absoluteEpisodes = [];
+    let batch = matchAll(BATCH_REGEX, text).length > 0;
+    for (const match of matchAll(ANIME_BATCH_REGEX, text)) {
+        const from = parseInt(match[1], 10);
+        const to = parseInt(match[2], 10);
+        if (to <= from || isYear(from) || isYear(to)) continue;
+        addAll(absoluteEpisodes, range(from, to));
+        batch = true;
+    }
+    if (absoluteEpisodes.length === 0) {
+        for (const match of matchAll(ANIME_EPISODE_REGEX, text)) {
+            const number = parseInt(match[1], 10);
+            if (!isYear(number)) addAll(absoluteEpisodes, [number]);
+        }
+    }
+    // An episode without a season ("Title E12", "Episode 12") is an absolute number too
+    if (absoluteEpisodes.length === 0 && seasons.length === 0) addAll(absoluteEpisodes, episodes);
+    return { seasons, episodes, absoluteEpisodes, batch };
+}
+
+/**
+ * Whether a number reads as a release year rather than an episode number.
+ */
+function isYear(number) {
+    return number >= 1900 && number <= LATEST_YEAR;
+}
+
+/**
+ * Finds the year and the position where the title ends.
+ */
+function findTitleEnd(text) {
+    const stops = [];
+    let year = null;
+    for (const match of matchAll(YEAR_REGEX, text)) {
+        const candidate = parseInt(match[1], 10);
+        // A leading year is part of the title ("1917 2019 1080p"), a future year too ("Blade Runner 2049 2017")
+        if (match.index === 0 || candidate > LATEST_YEAR) continue;
+        year = candidate;
+        stops.push(match.index);
+        break;
+    }
+    for (const regex of [EPISODE_REGEX, CROSS_EPISODE_REGEX, SEASON_RANGE_REGEX, SEASON_REGEX, LONE_EPISODE_REGEX, COMPLETE_SERIES_REGEX]) {
+        for (const match of matchAll(regex, text)) stops.push(match.index);
+    }
+    for (const regex of [ANIME_EPISODE_REGEX, ANIME_BATCH_REGEX]) {
+        for (const match of matchAll(regex, text)) {
+            if (!isYear(parseInt(match[1], 10))) stops.push(match.index);
+        }
+    }
+    for (const tagRule of [...RESOLUTION_RULES, ...SOURCE_RULES, ...CODEC_RULES, ...HDR_RULES, ...BIT_DEPTH_RULES, ...AUDIO_RULES]) {
+        if (tagRule.ambiguous) continue;
+        for (const match of matchAll(tagRule.regex, text)) stops.push(match.index);
+    }
+    // Brackets after the title usually open the tag section ("Title (2019) [1080p]")
+    const bracket = text.search(/[([]/);
+    if (bracket > 0) stops.push(bracket);
+
+    const titleEnd = stops.filter(index => index > 0).reduce((min, index) => Math.min(min, index), text.length);
+    return { year, titleEnd };
+}
+
+/**
+ * Parses a release name into a structured release object.
+ * @param {string} name - Release name (torrent title or file name).
+ * @returns {{
+ *   title: string, year: number|null, seasons: number[], episodes: number[], absoluteEpisodes: number[],
+ *   batch: boolean, version: number|null, complete: boolean,
+ *   resolution: string|null, source: string|null, codec: string|null, encoder: string|null, hdr: string[],
+ *   bitDepth: number|null, audio: string[], channels: string|null, languages: string[] (ISO 639-1 codes),
+ *   subtitles: string[] (ISO 639-1 codes, 'mul' for multi-language subtitles),
+ *   group: string|null, edition: string|null, lowQuality: boolean,
+ *   flags: {repack: boolean, proper: boolean, internal: boolean, limited: boolean, hybrid: boolean,
+ *           threeD: boolean, dubbed: boolean, subbed: boolean, hardcodedSubs: boolean, multi: boolean, dualAudio: boolean}
+ * }}
+ */
+function parseRelease(name) {
+    const original = String(name || '').trim().replace(FILE_EXTENSION_REGEX, '');
+    const group = parseGroup(original);
+
+    // Leading site prefixes ("www.site.org - ") and fansub group tags are not part of the title
+    let body = original.replace(SITE_PREFIX_REGEX, '');
+    body = body.replace(/^\s*(?:\[[^\]]*\]\s*)+/, '');
+
+    // Length-preserving normalisation keeps match positions valid for the original text
+    const text = body.toLowerCase().replace(/[._]/g, ' ');
+    const { year, titleEnd } = findTitleEnd(text);
+    const tags = text.slice(titleEnd);
+
+    const title = body.slice(0, titleEnd)
+        .replace(/[._]/g, ' ')
+        .replace(/[\s\-([{]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const { seasons, episodes, absoluteEpisodes, batch } = parseEpisodes(text);
+    const versionMatch = tags.match(VERSION_REGEX);
+    const complete = matchAll(COMPLETE_REGEX, tags).length > 0;
+
+    const resolution = matchRules(RESOLUTION_RULES, tags)[0] || null;
+    const source = matchRules(SOURCE_RULES, tags)[0] || null;
+    const codecMatches = matchRules(CODEC_RULES, tags);
+    const encoderMatch = tags.match(/(?<![a-z0-9])(x26[45])(?![a-z0-9])/);
+
+    let hdr = matchRules(HDR_RULES, tags);
+    if (hdr.includes('hdr10+')) hdr = hdr.filter(value => value !== 'hdr10');
+    if (hdr.some(value => value !== 'hdr' && value !== 'dv')) hdr = hdr.filter(value => value !== 'hdr');
+
+    let audio = matchRules(AUDIO_RULES, tags);
+    audio = audio.filter(value => !(AUDIO_SUPERSEDED[value] || []).some(richer => audio.includes(richer)));
+
+    const channelsMatch = tags.match(CHANNELS_REGEX);
+    let channels = null;
+    if (channelsMatch && channelsMatch[1]) {
+        channels = `${channelsMatch[1]}.${channelsMatch[2]}`;
+    } else if (channelsMatch && channelsMatch[3]) {
+        const count = parseInt(channelsMatch[3], 10);
+        channels = count > 2 ? `${count - 1}.1` : `${count}.0`;
+    }
+
+    // Subtitles first, then blank them out so their language tokens don't count as audio languages
+    const subtitles = [];
+    let hardcodedSubs = false;
+    let subbed = false;
+    const addSubtitle = (language) => {
+        if (language && !subtitles.includes(language)) subtitles.push(language);
+    };
+    const languageText = tags.replace(SUBTITLE_PATTERN, (match, hard, multi, language, languageList) => {
+        subbed = true;
+        if (hard) {
+            hardcodedSubs = true;
+            if (hard === 'kor') addSubtitle('ko');
+        } else if (multi || match === 'msubs') {
+            addSubtitle('mul');
+        } else if (SUBTITLE_PHRASE_LANGUAGES[match]) {
+            addSubtitle(SUBTITLE_PHRASE_LANGUAGES[match]);
+        } else if (language) {
+            addSubtitle(language === 'e' ? 'en' : matchRules(LANGUAGE_RULES, language)[0]);
+        } else if (languageList) {
+            // Separators are blanked so adjacent codes ("ita-eng") match as separate tokens
+            matchRules(LANGUAGE_RULES, languageList.replace(/[:+-]/g, ' ')).forEach(addSubtitle);
+        }
+        return ' '.repeat(match.length);
+    });
+    const languages = matchRules(LANGUAGE_RULES, languageText);
+
+    const flags = {};
+    for (const [flag, flagRule] of Object.entries(FLAG_RULES)) {
+        flags[flag] = matchAll(flagRule.regex, languageText).length > 0;
+    }
+    flags.subbed = subbed;
+    flags.hardcodedSubs = hardcodedSubs;
+
+    return {
+        title,
+        year,
+        seasons,
+        episodes,
+        absoluteEpisodes,
+        batch,
+        version: versionMatch ? parseInt(versionMatch[1], 10) : null,
+        complete,
+        resolution,
+        source,
+        codec: codecMatches[0] || null,
+        encoder: encoderMatch ? encoderMatch[1] : null,
+        hdr,
+        bitDepth: matchRules(BIT_DEPTH_RULES, tags)[0] || null,
+        audio,
+        channels,
+        languages,
+        subtitles,
+        group,
+        edition: matchRules(EDITION_RULES, tags)[0] || null,
+        lowQuality: LOW_QUALITY_SOURCES.includes(source),
+        flags,
+    };
+}
+
+module.exports = {
+    LOW_QUALITY_SOURCES,
+    parseRelease,
+};
@@ -0,0 +1,134 @@
+// lib/releaseRules.js - Block/allow rules for search results: tracker, release group, title pattern,
+// file extension and infohash
+//
+// Denylists drop matching results; allowlists keep only matching results (an empty allowlist allows
+// everything). Infohash rules are the most specific and win: an allowed infohash skips every other rule,
+// a denied one is dropped. Rules come from the request config and from the admin infohash lists
+// (see lib/infoHashRules.js) and are evaluated in the worker.
+
+const INFO_HASH_REGEX = /^[a-f0-9]{40}$/;
+// Patterns are user input evaluated on every result, so they are kept short
+const MAX_PATTERN_LENGTH = 256;
+
+class RuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleError';
+    }
+}
+
+/**
+ * Compiles a title pattern (case-insensitive regular expression).
+ * @param {string} pattern
+ * @returns {RegExp|null} - null for an empty pattern.
+ */
+function compileTitlePattern(pattern) {
+    if (!pattern) return null;
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new RuleError(`pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new RuleError(`invalid regular expression: ${error.message}`);
+    }
+}
+
+// Magnet links may carry the infohash in base32 (RFC 4648, 32 characters) instead of hex
+const BASE32_INFO_HASH_REGEX = /^[a-z2-7]{32}$/;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32ToHex(value) {
+    let bits = '';
+    for (const character of value) bits += BASE32_ALPHABET.indexOf(character).toString(2).padStart(5, '0');
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+/**
+ * Checks an infohash (40 hex or 32 base32 characters, any case) and returns it as lowercase hex.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeInfoHash(value) {
+    let infoHash = String(value || '').trim().toLowerCase();
+    if (BASE32_INFO_HASH_REGEX.test(infoHash)) infoHash = base32ToHex(infoHash);
+    if (!INFO_HASH_REGEX.test(infoHash)) throw new RuleError(`"${value}" is not a 40-character hex infohash`);
+    return infoHash;
+}
+
+/**
+ * Builds the rule set of a request.
+ * @param {Object} config - Worker config (TRACKER_*, GROUP_*, TITLE_*_PATTERN, EXTENSION_*, INFOHASH_* fields).
+ * @param {{allowed: string[], blocked: string[]}} [infoHashRules] - Admin infohash lists.
+ * @returns {Object} - Compiled rules for checkRelease.
+ */
+function compileRules(config, infoHashRules) {
+    const adminRules = infoHashRules || { allowed: [], blocked: [] };
+    return {
+        allowedInfoHashes: new Set([...(config.INFOHASH_ALLOWLIST || []), ...adminRules.allowed]),
+        deniedInfoHashes: new Set([...(config.INFOHASH_DENYLIST || []), ...adminRules.blocked]),
+        trackerAllowlist: config.TRACKER_ALLOWLIST || [],
+        trackerDenylist: config.TRACKER_DENYLIST || [],
+        groupAllowlist: config.GROUP_ALLOWLIST || [],
+        groupDenylist: config.GROUP_DENYLIST || [],
+        titleAllowPattern: compileTitlePattern(config.TITLE_ALLOW_PATTERN),
+        titleDenyPattern: compileTitlePattern(config.TITLE_DENY_PATTERN),
+        extensionAllowlist: (config.EXTENSION_ALLOWLIST || []).map(extension => extension.replace(/^\./, '')),
+        extensionDenylist: (config.EXTENSION_DENYLIST || []).map(extension => extension.replace(/^\./, '')),
+    };
+}
+
+function getExtension(name) {
+    const match = String(name).match(/\.([a-z0-9]{1,5})$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Checks a result against the rules.
+ * @param {Object} rules - From compileRules.
+ * @param {Object} candidate - { infoHash, trackers: string[] (name and ID), group, title, files: string[] }.
+ *   files are the .torrent's file names, known for results resolved from a .torrent download.
+ * @returns {{rule: string, value: string, reason: string}|null} - The first rule that drops the result (rule is
+ *   e.g. 'group_deny', value the group that matched), or null when it passes.
+ */
+function checkRelease(rules, candidate) {
+    if (rules.allowedInfoHashes.has(candidate.infoHash)) return null;
+    if (rules.deniedInfoHashes.has(candidate.infoHash)) {
+        return { rule: 'infohash_deny', value: candidate.infoHash, reason: `infohash ${candidate.infoHash} is denied` };
+    }
+
+    const trackers = candidate.trackers.filter(Boolean).map(tracker => String(tracker).toLowerCase());
+    const deniedTracker = trackers.find(tracker => rules.trackerDenylist.includes(tracker));
+    if (deniedTracker) return { rule: 'tracker_deny', value: deniedTracker, reason: `tracker ${deniedTracker} is denied` };
+    if (rules.trackerAllowlist.length > 0 && !trackers.some(tracker => rules.trackerAllowlist.includes(tracker))) {
+        return { rule: 'tracker_allow', value: trackers[0] || 'unknown', reason: `tracker ${trackers[0] || 'unknown'} is not allowed` };
+    }
+
+    const group = candidate.group ? candidate.group.toLowerCase() : null;
+    if (group && rules.groupDenylist.includes(group)) return { rule: 'group_deny', value: group, reason: `group ${group} is denied` };
+    if (rules.groupAllowlist.length > 0 && !rules.groupAllowlist.includes(group)) {
+        return { rule: 'group_allow', value: group || 'unknown', reason: `group ${group || 'unknown'} is not allowed` };
+    }
+
+    if (rules.titleDenyPattern && rules.titleDenyPattern.test(candidate.title)) {
+        return { rule: 'title_deny', value: rules.titleDenyPattern.source, reason: `title matches ${rules.titleDenyPattern}` };
+    }
+    if (rules.titleAllowPattern && !rules.titleAllowPattern.test(candidate.title)) {
+        return { rule: 'title_allow', value: rules.titleAllowPattern.source, reason: `title doesn't match ${rules.titleAllowPattern}` };
+    }
+
+    // Extensions can only be checked when the file names are known
+    const extensions = candidate.files.map(getExtension).filter(Boolean);
+    const deniedExtension = extensions.find(extension => rules.extensionDenylist.includes(extension));
+    if (deniedExtension) return { rule: 'extension_deny', value: deniedExtension, reason: `contains a .${deniedExtension} file` };
+    if (rules.extensionAllowlist.length > 0 && extensions.length > 0 && !extensions.some(extension => rules.extensionAllowlist.includes(extension))) {
+        return { rule: 'extension_allow', value: extensions[0], reason: `no file with an allowed extension (${extensions.join(', ')})` };
+    }
+    return null;
+}
+
+module.exports = {
+    RuleError,
+    compileTitlePattern,
+    normalizeInfoHash,
+    compileRules,
+    checkRelease,
+};
@@ -0,0 +1,290 @@
+// lib/scoring.js - Weighted stream scoring: presets, user weights, hard requirements and sort orders
+//
+// Every factor maps a stream to a value between 0 and 1; a stream's score is the weighted sum of its
+// factor values, scaled so the best possible stream under a preset scores around 100. Negative weights
+// invert a factor (e.g. the "smallest" preset rewards small files). The continuity factor only counts for
+// series episodes with a remembered release identity (see lib/continuity.js).
+
+const { getReleaseIdentity, matchIdentity } = require('./continuity');
+const { normalizeLanguage, rateLanguages } = require('./languages');
+
+const SCORE_FACTORS = ['resolution', 'source', 'codec', 'hdr', 'audio', 'language', 'seeders', 'age', 'size', 'match', 'continuity'];
+
+const SORT_PRESETS = {
+    'balanced': { resolution: 3, source: 2, codec: 1, hdr: 1, audio: 1, language: 3, seeders: 3, age: 1, size: 0.5, match: 2, continuity: 3 },
+    'best-quality': { resolution: 5, source: 4, codec: 1, hdr: 2, audio: 2, language: 3, seeders: 1, age: 0, size: 1, match: 2, continuity: 2 },
+    'fastest-start': { resolution: 1, source: 1, codec: 0.5, hdr: 0, audio: 0, language: 3, seeders: 6, age: 1, size: -1, match: 2, continuity: 2 },
+    'smallest': { resolution: 1, source: 0.5, codec: 2, hdr: 0, audio: 0, language: 3, seeders: 2, age: 0, size: -5, match: 2, continuity: 2 },
+};
+const SORT_PRESET_IDS = Object.keys(SORT_PRESETS);
+
+// 'score' ranks by the weighted score; the others sort by a single field and use the score as tie-breaker
+const SORT_BY_OPTIONS = ['score', 'seeders', 'size', 'recent', 'resolution'];
+const SORT_ORDERS = ['desc', 'asc'];
+
+const RESOLUTION_VALUES = { '2160p': 1, '1440p': 0.85, '1080p': 0.75, '720p': 0.5, '576p': 0.25, '480p': 0.2 };
+const SOURCE_VALUES = { 'remux': 1, 'bluray': 0.9, 'web-dl': 0.8, 'webrip': 0.7, 'bdrip': 0.65, 'hdrip': 0.5, 'hdtv': 0.45, 'dvdrip': 0.35, 'dvd': 0.3 };
+const CODEC_VALUES = { 'av1': 1, 'hevc': 1, 'avc': 0.6, 'vp9': 0.6, 'mpeg2': 0.2, 'xvid': 0.1 };
+const HDR_VALUES = { 'dv': 1, 'hdr10+': 0.9, 'hdr10': 0.8, 'hdr': 0.7, 'hlg': 0.6 };
+const RESOLUTION_ORDER = ['480p', '576p', '720p', '1080p', '1440p', '2160p'];
+
+// Sources and codecs not listed above (or not detected) get a neutral value
+const UNKNOWN_VALUE = 0.4;
+const SEEDERS_FULL_SCORE = 1000;
+const AGE_HALF_LIFE_DAYS = 365;
+
+const REQUIREMENT_PATTERN = /^\s*([a-z]+)\s*(>=|<=|!=|=|>|<)\s*([a-z0-9.+\- ]+?)\s*$/i;
+const REQUIREMENT_FIELDS = {
+    resolution: 'ordered',
+    source: 'text',
+    codec: 'text',
+    group: 'text',
+    hdr: 'list',
+    audio: 'list',
+    language: 'list',
+    subtitles: 'list',
+    seeders: 'number',
+    size: 'number', // MB
+    age: 'number', // days
+};
+
+class RequirementError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RequirementError';
+    }
+}
+
+/**
+ * Parses a hard requirement such as "resolution>=1080p", "source!=hdtv", "hdr=any", "language=en" (audio),
+ * "subtitles=en", "seeders>=5", "size<=4000" (MB) or "age<=30" (days). Languages are normalized to ISO 639-1.
+ * @param {string} text - Requirement expression.
+ * @returns {{field: string, op: string, value: string|number, text: string}}
+ */
+function parseRequirement(text) {
+    const match = String(text).match(REQUIREMENT_PATTERN);
+    if (!match) throw new RequirementError(`Invalid requirement "${text}" (expected e.g. resolution>=1080p)`);
+    const field = match[1].toLowerCase();
+    const op = match[2];
+    const rawValue = match[3].toLowerCase();
+    const kind = REQUIREMENT_FIELDS[field];
+    if (!kind) throw new RequirementError(`Unknown requirement field "${field}" (one of: ${Object.keys(REQUIREMENT_FIELDS).join(', ')})`);
+
+    let value = rawValue;
+    if (kind === 'number') {
+        value = parseFloat(rawValue);
+        if (!Number.isFinite(value)) throw new RequirementError(`Requirement "${text}" needs a number`);
+    } else if (kind === 'ordered') {
+        if (!RESOLUTION_ORDER.includes(rawValue)) throw new RequirementError(`Requirement "${text}" needs one of: ${RESOLUTION_ORDER.join(', ')}`);
+    } else if (op !== '=' && op !== '!=') {
+        throw new RequirementError(`Requirement "${text}" only supports = and !=`);
+    } else if ((field === 'language' || field === 'subtitles') && rawValue !== 'any' && rawValue !== 'none') {
+        try {
+            value = normalizeLanguage(rawValue);
+        } catch (error) {
+            throw new RequirementError(`Requirement "${text}": ${error.message}`);
+        }
+    }
+    return { field, op, value, text: `${field}${op}${typeof value === 'string' ? value : rawValue}` };
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '=': return actual === expected;
+        default: return actual !== expected;
+    }
+}
+
+/**
+ * Collects the facts requirements and factors are evaluated on.
+ */
+function getStreamFacts(stream, now) {
+    const release = stream.release || {};
+    // Audio languages include the untagged default (see lib/languages.js)
+    const languages = stream.languages || { audio: release.languages || [], subtitles: release.subtitles || [] };
+    const publishedAt = stream.effectivePublishedDate ? new Date(stream.effectivePublishedDate).getTime() : null;
+    return {
+        resolution: stream.parsedDetails.resolution,
+        source: release.source || null,
+        codec: release.codec || null,
+        group: release.group ? release.group.toLowerCase() : null,
+        hdr: release.hdr || [],
+        audio: [...(release.audio || []), ...(release.channels ? [release.channels] : [])],
+        language: languages.audio,
+        subtitles: languages.subtitles,
+        seeders: stream.originalResult.Seeders || 0,
+        size: (stream.originalResult.Size || 0) / (1024 * 1024),
+        age: publishedAt ? (now - publishedAt) / (24 * 60 * 60 * 1000) : null,
+    };
+}
+
+/**
+ * Checks a stream's facts against one requirement. Unknown values fail numeric and ordered checks.
+ */
+function meetsRequirement(facts, requirement) {
+    const actual = facts[requirement.field];
+    switch (REQUIREMENT_FIELDS[requirement.field]) {
+        case 'number':
+            return actual !== null && compare(actual, requirement.op, requirement.value);
+        case 'ordered': {
+            const rank = RESOLUTION_ORDER.indexOf(actual);
+            return rank !== -1 && compare(rank, requirement.op, RESOLUTION_ORDER.indexOf(requirement.value));
+        }
+        case 'list': {
+            let present;
+            if (requirement.value === 'any') present = actual.length > 0;
+            else if (requirement.value === 'none') present = actual.length === 0;
+            else present = actual.includes(requirement.value);
+            return requirement.op === '=' ? present : !present;
+        }
+        default:
+            return compare(actual, requirement.op, requirement.value);
+    }
+}
+
+/**
+ * Resolves the factor weights for a config: the preset's weights with SCORE_WEIGHTS on top.
+ * @param {Object} config - Effective request config.
+ * @returns {Object<string, number>}
+ */
+function getWeights(config) {
+    const preset = SORT_PRESETS[config.SORT_PRESET] || SORT_PRESETS.balanced;
+    return Object.assign({}, preset, config.SCORE_WEIGHTS || {});
+}
+
+/**
+ * Computes each factor's 0..1 value for a stream.
+ */
+function getFactorValues(stream, facts, context, config) {
+    const videoPreferences = config.PREFERRED_VIDEO_QUALITIES_CONFIG;
+    const sourcePreference = facts.source ? videoPreferences.indexOf(facts.source) : -1;
+    const audioPreferences = config.PREFERRED_AUDIO_QUALITIES_CONFIG;
+
+    return {
+        resolution: RESOLUTION_VALUES[facts.resolution] || 0,
+        // The user's video quality order wins over the built-in source table when it lists the source
+        source: sourcePreference !== -1
+            ? 1 - sourcePreference / videoPreferences.length
+            : (facts.source ? (SOURCE_VALUES[facts.source] || UNKNOWN_VALUE) : UNKNOWN_VALUE),
+        codec: facts.codec ? (CODEC_VALUES[facts.codec] || UNKNOWN_VALUE) : UNKNOWN_VALUE,
+        hdr: Math.max(0, ...facts.hdr.map(type => HDR_VALUES[type] || 0)),
+        audio: audioPreferences.length > 0 ? stream.audioQualityRank / audioPreferences.length : 0,
+        // Best tier of PREFERRED_LANGUAGES matched by audio, or at a discount by subtitles
+        language: rateLanguages({ audio: facts.language, subtitles: facts.subtitles }, config.PREFERRED_LANGUAGES),
+        seeders: Math.min(Math.log10(facts.seeders + 1) / Math.log10(SEEDERS_FULL_SCORE + 1), 1),
+        age: facts.age !== null ? Math.pow(0.5, Math.max(facts.age, 0) / AGE_HALF_LIFE_DAYS) : 0,
+        // Relative to the largest candidate, so movies and episodes are treated alike
+        size: context.maxSize > 0 ? facts.size / context.maxSize : 0,
+        // Title match confidence from validation (1 for an exact title)
+        match: stream.titleConfidence !== undefined ? stream.titleConfidence : 1,
+        // How closely the release matches the one of the show's previous episodes
+        continuity: matchIdentity(getReleaseIdentity(stream), context.continuity),
+    };
+}
+
+/**
+ * Scores a stream.
+ * @returns {{score: number, breakdown: Object<string, {value: number, weight: number, points: number}>}}
+ */
+function scoreStream(stream, facts, context, config, weights) {
+    const values = getFactorValues(stream, facts, context, config);
+    const maxPoints = SCORE_FACTORS.reduce((sum, factor) => sum + Math.abs(weights[factor] || 0), 0) || 1;
+    const breakdown = {};
+    let total = 0;
+    for (const factor of SCORE_FACTORS) {
+        const weight = weights[factor] || 0;
+        // A negative weight rewards the opposite end of the factor (e.g. small files)
+        const points = weight >= 0 ? weight * values[factor] : -weight * (1 - values[factor]);
+        breakdown[factor] = { value: Math.round(values[factor] * 1000) / 1000, weight, points: Math.round(points * 100 / maxPoints * 100) / 100 };
+        total += points;
+    }
+    return { score: Math.round(total * 100 / maxPoints * 100) / 100, breakdown };
+}
+
+function getSortValue(stream, sortBy) {
+    switch (sortBy) {
+        case 'seeders': return stream.originalResult.Seeders || 0;
+        case 'size': return stream.originalResult.Size || 0;
+        case 'recent': return stream.effectivePublishedDate ? new Date(stream.effectivePublishedDate).getTime() : 0;
+        case 'resolution': return stream.resolutionRank;
+        default: return stream.score;
+    }
+}
+
+/**
+ * Applies the hard requirements, scores the remaining streams and sorts them by SORT_BY/SORT_ORDER.
+ * Each returned stream carries `score` and `scoreBreakdown`.
+ * @param {Array<Object>} streams - Processed streams from the worker.
+ * @param {Object} config - Effective request config.
+ * @param {Object} [options] - { continuity }: the remembered release identity of the show, if any.
+ * @returns {{ranked: Array<Object>, rejected: Object<string, number>, failed: Array<{stream: Object, requirement: string}>}}
+ *   - Sorted streams, rejection counts per requirement, and the rejected streams with the first requirement they failed.
+ */
+function rankStreams(streams, config, options = {}) {
+    const now = Date.now();
+    const requirements = (config.SCORE_REQUIREMENTS || []).map(parseRequirement);
+    const weights = getWeights(config);
+    // Without a remembered identity the factor is left out, so scores keep their scale
+    if (!options.continuity) weights.continuity = 0;
+    const rejected = {};
+    const failedStreams = [];
+
+    const candidates = [];
+    for (const stream of streams) {
+        const facts = getStreamFacts(stream, now);
+        const failed = requirements.find(requirement => !meetsRequirement(facts, requirement));
+        if (failed) {
+            rejected[failed.text] = (rejected[failed.text] || 0) + 1;
+            failedStreams.push({ stream, requirement: failed.text });
+            continue;
+        }
+        candidates.push({ stream, facts });
+    }
+
+    const context = {
+        maxSize: Math.max(0, ...candidates.map(candidate => candidate.facts.size)),
+        continuity: options.continuity || null,
+    };
+    const ranked = candidates.map(({ stream, facts }) => {
+        const { score, breakdown } = scoreStream(stream, facts, context, config, weights);
+        return Object.assign({}, stream, { score, scoreBreakdown: breakdown });
+    });
+
+    const sortBy = SORT_BY_OPTIONS.includes(config.SORT_BY) ? config.SORT_BY : 'score';
+    const direction = config.SORT_ORDER === 'asc' ? 1 : -1;
+    ranked.sort((a, b) => {
+        const difference = getSortValue(a, sortBy) - getSortValue(b, sortBy);
+        if (difference !== 0) return difference * direction;
+        if (a.score !== b.score) return b.score - a.score;
+        return (b.originalResult.Seeders || 0) - (a.originalResult.Seeders || 0);
+    });
+    return { ranked, rejected, failed: failedStreams };
+}
+
+/**
+ * Formats a score breakdown as a compact single line, for logs and debug output.
+ * @param {Object} breakdown - scoreBreakdown of a ranked stream.
+ * @returns {string}
+ */
+function formatScoreBreakdown(breakdown) {
+    return SCORE_FACTORS
+        .filter(factor => breakdown[factor] && breakdown[factor].weight !== 0)
+        .map(factor => `${factor}=${breakdown[factor].points}`)
+        .join(' ');
+}
+
+module.exports = {
+    SCORE_FACTORS,
+    SORT_PRESET_IDS,
+    SORT_BY_OPTIONS,
+    SORT_ORDERS,
+    RequirementError,
+    parseRequirement,
+    getWeights,
+    rankStreams,
+    formatScoreBreakdown,
+};
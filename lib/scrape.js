@@ -0,0 +1,126 @@
+// lib/scrape.js - Live seeder counts for the top-ranked candidates, scraped from their trackers
+//
+// Indexers report seeders from their own crawls, often hours or days old. Before the final ranking, the
+// SCRAPE_TOP_N best candidates are scraped (BEP 15 UDP and HTTP, see lib/trackerClient.js) on their own
+// trackers (from the .torrent file and the magnet link) and the public trackers, at most
+// SCRAPE_TRACKERS_PER_TORRENT per torrent, all in parallel within SCRAPE_TIMEOUT_MS. Trackers see the same
+// swarm, so the highest counts win, as when merging indexer results. Streams with live numbers are marked
+// seedersVerified; the others keep the indexer's numbers. Live numbers are cached for SCRAPE_TTL_MINUTES.
+
+const { createCache } = require('./cache');
+const { createLogger } = require('./logger');
+const { scrapeTracker } = require('./trackerClient');
+const { normalizeTrackerUrl } = require('./trackers');
+
+const log = createLogger('scrape');
+
+// 0 turns scraping off
+const SCRAPE_TOP_N = parseInt(process.env.SCRAPE_TOP_N || '10', 10);
+const SCRAPE_TIMEOUT_MS = parseInt(process.env.SCRAPE_TIMEOUT_MS || '1500', 10);
+const SCRAPE_TRACKERS_PER_TORRENT = parseInt(process.env.SCRAPE_TRACKERS_PER_TORRENT || '5', 10);
+const SCRAPE_TTL_MS = parseFloat(process.env.SCRAPE_TTL_MINUTES || '10') * 60 * 1000;
+
+const scrapeCache = createCache('scrape');
+
+/**
+ * Extracts the tracker URLs (tr parameters) of a magnet link.
+ * @param {string} magnetUri
+ * @returns {string[]}
+ */
+function getMagnetTrackers(magnetUri) {
+    if (!magnetUri || !String(magnetUri).startsWith('magnet:?')) return [];
+    return new URLSearchParams(String(magnetUri).slice('magnet:?'.length)).getAll('tr')
+        .map(normalizeTrackerUrl)
+        .filter(Boolean);
+}
+
+function getScrapeTrackers(stream, publicTrackers) {
+    const result = stream.originalResult;
+    const own = [...(result.TorrentTrackers || []), ...getMagnetTrackers(result.MagnetUri)].map(normalizeTrackerUrl).filter(Boolean);
+    return [...new Set([...own, ...publicTrackers])].slice(0, SCRAPE_TRACKERS_PER_TORRENT);
+}
+
+/**
+ * Replaces the indexer's seeders/peers of the top candidates with live numbers from their trackers.
+ * Streams are updated in place: originalResult.Seeders/Peers get the live counts (Peers being seeders plus
+ * leechers, as indexers report it), indexerSeeders keeps the old count and liveSwarm the scrape.
+ * @param {Array<Object>} streams - Ranked streams, best first.
+ * @param {string[]} publicTrackers
+ * @param {AbortSignal} [signal] - Request deadline; the scrape also stops at SCRAPE_TIMEOUT_MS.
+ * @returns {Promise<Object|null>} - Summary { candidates, verified, cached, trackers, scrapes: [{protocol, outcome}] },
+ *   or null when scraping is off or there is nothing to scrape.
+ */
+async function refreshSeeders(streams, publicTrackers, signal) {
+    if (SCRAPE_TOP_N <= 0 || streams.length === 0) return null;
+    const candidates = streams.slice(0, SCRAPE_TOP_N);
+    const startTime = Date.now();
+
+    const swarms = new Map();
+    let cachedCount = 0;
+    // Infohashes to scrape by tracker, so every tracker is asked once for all of its torrents
+    const byTracker = new Map();
+    for (const stream of candidates) {
+        const cached = await scrapeCache.get(stream.infoHash);
+        if (cached) {
+            swarms.set(stream.infoHash, cached);
+            cachedCount++;
+            continue;
+        }
+        for (const tracker of getScrapeTrackers(stream, publicTrackers)) {
+            if (!byTracker.has(tracker)) byTracker.set(tracker, []);
+            const infoHashes = byTracker.get(tracker);
+            if (!infoHashes.includes(stream.infoHash)) infoHashes.push(stream.infoHash);
+        }
+    }
+
+    const timeout = AbortSignal.timeout(SCRAPE_TIMEOUT_MS);
+    const scrapeSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+    const trackers = [...byTracker.keys()];
+    const outcomes = await Promise.allSettled(trackers.map(tracker => scrapeTracker(tracker, byTracker.get(tracker), scrapeSignal)));
+
+    const scraped = new Map();
+    const scrapes = outcomes.map((outcome, index) => {
+        const tracker = trackers[index];
+        const protocol = new URL(tracker).protocol.replace(':', '');
+        if (outcome.status === 'rejected') {
+            log.debug(`Scrape of ${tracker} failed: ${outcome.reason.message}`);
+            return { protocol, outcome: scrapeSignal.aborted ? 'timeout' : 'error' };
+        }
+        for (const [infoHash, stats] of outcome.value) {
+            const swarm = scraped.get(infoHash) || { seeders: 0, leechers: 0, trackers: 0 };
+            swarm.seeders = Math.max(swarm.seeders, stats.seeders);
+            swarm.leechers = Math.max(swarm.leechers, stats.leechers);
+            swarm.trackers++;
+            scraped.set(infoHash, swarm);
+        }
+        return { protocol, outcome: 'ok' };
+    });
+    const checkedAt = new Date().toISOString();
+    for (const [infoHash, swarm] of scraped) {
+        const entry = Object.assign({ checkedAt }, swarm);
+        swarms.set(infoHash, entry);
+        await scrapeCache.set(infoHash, entry, SCRAPE_TTL_MS);
+    }
+
+    let verified = 0;
+    for (const stream of candidates) {
+        const swarm = swarms.get(stream.infoHash);
+        if (!swarm) continue;
+        stream.indexerSeeders = stream.originalResult.Seeders;
+        stream.originalResult.Seeders = swarm.seeders;
+        stream.originalResult.Peers = swarm.seeders + swarm.leechers;
+        stream.liveSwarm = swarm;
+        stream.seedersVerified = true;
+        verified++;
+    }
+
+    const failed = scrapes.filter(scrape => scrape.outcome !== 'ok').length;
+    log.info(`Live seeders for ${verified}/${candidates.length} candidates (${cachedCount} cached) from ${trackers.length - failed}/${trackers.length} trackers in ${Date.now() - startTime}ms.`);
+    return { candidates: candidates.length, verified, cached: cachedCount, trackers: trackers.length, scrapes };
+}
+
+module.exports = {
+    SCRAPE_TOP_N,
+    getMagnetTrackers,
+    refreshSeeders,
+};
@@ -0,0 +1,205 @@
+// lib/streamFormat.js - How streams are presented in Stremio: name/description templates and behaviorHints
+//
+// Templates are plain text with {placeholder} fields (STREAM_TEMPLATE_FIELDS) and may span several lines.
+// Text inside [[...]] is only shown when every placeholder in it has a value, so "[[💾 {size}]]" disappears
+// when the size is unknown; lines left empty are dropped. Without emoji, emoji are stripped from the output,
+// so the same templates work either way.
+
+const { pickFile } = require('./debrid/common');
+const { getReleaseIdentity, formatIdentity } = require('./continuity');
+const { getLanguageName } = require('./languages');
+
+const DEFAULT_NAME_TEMPLATE = '[[{debrid} ]]Jackett\n[[{resolution}]][[ {hdr}]]';
+const DEFAULT_DESCRIPTION_TEMPLATE = [
+    '{title}',
+    '[[🎥 {source}]][[ 🎞️ {codec}]][[ 🔊 {audio}]][[ {channels}]]',
+    '[[{cached} ]][[💾 {size}]][[ 👤 {seeders}]][[{live}]][[ 📅 {age}]][[ ⚙️ {tracker}]]',
+    '[[🌐 {languages}]][[ 🏷️ {group}]]',
+    '[[📦 {pack}]][[ 📄 {filename}]]',
+].join('\n');
+
+// Placeholders available in templates
+const STREAM_TEMPLATE_FIELDS = [
+    'title', 'resolution', 'source', 'codec', 'hdr', 'audio', 'channels', 'languages', 'subtitles', 'size',
+    'seeders', 'live', 'peers', 'tracker', 'provider', 'age', 'group', 'edition', 'filename', 'pack', 'debrid',
+    'cached', 'score',
+];
+
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+const GROUP_REGEX = /\[\[([\s\S]*?)\]\]/g;
+const EMOJI_REGEX = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu;
+
+// Display spellings of parsed tags; anything else is shown upper-cased
+const DISPLAY_NAMES = {
+    '2160p': '4K', 'bluray': 'BluRay', 'web-dl': 'WEB-DL', 'webrip': 'WEBRip', 'bdrip': 'BDRip', 'hdrip': 'HDRip',
+    'dvdrip': 'DVDRip', 'remux': 'REMUX', 'dv': 'DV', 'hdr10+': 'HDR10+', 'truehd': 'TrueHD', 'atmos': 'Atmos',
+    'dts-hd ma': 'DTS-HD MA', 'eac3': 'DD+', 'ac3': 'DD', 'flac': 'FLAC', 'opus': 'Opus', 'xvid': 'XviD',
+};
+
+/**
+ * Finds the placeholders of a template that aren't STREAM_TEMPLATE_FIELDS.
+ * @param {string} template
+ * @returns {string[]}
+ */
+function findUnknownPlaceholders(template) {
+    return [...String(template).matchAll(PLACEHOLDER_REGEX)]
+        .map(match => match[1])
+        .filter(name => !STREAM_TEMPLATE_FIELDS.includes(name));
+}
+
+/**
+ * Renders a template with field values; see the file header for the syntax.
+ * @param {string} template
+ * @param {Object<string, string>} fields - Values by placeholder; empty for unknown values.
+ * @param {boolean} emoji - Keep emoji in the output.
+ * @returns {string}
+ */
+function renderTemplate(template, fields, emoji) {
+    const fill = text => text.replace(PLACEHOLDER_REGEX, (match, name) => fields[name] || '');
+    let text = template.replace(GROUP_REGEX, (match, group) => {
+        const names = [...group.matchAll(PLACEHOLDER_REGEX)].map(placeholder => placeholder[1]);
+        return names.every(name => fields[name]) ? fill(group) : '';
+    });
+    text = fill(text);
+    if (!emoji) text = text.replace(EMOJI_REGEX, '');
+    return text.split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+}
+
+function displayName(tag) {
+    if (!tag) return '';
+    return DISPLAY_NAMES[tag] || String(tag).toUpperCase();
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function formatSize(bytes) {
+    if (!bytes) return '';
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+    return `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+function formatAge(date, now) {
+    const time = date ? new Date(date).getTime() : NaN;
+    if (!Number.isFinite(time)) return '';
+    const hours = Math.max((now - time) / (60 * 60 * 1000), 0);
+    if (hours < 24) return `${Math.floor(hours)}h`;
+    const days = hours / 24;
+    if (days < 30) return `${Math.floor(days)}d`;
+    if (days < 365) return `${Math.floor(days / 30)}mo`;
+    return `${Math.floor(days / 365)}y`;
+}
+
+/**
+ * Lists a stream's audio languages: those computed for ranking (see getReleaseLanguages), with the ones
+ * assumed from UNTAGGED_LANGUAGE marked as such, or the release name's for streams without them.
+ */
+function formatLanguages(stream) {
+    const release = stream.release;
+    const computed = stream.languages;
+    const languages = computed
+        ? computed.audio.map(code => (computed.assumed ? `${getLanguageName(code)} (assumed)` : getLanguageName(code)))
+        : release.languages.map(getLanguageName);
+    if (release.flags.multi) languages.push('Multi');
+    if (release.flags.dualAudio) languages.push('Dual Audio');
+    return languages.join(' / ');
+}
+
+/**
+ * The file a stream plays, when known: the located season pack episode, otherwise the largest video file
+ * of a resolved .torrent.
+ * @returns {{name: string, size: number}|null}
+ */
+function getPlayedFile(stream) {
+    if (stream.filename) return { name: stream.filename, size: stream.fileSize || 0 };
+    const file = pickFile(stream.originalResult.TorrentFiles);
+    return file ? { name: file.name.split('/').pop(), size: file.size } : null;
+}
+
+/**
+ * Collects the template field values of a ranked stream.
+ * @param {Object} stream - Ranked stream (see torrentProcessorWorker.js and lib/scoring.js).
+ * @param {Object} context - { debridProvider, cached, now }.
+ * @returns {Object<string, string>}
+ */
+function getTemplateFields(stream, context) {
+    const result = stream.originalResult;
+    const release = stream.release;
+    const file = getPlayedFile(stream);
+    const pack = stream.seasonPack;
+    let debrid = '';
+    let cached = '';
+    if (context.debridProvider) {
+        debrid = `[${context.debridProvider.shortName}${context.cached ? '+' : ''}]`;
+        cached = context.cached ? '⚡ Cached' : '⏳ Download';
+    }
+    return {
+        title: result.Title || '',
+        resolution: DISPLAY_NAMES[stream.parsedDetails.resolution] || stream.parsedDetails.resolution || '',
+        source: displayName(release.source),
+        codec: displayName(release.codec),
+        hdr: release.hdr.map(displayName).join(' '),
+        audio: release.audio.map(displayName).join(' '),
+        channels: release.channels || '',
+        languages: formatLanguages(stream),
+        subtitles: (stream.languages ? stream.languages.subtitles : release.subtitles).map(getLanguageName).join(' / '),
+        size: formatSize(result.Size),
+        seeders: result.Seeders !== undefined && result.Seeders !== null ? String(result.Seeders) : '',
+        // Seeders confirmed by scraping the trackers (see lib/scrape.js)
+        live: stream.seedersVerified ? '✓' : '',
+        peers: result.Peers !== undefined && result.Peers !== null ? String(result.Peers) : '',
+        // Every indexer listing the torrent or one of its collapsed re-uploads
+        tracker: (stream.trackerNames && stream.trackerNames.length > 0 ? stream.trackerNames : [result.Tracker].filter(Boolean)).join(', '),
+        provider: result.Provider || '',
+        age: formatAge(stream.effectivePublishedDate, context.now),
+        group: release.group || '',
+        edition: release.edition ? capitalize(release.edition) : '',
+        filename: file ? file.name : '',
+        pack: pack ? (pack.from === pack.to ? `Season ${pack.from} pack` : `Seasons ${pack.from}-${pack.to} pack`) : '',
+        debrid,
+        cached,
+        score: stream.score !== undefined ? String(stream.score) : '',
+    };
+}
+
+/**
+ * Builds the presentation of a stream: name, description and behaviorHints.
+ * bingeGroup is the release identity (group, resolution, source, language; see lib/continuity.js) and the
+ * delivery (P2P or the debrid service), so Stremio's next-episode auto-play stays on the same kind of release;
+ * videoSize and filename help the player and subtitle matching, and are only set when known.
+ * @param {Object} stream - Ranked stream.
+ * @param {Object} config - Effective request config (STREAM_NAME_TEMPLATE, STREAM_DESCRIPTION_TEMPLATE, STREAM_EMOJI).
+ * @param {Object} context - { debridProvider, cached: boolean, now: number }.
+ * @returns {{name: string, description: string, behaviorHints: Object}}
+ */
+function formatStream(stream, config, context) {
+    const fields = getTemplateFields(stream, context);
+    const file = getPlayedFile(stream);
+
+    const delivery = context.debridProvider ? context.debridProvider.id : 'p2p';
+    const bingeGroup = `jackett|${delivery}|${formatIdentity(getReleaseIdentity(stream))}`;
+    const behaviorHints = { bingeGroup };
+    if (file && file.size) behaviorHints.videoSize = file.size;
+    // Without a file list, a single release's torrent size is the closest there is; packs hold many files
+    else if (!stream.seasonPack && stream.originalResult.Size) behaviorHints.videoSize = stream.originalResult.Size;
+    if (file) behaviorHints.filename = file.name;
+
+    return {
+        name: renderTemplate(config.STREAM_NAME_TEMPLATE, fields, config.STREAM_EMOJI),
+        description: renderTemplate(config.STREAM_DESCRIPTION_TEMPLATE, fields, config.STREAM_EMOJI),
+        behaviorHints,
+    };
+}
+
+module.exports = {
+    DEFAULT_NAME_TEMPLATE,
+    DEFAULT_DESCRIPTION_TEMPLATE,
+    STREAM_TEMPLATE_FIELDS,
+    findUnknownPlaceholders,
+    renderTemplate,
+    formatStream,
+};
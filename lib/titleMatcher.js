@@ -0,0 +1,183 @@
+// lib/titleMatcher.js - Fuzzy matching of release titles against expected titles
+//
+// Both sides are tokenised and normalised (diacritics, "&", articles, roman numerals, number words,
+// ordinals and abbreviations such as "Vol."), then compared token by token. The confidence is the share
+// of expected tokens found, lowered by the significant words the release has on top: "It Follows" is
+// not "It", and "Movie 2" is not "Movie" (numbers weigh more, as they usually mark a sequel or season).
+
+// Matches below this confidence are rejected
+const MIN_TITLE_CONFIDENCE = parseFloat(process.env.MIN_TITLE_CONFIDENCE || '0.7');
+// Releases may differ from the metadata year by this much (festival vs theatrical release, late uploads)
+const YEAR_TOLERANCE = 1;
+
+const ARTICLES = new Set(['the', 'a', 'an', 'le', 'la', 'les', 'l', 'der', 'die', 'das', 'el', 'los', 'las', 'il', 'lo', 'gli', 'de', 'het']);
+// Words release names add to a title that don't make it a different title
+const NOISE_WORDS = new Set([
+    'extended', 'directors', 'director', 'cut', 'edition', 'theatrical', 'unrated', 'uncut', 'remastered', 'imax',
+    'complete', 'collection', 'proper', 'repack', 'internal', 'limited', 'hybrid', 'multi', 'dual', 'audio',
+    'us', 'uk', 'au', 'nz', 'ca', 'version', 'dc', 'final', 'special', 'criterion', 'anniversary',
+]);
+// Abbreviations written out either way ("Vol. 1" / "Volume 1", "Pt. 2" / "Part 2")
+const WORD_ALIASES = { volume: 'vol', pt: 'part', ep: 'episode', vs: 'versus' };
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const ROMAN_NUMERALS = {
+    ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10,
+    xi: 11, xii: 12, xiii: 13, xiv: 14, xv: 15, xvi: 16, xvii: 17, xviii: 18, xix: 19, xx: 20,
+};
+const EXTRA_WORD_WEIGHT = 1;
+const EXTRA_NUMBER_WEIGHT = 1.5;
+
+/**
+ * Splits a title into normalised tokens.
+ * @param {string} title
+ * @returns {string[]}
+ */
+function tokenizeTitle(title) {
+    const words = String(title || '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/'/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+
+    const tokens = [];
+    words.forEach((word, index) => {
+        // "Part I", "Chapter I": a lone "i" is only a numeral after such words
+        if (word === 'i' && index > 0 && ['part', 'pt', 'chapter', 'episode', 'ep', 'volume', 'vol'].includes(words[index - 1])) {
+            tokens.push('1');
+        } else if (ROMAN_NUMERALS[word] && (word.length > 1 || index > 0)) {
+            tokens.push(String(ROMAN_NUMERALS[word]));
+        } else if (NUMBER_WORDS[word]) {
+            tokens.push(String(NUMBER_WORDS[word]));
+        } else if (/^\d+(?:st|nd|rd|th)$/.test(word)) {
+            tokens.push(String(parseInt(word, 10)));
+        } else if (/^0+\d+$/.test(word)) {
+            tokens.push(String(parseInt(word, 10)));
+        } else if (!ARTICLES.has(word) || words.length === 1) {
+            tokens.push(WORD_ALIASES[word] || word);
+        }
+    });
+    return tokens;
+}
+
+/**
+ * Levenshtein distance, bounded: returns max + 1 as soon as the distance exceeds max.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How well a release token matches an expected token: 1 when equal, 0.8 for a one-letter typo in a
+ * longer word, 0 otherwise. Numbers must match exactly, and a plural is no typo: "Aliens" is the sequel
+ * of "Alien", not a misspelling.
+ */
+function tokenSimilarity(expected, candidate) {
+    if (expected === candidate) return 1;
+    if (/^\d+$/.test(expected) || /^\d+$/.test(candidate) || expected.length < 5) return 0;
+    if (`${expected}s` === candidate || `${candidate}s` === expected) return 0;
+    return editDistance(expected, candidate, 1) <= 1 ? 0.8 : 0;
+}
+
+/**
+ * Compares a release title against one expected title.
+ * @returns {{confidence: number, missing: string[], extra: string[]}}
+ */
+function compareTitles(expectedTitle, releaseTitle) {
+    const expected = tokenizeTitle(expectedTitle);
+    const candidate = tokenizeTitle(releaseTitle);
+    if (expected.length === 0 || candidate.length === 0) return { confidence: 0, missing: expected, extra: candidate };
+    // Spacing differences ("Spider Man" / "Spiderman", "WALL-E" / "Walle") are a full match
+    if (expected.join('') === candidate.join('')) return { confidence: 1, missing: [], extra: [] };
+
+    const unused = candidate.slice();
+    const missing = [];
+    let matched = 0;
+    for (const token of expected) {
+        let bestIndex = -1;
+        let best = 0;
+        unused.forEach((candidateToken, index) => {
+            const similarity = tokenSimilarity(token, candidateToken);
+            if (similarity > best) {
+                best = similarity;
+                bestIndex = index;
+            }
+        });
+        if (bestIndex === -1) {
+            missing.push(token);
+            continue;
+        }
+        matched += best;
+        unused.splice(bestIndex, 1);
+    }
+
+    const extra = unused.filter(token => !NOISE_WORDS.has(token));
+    const extraWeight = extra.reduce((sum, token) => sum + (/^\d+$/.test(token) ? EXTRA_NUMBER_WEIGHT : EXTRA_WORD_WEIGHT), 0);
+    const confidence = matched / (expected.length + extraWeight);
+    return { confidence: Math.round(confidence * 1000) / 1000, missing, extra };
+}
+
+/**
+ * Matches a release against the expected titles of a movie or series.
+ * @param {string[]} expectedTitles - Main title first, then aliases.
+ * @param {Object} release - Parsed release name (see lib/releaseParser.js).
+ * @param {Object} [options]
+ * @param {number|null} [options.year] - Expected year (first air year for series).
+ * @param {string} [options.type] - 'movie' or 'series'; movies must be within YEAR_TOLERANCE of the year,
+ *   series only can't be older than it.
+ * @returns {{matched: boolean, confidence: number, title: string|null, reason: string|null}} - The best matching
+ *   title and its confidence; `reason` explains a rejection.
+ */
+function matchTitle(expectedTitles, release, options = {}) {
+    if (!release.title) return { matched: false, confidence: 0, title: null, reason: 'no title found in release name' };
+
+    let best = null;
+    for (const expectedTitle of expectedTitles) {
+        if (!expectedTitle) continue;
+        const comparison = compareTitles(expectedTitle, release.title);
+        if (!best || comparison.confidence > best.confidence) best = Object.assign({ title: expectedTitle }, comparison);
+        if (best.confidence === 1) break;
+    }
+    if (!best) return { matched: false, confidence: 0, title: null, reason: 'no expected title' };
+
+    if (best.confidence < MIN_TITLE_CONFIDENCE) {
+        const details = [];
+        if (best.missing.length > 0) details.push(`missing "${best.missing.join(' ')}"`);
+        if (best.extra.length > 0) details.push(`extra "${best.extra.join(' ')}"`);
+        return {
+            matched: false,
+            confidence: best.confidence,
+            title: best.title,
+            reason: `title "${release.title}" matches "${best.title}" with confidence ${best.confidence}${details.length > 0 ? ` (${details.join(', ')})` : ''}`,
+        };
+    }
+
+    const { year, type } = options;
+    if (year && release.year) {
+        const yearMismatch = type === 'movie' ? Math.abs(release.year - year) > YEAR_TOLERANCE : release.year < year - YEAR_TOLERANCE;
+        if (yearMismatch) {
+            return { matched: false, confidence: best.confidence, title: best.title, reason: `year ${release.year} does not match ${year}` };
+        }
+    }
+    return { matched: true, confidence: best.confidence, title: best.title, reason: null };
+}
+
+module.exports = {
+    MIN_TITLE_CONFIDENCE,
+    tokenizeTitle,
+    matchTitle,
+};
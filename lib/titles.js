@@ -0,0 +1,83 @@
+// lib/titles.js - Title aliases for searching and validation
+//
+// OMDb and TMDB (en-US) only give the English title, while many releases are named by the original or a
+// localized title ("Parasite" vs "Gisaengchung"), spell "&" as "and", or drop the subtitle after a colon.
+// The aliases collected here are searched (a few distinct ones) and accepted when validating results.
+
+// Distinct title variants searched per request, the main title included
+const TITLE_SEARCH_VARIANTS = Math.max(parseInt(process.env.TITLE_SEARCH_VARIANTS || '3', 10), 1);
+
+/**
+ * Comparison key of a title: lowercase, without diacritics, punctuation or extra spaces.
+ */
+function titleKey(title) {
+    return String(title || '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Whether a title is written in Latin script, so it can appear in a scene release name.
+ */
+function isLatinTitle(title) {
+    return /^[\p{Script=Latin}\p{N}\p{P}\p{Z}\p{S}\p{M}]+$/u.test(String(title || ''));
+}
+
+/**
+ * Spelling variants of a title: "&" / "and" swapped, and the title without its subtitle after a colon or
+ * dash.
+ */
+function getSpellingVariants(title) {
+    const variants = [];
+    if (/\s&\s/.test(title)) variants.push(title.replace(/\s&\s/g, ' and '));
+    else if (/\sand\s/i.test(title)) variants.push(title.replace(/\sand\s/gi, ' & '));
+    // Greedy, so only the last subtitle goes: "Mission: Impossible - Dead Reckoning" keeps "Mission: Impossible"
+    const subtitleMatch = title.match(/^(.{3,})(?::|\s[-–]\s)\s*\S/);
+    if (subtitleMatch) variants.push(subtitleMatch[1].trim());
+    return variants;
+}
+
+/**
+ * Collects the aliases of a title from its metadata.
+ * @param {Object} metadata - { title, titles?, originalTitle?, originalLanguage?, alternativeTitles?, translatedTitles? }
+ *   as built from OMDb/TMDB (translatedTitles maps ISO 639-1 codes to titles).
+ * @param {string[]} languageCodes - ISO 639-1 codes of the preferred and required languages; translations
+ *   into these are used.
+ * @returns {{searchTitles: string[], aliases: string[]}} - searchTitles: up to TITLE_SEARCH_VARIANTS distinct
+ *   titles to search for, the main title first; aliases: every title a release may be named by.
+ */
+function getTitleAliases(metadata, languageCodes) {
+    const translations = metadata.translatedTitles || {};
+    const preferredTranslations = languageCodes.filter(code => code !== 'en').map(code => translations[code]);
+    const original = metadata.originalTitle && metadata.originalTitle !== metadata.title ? metadata.originalTitle : null;
+    // The original title is searched when it can appear in a release name or is in a preferred language
+    const searchOriginal = original && (isLatinTitle(original) || languageCodes.includes(metadata.originalLanguage)) ? original : null;
+
+    const searchCandidates = [metadata.title, ...preferredTranslations, searchOriginal, ...getSpellingVariants(metadata.title)];
+    const searchTitles = [];
+    const searchKeys = new Set();
+    for (const title of searchCandidates) {
+        const key = titleKey(title);
+        if (!key || searchKeys.has(key) || searchTitles.length >= TITLE_SEARCH_VARIANTS) continue;
+        searchKeys.add(key);
+        searchTitles.push(title);
+    }
+
+    const aliases = [];
+    const aliasKeys = new Set([titleKey(metadata.title)]);
+    const aliasCandidates = [...(metadata.titles || []), original, ...preferredTranslations, ...(metadata.alternativeTitles || [])];
+    for (const title of [...aliasCandidates, ...aliasCandidates.filter(Boolean).flatMap(getSpellingVariants), ...getSpellingVariants(metadata.title)]) {
+        const key = titleKey(title);
+        if (!key || aliasKeys.has(key)) continue;
+        aliasKeys.add(key);
+        aliases.push(title);
+    }
+    return { searchTitles, aliases };
+}
+
+module.exports = {
+    getTitleAliases,
+};
@@ -0,0 +1,256 @@
+// lib/torrentFiles.js - Downloads and parses .torrent files (infohash, trackers, file list), resolves
+// .torrent-only search results and locates episode files inside season packs
+
+const crypto = require('crypto');
+const { decode } = require('./bencode');
+const { TORRENT_TTL_MS, createCache } = require('./cache');
+const { isVideoFile } = require('./debrid/common');
+const { createLogger } = require('./logger');
+
+const log = createLogger('torrent');
+
+const TORRENT_FETCH_TIMEOUT_MS = parseInt(process.env.TORRENT_FETCH_TIMEOUT_MS || '10000', 10);
+const TORRENT_FETCH_CONCURRENCY = parseInt(process.env.TORRENT_FETCH_CONCURRENCY || '4', 10);
+const TORRENT_MAX_BYTES = parseInt(process.env.TORRENT_MAX_SIZE_KB || '5120', 10) * 1024;
+// Upper bound of .torrent-only results resolved per request (best-seeded first)
+const TORRENT_RESOLVE_LIMIT = parseInt(process.env.TORRENT_RESOLVE_LIMIT || '30', 10);
+const MAX_REDIRECTS = 5;
+
+const torrentCache = createCache('torrents');
+
+// Simple semaphore so a burst of requests never opens more than TORRENT_FETCH_CONCURRENCY downloads
+let activeDownloads = 0;
+const waitingDownloads = [];
+
+async function acquireDownloadSlot() {
+    if (activeDownloads < TORRENT_FETCH_CONCURRENCY) {
+        activeDownloads++;
+        return;
+    }
+    await new Promise(resolve => waitingDownloads.push(resolve));
+}
+
+function releaseDownloadSlot() {
+    const next = waitingDownloads.shift();
+    if (next) next();
+    else activeDownloads--;
+}
+
+/**
+ * Decodes a bencoded byte string, preferring the UTF-8 variant of a key when the torrent provides one.
+ */
+function textField(dict, key) {
+    const value = dict[`${key}.utf-8`] || dict[key];
+    return Buffer.isBuffer(value) ? value.toString('utf8') : (value === undefined ? null : String(value));
+}
+
+/**
+ * Parses a .torrent file.
+ * File indexes follow the order of the torrent's file list (padding files included), which is the
+ * order Stremio uses for `fileIdx`.
+ * @param {Buffer} buffer - Raw .torrent contents.
+ * @returns {{infoHash: string, name: string, trackers: string[], files: Array<{index: number, name: string, size: number}>}}
+ */
+function parseTorrent(buffer) {
+    const { value: torrent, ranges } = decode(buffer);
+    if (!torrent || typeof torrent !== 'object' || !torrent.info || !ranges.info) {
+        throw new Error('Torrent file has no info dictionary');
+    }
+    const info = torrent.info;
+    const infoHash = crypto.createHash('sha1').update(buffer.subarray(ranges.info.start, ranges.info.end)).digest('hex');
+    const name = textField(info, 'name') || infoHash;
+
+    let files;
+    if (Array.isArray(info.files)) {
+        files = info.files.map((file, index) => {
+            const parts = (file['path.utf-8'] || file.path || []).map(part => part.toString('utf8'));
+            return { index, name: [name, ...parts].join('/'), size: file.length || 0 };
+        });
+    } else {
+        files = [{ index: 0, name, size: info.length || 0 }];
+    }
+
+    const trackers = [];
+    const announceList = Array.isArray(torrent['announce-list']) ? torrent['announce-list'] : [];
+    for (const tracker of [torrent.announce, ...announceList.flat()]) {
+        if (!Buffer.isBuffer(tracker)) continue;
+        const url = tracker.toString('utf8').trim();
+        if (url && !trackers.includes(url)) trackers.push(url);
+    }
+
+    return { infoHash, name, trackers, files };
+}
+
+/**
+ * Reads a response body, refusing anything larger than TORRENT_MAX_BYTES.
+ */
+async function readLimitedBody(response) {
+    const declaredLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredLength > TORRENT_MAX_BYTES) throw new Error(`Torrent file too large (${declaredLength} bytes)`);
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body) {
+        total += chunk.length;
+        if (total > TORRENT_MAX_BYTES) throw new Error(`Torrent file exceeds ${TORRENT_MAX_BYTES} bytes`);
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Downloads a .torrent link, following redirects manually because indexer download proxies
+ * (e.g. Jackett's /dl/ links) may answer with a redirect to a magnet URI instead of a file.
+ * @returns {Promise<{buffer?: Buffer, magnetUri?: string}>}
+ */
+async function downloadTorrent(link, signal) {
+    let url = link;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        const response = await fetch(url, { redirect: 'manual', signal });
+        if (response.status >= 300 && response.status < 400) {
+            const location = response.headers.get('location');
+            if (!location) throw new Error(`HTTP ${response.status} without a Location header`);
+            if (location.startsWith('magnet:')) return { magnetUri: location };
+            url = new URL(location, url).toString();
+            continue;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        return { buffer: await readLimitedBody(response) };
+    }
+    throw new Error('Too many redirects');
+}
+
+/**
+ * Fetches and parses the .torrent behind a download link. Results (including magnet-only answers) are
+ * cached by link for CACHE_TORRENT_TTL_DAYS. Failures are logged and reported as null.
+ * @param {string} link - Download URL of the .torrent file.
+ * @param {AbortSignal} [signal] - Request deadline; each download also stops after TORRENT_FETCH_TIMEOUT_MS.
+ * @returns {Promise<{infoHash: string|null, name?: string, trackers: string[], files: Array, magnetUri?: string}|null>}
+ */
+async function fetchTorrentMetadata(link, signal) {
+    const cacheKey = `link:${link}`;
+    const cached = await torrentCache.get(cacheKey);
+    if (cached) return cached;
+
+    await acquireDownloadSlot();
+    try {
+        if (signal && signal.aborted) return null;
+        const timeoutSignal = AbortSignal.timeout(TORRENT_FETCH_TIMEOUT_MS);
+        const downloaded = await downloadTorrent(link, signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal);
+
+        let metadata;
+        if (downloaded.magnetUri) {
+            const hashMatch = downloaded.magnetUri.match(/btih:([^&/]+)/i);
+            metadata = { infoHash: hashMatch ? hashMatch[1].toLowerCase() : null, trackers: [], files: [], magnetUri: downloaded.magnetUri };
+        } else {
+            metadata = parseTorrent(downloaded.buffer);
+        }
+        await torrentCache.set(cacheKey, metadata, TORRENT_TTL_MS);
+        return metadata;
+    } catch (error) {
+        const message = error.name === 'TimeoutError' || error.name === 'AbortError' ? 'request timed out' : error.message;
+        log.warn(`Failed to fetch torrent file: ${message}`);
+        return null;
+    } finally {
+        releaseDownloadSlot();
+    }
+}
+
+/**
+ * Checks whether a search result already carries a v1 infohash, directly or in its magnet URI.
+ */
+function hasInfoHash(result) {
+    return !!(result.InfoHash || (typeof result.MagnetUri === 'string' && /btih:[^&/]+/i.test(result.MagnetUri)));
+}
+
+/**
+ * Resolves results that only link to a .torrent file (common with private indexers behind Jackett's
+ * download proxy) by downloading and hashing the file. Resolved results gain InfoHash plus the torrent's
+ * own trackers (TorrentTrackers) and file list (TorrentFiles); the size is filled in when the indexer
+ * didn't report it. Results that can't be resolved are returned unchanged.
+ * @param {Array<Object>} results - Search results in the shared (Jackett JSON) shape.
+ * @param {AbortSignal} [signal] - Request deadline; downloads still queued when it fires are skipped.
+ * @returns {Promise<{results: Array<Object>, resolved: number, attempted: number}>}
+ */
+async function resolveTorrentLinks(results, signal) {
+    const pending = results
+        .filter(result => !hasInfoHash(result) && result.Link)
+        .sort((a, b) => (b.Seeders || 0) - (a.Seeders || 0))
+        .slice(0, TORRENT_RESOLVE_LIMIT);
+    if (pending.length === 0) return { results, resolved: 0, attempted: 0 };
+
+    // Merged provider results can list the same link more than once; download each link only once
+    const downloads = new Map();
+    const resolvedByResult = new Map();
+    await Promise.all(pending.map(async (result) => {
+        if (!downloads.has(result.Link)) downloads.set(result.Link, fetchTorrentMetadata(result.Link, signal));
+        const torrent = await downloads.get(result.Link);
+        if (!torrent || !torrent.infoHash) return;
+        const totalSize = torrent.files.reduce((sum, file) => sum + file.size, 0);
+        resolvedByResult.set(result, Object.assign({}, result, {
+            InfoHash: torrent.infoHash,
+            MagnetUri: result.MagnetUri || torrent.magnetUri || null,
+            Size: result.Size || totalSize,
+            TorrentTrackers: torrent.trackers,
+            TorrentFiles: torrent.files,
+        }));
+    }));
+
+    return {
+        results: results.map(result => resolvedByResult.get(result) || result),
+        resolved: resolvedByResult.size,
+        attempted: pending.length,
+    };
+}
+
+/**
+ * Reads the season/episode numbers from a file path inside a torrent.
+ * Recognises S02E05, 2x05, "Season 2/Episode 05" style folders, "05 - Title.mkv" names and anime
+ * numbering ("[Group] Title - 05v2 [1080p].mkv").
+ * @param {string} filePath - File path including folders.
+ * @returns {{season: number|null, episode: number}|null}
+ */
+function parseEpisodeFromPath(filePath) {
+    const parts = filePath.split('/');
+    const fileName = parts.pop();
+
+    let match = fileName.match(/s(\d{1,2})[ ._-]?e(\d{1,3})(?!\d)/i);
+    if (match) return { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) };
+    match = fileName.match(/(?:^|[^\d])(\d{1,2})x(\d{2,3})(?!\d)/i);
+    if (match) return { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) };
+
+    const folderSeason = parts.join('/').match(/\b(?:season|saison|staffel|s)[ ._-]?(\d{1,2})(?!\d)/i);
+    const season = folderSeason ? parseInt(folderSeason[1], 10) : null;
+    match = fileName.match(/\b(?:episode|ep|e)[ ._-]?(\d{1,3})(?!\d)/i) || fileName.match(/^(\d{1,3})(?!\d)[ ._-]/) ||
+        fileName.match(/ - (\d{1,4})(?:v\d)?(?![a-z0-9])/i);
+    if (match) return { season, episode: parseInt(match[1], 10) };
+    return null;
+}
+
+/**
+ * Finds the video file for an episode in a torrent's file list.
+ * Files without a season number only match when the pack covers a single season.
+ * @param {Array<{index: number, name: string, size: number}>} files - Files from parseTorrent.
+ * @param {number|null} season - Requested season (null when unknown, as for some anime IDs).
+ * @param {number|number[]} episode - Requested episode, or the numbers it may carry (absolute and per-season).
+ * @param {boolean} [singleSeason] - Whether the pack contains only the requested season.
+ * @returns {Object|null} - The matching file entry (largest if several match), or null.
+ */
+function findEpisodeFile(files, season, episode, singleSeason = false) {
+    const episodes = Array.isArray(episode) ? episode : [episode];
+    const matches = files.filter(file => {
+        if (!isVideoFile(file.name) || /\bsample\b/i.test(file.name)) return false;
+        const parsed = parseEpisodeFromPath(file.name);
+        if (!parsed || !episodes.includes(parsed.episode)) return false;
+        return parsed.season === season || (parsed.season === null && singleSeason) || (!season && parsed.season === null);
+    });
+    if (matches.length === 0) return null;
+    return matches.reduce((largest, file) => (file.size > largest.size ? file : largest), matches[0]);
+}
+
+module.exports = {
+    parseTorrent,
+    fetchTorrentMetadata,
+    resolveTorrentLinks,
+    parseEpisodeFromPath,
+    findEpisodeFile,
+};
@@ -0,0 +1,193 @@
+// lib/trackerClient.js - Minimal BitTorrent tracker client: BEP 15 UDP connect/scrape and HTTP scrape
+//
+// Only what the addon needs to check trackers and read live swarm sizes; nothing is announced here.
+// Every call takes an AbortSignal that bounds the whole exchange.
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { decode } = require('./bencode');
+
+// Magic constant opening every BEP 15 connect request
+const UDP_PROTOCOL_ID = 0x41727101980n;
+const ACTION_CONNECT = 0;
+const ACTION_SCRAPE = 2;
+const ACTION_ERROR = 3;
+// BEP 15 allows about 74 infohashes per scrape packet
+const UDP_SCRAPE_BATCH = 70;
+// Long query strings are refused by some HTTP trackers
+const HTTP_SCRAPE_BATCH = 40;
+const MAX_HTTP_RESPONSE_BYTES = 256 * 1024;
+// Scrape requests carry raw 20-byte infohashes; anything else would misalign the packet
+const INFO_HASH_REGEX = /^[a-f0-9]{40}$/;
+
+class TrackerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TrackerError';
+    }
+}
+
+function abortError(signal) {
+    if (signal.reason instanceof Error && signal.reason.name === 'TimeoutError') return new TrackerError('no answer in time');
+    return new TrackerError('aborted');
+}
+
+/**
+ * Opens a UDP socket to a tracker, runs `session` with an exchange function and closes the socket.
+ * exchange(connectionId, action, body) sends one request and resolves with the response after its
+ * action/transaction header, or rejects on a tracker error, a socket error or the signal.
+ */
+async function withUdpTracker(url, signal, session) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const port = Number(url.port);
+    const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+    // transactionId -> { action, resolve, reject }
+    const pending = new Map();
+    const failAll = (error) => {
+        for (const entry of pending.values()) entry.reject(error);
+        pending.clear();
+    };
+    const onAbort = () => failAll(abortError(signal));
+
+    socket.on('error', failAll);
+    socket.on('message', (message) => {
+        if (message.length < 8) return;
+        const transactionId = message.readUInt32BE(4);
+        const entry = pending.get(transactionId);
+        if (!entry) return;
+        pending.delete(transactionId);
+        const action = message.readUInt32BE(0);
+        if (action === ACTION_ERROR) entry.reject(new TrackerError(`tracker error: ${message.subarray(8).toString('utf8')}`));
+        else if (action !== entry.action) entry.reject(new TrackerError(`unexpected action ${action}`));
+        else entry.resolve(message.subarray(8));
+    });
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    const exchange = (connectionId, action, body) => new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(abortError(signal));
+            return;
+        }
+        const transactionId = crypto.randomBytes(4).readUInt32BE(0);
+        const packet = Buffer.alloc(16 + body.length);
+        packet.writeBigUInt64BE(connectionId, 0);
+        packet.writeUInt32BE(action, 8);
+        packet.writeUInt32BE(transactionId, 12);
+        body.copy(packet, 16);
+        pending.set(transactionId, { action, resolve, reject });
+        socket.send(packet, port, host, (error) => {
+            if (!error) return;
+            pending.delete(transactionId);
+            reject(error);
+        });
+    });
+
+    try {
+        return await session(exchange);
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+        socket.close();
+    }
+}
+
+async function connectUdp(exchange) {
+    const response = await exchange(UDP_PROTOCOL_ID, ACTION_CONNECT, Buffer.alloc(0));
+    if (response.length < 8) throw new TrackerError('short connect response');
+    return response.readBigUInt64BE(0);
+}
+
+/**
+ * Checks that a UDP tracker answers a BEP 15 connect request.
+ * @param {URL} url - udp:// announce URL.
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function connectUdpTracker(url, signal) {
+    return withUdpTracker(url, signal, connectUdp);
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+async function scrapeUdp(url, infoHashes, signal) {
+    return withUdpTracker(url, signal, async (exchange) => {
+        const connectionId = await connectUdp(exchange);
+        const stats = new Map();
+        for (const batch of chunk(infoHashes, UDP_SCRAPE_BATCH)) {
+            const response = await exchange(connectionId, ACTION_SCRAPE, Buffer.from(batch.join(''), 'hex'));
+            // seeders, completed, leechers per infohash, in request order
+            batch.forEach((infoHash, index) => {
+                const offset = index * 12;
+                if (response.length < offset + 12) return;
+                const entry = {
+                    seeders: response.readUInt32BE(offset),
+                    completed: response.readUInt32BE(offset + 4),
+                    leechers: response.readUInt32BE(offset + 8),
+                };
+                // UDP trackers answer all zeros for torrents they don't track
+                if (entry.seeders + entry.completed + entry.leechers > 0) stats.set(infoHash, entry);
+            });
+        }
+        return stats;
+    });
+}
+
+/**
+ * Derives the scrape URL of an HTTP tracker: by convention the last path segment's "announce" becomes
+ * "scrape". Trackers without "announce" there don't support scraping.
+ * @param {URL} url
+ * @returns {string|null}
+ */
+function getHttpScrapeUrl(url) {
+    const segments = url.pathname.split('/');
+    const last = segments[segments.length - 1];
+    if (!last.startsWith('announce')) return null;
+    segments[segments.length - 1] = last.replace(/^announce/, 'scrape');
+    return `${url.origin}${segments.join('/')}${url.search}`;
+}
+
+async function scrapeHttp(url, infoHashes, signal) {
+    const scrapeUrl = getHttpScrapeUrl(url);
+    if (!scrapeUrl) throw new TrackerError('tracker does not support scraping');
+    const stats = new Map();
+    for (const batch of chunk(infoHashes, HTTP_SCRAPE_BATCH)) {
+        const query = batch.map(infoHash => `info_hash=${infoHash.replace(/../g, '%$&')}`).join('&');
+        const response = await fetch(`${scrapeUrl}${scrapeUrl.includes('?') ? '&' : '?'}${query}`, { signal });
+        if (!response.ok) throw new TrackerError(`HTTP ${response.status} ${response.statusText}`);
+        const body = Buffer.from(await response.arrayBuffer());
+        if (body.length > MAX_HTTP_RESPONSE_BYTES) throw new TrackerError('scrape response too large');
+        const { value } = decode(body, { keyEncoding: 'latin1' });
+        if (value['failure reason']) throw new TrackerError(`tracker error: ${value['failure reason'].toString('utf8')}`);
+        for (const [key, file] of Object.entries(value.files || {})) {
+            const infoHash = Buffer.from(key, 'latin1').toString('hex');
+            if (!batch.includes(infoHash)) continue;
+            stats.set(infoHash, { seeders: file.complete || 0, completed: file.downloaded || 0, leechers: file.incomplete || 0 });
+        }
+    }
+    return stats;
+}
+
+/**
+ * Scrapes a tracker for the swarm sizes of several torrents. Torrents the tracker doesn't know, and values
+ * that aren't hex infohashes, are left out of the result.
+ * @param {string} tracker - udp://, http:// or https:// announce URL.
+ * @param {string[]} infoHashes - Lowercase hex infohashes.
+ * @param {AbortSignal} signal
+ * @returns {Promise<Map<string, {seeders: number, leechers: number, completed: number}>>}
+ */
+async function scrapeTracker(tracker, infoHashes, signal) {
+    const url = new URL(tracker);
+    const validHashes = infoHashes.filter(infoHash => INFO_HASH_REGEX.test(infoHash));
+    if (url.protocol === 'udp:') return scrapeUdp(url, validHashes, signal);
+    if (url.protocol === 'http:' || url.protocol === 'https:') return scrapeHttp(url, validHashes, signal);
+    throw new TrackerError(`unsupported protocol ${url.protocol}`);
+}
+
+module.exports = {
+    TrackerError,
+    connectUdpTracker,
+    scrapeTracker,
+};
@@ -0,0 +1,361 @@
+// lib/trackers.js - Public tracker list: merged from several sources, refreshed on an interval, optionally probed
+//
+// TRACKER_SOURCES lists URLs and local files with one tracker URL per line ('#' starts a comment). Lines are
+// validated (udp, http and https announce URLs) and the sources' lists merged without duplicates, in source
+// order. Each source's last good list is kept in the persistent cache, so a source that stops loading (or a
+// restart without network) keeps contributing what it had; when no source has ever loaded, the bundled list
+// (lib/fallbackTrackers.js) is used. A refresh with a failed source is retried sooner, backing off from
+// TRACKERS_RETRY_MINUTES up to the refresh interval.
+// With TRACKERS_PROBE, every tracker gets an announce-level check (a BEP 15 connect for UDP, an announce for
+// HTTP): trackers that don't answer are dropped and the others ordered fastest first.
+// Streams get at most TRACKERS_PER_STREAM trackers, the torrent's own first (see selectStreamTrackers).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCache } = require('./cache');
+const { createLogger } = require('./logger');
+const { connectUdpTracker } = require('./trackerClient');
+const FALLBACK_TRACKERS = require('./fallbackTrackers');
+
+const log = createLogger('trackers');
+
+const DEFAULT_TRACKERS_URL = 'https://raw.githubusercontent.com/ngosang/trackerslist/refs/heads/master/trackers_best.txt';
+// TRACKERS_URL is the single source of earlier versions and still works
+const TRACKER_SOURCES = (process.env.TRACKER_SOURCES || process.env.TRACKERS_URL || DEFAULT_TRACKERS_URL)
+    .split(',').map(source => source.trim()).filter(Boolean);
+const TRACKERS_REFRESH_MS = parseFloat(process.env.TRACKERS_REFRESH_HOURS || '12') * 60 * 60 * 1000;
+const TRACKERS_RETRY_MS = parseFloat(process.env.TRACKERS_RETRY_MINUTES || '5') * 60 * 1000;
+const TRACKERS_FETCH_TIMEOUT_MS = parseInt(process.env.TRACKERS_FETCH_TIMEOUT_MS || '15000', 10);
+const TRACKERS_PROBE = (process.env.TRACKERS_PROBE || 'false').toLowerCase() === 'true';
+const TRACKERS_PROBE_TIMEOUT_MS = parseInt(process.env.TRACKERS_PROBE_TIMEOUT_MS || '3000', 10);
+const TRACKERS_PROBE_CONCURRENCY = 16;
+// 0 attaches every tracker
+const TRACKERS_PER_STREAM = parseInt(process.env.TRACKERS_PER_STREAM || '20', 10);
+// How long a source's last good list stands in when the source fails
+const SOURCE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_SOURCE_BYTES = 1024 * 1024;
+const TRACKER_PROTOCOLS = ['udp:', 'http:', 'https:'];
+
+const sourceCache = createCache('trackers');
+
+// The bundled list serves until the first refresh completes
+let trackers = [...FALLBACK_TRACKERS];
+let trackersKey = hashTrackers(trackers);
+let usingFallback = true;
+let refreshedAt = null;
+let nextRefreshAt = null;
+let retryDelayMs = TRACKERS_RETRY_MS;
+let refreshing = null;
+let refreshTimer = null;
+
+// Source -> { source, type, status ('pending', 'ok', 'stale': failed but its cached list is used, 'error'),
+// count, invalid, fetchedAt, lastError, lastErrorAt }
+const sources = new Map(TRACKER_SOURCES.map(source => [source, {
+    source,
+    type: isUrlSource(source) ? 'url' : 'file',
+    status: 'pending',
+    count: 0,
+    invalid: 0,
+    fetchedAt: null,
+    lastError: null,
+    lastErrorAt: null,
+}]));
+// Tracker URL -> { alive, latencyMs, error, checkedAt } of the latest probe
+const probes = new Map();
+
+function hashTrackers(list) {
+    return crypto.createHash('sha1').update(list.join('\n')).digest('hex').slice(0, 16);
+}
+
+function isUrlSource(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Validates a tracker announce URL and returns it normalized (lowercase host, no fragment).
+ * @param {string} value
+ * @returns {string|null} - null when it isn't a usable udp, http or https tracker URL.
+ */
+function normalizeTrackerUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        return null;
+    }
+    if (!TRACKER_PROTOCOLS.includes(url.protocol) || !url.hostname) return null;
+    // UDP trackers have no default port
+    if (url.protocol === 'udp:' && !url.port) return null;
+    url.hostname = url.hostname.toLowerCase();
+    url.hash = '';
+    return url.href;
+}
+
+/**
+ * Parses a tracker list: one URL per line, blank lines and '#' comments ignored.
+ * @param {string} text
+ * @returns {{trackers: string[], invalid: number}}
+ */
+function parseTrackerList(text) {
+    const list = new Set();
+    let invalid = 0;
+    for (const line of text.split('\n')) {
+        const value = line.replace(/#.*$/, '').trim();
+        if (!value) continue;
+        const tracker = normalizeTrackerUrl(value);
+        if (tracker) list.add(tracker);
+        else invalid++;
+    }
+    return { trackers: [...list], invalid };
+}
+
+/**
+ * Reads a response body as text, refusing anything larger than MAX_SOURCE_BYTES: by its declared length
+ * before reading, or as soon as the bytes read pass the limit (which stops the download).
+ */
+async function readLimitedText(response) {
+    const declaredLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredLength > MAX_SOURCE_BYTES) {
+        await response.body.cancel();
+        throw new Error(`larger than ${MAX_SOURCE_BYTES} bytes (${declaredLength} declared)`);
+    }
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body) {
+        total += chunk.length;
+        if (total > MAX_SOURCE_BYTES) throw new Error(`larger than ${MAX_SOURCE_BYTES} bytes`);
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readSource(source) {
+    if (isUrlSource(source)) {
+        const response = await fetch(source, { signal: AbortSignal.timeout(TRACKERS_FETCH_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        return readLimitedText(response);
+    }
+    const file = path.resolve(source);
+    const stats = await fs.promises.stat(file);
+    if (stats.size > MAX_SOURCE_BYTES) throw new Error(`larger than ${MAX_SOURCE_BYTES} bytes`);
+    return fs.promises.readFile(file, 'utf8');
+}
+
+/**
+ * Loads a source, falling back to its cached list when it fails.
+ * @returns {Promise<string[]|null>} - null when the source failed and has no cached list.
+ */
+async function loadSource(source) {
+    const state = sources.get(source);
+    const cacheKey = `source:${source}`;
+    try {
+        const { trackers: list, invalid } = parseTrackerList(await readSource(source));
+        if (list.length === 0) throw new Error('no valid tracker URLs');
+        const fetchedAt = new Date().toISOString();
+        Object.assign(state, { status: 'ok', count: list.length, invalid, fetchedAt, lastError: null });
+        if (invalid > 0) log.warn(`Skipped ${invalid} invalid lines of ${source}`);
+        await sourceCache.set(cacheKey, { trackers: list, fetchedAt }, SOURCE_CACHE_TTL_MS);
+        return list;
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? `no answer within ${TRACKERS_FETCH_TIMEOUT_MS}ms` : error.message;
+        Object.assign(state, { lastError: message, lastErrorAt: new Date().toISOString() });
+        const cached = await sourceCache.get(cacheKey);
+        if (!cached) {
+            Object.assign(state, { status: 'error', count: 0 });
+            log.error(`Failed to load tracker source ${source}`, { error: message });
+            return null;
+        }
+        Object.assign(state, { status: 'stale', count: cached.trackers.length, fetchedAt: cached.fetchedAt });
+        log.warn(`Failed to load tracker source ${source}; using its list from ${cached.fetchedAt}`, { error: message });
+        return cached.trackers;
+    }
+}
+
+async function probeHttpTracker(url) {
+    // Announces a made-up torrent without asking for peers; a tracker that answers at all, even with a
+    // failure reason, is up
+    const encode = bytes => [...bytes].map(byte => `%${byte.toString(16).padStart(2, '0')}`).join('');
+    const query = `info_hash=${encode(crypto.randomBytes(20))}&peer_id=${encode(crypto.randomBytes(20))}`
+        + '&port=6881&uploaded=0&downloaded=0&left=0&numwant=0&compact=1';
+    const probeUrl = `${url.href}${url.search ? '&' : '?'}${query}`;
+    const response = await fetch(probeUrl, { signal: AbortSignal.timeout(TRACKERS_PROBE_TIMEOUT_MS) });
+    await response.arrayBuffer();
+    if (response.status >= 500) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+}
+
+async function probeTracker(tracker) {
+    const url = new URL(tracker);
+    const startTime = Date.now();
+    const checkedAt = new Date().toISOString();
+    try {
+        await (url.protocol === 'udp:' ? connectUdpTracker(url, AbortSignal.timeout(TRACKERS_PROBE_TIMEOUT_MS)) : probeHttpTracker(url));
+        return { alive: true, latencyMs: Date.now() - startTime, error: null, checkedAt };
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? `no answer within ${TRACKERS_PROBE_TIMEOUT_MS}ms` : error.message;
+        return { alive: false, latencyMs: null, error: message, checkedAt };
+    }
+}
+
+/**
+ * Probes trackers and returns those that answered, fastest first. When none answers, the network is the
+ * likelier culprit, so the list is kept as it is.
+ * @param {string[]} list
+ * @returns {Promise<string[]>}
+ */
+async function probeTrackers(list) {
+    probes.clear();
+    const queue = [...list];
+    const runners = Array.from({ length: Math.min(TRACKERS_PROBE_CONCURRENCY, queue.length) }, async () => {
+        while (queue.length > 0) {
+            const tracker = queue.shift();
+            probes.set(tracker, await probeTracker(tracker));
+        }
+    });
+    await Promise.all(runners);
+
+    const alive = list.filter(tracker => probes.get(tracker).alive)
+        .sort((a, b) => probes.get(a).latencyMs - probes.get(b).latencyMs);
+    if (alive.length === 0) {
+        log.warn(`None of ${list.length} trackers answered the probe; keeping the list unprobed.`);
+        return list;
+    }
+    log.info(`Probed ${list.length} trackers: ${alive.length} answered, ${list.length - alive.length} dropped.`);
+    return alive;
+}
+
+function scheduleRefresh(failed) {
+    const delay = failed ? retryDelayMs : TRACKERS_REFRESH_MS;
+    retryDelayMs = failed ? Math.min(retryDelayMs * 2, TRACKERS_REFRESH_MS) : TRACKERS_RETRY_MS;
+    clearTimeout(refreshTimer);
+    nextRefreshAt = Date.now() + delay;
+    refreshTimer = setTimeout(runRefresh, delay);
+    refreshTimer.unref();
+    if (failed) log.info(`Retrying the tracker sources in ${Math.round(delay / 1000)} seconds.`);
+}
+
+/**
+ * Reloads the sources, merges and (with TRACKERS_PROBE) probes the trackers, and schedules the next refresh.
+ * A refresh already running is joined rather than started again.
+ * @returns {Promise<void>}
+ */
+function refreshTrackers() {
+    if (refreshing) return refreshing;
+    refreshing = (async () => {
+        log.info(`Refreshing public trackers from ${TRACKER_SOURCES.length} sources`, { sources: TRACKER_SOURCES });
+        const lists = await Promise.all(TRACKER_SOURCES.map(loadSource));
+        let merged = [...new Set(lists.filter(Boolean).flat())];
+        const fallback = merged.length === 0;
+        if (fallback) {
+            merged = [...FALLBACK_TRACKERS];
+            log.warn(`No tracker source could be loaded; using the ${merged.length} bundled trackers.`);
+        }
+        if (TRACKERS_PROBE) merged = await probeTrackers(merged);
+
+        const key = hashTrackers(merged);
+        if (key !== trackersKey) log.info(`Using ${merged.length} public trackers.`);
+        trackers = merged;
+        trackersKey = key;
+        usingFallback = fallback;
+        refreshedAt = Date.now();
+        scheduleRefresh([...sources.values()].some(state => state.status !== 'ok'));
+    })().finally(() => {
+        refreshing = null;
+    });
+    return refreshing;
+}
+
+function runRefresh() {
+    return refreshTrackers().catch(error => {
+        log.error('Tracker refresh failed', { error: error.message });
+        scheduleRefresh(true);
+    });
+}
+
+/**
+ * Loads the tracker list and keeps it refreshed.
+ * @returns {Promise<void>} - Settles when the first refresh is done.
+ */
+function startTrackerRefresh() {
+    return runRefresh();
+}
+
+/**
+ * Returns the current public tracker list.
+ * @returns {string[]}
+ */
+function getTrackers() {
+    return trackers;
+}
+
+/**
+ * Returns a key that changes whenever the list changes, so workers know to replace their copy.
+ */
+function getTrackersKey() {
+    return trackersKey;
+}
+
+/**
+ * Picks the trackers attached to a stream or magnet link: the torrent's own trackers, then the public ones,
+ * without duplicates and capped at TRACKERS_PER_STREAM.
+ * @param {string[]} torrentTrackers - Trackers of the .torrent file, when known.
+ * @param {string[]} publicTrackers
+ * @returns {string[]}
+ */
+function selectStreamTrackers(torrentTrackers, publicTrackers) {
+    const selected = [...new Set([...torrentTrackers, ...publicTrackers])];
+    return TRACKERS_PER_STREAM > 0 ? selected.slice(0, TRACKERS_PER_STREAM) : selected;
+}
+
+/**
+ * Builds the Stremio `sources` of a stream: its trackers (the torrent's own, then those of the re-uploads
+ * collapsed into it, then the public ones, see selectStreamTrackers) and the DHT.
+ * @param {{infoHash: string, trackers: string[], alternatives?: Array<{trackers: string[]}>}} stream - Processed stream.
+ * @param {string[]} publicTrackers
+ * @returns {string[]} - 'tracker:<url>' entries followed by 'dht:<infohash>'.
+ */
+function getStreamSources(stream, publicTrackers) {
+    const torrentTrackers = [...stream.trackers, ...(stream.alternatives || []).flatMap(alternative => alternative.trackers)];
+    const sources = selectStreamTrackers(torrentTrackers, publicTrackers).map(trackerUrl => `tracker:${trackerUrl}`);
+    sources.push(`dht:${stream.infoHash}`);
+    return sources;
+}
+
+/**
+ * Returns the state of the tracker list, for the admin route, /health and /metrics.
+ */
+function getTrackersState() {
+    const probed = [...probes.entries()];
+    return {
+        count: trackers.length,
+        key: trackersKey,
+        fallback: usingFallback,
+        refreshedAt: refreshedAt ? new Date(refreshedAt).toISOString() : null,
+        ageSeconds: refreshedAt ? Math.round((Date.now() - refreshedAt) / 1000) : null,
+        nextRefreshAt: nextRefreshAt ? new Date(nextRefreshAt).toISOString() : null,
+        refreshing: !!refreshing,
+        perStream: TRACKERS_PER_STREAM,
+        sources: [...sources.values()].map(state => Object.assign({}, state)),
+        probe: {
+            enabled: TRACKERS_PROBE,
+            alive: probed.filter(([, probe]) => probe.alive).length,
+            dead: probed.filter(([, probe]) => !probe.alive).length,
+        },
+        trackers: trackers.map(url => Object.assign({ url }, probes.get(url))),
+        dropped: probed.filter(([, probe]) => !probe.alive).map(([url, probe]) => Object.assign({ url }, probe)),
+    };
+}
+
+module.exports = {
+    TRACKER_SOURCES,
+    TRACKERS_PER_STREAM,
+    normalizeTrackerUrl,
+    parseTrackerList,
+    refreshTrackers,
+    startTrackerRefresh,
+    getTrackers,
+    getTrackersKey,
+    selectStreamTrackers,
+    getStreamSources,
+    getTrackersState,
+};
@@ -0,0 +1,280 @@
+// lib/workerPool.js - Fixed-size pool of long-lived worker threads with a bounded job queue
+//
+// Protocol between the pool and a worker script:
+//   pool -> worker  { type: 'context', name, key, value, evict? }  caches a shared value (e.g. a config) under
+//                                                                 name/key; `evict` drops an older key of that name
+//   pool -> worker  { type: 'job', id, payload, contexts }         contexts maps each context name to the key to use
+//   worker -> pool  { type: 'result', id, result } | { type: 'error', id, error, stack }
+// Every worker gets a shared cancel flag (workerData.cancelBuffer, an Int32Array slot) that the pool sets
+// when the running job is cancelled, so long synchronous loops can stop early and return what they have.
+
+const os = require('os');
+const { Worker } = require('worker_threads');
+const { createLogger } = require('./logger');
+
+// Context values kept per name and worker before the oldest is evicted (one per distinct user config)
+const MAX_CONTEXT_ENTRIES = 16;
+// Workers that die this soon after starting are respawned with a delay, so a broken script can't spin
+const CRASH_LOOP_WINDOW_MS = 1000;
+const RESPAWN_DELAY_MS = 1000;
+
+class PoolQueueFullError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PoolQueueFullError';
+    }
+}
+
+class JobCancelledError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Creates a worker pool.
+ * @param {string} script - Path of the worker script.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Logger component name.
+ * @param {number} [options.size] - Number of workers (default: available CPUs).
+ * @param {number} [options.maxQueue] - Jobs allowed to wait for a worker; run() rejects beyond that.
+ * @param {number} [options.cancelGraceMs] - Time a cancelled job gets to return before its worker is terminated.
+ * @returns {{run: Function, getStats: Function, close: Function}}
+ */
+function createWorkerPool(script, options = {}) {
+    const log = createLogger(options.name || 'worker-pool');
+    const size = Math.max(options.size || (os.availableParallelism ? os.availableParallelism() : os.cpus().length), 1);
+    const maxQueue = options.maxQueue !== undefined ? options.maxQueue : size * 8;
+    const cancelGraceMs = options.cancelGraceMs !== undefined ? options.cancelGraceMs : 500;
+
+    const workers = [];
+    const queue = [];
+    const startedAt = Date.now();
+    const stats = { completed: 0, failed: 0, cancelled: 0, rejected: 0, respawned: 0, busyMs: 0, runMs: 0, waitMs: 0 };
+    let nextJobId = 1;
+    let closed = false;
+
+    function spawn() {
+        const cancelBuffer = new SharedArrayBuffer(4);
+        const slot = {
+            worker: new Worker(script, { workerData: { cancelBuffer } }),
+            cancelFlag: new Int32Array(cancelBuffer),
+            contextKeys: new Map(),
+            job: null,
+            spawnedAt: Date.now(),
+            retired: false,
+        };
+        slot.worker.on('message', message => onMessage(slot, message));
+        slot.worker.on('error', error => {
+            log.error('Worker thread encountered an unhandled error', { error });
+        });
+        slot.worker.on('exit', code => onExit(slot, code));
+        workers.push(slot);
+        return slot;
+    }
+
+    function retire(slot) {
+        slot.retired = true;
+        const index = workers.indexOf(slot);
+        if (index !== -1) workers.splice(index, 1);
+    }
+
+    function finishJob(slot, settle) {
+        const job = slot.job;
+        if (!job) return;
+        slot.job = null;
+        clearTimeout(job.killTimer);
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        const runMs = Date.now() - job.startedAt;
+        stats.busyMs += runMs;
+        stats.runMs += runMs;
+        settle(job);
+    }
+
+    function onMessage(slot, message) {
+        if (!slot.job || message.id !== slot.job.id) return;
+        finishJob(slot, job => {
+            if (message.type === 'error') {
+                stats.failed++;
+                const error = new Error(`Worker Error: ${message.error}`);
+                error.stack = message.stack || error.stack;
+                job.reject(error);
+            } else if (job.cancelled) {
+                // The job noticed the cancel flag and returned early: hand back its partial result
+                stats.cancelled++;
+                job.resolve(message.result);
+            } else {
+                stats.completed++;
+                job.resolve(message.result);
+            }
+        });
+        dispatch();
+    }
+
+    function onExit(slot, code) {
+        const expected = slot.retired;
+        retire(slot);
+        if (!expected) log.error(`Worker thread exited unexpectedly with code ${code}.`);
+        finishJob(slot, job => {
+            if (job.cancelled) {
+                stats.cancelled++;
+                job.reject(new JobCancelledError('Job cancelled; its worker was terminated'));
+            } else {
+                stats.failed++;
+                job.reject(new Error(`Worker thread exited unexpectedly with code ${code}`));
+            }
+        });
+        if (closed) return;
+        stats.respawned++;
+        if (!expected && Date.now() - slot.spawnedAt < CRASH_LOOP_WINDOW_MS) {
+            setTimeout(() => {
+                if (closed) return;
+                spawn();
+                dispatch();
+            }, RESPAWN_DELAY_MS);
+        } else {
+            spawn();
+            dispatch();
+        }
+    }
+
+    /**
+     * Sends the context values a job needs that this worker hasn't cached yet.
+     */
+    function sendContexts(slot, contexts) {
+        const keys = {};
+        for (const [contextName, { key, value }] of Object.entries(contexts || {})) {
+            keys[contextName] = key;
+            const known = slot.contextKeys.get(contextName) || [];
+            if (known.includes(key)) continue;
+            const evict = known.length >= MAX_CONTEXT_ENTRIES ? known.shift() : undefined;
+            known.push(key);
+            slot.contextKeys.set(contextName, known);
+            slot.worker.postMessage({ type: 'context', name: contextName, key, value, evict });
+        }
+        return keys;
+    }
+
+    function start(slot, job) {
+        slot.job = job;
+        job.slot = slot;
+        job.startedAt = Date.now();
+        stats.waitMs += job.startedAt - job.enqueuedAt;
+        Atomics.store(slot.cancelFlag, 0, 0);
+        const contextKeys = sendContexts(slot, job.contexts);
+        slot.worker.postMessage({ type: 'job', id: job.id, payload: job.payload, contexts: contextKeys });
+    }
+
+    function dispatch() {
+        while (queue.length > 0) {
+            const slot = workers.find(candidate => !candidate.job);
+            if (!slot) return;
+            start(slot, queue.shift());
+        }
+    }
+
+    /**
+     * Cancels a job: a queued job is dropped, a running one is asked to stop through the cancel flag and
+     * its worker is terminated (and respawned) if it doesn't return within cancelGraceMs.
+     */
+    function cancel(job) {
+        if (job.cancelled) return;
+        job.cancelled = true;
+        const queuedIndex = queue.indexOf(job);
+        if (queuedIndex !== -1) {
+            queue.splice(queuedIndex, 1);
+            stats.cancelled++;
+            job.reject(new JobCancelledError('Job cancelled while waiting for a worker'));
+            return;
+        }
+        const slot = job.slot;
+        if (!slot || slot.job !== job) return;
+        Atomics.store(slot.cancelFlag, 0, 1);
+        job.killTimer = setTimeout(() => {
+            if (slot.job !== job) return;
+            log.warn(`Cancelled job did not return within ${cancelGraceMs}ms. Terminating its worker.`);
+            slot.retired = true;
+            slot.worker.terminate();
+        }, cancelGraceMs);
+    }
+
+    /**
+     * Runs a job on the next free worker.
+     * @param {*} payload - Job data (structured-cloneable).
+     * @param {Object} [runOptions]
+     * @param {Object<string, {key: string, value: *}>} [runOptions.contexts] - Shared values the job uses; each is
+     *   sent to a worker only the first time it sees the key.
+     * @param {AbortSignal} [runOptions.signal] - Cancels the job when it aborts.
+     * @returns {Promise<*>} - The job's result. Rejects with PoolQueueFullError when the queue is full and
+     *   JobCancelledError when the job was cancelled before producing a result.
+     */
+    function run(payload, runOptions = {}) {
+        if (closed) return Promise.reject(new Error('Worker pool is closed'));
+        const { contexts, signal } = runOptions;
+        if (signal && signal.aborted) {
+            stats.cancelled++;
+            return Promise.reject(new JobCancelledError('Job cancelled before it was queued'));
+        }
+        const hasIdleWorker = workers.some(slot => !slot.job);
+        if (!hasIdleWorker && queue.length >= maxQueue) {
+            stats.rejected++;
+            return Promise.reject(new PoolQueueFullError(`All ${workers.length} workers are busy and ${queue.length} jobs are queued`));
+        }
+        return new Promise((resolve, reject) => {
+            const job = { id: nextJobId++, payload, contexts, signal, resolve, reject, enqueuedAt: Date.now(), cancelled: false };
+            if (signal) {
+                job.onAbort = () => cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            queue.push(job);
+            dispatch();
+        });
+    }
+
+    /**
+     * Reports pool utilisation: current load, queue length and job counters. `utilisation` is the share of
+     * worker time spent on jobs since the pool started.
+     */
+    function getStats() {
+        const finished = stats.completed + stats.failed + stats.cancelled;
+        const now = Date.now();
+        const runningMs = workers.reduce((sum, slot) => sum + (slot.job ? now - slot.job.startedAt : 0), 0);
+        return {
+            size,
+            workers: workers.length,
+            busy: workers.filter(slot => slot.job).length,
+            queued: queue.length,
+            maxQueue,
+            completed: stats.completed,
+            failed: stats.failed,
+            cancelled: stats.cancelled,
+            rejected: stats.rejected,
+            respawned: stats.respawned,
+            avgRunMs: finished > 0 ? Math.round(stats.runMs / finished) : null,
+            avgWaitMs: finished > 0 ? Math.round(stats.waitMs / finished) : null,
+            utilisation: Math.round((stats.busyMs + runningMs) / (size * Math.max(now - startedAt, 1)) * 1000) / 1000,
+        };
+    }
+
+    /**
+     * Terminates every worker and rejects queued jobs.
+     */
+    async function close() {
+        closed = true;
+        for (const job of queue.splice(0)) job.reject(new JobCancelledError('Worker pool closed'));
+        await Promise.all(workers.slice().map(slot => {
+            slot.retired = true;
+            return slot.worker.terminate();
+        }));
+    }
+
+    for (let i = 0; i < size; i++) spawn();
+    return { run, getStats, close };
+}
+
+module.exports = {
+    PoolQueueFullError,
+    JobCancelledError,
+    createWorkerPool,
+};
@@ -1,83 +1,115 @@
 // server.js - Stremio Addon for Jackett Integration with advanced features and Worker Threads
 
-const { addonBuilder, serveHTTP } = require('stremio-addon-sdk');
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+const { addonBuilder } = require('stremio-addon-sdk');
 const { performance } = require('perf_hooks');
-const { Worker } = require('worker_threads');
 require('dotenv').config();
+const { DEFAULT_CONFIG, ConfigError, decodeUserConfig, encodeUserConfig, resolveConfig, configFingerprint, getStreamsCacheKey } = require('./lib/config');
+const { METADATA_TTL_MS, SEARCH_TTL_MS, SEARCH_NEW_RELEASE_TTL_MS, STREAMS_TTL_MS, createCache, startCachePruning, getCacheStats } = require('./lib/cache');
+const { createDeadline, withDeadline } = require('./lib/deadline');
+const { getSearchTargets, searchTargets } = require('./lib/providers');
+const { getIndexerHealth, getForgottenIndexerTotals } = require('./lib/indexerHealth');
+const { DebridNotReadyError, getConfiguredProvider, checkCachedAvailability, resolveDebridLink } = require('./lib/debrid');
+const { fetchTorrentMetadata, resolveTorrentLinks, findEpisodeFile } = require('./lib/torrentFiles');
+const { rankStreams, formatScoreBreakdown } = require('./lib/scoring');
+const { formatStream } = require('./lib/streamFormat');
+const { formatIdentity, getPreferredIdentity, rememberServed, rememberPlayed } = require('./lib/continuity');
+const { RuleError } = require('./lib/releaseRules');
+const { refreshSeeders } = require('./lib/scrape');
+const { startTrackerRefresh, refreshTrackers, getTrackers, getTrackersKey, selectStreamTrackers, getStreamSources, getTrackersState } = require('./lib/trackers');
+const { RELEASE_RULES_FILE, loadInfoHashRules, setInfoHashRule, removeInfoHashRule, getInfoHashLists, getInfoHashRules, getInfoHashRulesKey } = require('./lib/infoHashRules');
+const { PoolQueueFullError, JobCancelledError, createWorkerPool } = require('./lib/workerPool');
+const { CATALOGS_ENABLED, CATALOGS, createCatalogService } = require('./lib/catalog');
+const { ANIME_ID_PREFIXES, parseAnimeId, getAnimeMetadata } = require('./lib/anime');
+const { getTitleAliases } = require('./lib/titles');
+const { LOG_LEVEL, LOG_FORMAT, createLogger, withLogContext, getRequestId, getLogCounts } = require('./lib/logger');
+const { createCounter, createHistogram, registerCollector, renderMetrics } = require('./lib/metrics');
 
-// --- Configuration (Set these as environment variables or update directly) ---
-const JACKETT_HOST = process.env.JACKETT_HOST || 'http://localhost:9117';
-const JACKETT_API_KEY = process.env.JACKETT_API_KEY || 'YOUR_JACKETT_API_KEY_HERE';
-const OMDb_API_KEY = process.env.OMDB_API_KEY || 'YOUR_OMDB_API_KEY_HERE';
-const TMDB_API_KEY = process.env.TMDB_API_KEY || 'YOUR_TMDB_API_KEY_HERE';
+const log = createLogger('server');
+const catalogLog = log.child('catalog');
+const indexersLog = log.child('indexers');
+const configLog = log.child('config');
+const torrentLog = log.child('torrent');
+const seasonPackLog = log.child('season-packs');
+const scoreLog = log.child('score');
+const debridLog = log.child('debrid');
+const rulesLog = log.child('rules');
 
-const TRACKERS_URL = process.env.TRACKERS_URL || 'https://raw.githubusercontent.com/ngosang/trackerslist/refs/heads/master/trackers_best.txt';
+// --- Configuration (Set these as environment variables or update directly) ---
+// Per-user settings (Jackett host, API keys, filters) live in lib/config.js and can be overridden
+// through the config segment of the manifest URL. The values below are process-wide.
+const PORT = parseInt(process.env.PORT || '7000', 10);
+// Token for the /admin routes (Bearer header or ?token=); admin routes are disabled when empty
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Public base URL of this addon, used for debrid resolve links handed to Stremio
+const ADDON_URL = (process.env.ADDON_URL || `http://127.0.0.1:${PORT}`).replace(/\/+$/, '');
 const RESPONSE_TIMEOUT_MS = parseInt(process.env.RESPONSE_TIMEOUT_MS || '20000', 10);
-const MINIMUM_SEEDERS = parseInt(process.env.MINIMUM_SEEDERS || '0', 10);
-
-// --- Filtering and Sorting Configuration ---
-const MAX_STREAMS = parseInt(process.env.MAX_STREAMS || '20', 10);
-const MIN_TORRENT_SIZE_MB = parseInt(process.env.MIN_TORRENT_SIZE_MB || '10', 10);
-const MAX_TORRENT_SIZE_MB = parseInt(process.env.MAX_TORRENT_SIZE_MB || '8048', 10); // Matches .env.sample example
+// Part of RESPONSE_TIMEOUT_MS kept back for sorting, debrid checks and formatting after the pipeline deadline
+const RESPONSE_RESERVE_MS = parseInt(process.env.RESPONSE_RESERVE_MS || '2000', 10);
 
-// Limit for initial date-based filtering, applied directly in Jackett API query
+// Limit for initial date-based filtering, applied directly in each search provider's query
 const INITIAL_DATE_FILTER_LIMIT = parseInt(process.env.INITIAL_DATE_FILTER_LIMIT || '100', 10);
+// /health probes Jackett and the metadata APIs at most this often; cheap enough for load balancer checks
+const HEALTH_CHECK_TTL_MS = parseInt(process.env.HEALTH_CHECK_TTL_MS || '30000', 10);
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
 
-const PREFERRED_LANGUAGES = (process.env.PREFERRED_LANGUAGES || '').toLowerCase().split(',').map(lang => lang.trim()).filter(lang => lang.length > 0);
-
-const PREFERRED_VIDEO_QUALITIES_CONFIG = (process.env.PREFERRED_VIDEO_QUALITIES || 'remux,bluray,bdrip,web-dl,webrip,hdrip,hdtv,dvdrip,x265,x264,hevc,xvid,av1').toLowerCase().split(',').map(q => q.trim());
-const PREFERRED_AUDIO_QUALITIES_CONFIG = (process.env.PREFERRED_AUDIO_QUALITIES || 'truehd,dts-hd,atmos,dts,eac3,ddp,ac3,aac,mp3').toLowerCase().split(',').map(q => q.trim());
-
-// --- Global Cache for Public Trackers ---
-let publicTrackers = [];
+// --- Persistent Caches ---
+const metadataCache = createCache('metadata');
+const searchCache = createCache('search');
+const streamsCache = createCache('streams');
 
-/**
- * Fetches and caches a list of public BitTorrent trackers.
- */
-async function fetchAndCacheTrackers() {
-    console.log('[INFO] [TRACKERS CACHE] Fetching public trackers from URL:', TRACKERS_URL);
-    try {
-        const response = await fetch(TRACKERS_URL);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch trackers: ${response.statusText}`);
-        }
-        const text = await response.text();
-        publicTrackers = text.split('\n').map(line => line.trim()).filter(line => line.length > 0 && !line.startsWith('#'));
-        console.log(`[INFO] [TRACKERS CACHE] Successfully fetched and cached ${publicTrackers.length} public trackers.`);
-    } catch (error) {
-        console.error('[ERROR] [TRACKERS CACHE] Failed to fetch public trackers:', error.message);
-        publicTrackers = [];
-    }
-}
+// --- Metrics (served at /metrics; gauges are registered with the HTTP server below) ---
+const requestsTotal = createCounter('requests_total', 'Addon resource requests by resource and outcome.');
+const streamRequestsTotal = createCounter('stream_requests_total', 'Stream requests by outcome (cached, ok, partial, empty, busy, error).');
+const stageDuration = createHistogram('stage_duration_seconds', 'Duration of the stream request stages.');
+const streamResultsTotal = createCounter('stream_results_total', 'Search results of stream requests by the filter that dropped them, or kept.');
+const trackerScrapesTotal = createCounter('tracker_scrapes_total', 'Tracker scrapes for live seeders by protocol and outcome (ok, error, timeout).');
+const ruleHitsTotal = createCounter('release_rule_hits_total', 'Search results dropped by block/allow rules, by rule (e.g. group_deny).');
+// Results dropped per rule and value ('group_deny:yify') since startup, shown at /admin/rules.json
+const ruleHitCounts = new Map();
 
 // --- Helper Functions for API Interactions ---
 
 /**
  * Fetches movie/series metadata from OMDb API using IMDb ID.
  */
-async function getOmdbMetadata(imdbId) {
+async function getOmdbMetadata(imdbId, config, signal) {
+    const cacheKey = `omdb:${imdbId}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return cached;
     try {
-        const url = `http://www.omdbapi.com/?apikey=${OMDb_API_KEY}&i=${imdbId}`;
-        const response = await fetch(url);
+        const url = `http://www.omdbapi.com/?apikey=${config.OMDB_API_KEY}&i=${imdbId}`;
+        const response = await fetch(url, { signal });
         if (!response.ok) throw new Error(`OMDb API HTTP error: ${response.statusText}`);
         const data = await response.json();
         if (data.Response === 'False') throw new Error(`OMDb API responded with error: ${data.Error}`);
         const yearMatch = data.Year ? data.Year.match(/\d{4}/) : null;
-        return { title: data.Title, year: yearMatch ? parseInt(yearMatch[0], 10) : null, type: data.Type === 'movie' ? 'movie' : 'series' };
+        const metadata = { title: data.Title, year: yearMatch ? parseInt(yearMatch[0], 10) : null, type: data.Type === 'movie' ? 'movie' : 'series' };
+        // "49 min"; per episode for series
+        const runtimeMatch = data.Runtime ? data.Runtime.match(/(\d+) min/) : null;
+        metadata.runtimeMinutes = runtimeMatch ? parseInt(runtimeMatch[1], 10) : null;
+        await metadataCache.set(cacheKey, metadata, METADATA_TTL_MS);
+        return metadata;
     } catch (error) {
-        console.warn(`[WARN] OMDb metadata fetch failed for ${imdbId}:`, error.message);
+        log.warn(`OMDb metadata fetch failed for ${imdbId}`, { error: error.message });
         return null;
     }
 }
 
 /**
- * Fetches movie/series metadata from TMDB API using IMDb ID.
+ * Fetches movie/series metadata from TMDB API using IMDb ID, including the original title, alternative
+ * titles and translated titles (by ISO 639-1 code) used as search and validation aliases.
  */
-async function getTmdbMetadata(imdbId, itemType) {
+async function getTmdbMetadata(imdbId, itemType, config, signal) {
     let mediaType = itemType === 'movie' ? 'movie' : 'tv';
+    const cacheKey = `tmdb:titles:${mediaType}:${imdbId}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return cached;
     try {
-        const findUrl = `https://api.themoviedb.org/3/find/${imdbId}?api_key=${TMDB_API_KEY}&language=en-US&external_source=imdb_id`;
-        const findResponse = await fetch(findUrl);
+        const findUrl = `https://api.themoviedb.org/3/find/${imdbId}?api_key=${config.TMDB_API_KEY}&language=en-US&external_source=imdb_id`;
+        const findResponse = await fetch(findUrl, { signal });
         if (!findResponse.ok) throw new Error(`TMDB Find API HTTP error: ${findResponse.statusText}`);
         const findData = await findResponse.json();
 
@@ -86,89 +118,407 @@ async function getTmdbMetadata(imdbId, itemType) {
         else if (mediaType === 'tv' && findData.tv_results && findData.tv_results.length > 0) tmdbId = findData.tv_results[0].id;
         if (!tmdbId) throw new Error('TMDB ID not found for IMDb ID');
 
-        const detailsUrl = `https://api.themoviedb.org/3/${mediaType}/${tmdbId}?api_key=${TMDB_API_KEY}&language=en-US`;
-        const detailsResponse = await fetch(detailsUrl);
+        const detailsUrl = `https://api.themoviedb.org/3/${mediaType}/${tmdbId}?api_key=${config.TMDB_API_KEY}&language=en-US&append_to_response=alternative_titles,translations`;
+        const detailsResponse = await fetch(detailsUrl, { signal });
         if (!detailsResponse.ok) throw new Error(`TMDB Details API HTTP error: ${detailsResponse.statusText}`);
         const detailsData = await detailsResponse.json();
 
         const year = detailsData.release_date ? parseInt(detailsData.release_date.substring(0, 4), 10) :
                      (detailsData.first_air_date ? parseInt(detailsData.first_air_date.substring(0, 4), 10) : null);
-        return { title: detailsData.title || detailsData.name, year: year, type: mediaType === 'movie' ? 'movie' : 'series' };
+        const metadata = { title: detailsData.title || detailsData.name, year: year, type: mediaType === 'movie' ? 'movie' : 'series' };
+        metadata.originalTitle = detailsData.original_title || detailsData.original_name || null;
+        metadata.originalLanguage = detailsData.original_language || null;
+        // Series list typical episode runtimes, often empty for recent shows; the latest episode's is the fallback
+        metadata.runtimeMinutes = detailsData.runtime || (detailsData.episode_run_time || [])[0] ||
+            (detailsData.last_episode_to_air && detailsData.last_episode_to_air.runtime) || null;
+        // Movies list alternative titles under `titles`, series under `results`
+        const alternativeTitles = detailsData.alternative_titles || {};
+        metadata.alternativeTitles = (alternativeTitles.titles || alternativeTitles.results || []).map(entry => entry.title).filter(Boolean);
+        metadata.translatedTitles = {};
+        for (const translation of (detailsData.translations && detailsData.translations.translations) || []) {
+            const translatedTitle = translation.data && (translation.data.title || translation.data.name);
+            if (translatedTitle && !metadata.translatedTitles[translation.iso_639_1]) metadata.translatedTitles[translation.iso_639_1] = translatedTitle;
+        }
+        // Episode counts per season, for releases that number episodes absolutely (anime)
+        if (Array.isArray(detailsData.seasons)) {
+            metadata.seasonEpisodeCounts = {};
+            for (const tvSeason of detailsData.seasons) {
+                if (tvSeason.season_number > 0) metadata.seasonEpisodeCounts[tvSeason.season_number] = tvSeason.episode_count;
+            }
+        }
+        await metadataCache.set(cacheKey, metadata, METADATA_TTL_MS);
+        return metadata;
     } catch (error) {
-        console.warn(`[WARN] TMDB metadata fetch failed for ${imdbId} (type:${itemType}):`, error.message);
+        log.warn(`TMDB metadata fetch failed for ${imdbId} (type:${itemType})`, { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Converts a season/episode pair into the absolute episode number, or null when an earlier season's
+ * episode count is unknown.
+ */
+function getAbsoluteEpisode(seasonEpisodeCounts, season, episode) {
+    if (!seasonEpisodeCounts || !season || !episode) return null;
+    let absolute = episode;
+    for (let previous = 1; previous < season; previous++) {
+        if (!seasonEpisodeCounts[previous]) return null;
+        absolute += seasonEpisodeCounts[previous];
+    }
+    return absolute;
+}
+
+/**
+ * Formats an episode for log messages: S02E05, or E05 when the season is unknown.
+ */
+function formatEpisodeLabel(season, episode) {
+    return `${season ? `S${String(season).padStart(2, '0')}` : ''}E${String(episode).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether a title was released recently enough that new uploads are still likely.
+ */
+function isNewRelease(metadata) {
+    return !!(metadata && metadata.year && metadata.year >= new Date().getFullYear() - 1);
+}
+
+// Episode lists of running series change weekly, so they are kept for a day rather than METADATA_TTL_MS
+const EPISODE_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maps a release title to an IMDb ID through OMDb (by title, type and year) or by the IMDb ID an
+ * indexer reported. Misses are cached too, so unknown titles aren't looked up on every catalog refresh.
+ */
+async function findTitleOnOmdb(title, year, type, config, imdbId) {
+    const lookup = imdbId ? `i=${imdbId}` : `t=${encodeURIComponent(title)}&type=${type}${year ? `&y=${year}` : ''}`;
+    const cacheKey = `omdb-lookup:${lookup}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return cached.imdbId ? cached : null;
+    const response = await fetch(`http://www.omdbapi.com/?apikey=${config.OMDB_API_KEY}&${lookup}`, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) throw new Error(`OMDb API HTTP error: ${response.statusText}`);
+    const data = await response.json();
+    if (data.Response === 'False') {
+        if (data.Error && /not found/i.test(data.Error)) await metadataCache.set(cacheKey, { imdbId: null }, METADATA_TTL_MS);
+        else throw new Error(`OMDb API responded with error: ${data.Error}`);
         return null;
     }
+    const yearMatch = data.Year ? data.Year.match(/\d{4}/) : null;
+    const found = { imdbId: data.imdbID, name: data.Title, year: yearMatch ? parseInt(yearMatch[0], 10) : year, poster: data.Poster && data.Poster !== 'N/A' ? data.Poster : null };
+    await metadataCache.set(cacheKey, found, METADATA_TTL_MS);
+    return found;
 }
 
 /**
- * Performs a search on Jackett's Torznab API, including sorting and limiting.
+ * Maps a release title to an IMDb ID through TMDB search and the result's external IDs.
  */
-async function jackettSearch(query, imdbId, itemType, season, episode) {
-    let url = `${JACKETT_HOST}/api/v2.0/indexers/all/results?apikey=${JACKETT_API_KEY}&Query=${encodeURIComponent(query)}`;
-    if (imdbId) url += `&imdbid=${imdbId}`;
-    if (itemType === 'series' && season && episode) url += `&season=${season}&ep=${episode}`;
+async function findTitleOnTmdb(title, year, type, config) {
+    const mediaType = type === 'movie' ? 'movie' : 'tv';
+    const yearParam = year ? `&${mediaType === 'movie' ? 'year' : 'first_air_date_year'}=${year}` : '';
+    const cacheKey = `tmdb-lookup:${mediaType}:${title}:${year || ''}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return cached.imdbId ? cached : null;
+    const searchUrl = `https://api.themoviedb.org/3/search/${mediaType}?api_key=${config.TMDB_API_KEY}&language=en-US&query=${encodeURIComponent(title)}${yearParam}`;
+    const searchResponse = await fetch(searchUrl, { signal: AbortSignal.timeout(10000) });
+    if (!searchResponse.ok) throw new Error(`TMDB Search API HTTP error: ${searchResponse.statusText}`);
+    const match = ((await searchResponse.json()).results || [])[0];
+    let found = { imdbId: null };
+    if (match) {
+        const idsResponse = await fetch(`https://api.themoviedb.org/3/${mediaType}/${match.id}/external_ids?api_key=${config.TMDB_API_KEY}`, { signal: AbortSignal.timeout(10000) });
+        if (!idsResponse.ok) throw new Error(`TMDB External IDs API HTTP error: ${idsResponse.statusText}`);
+        const ids = await idsResponse.json();
+        const date = match.release_date || match.first_air_date;
+        if (ids.imdb_id) {
+            found = {
+                imdbId: ids.imdb_id,
+                name: match.title || match.name,
+                year: date ? parseInt(date.substring(0, 4), 10) : year,
+                poster: match.poster_path ? `https://image.tmdb.org/t/p/w500${match.poster_path}` : null,
+            };
+        }
+    }
+    await metadataCache.set(cacheKey, found, METADATA_TTL_MS);
+    return found.imdbId ? found : null;
+}
 
-    // Add sort by posted date (descending) and limit the results directly from Jackett
-    url += `&sort=posted_desc`; // 'posted' is the Torznab equivalent for pubDate
-    url += `&limit=${INITIAL_DATE_FILTER_LIMIT}`; // Limit results fetched from Jackett
+/**
+ * Maps a catalog title to an IMDb ID, trying OMDb first and TMDB second.
+ */
+async function findCatalogTitle(title, year, type, config, imdbId) {
+    try {
+        const found = await findTitleOnOmdb(title, year, type, config, imdbId);
+        if (found) return found;
+    } catch (error) {
+        catalogLog.warn(`OMDb lookup failed for "${title}"`, { error: error.message });
+    }
+    if (imdbId) return null;
+    try {
+        return await findTitleOnTmdb(title, year, type, config);
+    } catch (error) {
+        catalogLog.warn(`TMDB lookup failed for "${title}"`, { error: error.message });
+        return null;
+    }
+}
 
+/**
+ * Fetches the episode list of one season from OMDb as Stremio videos.
+ */
+async function getOmdbSeasonVideos(imdbId, season, config) {
+    const cacheKey = `omdb-season:${imdbId}:${season}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return cached;
+    const response = await fetch(`http://www.omdbapi.com/?apikey=${config.OMDB_API_KEY}&i=${imdbId}&Season=${season}`, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) throw new Error(`OMDb API HTTP error: ${response.statusText}`);
+    const data = await response.json();
+    if (data.Response === 'False') return [];
+    const videos = (data.Episodes || []).map(episode => {
+        const released = new Date(episode.Released);
+        return {
+            id: `${imdbId}:${season}:${parseInt(episode.Episode, 10)}`,
+            title: episode.Title,
+            season,
+            episode: parseInt(episode.Episode, 10),
+            released: isNaN(released.getTime()) ? undefined : released.toISOString(),
+        };
+    });
+    await metadataCache.set(cacheKey, videos, EPISODE_LIST_TTL_MS);
+    return videos;
+}
+
+/**
+ * Builds a Stremio meta object from OMDb. Series get the episodes of the given seasons (the latest
+ * season when none are given).
+ */
+async function getCatalogMeta(imdbId, type, config, seasons) {
     try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Jackett API HTTP error: ${response.statusText}`);
-        const data = await response.json();
-        return data.Results || [];
+        const cacheKey = `omdb-full:${imdbId}`;
+        let data = await metadataCache.get(cacheKey);
+        if (!data) {
+            const response = await fetch(`http://www.omdbapi.com/?apikey=${config.OMDB_API_KEY}&i=${imdbId}&plot=full`, { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) throw new Error(`OMDb API HTTP error: ${response.statusText}`);
+            data = await response.json();
+            if (data.Response === 'False') throw new Error(`OMDb API responded with error: ${data.Error}`);
+            await metadataCache.set(cacheKey, data, METADATA_TTL_MS);
+        }
+        const known = value => (value && value !== 'N/A' ? value : undefined);
+        const meta = {
+            id: imdbId,
+            type,
+            name: data.Title,
+            poster: known(data.Poster),
+            posterShape: 'poster',
+            description: known(data.Plot),
+            releaseInfo: known(data.Year),
+            imdbRating: known(data.imdbRating),
+            runtime: known(data.Runtime),
+            genres: known(data.Genre) ? data.Genre.split(', ') : undefined,
+            cast: known(data.Actors) ? data.Actors.split(', ') : undefined,
+            director: known(data.Director) ? data.Director.split(', ') : undefined,
+        };
+        if (type === 'series') {
+            const totalSeasons = parseInt(data.totalSeasons, 10);
+            const wantedSeasons = seasons.length > 0 ? seasons : (totalSeasons > 0 ? [totalSeasons] : []);
+            meta.videos = (await Promise.all(wantedSeasons.map(season => getOmdbSeasonVideos(imdbId, season, config)))).flat();
+        }
+        return meta;
     } catch (error) {
-        console.error(`[ERROR] Jackett search failed for "${query}" (IMDb: ${imdbId}):`, error.message);
+        catalogLog.warn(`Meta lookup failed for ${imdbId}`, { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Searches every enabled provider target (Jackett indexers, Prowlarr, Torznab feeds) concurrently,
+ * skipping those whose circuit is open, and merges their results.
+ * The merged results are cached for cacheTtlMs. When the deadline signal fires first, the results of
+ * the targets that already answered are returned, while the slow ones keep running to fill the cache.
+ */
+async function searchTorrents(searchParams, config, cacheTtlMs, signal) {
+    const targets = await getSearchTargets(config, DEFAULT_CONFIG);
+    if (targets.length === 0) {
+        indexersLog.warn(`No search targets for providers [${config.SEARCH_PROVIDERS.join(', ')}] after applying the allowlist/denylist.`);
         return [];
     }
+
+    // Key on the target set and query, hashing the credentials so different accounts never share entries
+    const credentials = { jackett: config.JACKETT_API_KEY, prowlarr: config.PROWLARR_API_KEY, torznab: config.TORZNAB_FEEDS };
+    const targetKeys = targets.map(target => target.key).sort().join(',');
+    const cacheKey = `search:${configFingerprint(credentials)}:${targetKeys}:${JSON.stringify(searchParams)}`;
+    const cached = await searchCache.get(cacheKey);
+    if (cached) return cached;
+
+    const searchStartTime = performance.now();
+    const collected = [];
+    const search = searchTargets(targets, searchParams, (target, results) => {
+        collected.push(...results);
+    }).then(async () => {
+        await searchCache.set(cacheKey, collected, cacheTtlMs);
+        if (signal && signal.aborted) {
+            log.info(`Late search results for "${searchParams.query}" cached after the response deadline (${collected.length} results, ${((performance.now() - searchStartTime) / 1000).toFixed(2)} seconds).`);
+        }
+        return collected;
+    });
+
+    const results = await withDeadline(search, signal, null);
+    if (results === null) {
+        log.warn(`Response deadline reached while searching for "${searchParams.query}". Continuing with ${collected.length} results from the sources that answered.`);
+        return collected.slice();
+    }
+    return results;
 }
 
-// --- Worker Thread Processing Function ---
 /**
- * Processes Jackett results in a worker thread.
+ * Builds the searches for an anime request. Fansub releases are named by romaji title and episode
+ * number ("[Group] Title - 05"), so the episode is searched by number under the romaji and English
+ * titles (and by absolute number under the franchise title for later seasons), plus a title-only
+ * search for batches when season packs are enabled.
  */
-function processTorrentsInWorker(jackettResults, metadata, season, episode, config, publicTrackers) {
-    return new Promise((resolve, reject) => {
-        const worker = new Worker('./torrentProcessorWorker.js');
+function getAnimeSearches(metadata, episode, config) {
+    const base = { title: metadata.title, type: metadata.type, anime: true, limit: INITIAL_DATE_FILTER_LIMIT };
+    if (metadata.type !== 'series' || !episode) {
+        return [Object.assign({}, base, { query: metadata.year && metadata.type === 'movie' ? `${metadata.title} ${metadata.year}` : metadata.title })];
+    }
+    const pad = number => String(number).padStart(2, '0');
+    const queries = [`${metadata.title} ${pad(episode)}`];
+    if (metadata.english && metadata.english !== metadata.title) queries.push(`${metadata.english} ${pad(episode)}`);
+    if (metadata.baseTitle && metadata.absoluteEpisode && metadata.absoluteEpisode !== episode) {
+        queries.push(`${metadata.baseTitle} ${pad(metadata.absoluteEpisode)}`);
+    }
+    if (config.SEASON_PACKS) queries.push(metadata.title);
+    return [...new Set(queries)].map(query => Object.assign({}, base, { query }));
+}
 
-        worker.on('message', (message) => {
-            if (message.error) {
-                reject(new Error(`Worker Error: ${message.error}\nStack: ${message.stack}`));
-            } else {
-                resolve(message);
-            }
-            worker.terminate();
+/**
+ * Locates the requested episode inside the season packs among the sorted candidates by reading their
+ * .torrent files. Packs without a .torrent link, whose file list can't be read, or that don't contain
+ * the episode are dropped, and the next candidates move up so up to maxStreams streams are returned.
+ * @returns {Promise<{located: Array<Object>, dropped: Array<Object>}>} - Streams in their original order (packs gain
+ *   fileIdx, filename and fileSize), and the dropped packs.
+ */
+async function locateSeasonPackEpisodes(candidates, season, episode, maxStreams, signal) {
+    const located = [];
+    const dropped = [];
+    let position = 0;
+    while (located.length < maxStreams && position < candidates.length && !(signal && signal.aborted)) {
+        const batch = candidates.slice(position, position + maxStreams - located.length);
+        position += batch.length;
+        const batchResults = await Promise.all(batch.map(async (stream) => {
+            if (!stream.seasonPack) return stream;
+            const link = stream.originalResult.Link;
+            const torrent = link ? await fetchTorrentMetadata(link, signal) : null;
+            if (!torrent || torrent.files.length === 0 || (torrent.infoHash && torrent.infoHash !== stream.infoHash)) return null;
+            const singleSeason = stream.seasonPack.from === stream.seasonPack.to;
+            const file = findEpisodeFile(torrent.files, season, stream.seasonPack.episodes || episode, singleSeason);
+            if (!file) return null;
+            return Object.assign({}, stream, { fileIdx: file.index, filename: file.name.split('/').pop(), fileSize: file.size });
+        }));
+        batchResults.forEach((stream, index) => {
+            if (stream) located.push(stream);
+            else dropped.push(batch[index]);
         });
+    }
+    if (dropped.length > 0) {
+        streamResultsTotal.inc({ filter: 'season_pack' }, dropped.length);
+        seasonPackLog.info(`Dropped ${dropped.length} season packs without a locatable ${formatEpisodeLabel(season, episode)} file.`);
+    }
+    return { located, dropped };
+}
 
-        worker.on('error', (err) => {
-            console.error('[ERROR] Worker thread encountered an unhandled error:', err);
-            reject(err);
-            worker.terminate();
-        });
+// --- Worker Thread Pool ---
+// Long-lived workers shared by all requests; jobs wait in a bounded queue when every worker is busy
+const workerPool = createWorkerPool(path.join(__dirname, 'torrentProcessorWorker.js'), {
+    name: 'worker-pool',
+    size: parseInt(process.env.WORKER_POOL_SIZE || '0', 10) || undefined,
+    maxQueue: process.env.WORKER_QUEUE_MAX ? parseInt(process.env.WORKER_QUEUE_MAX, 10) : undefined,
+    // Extra time a worker gets past the deadline to post its partial results before it is terminated
+    cancelGraceMs: 500,
+});
 
-        worker.on('exit', (code) => {
-            if (code !== 0) {
-                console.error(`[ERROR] Worker thread exited unexpectedly with code ${code}. Check torrentProcessorWorker.js for unhandled exceptions.`);
-                reject(new Error(`Worker thread exited unexpectedly with code ${code}`));
-            }
-        });
+/**
+ * Picks the config fields the worker filters on.
+ */
+function getWorkerConfig(config) {
+    return {
+        MINIMUM_SEEDERS: config.MINIMUM_SEEDERS,
+        MIN_TORRENT_SIZE_MB: config.MIN_TORRENT_SIZE_MB,
+        MAX_TORRENT_SIZE_MB: config.MAX_TORRENT_SIZE_MB,
+        BITRATE_CHECK: config.BITRATE_CHECK,
+        FAKE_CHECK: config.FAKE_CHECK,
+        PREFERRED_LANGUAGES: config.PREFERRED_LANGUAGES,
+        REQUIRED_LANGUAGES: config.REQUIRED_LANGUAGES,
+        UNTAGGED_LANGUAGE: config.UNTAGGED_LANGUAGE,
+        PREFERRED_VIDEO_QUALITIES_CONFIG: config.PREFERRED_VIDEO_QUALITIES_CONFIG,
+        PREFERRED_AUDIO_QUALITIES_CONFIG: config.PREFERRED_AUDIO_QUALITIES_CONFIG,
+        SEASON_PACKS: config.SEASON_PACKS,
+        TRACKER_ALLOWLIST: config.TRACKER_ALLOWLIST,
+        TRACKER_DENYLIST: config.TRACKER_DENYLIST,
+        GROUP_ALLOWLIST: config.GROUP_ALLOWLIST,
+        GROUP_DENYLIST: config.GROUP_DENYLIST,
+        // Environment only (see ENV_ONLY_FIELDS in lib/config.js)
+        TITLE_ALLOW_PATTERN: DEFAULT_CONFIG.TITLE_ALLOW_PATTERN,
+        TITLE_DENY_PATTERN: DEFAULT_CONFIG.TITLE_DENY_PATTERN,
+        EXTENSION_ALLOWLIST: config.EXTENSION_ALLOWLIST,
+        EXTENSION_DENYLIST: config.EXTENSION_DENYLIST,
+        INFOHASH_ALLOWLIST: config.INFOHASH_ALLOWLIST,
+        INFOHASH_DENYLIST: config.INFOHASH_DENYLIST,
+    };
+}
 
-        worker.postMessage({
-            jackettResults,
-            metadata,
-            season,
-            episode,
-            config: {
-                MINIMUM_SEEDERS: config.MINIMUM_SEEDERS,
-                MIN_TORRENT_SIZE_MB: config.MIN_TORRENT_SIZE_MB,
-                MAX_TORRENT_SIZE_MB: config.MAX_TORRENT_SIZE_MB,
-                PREFERRED_LANGUAGES: config.PREFERRED_LANGUAGES,
-                PREFERRED_VIDEO_QUALITIES_CONFIG: config.PREFERRED_VIDEO_QUALITIES_CONFIG,
-                PREFERRED_AUDIO_QUALITIES_CONFIG: config.PREFERRED_AUDIO_QUALITIES_CONFIG,
-            },
-            publicTrackers: publicTrackers
-        });
-    });
+/**
+ * Name of a worker filter in metrics and debug output ('noInfoHash' -> 'no_info_hash').
+ */
+function filterLabel(filter) {
+    return filter.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Adds the worker's per-filter drop counts to the results funnel.
+ */
+function recordResultsFunnel(funnel) {
+    for (const [filter, count] of Object.entries(funnel)) {
+        streamResultsTotal.inc({ filter: filterLabel(filter) }, count);
+    }
+}
+
+/**
+ * Counts and logs the results dropped by each block/allow rule.
+ * @param {Object<string, number>} ruleHits - Drops per 'rule:value' (e.g. 'group_deny:yify').
+ */
+function recordRuleHits(ruleHits) {
+    const entries = Object.entries(ruleHits || {});
+    if (entries.length === 0) return;
+    for (const [hit, count] of entries) {
+        ruleHitsTotal.inc({ rule: hit.split(':')[0] }, count);
+        ruleHitCounts.set(hit, (ruleHitCounts.get(hit) || 0) + count);
+    }
+    rulesLog.info(`Release rules dropped: ${entries.map(([hit, count]) => `${hit} (${count})`).join(', ')}`);
+}
+
+/**
+ * Processes Jackett results on the worker pool.
+ * The worker stops at the deadline and returns the streams processed so far ({ streams, partial, funnel }), plus
+ * the reason for every dropped result when `explain` is set.
+ * A job still queued at the deadline, or whose worker had to be terminated, yields an empty partial result.
+ * The config, tracker list and admin infohash rules are sent to each worker once and referenced by key afterwards.
+ */
+async function processTorrentsInWorker(jackettResults, metadata, season, episode, config, deadline, explain) {
+    const workerConfig = getWorkerConfig(config);
+    try {
+        return await workerPool.run(
+            { jackettResults, metadata, season, episode, deadlineAt: deadline.expiresAt, requestId: getRequestId(), explain: !!explain },
+            {
+                contexts: {
+                    config: { key: configFingerprint(workerConfig), value: workerConfig },
+                    trackers: { key: getTrackersKey(), value: getTrackers() },
+                    infoHashRules: { key: getInfoHashRulesKey(), value: getInfoHashLists() },
+                },
+                signal: deadline.signal,
+            }
+        );
+    } catch (error) {
+        if (!(error instanceof JobCancelledError)) throw error;
+        log.warn(`Worker job did not complete by the response deadline: ${error.message}`);
+        return { streams: [], partial: true, funnel: {}, ruleHits: {}, rejections: explain ? [] : undefined };
+    }
 }
 
 // --- Stremio Addon Setup ---
@@ -176,193 +526,778 @@ const builder = new addonBuilder({
     id: 'org.jackett.stremio.addon',
     version: '1.7.1', // Updated version for direct API sorting and limiting, enhanced worker robustness
     name: 'Jackett Stream Provider',
-    description: 'Provides P2P streams sourced from Jackett with advanced filtering, validation, and quality sorting, optimized with Worker Threads.',
-    resources: ['stream'],
-    types: ['movie', 'series'],
-    catalogs: [],
+    description: 'Provides P2P streams sourced from Jackett with advanced filtering, validation, and quality sorting, optimized with Worker Threads, plus catalogs of what is fresh on your indexers.',
+    // Metas are only served for the catalogs' IMDb items; anime IDs come from anime catalog addons
+    resources: CATALOGS_ENABLED ? ['catalog', { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tt'] }, 'stream'] : ['stream'],
+    types: ['movie', 'series', 'anime'],
+    catalogs: CATALOGS,
     icon: 'https://cdn.iconscout.com/icon/free/png-256/jackett-3027871-2522777.png',
     background: 'https://www.wallpaperflare.com/static/863/826/360/film-clapper-black-background-clapperboard-wallpaper.jpg',
-    idPrefixes: ['tt']
+    idPrefixes: ['tt', ...ANIME_ID_PREFIXES],
+    behaviorHints: { configurable: true }
+});
+
+// --- "Fresh on my indexers" catalogs ---
+const catalogService = createCatalogService({
+    search: (searchParams, config, cacheTtlMs) => searchTorrents(searchParams, config, cacheTtlMs),
+    findTitle: findCatalogTitle,
+    getDetails: getCatalogMeta,
 });
 
-// Define the stream handler
-builder.defineStreamHandler(async (args) => {
+if (CATALOGS_ENABLED) {
+    builder.defineCatalogHandler(async (args) => {
+        const config = resolveConfig(args.config);
+        const skip = Math.max(parseInt((args.extra && args.extra.skip) || '0', 10) || 0, 0);
+        catalogLog.info(`Catalog requested: Type=${args.type}, ID=${args.id}, Skip=${skip}`);
+        try {
+            return { metas: await catalogService.getCatalog(args.type, args.id, skip, config) };
+        } catch (error) {
+            catalogLog.error(`Catalog ${args.id} failed`, { error: error.message });
+            return { metas: [] };
+        }
+    });
+
+    builder.defineMetaHandler(async (args) => {
+        const config = resolveConfig(args.config);
+        return { meta: await catalogService.getMeta(args.type, args.id, config) };
+    });
+}
+
+/**
+ * Describes what happened to every search result of a stream request, for the debug route: the filter that
+ * dropped it and why, or its rank, score breakdown and the stream sent to Stremio.
+ * @param {Array<Object>} results - Search results as handed to the worker.
+ * @param {Object} outcome - { rejections, failed, ranked, returned, droppedPacks, stremioStreams } of the request.
+ * @returns {Array<Object>} - One entry per search result, in search order.
+ */
+function explainResults(results, outcome) {
+    const entries = results.map(result => ({
+        title: result.Title,
+        provider: result.Provider || null,
+        tracker: result.Tracker || null,
+        seeders: result.Seeders,
+        peers: result.Peers,
+        size: result.Size,
+        publishDate: result.PublishDate || null,
+        infoHash: result.InfoHash ? String(result.InfoHash).toLowerCase() : null,
+        // Results the worker never reached: the deadline hit first
+        status: 'dropped',
+        filter: 'deadline',
+        reason: 'not processed before the response deadline',
+        release: null,
+    }));
+    for (const rejection of outcome.rejections || []) {
+        Object.assign(entries[rejection.resultIndex], { filter: filterLabel(rejection.filter), reason: rejection.reason, release: rejection.release });
+    }
+    for (const { stream, requirement } of outcome.failed) {
+        Object.assign(entries[stream.resultIndex], { filter: 'requirements', reason: `fails requirement ${requirement}`, release: stream.release });
+    }
+    const returnedIndexes = new Map(outcome.returned.map((stream, index) => [stream.resultIndex, index]));
+    const droppedPacks = new Set(outcome.droppedPacks.map(stream => stream.resultIndex));
+    outcome.ranked.forEach((stream, index) => {
+        const entry = Object.assign(entries[stream.resultIndex], {
+            rank: index + 1,
+            score: stream.score,
+            scoreBreakdown: stream.scoreBreakdown,
+            parsedDetails: stream.parsedDetails,
+            release: stream.release,
+            seasonPack: stream.seasonPack || null,
+            liveSwarm: stream.liveSwarm || null,
+            languages: stream.languages || null,
+            bitrateMbps: stream.bitrateMbps,
+        });
+        if (returnedIndexes.has(stream.resultIndex)) {
+            Object.assign(entry, { status: 'returned', filter: null, reason: null, stream: outcome.stremioStreams[returnedIndexes.get(stream.resultIndex)] });
+        } else if (droppedPacks.has(stream.resultIndex)) {
+            Object.assign(entry, { filter: 'season_pack', reason: 'episode file not found in the season pack' });
+        } else {
+            Object.assign(entry, { filter: 'limit', reason: 'ranked below the MAX_STREAMS cut-off' });
+        }
+    });
+    return entries;
+}
+
+/**
+ * Handles a stream request: metadata, searches, filtering on the worker pool, ranking and formatting.
+ * @param {Object} args - Stremio stream request ({ type, id, config }).
+ * @param {Object} [explain] - When given, the streams cache is bypassed and this object is filled with the
+ *   metadata, the searches and what happened to every search result (see the /debug/stream route).
+ */
+async function handleStreamRequest(args, explain) {
     const totalStartTime = performance.now();
+    const config = resolveConfig(args.config);
+    const deadline = createDeadline(RESPONSE_TIMEOUT_MS, RESPONSE_RESERVE_MS);
+    const userKey = configFingerprint(config);
 
-    const imdbId = args.id.split(':')[0];
-    const itemType = args.type;
+    // Anime addons use Kitsu/AniList/MAL IDs ("kitsu:<id>:<episode>") and the 'anime' type
+    const animeId = parseAnimeId(args.id);
+    const imdbId = animeId ? null : args.id.split(':')[0];
+    const itemType = args.type === 'anime' ? 'series' : args.type;
 
     let season, episode;
-    if (itemType === 'series') {
+    if (animeId) {
+        episode = animeId.episode || undefined;
+    } else if (itemType === 'series') {
         const parts = args.id.split(':');
         if (parts.length === 3) {
-            season = parseInt(parts[1].substring(1), 10);
-            episode = parseInt(parts[2].substring(1), 10);
+            // Stremio series IDs are tt<imdb>:<season>:<episode> with plain numbers
+            season = parseInt(parts[1], 10);
+            episode = parseInt(parts[2], 10);
         }
     }
 
-    console.log(`[INFO] Stream requested: Type=${itemType}, ID=${args.id}`);
-    console.log(`[CONFIG] Filters: Min Seeders=${MINIMUM_SEEDERS}, Min Size=${MIN_TORRENT_SIZE_MB}MB, Max Size=${MAX_TORRENT_SIZE_MB}MB, Preferred Languages=[${PREFERRED_LANGUAGES.join(', ')}]`);
-    console.log(`[CONFIG] Quality Prefs: Video=[${PREFERRED_VIDEO_QUALITIES_CONFIG.join(', ')}], Audio=[${PREFERRED_AUDIO_QUALITIES_CONFIG.join(', ')}]`);
-    console.log(`[CONFIG] Initial Date Filter Limit (via Jackett API): ${INITIAL_DATE_FILTER_LIMIT}`);
+    // Episodes continue with the release identity remembered from the show's other episodes
+    const showId = itemType === 'series' && episode ? (animeId ? `${animeId.source}:${animeId.id}` : imdbId) : null;
+    const continuity = showId ? await getPreferredIdentity(userKey, showId, args.id) : null;
+    // Editing the admin infohash rules invalidates the cached stream lists
+    const streamsCacheKey = getStreamsCacheKey(args.id, config, [getInfoHashRulesKey(), continuity ? formatIdentity(continuity) : '']);
+
+    log.info(`Stream requested: Type=${itemType}, ID=${args.id}`);
+    configLog.debug(`Source: ${args.config && Object.keys(args.config).length > 0 ? 'user config from URL' : 'environment defaults'}`);
+    configLog.debug(`Filters: Min Seeders=${config.MINIMUM_SEEDERS}, Min Size=${config.MIN_TORRENT_SIZE_MB}MB, Max Size=${config.MAX_TORRENT_SIZE_MB}MB, Preferred Languages=[${config.PREFERRED_LANGUAGES.map(tier => tier.join('|')).join(', ')}], Required Languages=[${config.REQUIRED_LANGUAGES.join(', ')}]`);
+    configLog.debug(`Quality Prefs: Video=[${config.PREFERRED_VIDEO_QUALITIES_CONFIG.join(', ')}], Audio=[${config.PREFERRED_AUDIO_QUALITIES_CONFIG.join(', ')}]`);
+    configLog.debug(`Search Providers: [${config.SEARCH_PROVIDERS.join(', ')}], Initial Date Filter Limit: ${INITIAL_DATE_FILTER_LIMIT}`);
 
     try {
-        const metadataStartTime = performance.now();
-        const [omdbResult, tmdbResult] = await Promise.allSettled([
-            getOmdbMetadata(imdbId),
-            getTmdbMetadata(imdbId, itemType)
-        ]);
-        const metadataEndTime = performance.now();
-        console.log(`[INFO] Metadata fetch time: ${((metadataEndTime - metadataStartTime) / 1000).toFixed(2)} seconds.`);
+        const cachedStreams = explain ? null : await streamsCache.get(streamsCacheKey);
+        if (cachedStreams) {
+            log.info(`Sending ${cachedStreams.length} cached streams to Stremio for ID: ${args.id}`);
+            streamRequestsTotal.inc({ outcome: 'cached' });
+            return { streams: cachedStreams };
+        }
 
+        const metadataStartTime = performance.now();
         let metadata = null;
         let searchQueryTitle = imdbId;
         let determinedType = itemType;
-
-        if (omdbResult.status === 'fulfilled' && omdbResult.value) {
-            metadata = omdbResult.value;
-            searchQueryTitle = metadata.title;
-            determinedType = metadata.type;
-            console.log(`[INFO] Metadata from OMDb: Title="${metadata.title}", Year="${metadata.year}", Type="${metadata.type}"`);
-        } else if (tmdbResult.status === 'fulfilled' && tmdbResult.value) {
-            metadata = tmdbResult.value;
+        if (animeId) {
+            const anime = await getAnimeMetadata(animeId.source, animeId.id, deadline.signal);
+            if (!anime) {
+                log.warn(`Could not retrieve anime metadata for ${args.id}. Returning empty streams.`);
+                streamRequestsTotal.inc({ outcome: 'empty' });
+                if (explain) explain.error = `No metadata for ${args.id}`;
+                return { streams: [] };
+            }
+            season = anime.season || undefined;
+            determinedType = anime.type;
+            metadata = {
+                title: anime.title,
+                titles: anime.titles,
+                seasonTitles: anime.seasonTitles,
+                year: anime.year,
+                type: anime.type,
+                runtimeMinutes: anime.runtimeMinutes,
+                absoluteEpisode: episode && anime.episodeOffset !== null ? anime.episodeOffset + episode : null,
+                english: anime.english,
+                baseTitle: anime.baseTitle,
+            };
             searchQueryTitle = metadata.title;
-            determinedType = metadata.type;
-            console.log(`[INFO] Metadata from TMDB: Title="${metadata.title}", Year="${metadata.year}", Type="${metadata.type}"`);
+            log.info(`Metadata from ${animeId.source}: Title="${metadata.title}", Year="${metadata.year}", Type="${metadata.type}", Season=${season || 'unknown'}, Absolute episode=${metadata.absoluteEpisode || 'unknown'}`);
         } else {
-            console.warn(`[WARN] Could not retrieve metadata for ${imdbId} from OMDb or TMDB. Proceeding with IMDb ID as fallback.`);
-            metadata = { title: imdbId, year: null, type: itemType };
+            const [omdbResult, tmdbResult] = await Promise.allSettled([
+                getOmdbMetadata(imdbId, config, deadline.signal),
+                getTmdbMetadata(imdbId, itemType, config, deadline.signal)
+            ]);
+
+            if (omdbResult.status === 'fulfilled' && omdbResult.value) {
+                metadata = omdbResult.value;
+                searchQueryTitle = metadata.title;
+                determinedType = metadata.type;
+                log.info(`Metadata from OMDb: Title="${metadata.title}", Year="${metadata.year}", Type="${metadata.type}"`);
+            } else if (tmdbResult.status === 'fulfilled' && tmdbResult.value) {
+                metadata = tmdbResult.value;
+                searchQueryTitle = metadata.title;
+                determinedType = metadata.type;
+                log.info(`Metadata from TMDB: Title="${metadata.title}", Year="${metadata.year}", Type="${metadata.type}"`);
+            } else {
+                log.warn(`Could not retrieve metadata for ${imdbId} from OMDb or TMDB. Proceeding with IMDb ID as fallback.`);
+                metadata = { title: imdbId, year: null, type: itemType };
+            }
+            const tmdbMetadata = tmdbResult.status === 'fulfilled' && tmdbResult.value ? tmdbResult.value : null;
+            if (tmdbMetadata) {
+                // Original, alternative and translated titles come from TMDB even when OMDb provided the metadata
+                metadata = Object.assign({}, metadata, {
+                    originalTitle: tmdbMetadata.originalTitle,
+                    originalLanguage: tmdbMetadata.originalLanguage,
+                    alternativeTitles: [tmdbMetadata.title, ...(tmdbMetadata.alternativeTitles || [])],
+                    translatedTitles: tmdbMetadata.translatedTitles,
+                    runtimeMinutes: metadata.runtimeMinutes || tmdbMetadata.runtimeMinutes,
+                });
+            }
+            // Anime releases of IMDb-listed series may still number episodes absolutely
+            const absoluteEpisode = getAbsoluteEpisode(tmdbMetadata ? tmdbMetadata.seasonEpisodeCounts : null, season, episode);
+            if (absoluteEpisode) metadata = Object.assign({}, metadata, { absoluteEpisode });
         }
+        const metadataEndTime = performance.now();
+        stageDuration.observe({ stage: 'metadata' }, (metadataEndTime - metadataStartTime) / 1000);
+        log.info(`Metadata fetch time: ${((metadataEndTime - metadataStartTime) / 1000).toFixed(2)} seconds.`);
 
-        let jackettQuery = searchQueryTitle;
-        if (determinedType === 'movie' && metadata.year) {
-            jackettQuery = `${searchQueryTitle} ${metadata.year}`;
-        } else if (determinedType === 'series' && season && episode) {
-            jackettQuery = `${searchQueryTitle} S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+        const searchTtlMs = isNewRelease(metadata) ? SEARCH_NEW_RELEASE_TTL_MS : SEARCH_TTL_MS;
+        const searchStartTime = performance.now();
+        const searchQueries = [];
+        let searches;
+        if (animeId) {
+            searches = getAnimeSearches(metadata, episode, config).map(searchParams => {
+                log.info(`Searching anime category for: "${searchParams.query}"`);
+                searchQueries.push(searchParams.query);
+                return searchTorrents(searchParams, config, searchTtlMs, deadline.signal);
+            });
+        } else {
+            // Releases may be named by the original or a localized title; validation accepts every alias
+            const { searchTitles, aliases } = getTitleAliases(metadata, [...config.PREFERRED_LANGUAGES.flat(), ...config.REQUIRED_LANGUAGES]);
+            metadata = Object.assign({}, metadata, { titles: aliases });
+            if (aliases.length > 0) log.info(`Title aliases: ${aliases.map(alias => `"${alias}"`).join(', ')}`);
+
+            const searchParams = { title: searchQueryTitle, imdbId, type: determinedType, season, episode, limit: INITIAL_DATE_FILTER_LIMIT };
+            searches = searchTitles.map((searchTitle, index) => {
+                let searchQuery = searchTitle;
+                if (determinedType === 'movie' && metadata.year) {
+                    searchQuery = `${searchTitle} ${metadata.year}`;
+                } else if (determinedType === 'series' && season && episode) {
+                    searchQuery = `${searchTitle} S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+                }
+                // Alternative titles are plain text searches; an IMDb ID search would just repeat the first one
+                const variantParams = index === 0
+                    ? Object.assign({}, searchParams, { query: searchQuery })
+                    : Object.assign({}, searchParams, { query: searchQuery, title: searchTitle, imdbId: undefined });
+                log.info(`Searching for: "${searchQuery}"${index === 0 ? ` (IMDb: ${imdbId})` : ' (alternative title)'} with limit=${INITIAL_DATE_FILTER_LIMIT}`);
+                searchQueries.push(searchQuery);
+                return searchTorrents(variantParams, config, searchTtlMs, deadline.signal);
+            });
+            // Season packs are rarely returned for an episode query, so they get a season-only search of their own
+            if (config.SEASON_PACKS && determinedType === 'series' && season && episode) {
+                const packQuery = `${searchQueryTitle} S${String(season).padStart(2, '0')}`;
+                log.info(`Searching for season packs: "${packQuery}"`);
+                searchQueries.push(packQuery);
+                searches.push(searchTorrents(Object.assign({}, searchParams, { query: packQuery, episode: undefined }), config, searchTtlMs, deadline.signal));
+            }
         }
+        const searchResults = (await Promise.all(searches)).flat();
+        const searchEndTime = performance.now();
+        stageDuration.observe({ stage: 'search' }, (searchEndTime - searchStartTime) / 1000);
+        log.info(`Search returned ${searchResults.length} raw results in ${((searchEndTime - searchStartTime) / 1000).toFixed(2)} seconds.`);
 
-        const jackettSearchStartTime = performance.now();
-        console.log(`[INFO] Searching Jackett for: "${jackettQuery}" (IMDb: ${imdbId}) with sort=posted_desc and limit=${INITIAL_DATE_FILTER_LIMIT}`);
-        const jackettResults = await jackettSearch(jackettQuery, imdbId, determinedType, season, episode);
-        const jackettSearchEndTime = performance.now();
-        console.log(`[INFO] Jackett search returned ${jackettResults.length} raw results in ${((jackettSearchEndTime - jackettSearchStartTime) / 1000).toFixed(2)} seconds.`);
+        // --- Resolve results that only link to a .torrent file, so they get an infohash ---
+        const torrentResolveStartTime = performance.now();
+        const { results: resolvedResults, resolved: resolvedCount, attempted: attemptedCount } = await resolveTorrentLinks(searchResults, deadline.signal);
+        if (attemptedCount > 0) {
+            const torrentResolveEndTime = performance.now();
+            stageDuration.observe({ stage: 'torrent_resolve' }, (torrentResolveEndTime - torrentResolveStartTime) / 1000);
+            torrentLog.info(`Resolved ${resolvedCount}/${attemptedCount} .torrent-only results in ${((torrentResolveEndTime - torrentResolveStartTime) / 1000).toFixed(2)} seconds.`);
+        }
 
         // --- Offload heavy processing (filtering and parsing) to Worker Thread ---
         const workerProcessingStartTime = performance.now();
-        console.log('[INFO] Offloading torrent processing (filtering, parsing) to worker thread...');
-        // Worker now receives results that are already date-sorted and limited by Jackett API
-        const processedStreams = await processTorrentsInWorker(
-            jackettResults,
+        log.info('Offloading torrent processing (filtering, parsing) to the worker pool...');
+        // Worker receives the merged results of all providers, each limited to INITIAL_DATE_FILTER_LIMIT
+        const { streams: processedStreams, partial: isPartialResult, funnel, ruleHits, rejections } = await processTorrentsInWorker(
+            resolvedResults,
             metadata,
             season,
             episode,
-            {
-                MINIMUM_SEEDERS,
-                MIN_TORRENT_SIZE_MB,
-                MAX_TORRENT_SIZE_MB,
-                PREFERRED_LANGUAGES,
-                PREFERRED_VIDEO_QUALITIES_CONFIG,
-                PREFERRED_AUDIO_QUALITIES_CONFIG,
-            },
-            publicTrackers
+            config,
+            deadline,
+            explain
         );
         const workerProcessingEndTime = performance.now();
-        console.log(`[INFO] Worker processing completed. Time: ${((workerProcessingEndTime - workerProcessingStartTime) / 1000).toFixed(2)} seconds.`);
-        console.log(`[INFO] Worker returned ${processedStreams.length} filtered and parsed streams to main thread.`);
-
-        // --- Stage 3: Apply full multi-criteria sort in main thread ---
-        // Results from worker are already largely date-sorted (from Jackett API)
-        const candidatesForFinalSort = processedStreams;
+        stageDuration.observe({ stage: 'worker' }, (workerProcessingEndTime - workerProcessingStartTime) / 1000);
+        recordResultsFunnel(funnel);
+        recordRuleHits(ruleHits);
+        const poolStats = workerPool.getStats();
+        log.info(`Worker processing completed. Time: ${((workerProcessingEndTime - workerProcessingStartTime) / 1000).toFixed(2)} seconds. Pool: ${poolStats.busy}/${poolStats.size} busy, ${poolStats.queued} queued, utilisation ${(poolStats.utilisation * 100).toFixed(1)}%.`);
+        log.info(`Worker returned ${processedStreams.length} filtered and parsed streams to main thread.`);
+        const deadlineReached = isPartialResult || deadline.signal.aborted;
+        if (deadlineReached) {
+            log.warn(`Response deadline of ${RESPONSE_TIMEOUT_MS}ms reached for ${args.id}. Returning partial results.`);
+        }
 
+        // --- Stage 3: Apply hard requirements and rank by weighted score in main thread ---
         const finalSortStartTime = performance.now();
-        candidatesForFinalSort.sort((a, b) => {
-            // 1. Seeders (descending) - Highest priority
-            if (b.originalResult.Seeders !== a.originalResult.Seeders) {
-                return b.originalResult.Seeders - a.originalResult.Seeders;
-            }
+        let { ranked: candidatesForFinalSort, rejected, failed } = rankStreams(processedStreams, config, { continuity });
+        const finalSortEndTime = performance.now();
+        stageDuration.observe({ stage: 'sort' }, (finalSortEndTime - finalSortStartTime) / 1000);
 
-            // 2. PublishedDate (descending) - Second highest priority
-            // Use effectivePublishedDate from worker, which is either valid or null
-            const dateA = a.effectivePublishedDate ? new Date(a.effectivePublishedDate).getTime() : 0; // Use 0 for invalid/null dates to push them to bottom
-            const dateB = b.effectivePublishedDate ? new Date(b.effectivePublishedDate).getTime() : 0;
+        // Indexer seeder counts can be days old; the top candidates get live numbers from their trackers and are ranked again
+        const scrapeStartTime = performance.now();
+        // Ranked streams are copies; the processed streams are updated so the new ranking sees the live numbers
+        const processedByIndex = new Map(processedStreams.map(stream => [stream.resultIndex, stream]));
+        const scrape = await refreshSeeders(candidatesForFinalSort.map(stream => processedByIndex.get(stream.resultIndex)), getTrackers(), deadline.responseSignal);
+        if (scrape) {
+            stageDuration.observe({ stage: 'scrape' }, (performance.now() - scrapeStartTime) / 1000);
+            for (const { protocol, outcome } of scrape.scrapes) trackerScrapesTotal.inc({ protocol, outcome });
+            if (scrape.verified > 0) ({ ranked: candidatesForFinalSort, rejected, failed } = rankStreams(processedStreams, config, { continuity }));
+        }
+        streamResultsTotal.inc({ filter: 'requirements' }, Object.values(rejected).reduce((sum, count) => sum + count, 0));
+        const rejectedSummary = Object.entries(rejected).map(([requirement, count]) => `${requirement} (${count})`).join(', ');
+        if (rejectedSummary) scoreLog.info(`Streams failing requirements: ${rejectedSummary}`);
+        for (const stream of candidatesForFinalSort.slice(0, 3)) {
+            scoreLog.info(`${stream.score} "${stream.originalResult.Title}": ${formatScoreBreakdown(stream.scoreBreakdown)}`);
+        }
+        log.info(`Main thread ranking time (${config.SORT_PRESET}, by ${config.SORT_BY} ${config.SORT_ORDER}): ${((finalSortEndTime - finalSortStartTime) / 1000).toFixed(2)} seconds.`);
+        if (continuity) scoreLog.info(`Continuing ${showId} with ${formatIdentity(continuity)}`);
 
-            if (dateB !== dateA) {
-                return dateB - dateA;
-            }
-            
-            // If seeders and dates are the same (or invalid/equal), then apply quality sorting
-            // 3. Preferred Language (prioritize preferred, then original order)
-            if (a.hasPreferredLanguage && !b.hasPreferredLanguage) return -1;
-            if (!a.hasPreferredLanguage && b.hasPreferredLanguage) return 1;
-
-            // 4. Resolution (descending)
-            if (a.resolutionRank !== b.resolutionRank) {
-                return b.resolutionRank - a.resolutionRank;
-            }
+        // --- Stage 4: Format for Stremio and apply final MAX_STREAMS limit ---
+        // Season packs need their .torrent file list to point Stremio at the right episode
+        const { located: topCandidates, dropped: droppedPacks } = candidatesForFinalSort.some(stream => stream.seasonPack)
+            ? await locateSeasonPackEpisodes(candidatesForFinalSort, season, episode, config.MAX_STREAMS, deadline.responseSignal)
+            : { located: candidatesForFinalSort.slice(0, config.MAX_STREAMS), dropped: [] };
 
-            // 5. Video Quality (descending)
-            if (a.videoQualityRank !== b.videoQualityRank) {
-                return b.videoQualityRank - a.videoQualityRank;
-            }
+        // With a debrid service configured, streams are played through the addon's resolve route
+        const debridProvider = getConfiguredProvider(config);
+        let cachedInfoHashes = new Set();
+        let resolveBaseUrl = null;
+        if (debridProvider) {
+            const debridStartTime = performance.now();
+            cachedInfoHashes = await checkCachedAvailability(debridProvider, config.DEBRID_API_KEY, topCandidates.map(stream => stream.infoHash), deadline.responseSignal);
+            const debridEndTime = performance.now();
+            stageDuration.observe({ stage: 'debrid' }, (debridEndTime - debridStartTime) / 1000);
+            debridLog.info(`${debridProvider.name}: ${cachedInfoHashes.size}/${topCandidates.length} streams cached (checked in ${((debridEndTime - debridStartTime) / 1000).toFixed(2)} seconds).`);
+            const configSegment = args.config && Object.keys(args.config).length > 0 ? `/${encodeUserConfig(args.config)}` : '';
+            resolveBaseUrl = `${ADDON_URL}${configSegment}/resolve`;
+        }
 
-            // 6. Audio Quality (descending)
-            if (a.audioQualityRank !== b.audioQualityRank) {
-                return b.audioQualityRank - a.audioQualityRank;
-            }
+        const stremioStreams = [];
+        const formatContext = { debridProvider, now: Date.now() };
+        const publicTrackers = getTrackers();
+        for (const stream of topCandidates) {
+            const cached = cachedInfoHashes.has(stream.infoHash);
+            // name and description come from the configured templates; title repeats the description for older clients
+            const { name, description, behaviorHints } = formatStream(stream, config, Object.assign({ cached }, formatContext));
 
-            return 0; // If all criteria are equal, maintain original relative order
-        });
-        const finalSortEndTime = performance.now();
-        console.log(`[INFO] Main thread final sorting time: ${((finalSortEndTime - finalSortStartTime) / 1000).toFixed(2)} seconds.`);
+            if (debridProvider) {
+                const filePath = stream.fileIdx !== undefined ? `/${stream.fileIdx}?filename=${encodeURIComponent(stream.filename)}` : '';
+                stremioStreams.push({
+                    name,
+                    description,
+                    title: description,
+                    url: `${resolveBaseUrl}/${stream.infoHash}${filePath}`,
+                    behaviorHints,
+                });
+                continue;
+            }
 
-        // --- Stage 4: Format for Stremio and apply final MAX_STREAMS limit ---
-        const stremioStreams = [];
-        for (let i = 0; i < Math.min(candidatesForFinalSort.length, MAX_STREAMS); i++) {
-            const stream = candidatesForFinalSort[i];
-            const result = stream.originalResult;
-            const torrentSizeMB = (result.Size / (1024 * 1024)).toFixed(2);
-
-            // Construct title for Stremio, including parsed details
-            let titleParts = [result.Title];
-            if (stream.parsedDetails.resolution) titleParts.push(stream.parsedDetails.resolution.toUpperCase());
-            if (stream.parsedDetails.videoQuality) titleParts.push(stream.parsedDetails.videoQuality.toUpperCase());
-            if (stream.parsedDetails.audioQuality) titleParts.push(stream.parsedDetails.audioQuality.toUpperCase());
-            if (stream.parsedDetails.language) titleParts.push(stream.parsedDetails.language.charAt(0).toUpperCase() + stream.parsedDetails.language.slice(1));
-            titleParts.push(`S:${result.Seeders}`, `L:${result.Peers}`, `Size:${torrentSizeMB}MB`);
-
-            // Construct sources array with individual trackers and DHT node, as per Stremio documentation
-            const streamSources = publicTrackers.map(trackerUrl => `tracker:${trackerUrl}`);
-            streamSources.push(`dht:${stream.infoHash}`);
+            // Construct sources array with individual trackers and DHT node, as per Stremio documentation.
+            // The torrent's own trackers (known for resolved .torrent files) and those of the re-uploads
+            // collapsed into it go first, up to TRACKERS_PER_STREAM.
+            const streamSources = getStreamSources(stream, publicTrackers);
 
             stremioStreams.push({
-                name: `Jackett | ${result.Tracker}`,
-                title: titleParts.join(' | '),
+                name,
+                description,
+                title: description,
                 infoHash: stream.infoHash,
+                fileIdx: stream.fileIdx,
                 sources: streamSources, // Only individual trackers and DHT as sources
+                behaviorHints,
             });
         }
 
-        console.log(`[INFO] [STREMIO RESPONSE] Sending ${stremioStreams.length} streams to Stremio for ID: ${args.id}`);
+        log.info(`Sending ${stremioStreams.length} streams to Stremio for ID: ${args.id}`);
+        if (showId && !explain) await rememberServed(userKey, showId, args.id, topCandidates, !!debridProvider);
+        // Empty and partial lists are not cached, so a transient outage or slow indexer doesn't stick
+        if (stremioStreams.length > 0 && !deadlineReached && !explain) await streamsCache.set(streamsCacheKey, stremioStreams, STREAMS_TTL_MS);
 
         const totalEndTime = performance.now();
-        console.log(`[INFO] Total processing time for ${args.id}: ${((totalEndTime - totalStartTime) / 1000).toFixed(2)} seconds.`);
+        stageDuration.observe({ stage: 'total' }, (totalEndTime - totalStartTime) / 1000);
+        streamResultsTotal.inc({ filter: 'kept' }, stremioStreams.length);
+        streamRequestsTotal.inc({ outcome: deadlineReached ? 'partial' : (stremioStreams.length > 0 ? 'ok' : 'empty') });
+        log.info(`Total processing time for ${args.id}: ${((totalEndTime - totalStartTime) / 1000).toFixed(2)} seconds.`);
 
+        if (explain) {
+            Object.assign(explain, {
+                metadata,
+                season: season || null,
+                episode: episode || null,
+                searches: searchQueries,
+                continuity: continuity ? formatIdentity(continuity) : null,
+                scrape: scrape ? { candidates: scrape.candidates, verified: scrape.verified, cached: scrape.cached, trackers: scrape.trackers } : null,
+                partial: deadlineReached,
+                results: explainResults(resolvedResults, {
+                    rejections, failed, ranked: candidatesForFinalSort, returned: topCandidates, droppedPacks, stremioStreams,
+                }),
+            });
+        }
         return { streams: stremioStreams };
 
     } catch (error) {
-        console.error(`[ERROR] Stream processing failed for ID ${args.id}:`, error.message);
-        console.warn(`[WARN] Stream processing for ID ${args.id} failed. Returning empty streams.`);
+        if (explain) explain.error = error.message;
+        if (error instanceof PoolQueueFullError) {
+            log.warn(`Rejecting stream request for ${args.id}: ${error.message}. Returning empty streams.`);
+            streamRequestsTotal.inc({ outcome: 'busy' });
+            return { streams: [] };
+        }
+        log.error(`Stream processing failed for ID ${args.id}. Returning empty streams.`, { error });
+        streamRequestsTotal.inc({ outcome: 'error' });
         return { streams: [] };
     }
+}
+
+builder.defineStreamHandler(args => handleStreamRequest(args));
+
+// --- HTTP Server ---
+const addonInterface = builder.getInterface();
+const CONFIGURE_PAGE = path.join(__dirname, 'public', 'index.html');
+const DEBUG_PAGE = path.join(__dirname, 'public', 'debug.html');
+// Restricting the resource segment keeps `/<config>/stream/...` from matching the unconfigured route
+const RESOURCE_PATTERN = `(${[...(addonInterface.manifest.catalogs.length > 0 ? ['catalog'] : []), ...addonInterface.manifest.resources.map(r => r.name || r)].join('|')})`;
+
+/**
+ * Decodes the optional config segment of a request into user overrides.
+ * Responds with HTTP 400 and returns null when the segment is invalid.
+ */
+function readUserConfig(req, res) {
+    if (!req.params.config) return {};
+    try {
+        return decodeUserConfig(req.params.config);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        configLog.warn(`Rejected config segment on ${req.path}: ${error.message}`);
+        res.status(400).json({ err: `Invalid config: ${error.message}` });
+        return null;
+    }
+}
+
+/**
+ * Guards admin routes with ADMIN_TOKEN (Bearer header or ?token=). Admin routes are disabled without it.
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        res.status(403).json({ err: 'Admin API disabled: set ADMIN_TOKEN to enable it' });
+        return;
+    }
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+    const expected = Buffer.from(ADMIN_TOKEN);
+    const given = Buffer.from(String(token || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        res.status(401).json({ err: 'Unauthorized' });
+        return;
+    }
+    next();
+}
+
+function manifestHandler(req, res) {
+    const userConfig = readUserConfig(req, res);
+    if (!userConfig) return;
+    let manifest = addonInterface.manifest;
+    if (req.params.config) {
+        // An already configured install should not offer the Configure button again
+        manifest = Object.assign({}, manifest, { behaviorHints: Object.assign({}, manifest.behaviorHints, { configurable: false }) });
+    }
+    res.json(manifest);
+}
+
+function resourceHandler(req, res) {
+    const userConfig = readUserConfig(req, res);
+    if (!userConfig) return;
+    const { resource, type, id } = req.params;
+    // Read `extra` from the raw URL, as req.params decodes characters that may split querystring pairs
+    const extra = req.params.extra ? Object.fromEntries(new URLSearchParams(req.path.split('/').pop().slice(0, -5))) : {};
+    addonInterface.get(resource, type, id, extra, userConfig)
+        .then(resp => {
+            requestsTotal.inc({ resource, outcome: 'ok' });
+            res.json(resp);
+        })
+        .catch(err => {
+            if (err.noHandler) {
+                requestsTotal.inc({ resource, outcome: 'not_found' });
+                res.status(404).json({ err: 'not found' });
+            } else {
+                log.error(`Handler for ${resource}/${type}/${id} failed`, { error: err });
+                requestsTotal.inc({ resource, outcome: 'error' });
+                res.status(500).json({ err: 'handler error' });
+            }
+        });
+}
+
+/**
+ * Runs a stream request with explain mode and returns what happened to every search result (admin only,
+ * since the results and metadata come from the configured indexers and API keys).
+ */
+async function debugStreamHandler(req, res) {
+    const userConfig = readUserConfig(req, res);
+    if (!userConfig) return;
+    const { type, id } = req.params;
+    const explain = {};
+    try {
+        const { streams } = await handleStreamRequest({ type, id, config: userConfig }, explain);
+        res.json(Object.assign({ type, id }, explain, { streams }));
+    } catch (error) {
+        log.error(`Debug stream request failed for ${id}`, { error: error.message });
+        res.status(500).json({ err: `Debug stream request failed: ${error.message}` });
+    }
+}
+
+/**
+ * Adds the torrent to the configured debrid account and redirects the player to the direct link.
+ */
+async function resolveHandler(req, res) {
+    const userConfig = readUserConfig(req, res);
+    if (!userConfig) return;
+    const config = resolveConfig(userConfig);
+    const infoHash = String(req.params.infoHash).toLowerCase();
+    if (!/^[a-f0-9]{40}$/.test(infoHash)) {
+        res.status(400).json({ err: 'Invalid infohash' });
+        return;
+    }
+    const provider = getConfiguredProvider(config);
+    if (!provider) {
+        res.status(400).json({ err: 'No debrid service configured' });
+        return;
+    }
+
+    const fileIdx = req.params.fileIdx !== undefined ? parseInt(req.params.fileIdx, 10) : undefined;
+    const hints = { fileIdx: Number.isInteger(fileIdx) ? fileIdx : undefined, filename: req.query.filename };
+    const magnetLink = `magnet:?xt=urn:btih:${infoHash}&${selectStreamTrackers([], getTrackers()).map(t => `tr=${encodeURIComponent(t)}`).join('&')}`;
+    try {
+        const directUrl = await resolveDebridLink(provider, config.DEBRID_API_KEY, infoHash, magnetLink, hints);
+        debridLog.info(`Resolved ${infoHash} via ${provider.name}.`);
+        // Not awaited: remembering the play for binge continuity mustn't delay playback
+        rememberPlayed(configFingerprint(config), infoHash);
+        res.redirect(302, directUrl);
+    } catch (error) {
+        if (error instanceof DebridNotReadyError) {
+            debridLog.info(`${infoHash} not ready on ${provider.name}: ${error.message}`);
+            res.status(503).json({ err: `Not cached yet: ${error.message}` });
+            return;
+        }
+        debridLog.error(`Failed to resolve ${infoHash} via ${provider.name}`, { error: error.message });
+        res.status(502).json({ err: 'Debrid resolve failed' });
+    }
+}
+
+/**
+ * Reloads the tracker sources now (POST /admin/trackers/refresh) and returns the new tracker state.
+ */
+async function refreshTrackersHandler(req, res) {
+    try {
+        await refreshTrackers();
+        res.json(getTrackersState());
+    } catch (error) {
+        res.status(500).json({ err: `Tracker refresh failed: ${error.message}` });
+    }
+}
+
+/**
+ * Lists the environment's block/allow rules, the admin infohash rules and the rule hits since startup.
+ */
+function rulesHandler(req, res) {
+    const ruleFields = Object.keys(getWorkerConfig(DEFAULT_CONFIG)).filter(key => /(ALLOWLIST|DENYLIST|PATTERN)$/.test(key));
+    res.json({
+        config: Object.fromEntries(ruleFields.map(key => [key, DEFAULT_CONFIG[key]])),
+        file: RELEASE_RULES_FILE,
+        infoHashes: getInfoHashRules(),
+        hits: Object.fromEntries([...ruleHitCounts.entries()].sort((a, b) => b[1] - a[1])),
+    });
+}
+
+/**
+ * Adds an infohash to the admin allow or block list: PUT /admin/rules/infohashes/<infoHash> with a JSON body
+ * { "list": "blocked" | "allowed", "reason": "..." } ("blocked" by default).
+ */
+async function putInfoHashRuleHandler(req, res) {
+    const body = req.body || {};
+    try {
+        const entry = await setInfoHashRule(req.params.infoHash, body.list || 'blocked', body.reason);
+        res.json(entry);
+    } catch (error) {
+        if (error instanceof RuleError) {
+            res.status(400).json({ err: error.message });
+            return;
+        }
+        res.status(500).json({ err: 'Failed to save the rules' });
+    }
+}
+
+/**
+ * Removes an infohash from the admin lists: DELETE /admin/rules/infohashes/<infoHash>.
+ */
+async function deleteInfoHashRuleHandler(req, res) {
+    try {
+        const removed = await removeInfoHashRule(req.params.infoHash);
+        if (!removed) {
+            res.status(404).json({ err: 'Infohash is not listed' });
+            return;
+        }
+        res.json({ removed: true });
+    } catch (error) {
+        if (error instanceof RuleError) {
+            res.status(400).json({ err: error.message });
+            return;
+        }
+        res.status(500).json({ err: 'Failed to save the rules' });
+    }
+}
+
+// --- Health and metrics ---
+const startedAt = Date.now();
+let healthCache = null;
+
+registerCollector('log_messages_total', 'counter', 'Warnings and errors logged, by component.', () =>
+    getLogCounts().map(({ level, component, count }) => ({ labels: { level, component }, value: count })));
+registerCollector('cache_lookups_total', 'counter', 'Cache lookups by namespace and result.', () =>
+    getCacheStats().flatMap(stats => [
+        { labels: { namespace: stats.namespace, result: 'memory_hit' }, value: stats.hits },
+        { labels: { namespace: stats.namespace, result: 'disk_hit' }, value: stats.diskHits },
+        { labels: { namespace: stats.namespace, result: 'miss' }, value: stats.misses },
+    ]));
+registerCollector('cache_errors_total', 'counter', 'Cache read and write errors by namespace.', () =>
+    getCacheStats().map(stats => ({ labels: { namespace: stats.namespace }, value: stats.errors })));
+registerCollector('worker_pool_workers', 'gauge', 'Worker threads by state.', () => {
+    const stats = workerPool.getStats();
+    return [{ labels: { state: 'busy' }, value: stats.busy }, { labels: { state: 'idle' }, value: stats.workers - stats.busy }];
 });
+registerCollector('worker_pool_queued_jobs', 'gauge', 'Jobs waiting for a worker.', () => [{ value: workerPool.getStats().queued }]);
+registerCollector('worker_pool_jobs_total', 'counter', 'Worker jobs by outcome.', () => {
+    const stats = workerPool.getStats();
+    return ['completed', 'failed', 'cancelled', 'rejected'].map(outcome => ({ labels: { outcome }, value: stats[outcome] }));
+});
+// Indexers from user URL configs can be any host, so they share the indexer="user" label
+function sumIndexerSamples(samples) {
+    const sums = new Map();
+    for (const sample of samples) {
+        const key = JSON.stringify(sample.labels);
+        const sum = sums.get(key);
+        if (sum) sum.value += sample.value;
+        else sums.set(key, Object.assign({}, sample));
+    }
+    return [...sums.values()];
+}
+const indexerLabel = entry => (entry.configured ? entry.name : 'user');
+const indexerOutcomes = entry => [['success', entry.successes], ['failure', entry.failures], ['skipped', entry.skipped]];
+registerCollector('indexer_requests_total', 'counter', 'Indexer searches by outcome (skipped: circuit open); user-configured indexers are summed as indexer="user".', () => {
+    const samples = getIndexerHealth().flatMap(entry => indexerOutcomes(entry)
+        .map(([outcome, value]) => ({ labels: { indexer: indexerLabel(entry), outcome }, value })));
+    const forgotten = indexerOutcomes(getForgottenIndexerTotals()).map(([outcome, value]) => ({ labels: { indexer: 'user', outcome }, value }));
+    return sumIndexerSamples([...samples, ...forgotten.filter(sample => sample.value > 0)]);
+});
+registerCollector('indexer_circuit_open', 'gauge', 'Indexers whose circuit is open or half-open; user-configured indexers are counted as indexer="user".', () =>
+    sumIndexerSamples(getIndexerHealth().map(entry => ({ labels: { indexer: indexerLabel(entry) }, value: entry.state === 'closed' ? 0 : 1 }))));
+registerCollector('public_trackers', 'gauge', 'Public trackers added to magnet links.', () => [{ value: getTrackers().length }]);
+registerCollector('public_trackers_age_seconds', 'gauge', 'Time since the public tracker list was refreshed.', () => {
+    const state = getTrackersState();
+    return state.ageSeconds !== null ? [{ value: state.ageSeconds }] : [];
+});
+registerCollector('public_trackers_fallback', 'gauge', 'Whether the bundled fallback tracker list is in use.', () =>
+    [{ value: getTrackersState().fallback ? 1 : 0 }]);
+registerCollector('tracker_sources', 'gauge', 'Tracker sources by status (ok, stale, error, pending).', () => {
+    const statuses = getTrackersState().sources.map(source => source.status);
+    return ['ok', 'stale', 'error', 'pending'].map(status => ({ labels: { status }, value: statuses.filter(value => value === status).length }));
+});
+registerCollector('uptime_seconds', 'gauge', 'Time since the addon started.', () => [{ value: Math.round((Date.now() - startedAt) / 1000) }]);
 
-// --- Initialize and Start the Addon Server ---
-console.log('[INFO] [SERVER STARTUP] Pre-fetching public trackers to warm cache...');
-fetchAndCacheTrackers().then(() => {
-    console.log('[INFO] [SERVER STARTUP] Public tracker pre-fetch complete.');
+/**
+ * Requests a URL with the health check timeout.
+ * @param {string} url
+ * @param {Function} [validate] - Receives the parsed JSON body and throws when it reports an error.
+ * @returns {Promise<{status: string, latencyMs: number, error?: string}>}
+ */
+async function probe(url, validate) {
+    const startTime = performance.now();
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        if (validate) validate(await response.json());
+        return { status: 'ok', latencyMs: Math.round(performance.now() - startTime) };
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? `no answer within ${HEALTH_CHECK_TIMEOUT_MS}ms` : error.message;
+        return { status: 'error', latencyMs: Math.round(performance.now() - startTime), error: message };
+    }
+}
+
+/**
+ * Checks the dependencies of the default config: Jackett, the metadata APIs and the public tracker list.
+ * The addon is 'down' when Jackett is enabled but unreachable, 'degraded' when anything else is missing.
+ * Results are cached for HEALTH_CHECK_TTL_MS.
+ */
+async function checkHealth() {
+    if (healthCache && healthCache.expires > Date.now()) return healthCache.value;
+    const config = resolveConfig();
+    const skipped = { status: 'skipped' };
+    const [jackett, omdb, tmdb] = await Promise.all([
+        config.SEARCH_PROVIDERS.includes('jackett')
+            ? probe(`${config.JACKETT_HOST}/api/v2.0/indexers/all/results/torznab/api?t=caps&apikey=${config.JACKETT_API_KEY}`)
+            : skipped,
+        probe(`http://www.omdbapi.com/?apikey=${config.OMDB_API_KEY}&i=tt0111161`, data => {
+            if (data.Response === 'False') throw new Error(data.Error);
+        }),
+        probe(`https://api.themoviedb.org/3/configuration?api_key=${config.TMDB_API_KEY}`),
+    ]);
+    const trackerState = getTrackersState();
+    const trackers = {
+        // The bundled list keeps streams working, but no configured source could be loaded
+        status: trackerState.count > 0 && !trackerState.fallback ? 'ok' : 'error',
+        count: trackerState.count,
+        ageSeconds: trackerState.ageSeconds,
+        sources: trackerState.sources.map(source => ({ source: source.source, status: source.status })),
+    };
+    if (trackerState.fallback) trackers.error = 'no tracker source loaded; using the bundled list';
+    const checks = { jackett, omdb, tmdb, trackers };
+
+    let status = 'ok';
+    if (jackett.status === 'error') status = 'down';
+    // Either metadata source is enough to search by title
+    else if ((omdb.status === 'error' && tmdb.status === 'error') || trackers.status === 'error') status = 'degraded';
+    const poolStats = workerPool.getStats();
+    const indexers = getIndexerHealth();
+    const value = {
+        status,
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        checks,
+        workers: { size: poolStats.size, busy: poolStats.busy, queued: poolStats.queued },
+        indexers: { total: indexers.length, circuitOpen: indexers.filter(entry => entry.state !== 'closed').length },
+    };
+    healthCache = { value, expires: Date.now() + HEALTH_CHECK_TTL_MS };
+    return value;
+}
+
+const app = express();
+
+// CORS is mandatory for the addon protocol
+app.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    next();
+});
+
+// Every request gets an ID (or keeps the caller's X-Request-Id) that is echoed back and added to its log lines
+app.use((req, res, next) => {
+    const given = req.get('x-request-id');
+    const requestId = given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomBytes(8).toString('hex');
+    res.setHeader('X-Request-Id', requestId);
+    withLogContext({ requestId }, next);
+});
+
+app.get('/', (req, res) => res.redirect('/configure'));
+app.get(['/configure', '/:config/configure'], (req, res) => res.sendFile(CONFIGURE_PAGE));
+app.get(['/manifest.json', '/:config/manifest.json'], manifestHandler);
+app.get('/health', async (req, res) => {
+    const health = await checkHealth();
+    res.status(health.status === 'down' ? 503 : 200).json(health);
+});
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
+app.get('/admin/indexers.json', requireAdmin, (req, res) => res.json({ indexers: getIndexerHealth() }));
+app.get('/admin/workers.json', requireAdmin, (req, res) => res.json({ workers: workerPool.getStats() }));
+app.get('/admin/trackers.json', requireAdmin, (req, res) => res.json(getTrackersState()));
+app.post('/admin/trackers/refresh', requireAdmin, refreshTrackersHandler);
+app.get('/admin/rules.json', requireAdmin, rulesHandler);
+app.put('/admin/rules/infohashes/:infoHash', requireAdmin, express.json({ limit: '10kb' }), putInfoHashRuleHandler);
+app.delete('/admin/rules/infohashes/:infoHash', requireAdmin, deleteInfoHashRuleHandler);
+app.get(['/debug/stream/:type/:id.json', '/:config/debug/stream/:type/:id.json'], requireAdmin, debugStreamHandler);
+app.get(['/debug/stream/:type/:id', '/:config/debug/stream/:type/:id'], requireAdmin, (req, res) => res.sendFile(DEBUG_PAGE));
+app.get(['/resolve/:infoHash/:fileIdx?', '/:config/resolve/:infoHash/:fileIdx?'], resolveHandler);
+app.get([`/:resource${RESOURCE_PATTERN}/:type/:id/:extra?.json`, `/:config/:resource${RESOURCE_PATTERN}/:type/:id/:extra?.json`], resourceHandler);
 
-serveHTTP(builder.getInterface(), { port: 7000 });
+// --- Initialize and Start the Addon Server ---
+startCachePruning();
+loadInfoHashRules();
+startTrackerRefresh();
+catalogService.startCatalogRefresh(resolveConfig());
 
-console.log('[INFO] Logging Level: info');
-console.log(`[INFO] Addon is listening on http://127.0.0.1:7000/manifest.json (default port)`);
+app.listen(PORT, () => {
+    log.info(`Log level: ${LOG_LEVEL}, format: ${LOG_FORMAT}`);
+    log.info(`Addon is listening on http://127.0.0.1:${PORT}/manifest.json (configure at http://127.0.0.1:${PORT}/configure)`);
+    log.info(`Default Jackett host: ${DEFAULT_CONFIG.JACKETT_HOST}`);
+});
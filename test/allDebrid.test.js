@@ -0,0 +1,106 @@
+// test/allDebrid.test.js - AllDebrid availability and resolve against a local stub of its API (ALLDEBRID_API_URL)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+process.env.DEBRID_REQUEST_TIMEOUT_MS = '500';
+
+const { DebridError, DebridNotReadyError } = require('../lib/debrid/common');
+
+const MAGNET = 'magnet:?xt=urn:btih:0123456789abcdef0123456789abcdef01234567';
+
+// Response bodies served by the stub, by endpoint path
+let responses;
+// Loaded once the stub listens, as the provider reads ALLDEBRID_API_URL at load time
+let allDebrid;
+const requests = [];
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: url.searchParams });
+    const endpoint = url.pathname.replace(/^\/v4/, '');
+    const [status, body] = responses[endpoint] || [404, { status: 'error', error: { code: 'NOT_FOUND', message: 'unknown endpoint' } }];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+});
+
+function success(data) {
+    return [200, { status: 'success', data }];
+}
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.ALLDEBRID_API_URL = `http://127.0.0.1:${server.address().port}/v4`;
+    allDebrid = require('../lib/debrid/allDebrid');
+    resolve();
+})));
+test.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+test.beforeEach(() => { requests.length = 0; });
+
+test('reports the instantly available hashes, lowercased', async () => {
+    responses = {
+        '/magnet/instant': success({ magnets: [
+            { magnet: 'a', hash: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', instant: true },
+            { magnet: 'b', hash: 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb', instant: false },
+        ] }),
+    };
+    const cached = await allDebrid.checkAvailability('KEY', ['a'.repeat(40), 'b'.repeat(40)]);
+    assert.deepEqual([...cached], ['a'.repeat(40)]);
+    assert.equal(requests[0].query.get('apikey'), 'KEY');
+    assert.deepEqual(requests[0].query.getAll('magnets[]'), ['a'.repeat(40), 'b'.repeat(40)]);
+});
+
+test('picks the hinted file from the folder tree and unlocks its link', async () => {
+    responses = {
+        '/magnet/upload': success({ magnets: [{ id: 77 }] }),
+        '/magnet/status': success({ magnets: { id: 77, status: 'Ready', statusCode: 4, files: [
+            { n: 'Show.S01', e: [
+                { n: 'Show.S01E01.1080p.mkv', s: 1e9, l: 'https://alldebrid.com/f/E01' },
+                { n: 'Show.S01E02.1080p.mkv', s: 1e9, l: 'https://alldebrid.com/f/E02' },
+            ] },
+            { n: 'Sample.mkv', s: 1e6, l: 'https://alldebrid.com/f/sample' },
+        ] } }),
+        '/link/unlock': success({ link: 'https://download.example/E02' }),
+    };
+    const url = await allDebrid.resolve('KEY', MAGNET, { fileIdx: 0, filename: 'Show.S01E02.1080p.mkv' });
+    assert.equal(url, 'https://download.example/E02');
+    assert.equal(requests.find(request => request.path.endsWith('/magnet/status')).query.get('id'), '77');
+    assert.equal(requests.find(request => request.path.endsWith('/link/unlock')).query.get('link'), 'https://alldebrid.com/f/E02');
+});
+
+test('falls back to the largest video of the links list', async () => {
+    responses = {
+        '/magnet/upload': success({ magnets: [{ id: 78 }] }),
+        '/magnet/status': success({ magnets: [{ id: 78, status: 'Ready', statusCode: 4, links: [
+            { filename: 'movie.nfo', size: 1e3, link: 'https://alldebrid.com/f/nfo' },
+            { filename: 'Movie.2021.1080p.mkv', size: 8e9, link: 'https://alldebrid.com/f/movie' },
+        ] }] }),
+        '/link/unlock': success({ link: 'https://download.example/movie' }),
+    };
+    assert.equal(await allDebrid.resolve('KEY', MAGNET), 'https://download.example/movie');
+    assert.equal(requests.find(request => request.path.endsWith('/link/unlock')).query.get('link'), 'https://alldebrid.com/f/movie');
+});
+
+test('a magnet still downloading is not ready', async () => {
+    responses = {
+        '/magnet/upload': success({ magnets: [{ id: 79 }] }),
+        '/magnet/status': success({ magnets: { id: 79, status: 'Downloading', statusCode: 1 } }),
+    };
+    await assert.rejects(allDebrid.resolve('KEY', MAGNET), error => error instanceof DebridNotReadyError && /Downloading/.test(error.message));
+    assert.ok(!requests.some(request => request.path.endsWith('/link/unlock')));
+});
+
+test('an error envelope becomes a debrid error with its code', async () => {
+    responses = {
+        '/magnet/upload': [200, { status: 'error', error: { code: 'AUTH_BAD_APIKEY', message: 'The auth apikey is invalid' } }],
+    };
+    await assert.rejects(allDebrid.resolve('BAD', MAGNET), error => error instanceof DebridError && /AUTH_BAD_APIKEY/.test(error.message));
+});
+
+test('an HTTP error status becomes a debrid error with that status', async () => {
+    responses = { '/magnet/instant': [503, { status: 'error', error: { code: 'MAINTENANCE', message: 'Down for maintenance' } }] };
+    await assert.rejects(allDebrid.checkAvailability('KEY', ['a'.repeat(40)]), error => error instanceof DebridError && error.status === 503);
+});
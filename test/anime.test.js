@@ -0,0 +1,90 @@
+// test/anime.test.js - Anime IDs and absolute episode offsets against a local AniList stub (ANILIST_API_URL)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-test-'));
+process.env.CACHE_DIR = cacheDir;
+process.env.LOG_LEVEL = 'error';
+
+function media(title, format, episodes, prequelId, synonyms = []) {
+    return {
+        title: { romaji: title, english: null, native: null },
+        synonyms, format, episodes, duration: 24, startDate: { year: 2020 },
+        relations: { edges: prequelId ? [{ relationType: 'PREQUEL', node: { id: prequelId, type: 'ANIME', format: 'TV' } }] : [] },
+    };
+}
+
+// A franchise of three TV seasons, one whose prequel has no episode count yet, and a movie
+const ENTRIES = {
+    1: media('Shingeki no Kyojin', 'TV', 25, null),
+    2: media('Shingeki no Kyojin Season 2', 'TV', 12, 1),
+    3: media('Shingeki no Kyojin Season 3', 'TV', 12, 2),
+    10: media('Airing Show', 'TV', null, null),
+    11: media('Airing Show 2nd Season', 'TV', 12, 10),
+    20: media('Some Movie', 'MOVIE', 1, null),
+};
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const { variables } = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: { Media: ENTRIES[variables.id] || null } }));
+    });
+});
+
+// Loaded once the stub listens, as the module reads ANILIST_API_URL at load time
+let anime;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.ANILIST_API_URL = `http://127.0.0.1:${server.address().port}/`;
+    anime = require('../lib/anime');
+    resolve();
+})));
+test.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+}));
+
+test('parses kitsu, anilist and mal IDs with and without an episode', () => {
+    assert.deepEqual(anime.parseAnimeId('kitsu:46474:5'), { source: 'kitsu', id: '46474', episode: 5 });
+    assert.deepEqual(anime.parseAnimeId('anilist:154587'), { source: 'anilist', id: '154587', episode: null });
+    assert.deepEqual(anime.parseAnimeId('mal:52991:12'), { source: 'mal', id: '52991', episode: 12 });
+    assert.equal(anime.parseAnimeId('tt0944947:1:1'), null);
+    assert.equal(anime.parseAnimeId('kitsu:abc'), null);
+});
+
+test('the episode offset sums the episodes of every TV prequel', async () => {
+    const metadata = await anime.getAnimeMetadata('anilist', '3');
+    assert.equal(metadata.episodeOffset, 37);
+    assert.equal(metadata.season, 3);
+    assert.equal(metadata.type, 'series');
+    assert.equal(metadata.baseTitle, 'Shingeki no Kyojin');
+    assert.ok(metadata.titles.includes('Shingeki no Kyojin'));
+    assert.deepEqual(metadata.seasonTitles, ['Shingeki no Kyojin Season 3']);
+});
+
+test('a first season has no offset and no season titles', async () => {
+    const metadata = await anime.getAnimeMetadata('anilist', '1');
+    assert.equal(metadata.episodeOffset, 0);
+    assert.equal(metadata.season, 1);
+    assert.deepEqual(metadata.seasonTitles, []);
+});
+
+test('a prequel without an episode count leaves the offset unknown', async () => {
+    const metadata = await anime.getAnimeMetadata('anilist', '11');
+    assert.equal(metadata.episodeOffset, null);
+    assert.equal(metadata.season, 2);
+});
+
+test('movies are typed as movies, and unknown entries give no metadata', async () => {
+    assert.equal((await anime.getAnimeMetadata('anilist', '20')).type, 'movie');
+    assert.equal(await anime.getAnimeMetadata('anilist', '999'), null);
+});
@@ -0,0 +1,35 @@
+// test/bencode.test.js - Bencode decoding
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BencodeError, decode } = require('../lib/bencode');
+
+test('decodes integers, byte strings, lists and dictionaries', () => {
+    const { value } = decode(Buffer.from('d3:agei-42e4:listl1:ai7ee4:name5:dune!e'));
+    assert.equal(value.age, -42);
+    assert.deepEqual(value.list, [Buffer.from('a'), 7]);
+    assert.ok(Buffer.isBuffer(value.name));
+    assert.equal(value.name.toString('utf8'), 'dune!');
+});
+
+test('reports the byte range of each top-level value', () => {
+    const buffer = Buffer.from('d4:infod4:name1:xe5:otheri1ee');
+    const { ranges } = decode(buffer);
+    assert.equal(buffer.toString('ascii', ranges.info.start, ranges.info.end), 'd4:name1:xe');
+    assert.equal(buffer.toString('ascii', ranges.other.start, ranges.other.end), 'i1e');
+});
+
+test('latin1 keys keep binary infohashes byte for byte', () => {
+    const raw = Buffer.from('aabbccddeeff00112233445566778899aabbccdd', 'hex');
+    const buffer = Buffer.concat([Buffer.from('d20:'), raw, Buffer.from('i1ee')]);
+    const { value } = decode(buffer, { keyEncoding: 'latin1' });
+    assert.equal(Buffer.from(Object.keys(value)[0], 'latin1').toString('hex'), raw.toString('hex'));
+});
+
+test('malformed data is refused with a bencode error', () => {
+    for (const input of ['i12', 'i1x2e', '5:abc', 'l1:a', 'd1:a', 'x', '']) {
+        assert.throws(() => decode(Buffer.from(input)), BencodeError, input);
+    }
+    assert.throws(() => decode('d1:ai1ee'), BencodeError);
+});
@@ -0,0 +1,37 @@
+// test/cache.test.js - On-disk cache writes and pruning
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_DIR = cacheDir;
+process.env.LOG_LEVEL = 'error';
+const { createCache } = require('../lib/cache');
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+test('overlapping writes of one key all land and leave no temp files', async () => {
+    const cache = createCache('overlap');
+    await Promise.all(Array.from({ length: 20 }, (_, i) => cache.set('same-key', { value: i, padding: 'x'.repeat(10000) }, 60000)));
+    assert.equal(cache.stats().errors, 0);
+    const files = fs.readdirSync(path.join(cacheDir, 'overlap'));
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^[0-9a-f]{40}\.json$/);
+    assert.ok(JSON.parse(fs.readFileSync(path.join(cacheDir, 'overlap', files[0]), 'utf8')).value.value >= 0);
+});
+
+test('prune removes expired and unreadable entries but not temp files being written', async () => {
+    const cache = createCache('prune');
+    await cache.set('fresh', 1, 60000);
+    await cache.set('stale', 2, 1);
+    const directory = path.join(cacheDir, 'prune');
+    fs.writeFileSync(path.join(directory, 'partial.json.1234.tmp'), '{"key":"par');
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await cache.prune(), 2);
+    assert.equal(fs.readdirSync(directory).filter(name => name.endsWith('.tmp')).length, 1);
+    assert.equal(fs.readdirSync(directory).filter(name => name.endsWith('.json')).length, 1);
+});
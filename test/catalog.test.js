@@ -0,0 +1,20 @@
+// test/catalog.test.js - Catalogs are shared by configs that only differ in unrelated settings
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveConfig } = require('../lib/config');
+const { getCatalogKey } = require('../lib/catalog');
+
+test('settings that do not change the catalogs share the catalog key', () => {
+    const base = getCatalogKey(resolveConfig({}));
+    assert.equal(getCatalogKey(resolveConfig({ SORT_PRESET: 'best-quality', SCORE_WEIGHTS: { seeders: 2 } })), base);
+    assert.equal(getCatalogKey(resolveConfig({ MAX_STREAMS: 5, STREAM_EMOJI: false })), base);
+});
+
+test('indexer credentials and catalog filters change the catalog key', () => {
+    const base = getCatalogKey(resolveConfig({}));
+    assert.notEqual(getCatalogKey(resolveConfig({ JACKETT_API_KEY: 'other-key' })), base);
+    assert.notEqual(getCatalogKey(resolveConfig({ INDEXER_DENYLIST: ['rarbg'] })), base);
+    assert.notEqual(getCatalogKey(resolveConfig({ MINIMUM_SEEDERS: 50 })), base);
+});
@@ -0,0 +1,68 @@
+// test/config.test.js - Config fingerprints used in cache keys
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Environment credentials that a user config must never carry to another host
+process.env.JACKETT_API_KEY = 'env-jackett-key';
+process.env.PROWLARR_URL = 'http://localhost:9696';
+process.env.PROWLARR_API_KEY = 'env-prowlarr-key';
+process.env.DEBRID_SERVICE = 'realdebrid';
+process.env.DEBRID_API_KEY = 'env-debrid-key';
+
+const { DEFAULT_CONFIG, ConfigError, validateUserConfig, resolveConfig, configFingerprint, getStreamsCacheKey } = require('../lib/config');
+
+test('configs differing only in nested weights have different fingerprints', () => {
+    const a = resolveConfig({ SCORE_WEIGHTS: { resolution: 1, seeders: 0.5 } });
+    const b = resolveConfig({ SCORE_WEIGHTS: { resolution: 1, seeders: 0.2 } });
+    assert.notEqual(configFingerprint(a), configFingerprint(b));
+});
+
+test('configs differing only in language tiers have different fingerprints', () => {
+    const a = resolveConfig({ PREFERRED_LANGUAGES: [['hi', 'ta'], ['en']] });
+    const b = resolveConfig({ PREFERRED_LANGUAGES: [['hi'], ['ta', 'en']] });
+    assert.notEqual(configFingerprint(a), configFingerprint(b));
+});
+
+test('key order does not change the fingerprint at any depth', () => {
+    const a = { SCORE_WEIGHTS: { resolution: 1, seeders: 0.5 }, MAX_STREAMS: 10 };
+    const b = { MAX_STREAMS: 10, SCORE_WEIGHTS: { seeders: 0.5, resolution: 1 } };
+    assert.equal(configFingerprint(a), configFingerprint(b));
+});
+
+test('the default config has a stable fingerprint', () => {
+    assert.match(configFingerprint(DEFAULT_CONFIG), /^[0-9a-f]{16}$/);
+    assert.equal(configFingerprint(DEFAULT_CONFIG), configFingerprint(resolveConfig({})));
+});
+
+test('streams cache keys differ for configs differing only in nested weights', () => {
+    const a = resolveConfig({ SCORE_WEIGHTS: { resolution: 1, seeders: 0.5 } });
+    const b = resolveConfig({ SCORE_WEIGHTS: { resolution: 1, seeders: 0.2 } });
+    assert.notEqual(getStreamsCacheKey('tt0111161', a), getStreamsCacheKey('tt0111161', b));
+    const reordered = resolveConfig({ SCORE_WEIGHTS: { seeders: 0.5, resolution: 1 } });
+    assert.equal(getStreamsCacheKey('tt0111161', a, ['rules']), getStreamsCacheKey('tt0111161', reordered, ['rules']));
+});
+
+test('title patterns are refused in a user config', () => {
+    assert.throws(() => validateUserConfig({ TITLE_DENY_PATTERN: '(a+)+$' }), error => error instanceof ConfigError && /server environment/.test(error.message));
+    assert.throws(() => validateUserConfig({ TITLE_ALLOW_PATTERN: 'remux' }), ConfigError);
+});
+
+test('a user config that moves a host or service never inherits the environment credential', () => {
+    const jackett = resolveConfig(validateUserConfig({ JACKETT_HOST: 'https://jackett.example.org' }));
+    assert.equal(jackett.JACKETT_HOST, 'https://jackett.example.org');
+    assert.equal(jackett.JACKETT_API_KEY, '');
+
+    const prowlarr = resolveConfig(validateUserConfig({ PROWLARR_URL: 'https://prowlarr.example.org' }));
+    assert.equal(prowlarr.PROWLARR_API_KEY, '');
+
+    const debrid = resolveConfig(validateUserConfig({ DEBRID_SERVICE: 'alldebrid' }));
+    assert.equal(debrid.DEBRID_API_KEY, '');
+});
+
+test('a user config keeps the credential it supplies along with a moved host', () => {
+    const config = resolveConfig(validateUserConfig({ JACKETT_HOST: 'https://jackett.example.org', JACKETT_API_KEY: 'user-key' }));
+    assert.equal(config.JACKETT_API_KEY, 'user-key');
+    assert.equal(resolveConfig({ MAX_STREAMS: 5 }).JACKETT_API_KEY, 'env-jackett-key');
+    assert.equal(resolveConfig({ DEBRID_SERVICE: 'realdebrid' }).DEBRID_API_KEY, 'env-debrid-key');
+});
@@ -0,0 +1,57 @@
+// test/deadline.test.js - Request deadlines and partial results
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDeadline, withDeadline } = require('../lib/deadline');
+
+function delay(ms, value) {
+    return new Promise(resolve => setTimeout(resolve, ms, value));
+}
+
+test('the pipeline signal fires the reserve before the response signal', async () => {
+    const startedAt = Date.now();
+    // Pipeline: 100ms; response: 250ms short of the 1000ms timeout
+    const deadline = createDeadline(1000, 900);
+    assert.ok(deadline.expiresAt >= startedAt + 100 && deadline.expiresAt <= Date.now() + 100);
+    assert.ok(deadline.remainingMs() > 0 && deadline.remainingMs() <= 100);
+    assert.equal(deadline.signal.aborted, false);
+    await delay(150);
+    assert.equal(deadline.signal.aborted, true);
+    assert.equal(deadline.responseSignal.aborted, false);
+    assert.equal(deadline.remainingMs(), 0);
+    await delay(650);
+    assert.equal(deadline.responseSignal.aborted, true);
+});
+
+test('a reserve larger than the timeout leaves no pipeline time', () => {
+    const deadline = createDeadline(100, 500);
+    assert.equal(deadline.remainingMs(), 0);
+});
+
+test('work finishing before the deadline gives its own value or error', async () => {
+    const signal = AbortSignal.timeout(500);
+    assert.equal(await withDeadline(delay(10, 'done'), signal, 'partial'), 'done');
+    await assert.rejects(withDeadline(Promise.reject(new Error('search failed')), signal, 'partial'), /search failed/);
+});
+
+test('the fallback is returned once the deadline passes, and the late work still completes', async () => {
+    let completed = false;
+    const work = delay(200).then(() => { completed = true; return 'late'; });
+    assert.equal(await withDeadline(work, AbortSignal.timeout(20), 'partial'), 'partial');
+    assert.equal(completed, false);
+    assert.equal(await work, 'late');
+});
+
+test('an already expired deadline returns the fallback and swallows a later rejection', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const failing = delay(10).then(() => { throw new Error('too late'); });
+    assert.deepEqual(await withDeadline(failing, controller.signal, []), []);
+    // An unhandled rejection here would fail the test run
+    await delay(30);
+});
+
+test('without a signal the work is awaited as it is', async () => {
+    assert.equal(await withDeadline(delay(5, 'done'), undefined, 'partial'), 'done');
+});
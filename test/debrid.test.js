@@ -0,0 +1,97 @@
+// test/debrid.test.js - Real-Debrid resolve against a local stub of its API (REALDEBRID_API_URL)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+process.env.DEBRID_REQUEST_TIMEOUT_MS = '500';
+
+const { DebridError, DebridNotReadyError } = require('../lib/debrid/common');
+
+const MAGNET = 'magnet:?xt=urn:btih:0123456789abcdef0123456789abcdef01234567';
+
+// State of torrent T1 served by the stub; afterSelect replaces info once files are selected
+let torrent;
+// Loaded once the stub listens, as the provider reads REALDEBRID_API_URL at load time
+let realDebrid;
+const requests = [];
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body, auth: req.headers.authorization });
+        const send = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+        if (req.url === '/rest/1.0/torrents/addMagnet') return send(201, { id: 'T1' });
+        if (req.url === '/rest/1.0/torrents/info/T1') {
+            if (torrent.hang) return; // Never answers
+            return send(200, torrent.info);
+        }
+        if (req.url === '/rest/1.0/torrents/selectFiles/T1') {
+            torrent.info = torrent.afterSelect;
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.url === '/rest/1.0/unrestrict/link') {
+            return send(200, { download: `https://download.example/${new URLSearchParams(body).get('link').split('/').pop()}` });
+        }
+        send(404, { error: 'unknown_ressource', error_code: 7 });
+    });
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.REALDEBRID_API_URL = `http://127.0.0.1:${server.address().port}/rest/1.0`;
+    realDebrid = require('../lib/debrid/realDebrid');
+    resolve();
+})));
+test.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+test.beforeEach(() => { requests.length = 0; });
+
+test('selects the hinted file and returns the unrestricted link', async () => {
+    const files = [
+        { id: 1, path: '/Show.S01E01.1080p.mkv', bytes: 1e9 },
+        { id: 2, path: '/Show.S01E02.1080p.mkv', bytes: 1e9 },
+        { id: 3, path: '/Sample.mkv', bytes: 1e6 },
+    ];
+    torrent = {
+        info: { status: 'waiting_files_selection', files: files.map(file => ({ ...file, selected: 0 })) },
+        afterSelect: {
+            status: 'downloaded',
+            files: files.map(file => ({ ...file, selected: file.id === 2 ? 1 : 0 })),
+            links: ['https://real-debrid.com/d/E02'],
+        },
+    };
+    const url = await realDebrid.resolve('KEY', MAGNET, { fileIdx: 1 });
+    assert.equal(url, 'https://download.example/E02');
+
+    const select = requests.find(request => request.url.endsWith('/selectFiles/T1'));
+    assert.equal(new URLSearchParams(select.body).get('files'), '2');
+    assert.ok(requests.every(request => request.auth === 'Bearer KEY'));
+});
+
+test('a magnet still converting is not ready rather than an error', async () => {
+    torrent = { info: { status: 'magnet_conversion', files: [] } };
+    await assert.rejects(realDebrid.resolve('KEY', MAGNET), DebridNotReadyError);
+    assert.ok(!requests.some(request => request.url.includes('/selectFiles/')));
+});
+
+test('a torrent still downloading is not ready', async () => {
+    torrent = { info: { status: 'downloading', progress: 42, files: [{ id: 1, path: '/Movie.mkv', bytes: 1e9, selected: 1 }], links: [] } };
+    await assert.rejects(realDebrid.resolve('KEY', MAGNET), /downloading.*42%/);
+});
+
+test('a stalled API call times out with a debrid error', async () => {
+    torrent = { hang: true };
+    await assert.rejects(realDebrid.resolve('KEY', MAGNET), error => error instanceof DebridError && /timed out/.test(error.message));
+});
+
+test('the caller signal aborts a resolve', async () => {
+    torrent = { hang: true };
+    await assert.rejects(realDebrid.resolve('KEY', MAGNET, {}, AbortSignal.timeout(50)), DebridError);
+});
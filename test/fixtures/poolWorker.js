@@ -0,0 +1,32 @@
+// test/fixtures/poolWorker.js - Worker script for the worker pool tests, speaking the pool's protocol
+//
+// Job payloads: { value } answers at once; { spinMs } busy-loops, stopping early when the cancel flag is
+// set unless `ignoreCancel`; { fail } answers with an error; { exit } ends the thread.
+
+const { parentPort, workerData } = require('worker_threads');
+
+const cancelFlag = new Int32Array(workerData.cancelBuffer);
+const contexts = new Map();
+
+parentPort.on('message', (message) => {
+    if (message.type === 'context') {
+        contexts.set(`${message.name}:${message.key}`, message.value);
+        return;
+    }
+    const { payload } = message;
+    if (payload.exit) process.exit(3);
+    if (payload.fail) {
+        parentPort.postMessage({ type: 'error', id: message.id, error: payload.fail });
+        return;
+    }
+    let cancelled = false;
+    const until = Date.now() + (payload.spinMs || 0);
+    while (Date.now() < until) {
+        if (!payload.ignoreCancel && Atomics.load(cancelFlag, 0) === 1) {
+            cancelled = true;
+            break;
+        }
+    }
+    const context = message.contexts && message.contexts.config !== undefined ? contexts.get(`config:${message.contexts.config}`) : undefined;
+    parentPort.postMessage({ type: 'result', id: message.id, result: { value: payload.value, cancelled, context } });
+});
@@ -0,0 +1,25 @@
+// test/indexerHealth.test.js - Indexer health table bounds
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MAX_USER_INDEXER_ENTRIES = '3';
+const { shouldQuery, recordSuccess, getIndexerHealth, getForgottenIndexerTotals } = require('../lib/indexerHealth');
+
+test('user indexers beyond the cap are forgotten, least recently used first', () => {
+    shouldQuery('jackett|http://env:9117|yts', 'YTS', true);
+    for (let i = 1; i <= 5; i++) {
+        shouldQuery(`torznab|http://user${i}.example`, `Torznab user${i}.example`, false);
+        recordSuccess(`torznab|http://user${i}.example`, 100, 1);
+    }
+    const keys = getIndexerHealth().map(entry => entry.key).sort();
+    assert.deepEqual(keys, ['jackett|http://env:9117|yts', 'torznab|http://user3.example', 'torznab|http://user4.example', 'torznab|http://user5.example']);
+    assert.equal(getForgottenIndexerTotals().successes, 2);
+});
+
+test('an indexer from the environment is never forgotten', () => {
+    for (let i = 6; i <= 12; i++) shouldQuery(`torznab|http://user${i}.example`, `Torznab user${i}.example`, false);
+    const entries = getIndexerHealth();
+    assert.ok(entries.some(entry => entry.key === 'jackett|http://env:9117|yts' && entry.configured));
+    assert.equal(entries.filter(entry => !entry.configured).length, 3);
+});
@@ -0,0 +1,56 @@
+// test/metrics.test.js - Prometheus text exposition of counters, histograms and collectors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCounter, createHistogram, registerCollector, renderMetrics } = require('../lib/metrics');
+
+// Comment lines, and samples: name, optional labels, value (text format 0.0.4)
+const LINE_PATTERN = /^(# (HELP|TYPE) jackett_addon_\w+ .+|jackett_addon_\w+(\{(\w+="(?:[^"\\]|\\.)*",?)+\})? (-?\d+(\.\d+)?(e[+-]?\d+)?|\+Inf|NaN))$/;
+
+const requests = createCounter('test_requests_total', 'Test requests by outcome.');
+const durations = createHistogram('test_duration_seconds', 'Test durations.', [0.1, 1]);
+registerCollector('test_queue_depth', 'gauge', 'Test queue depth.', () => [{ value: 3 }, { labels: { pool: 'b' }, value: 1.5 }]);
+registerCollector('test_broken', 'gauge', 'Test collector that fails.', () => {
+    throw new Error('source unavailable');
+});
+
+requests.inc({ outcome: 'ok' });
+requests.inc({ outcome: 'ok' }, 2);
+requests.inc({ outcome: 'error', reason: 'say "hi"\nback\\slash' });
+requests.inc({ outcome: 'ignored' }, 0);
+durations.observe({ stage: 'search' }, 0.05);
+durations.observe({ stage: 'search' }, 0.5);
+durations.observe({ stage: 'search' }, 5);
+
+const output = renderMetrics();
+
+test('every line follows the text exposition format', () => {
+    assert.ok(output.endsWith('\n'));
+    for (const line of output.trimEnd().split('\n')) assert.match(line, LINE_PATTERN);
+});
+
+test('counters are summed per label set, with HELP and TYPE headers', () => {
+    assert.match(output, /# HELP jackett_addon_test_requests_total Test requests by outcome\.\n# TYPE jackett_addon_test_requests_total counter\n/);
+    assert.match(output, /^jackett_addon_test_requests_total\{outcome="ok"\} 3$/m);
+    assert.doesNotMatch(output, /outcome="ignored"/);
+});
+
+test('label values are escaped', () => {
+    assert.match(output, /^jackett_addon_test_requests_total\{outcome="error",reason="say \\"hi\\"\\nback\\\\slash"\} 1$/m);
+});
+
+test('histograms report cumulative buckets, sum and count', () => {
+    assert.match(output, /# TYPE jackett_addon_test_duration_seconds histogram\n/);
+    assert.match(output, /^jackett_addon_test_duration_seconds_bucket\{stage="search",le="0\.1"\} 1$/m);
+    assert.match(output, /^jackett_addon_test_duration_seconds_bucket\{stage="search",le="1"\} 2$/m);
+    assert.match(output, /^jackett_addon_test_duration_seconds_bucket\{stage="search",le="\+Inf"\} 3$/m);
+    assert.match(output, /^jackett_addon_test_duration_seconds_sum\{stage="search"\} 5\.55$/m);
+    assert.match(output, /^jackett_addon_test_duration_seconds_count\{stage="search"\} 3$/m);
+});
+
+test('collectors are read at render time, and a failing one is left out', () => {
+    assert.match(output, /^jackett_addon_test_queue_depth 3$/m);
+    assert.match(output, /^jackett_addon_test_queue_depth\{pool="b"\} 1\.5$/m);
+    assert.doesNotMatch(output, /test_broken/);
+});
@@ -0,0 +1,69 @@
+// test/plausibility.test.js - Size plausibility against resolution and runtime, and signs of fake releases
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateBitrate, checkSize, findSuspiciousSigns } = require('../lib/plausibility');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+function sizeCandidate(overrides) {
+    return Object.assign({ size: 10 * GB, resolution: '1080p', release: {}, type: 'movie', runtimeMinutes: 155 }, overrides);
+}
+
+test('the bitrate is estimated from the size and runtime', () => {
+    assert.equal(estimateBitrate(75e6, 10), 1);
+    assert.equal(estimateBitrate(0, 10), null);
+    assert.equal(estimateBitrate(75e6, null), null);
+});
+
+test('a size within the bitrate bounds of the resolution passes', () => {
+    const { bitrateMbps, reason } = checkSize(sizeCandidate());
+    assert.equal(reason, null);
+    assert.ok(bitrateMbps > 9 && bitrateMbps < 10);
+});
+
+test('a size too small or too large for the resolution and runtime is implausible', () => {
+    assert.match(checkSize(sizeCandidate({ size: 700 * MB })).reason, /^0\.6 Mbps over 155 min is too low for 1080p \(minimum 1\.0 Mbps\)$/);
+    assert.match(checkSize(sizeCandidate({ size: 200 * GB, resolution: '2160p' })).reason, /too high for 2160p \(maximum 140 Mbps\)$/);
+});
+
+test('remuxes have a higher minimum and efficient codecs a lower one', () => {
+    assert.match(checkSize(sizeCandidate({ release: { source: 'remux' } })).reason, /too low for 1080p remux \(minimum 10\.0 Mbps\)$/);
+    assert.equal(checkSize(sizeCandidate({ size: 700 * MB, release: { codec: 'hevc' } })).reason, null);
+});
+
+test('without a runtime the usual runtimes of the type bound the size', () => {
+    assert.match(checkSize(sizeCandidate({ size: 400 * MB, runtimeMinutes: null })).reason, /^400 MB is outside 501 MB-83\.8 GB for a 1080p movie$/);
+    assert.equal(checkSize(sizeCandidate({ size: 400 * MB, runtimeMinutes: null, type: 'episode' })).reason, null);
+});
+
+test('an unknown resolution or size is not checked', () => {
+    assert.equal(checkSize(sizeCandidate({ resolution: null, size: 1 })).reason, null);
+    assert.equal(checkSize(sizeCandidate({ size: 0 })).reason, null);
+});
+
+test('titles hinting at archives, executables or passwords are suspicious', () => {
+    assert.equal(findSuspiciousSigns({ title: 'Dune.2021.1080p.WEB-DL.x264.rar' }), 'title mentions ".rar"');
+    assert.equal(findSuspiciousSigns({ title: 'Dune 2021 1080p Password Protected' }), 'title mentions "Password"');
+    assert.equal(findSuspiciousSigns({ title: 'Dune.2021.1080p.WEB-DL.x264-RARBG' }), null);
+});
+
+test('file lists with executables, archives or no video are suspicious', () => {
+    const title = 'Dune.2021.1080p.WEB-DL.x264-GROUP';
+    assert.equal(findSuspiciousSigns({ title, files: [{ name: 'Dune/Dune.mkv', size: 5 * GB }, { name: 'Dune/Setup.exe', size: MB }] }), 'contains the executable Setup.exe');
+    assert.equal(findSuspiciousSigns({ title, files: [{ name: 'Dune/dune.part1.rar', size: 5 * GB }, { name: 'Dune/sample.mkv', size: 50 * MB }] }), 'packed in archives (dune.part1.rar)');
+    assert.equal(findSuspiciousSigns({ title, files: [{ name: 'Dune/readme.txt', size: 1024 }] }), 'no video file in the torrent');
+    assert.equal(findSuspiciousSigns({ title, files: [{ name: 'Dune/Dune.mkv', size: 5 * GB }, { name: 'Dune/Dune.nfo', size: 1024 }] }), null);
+});
+
+test('swarms with far more seeders than leechers are suspicious', () => {
+    const title = 'Dune.2021.1080p.WEB-DL.x264-GROUP';
+    assert.equal(findSuspiciousSigns({ title, seeders: 5000, peers: 5010 }), '5000 seeders but only 10 leechers');
+    // Peers below the seeders are leechers only
+    assert.equal(findSuspiciousSigns({ title, seeders: 5000, peers: 10 }), '5000 seeders but only 10 leechers');
+    assert.equal(findSuspiciousSigns({ title, seeders: 5000, peers: 5030 }), null);
+    assert.equal(findSuspiciousSigns({ title, seeders: 900, peers: 900 }), null);
+    assert.equal(findSuspiciousSigns({ title, seeders: 5000, peers: null }), null);
+});
@@ -0,0 +1,90 @@
+// test/premiumize.test.js - Premiumize availability and resolve against a local stub of its API (PREMIUMIZE_API_URL)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+process.env.DEBRID_REQUEST_TIMEOUT_MS = '500';
+
+const { DebridError, DebridNotReadyError } = require('../lib/debrid/common');
+
+const MAGNET = 'magnet:?xt=urn:btih:0123456789abcdef0123456789abcdef01234567';
+
+// Response bodies served by the stub, by endpoint path
+let responses;
+// Loaded once the stub listens, as the provider reads PREMIUMIZE_API_URL at load time
+let premiumize;
+const requests = [];
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const endpoint = req.url.replace(/^\/api/, '');
+        requests.push({ method: req.method, endpoint, form: new URLSearchParams(body) });
+        const [status, data] = responses[endpoint] || [404, { status: 'error', message: 'unknown endpoint' }];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    });
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.PREMIUMIZE_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+    premiumize = require('../lib/debrid/premiumize');
+    resolve();
+})));
+test.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+test.beforeEach(() => { requests.length = 0; });
+
+test('maps the cache check answers back to the hashes, in order', async () => {
+    responses = { '/cache/check': [200, { status: 'success', response: [false, true], transcoded: [false, false] }] };
+    const cached = await premiumize.checkAvailability('KEY', ['a'.repeat(40), 'b'.repeat(40)]);
+    assert.deepEqual([...cached], ['b'.repeat(40)]);
+    assert.equal(requests[0].method, 'POST');
+    assert.equal(requests[0].form.get('apikey'), 'KEY');
+    assert.deepEqual(requests[0].form.getAll('items[]'), ['a'.repeat(40), 'b'.repeat(40)]);
+});
+
+test('returns the link of the hinted file from a direct download', async () => {
+    responses = {
+        '/transfer/directdl': [200, { status: 'success', content: [
+            { path: 'Show.S01/Show.S01E01.1080p.mkv', size: 1e9, link: 'https://download.example/E01' },
+            { path: 'Show.S01/Show.S01E02.1080p.mkv', size: 1e9, link: 'https://download.example/E02' },
+        ] }],
+    };
+    const url = await premiumize.resolve('KEY', MAGNET, { fileIdx: 0, filename: 'Show.S01E02.1080p.mkv' });
+    assert.equal(url, 'https://download.example/E02');
+    assert.equal(requests[0].form.get('src'), MAGNET);
+});
+
+test('without a file name the largest video wins, as file indexes are not reported', async () => {
+    responses = {
+        '/transfer/directdl': [200, { status: 'success', content: [
+            { path: 'Movie/Sample.mkv', size: 1e6, link: 'https://download.example/sample' },
+            { path: 'Movie/Movie.2021.1080p.mkv', size: 8e9, stream_link: 'https://download.example/movie' },
+        ] }],
+    };
+    assert.equal(await premiumize.resolve('KEY', MAGNET, { fileIdx: 0 }), 'https://download.example/movie');
+});
+
+test('an uncached magnet queues a transfer and is not ready', async () => {
+    responses = {
+        '/transfer/directdl': [200, { status: 'error', message: 'content not in cache' }],
+        '/transfer/create': [200, { status: 'success', id: 'T1' }],
+    };
+    await assert.rejects(premiumize.resolve('KEY', MAGNET), error => error instanceof DebridNotReadyError && /not in cache/.test(error.message));
+    assert.deepEqual(requests.map(request => request.endpoint), ['/transfer/directdl', '/transfer/create']);
+});
+
+test('an error envelope becomes a debrid error with its message', async () => {
+    responses = { '/cache/check': [200, { status: 'error', message: 'Not logged in.' }] };
+    await assert.rejects(premiumize.checkAvailability('BAD', ['a'.repeat(40)]), error => error instanceof DebridError && /Not logged in/.test(error.message));
+});
+
+test('an HTTP error status becomes a debrid error with that status', async () => {
+    responses = { '/cache/check': [500, { status: 'error', message: 'Internal error' }] };
+    await assert.rejects(premiumize.checkAvailability('KEY', ['a'.repeat(40)]), error => error instanceof DebridError && error.status === 500);
+});
@@ -0,0 +1,197 @@
+// test/providers.test.js - Prowlarr and Torznab search targets against a local stub
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+process.env.LOG_LEVEL = 'error';
+
+const prowlarr = require('../lib/providers/prowlarr');
+const torznab = require('../lib/providers/torznab');
+
+const HASH = '0123456789abcdef0123456789abcdef01234567';
+
+const PROWLARR_RELEASES = [
+    {
+        title: 'Dune.2021.1080p.BluRay.x264-GROUP', guid: 'https://indexer.example/t/1', protocol: 'torrent',
+        magnetUrl: `magnet:?xt=urn:btih:${HASH}&dn=dune`, seeders: 40, leechers: 5, size: 10737418240,
+        publishDate: '2022-01-01T00:00:00Z', imdbId: 1160419, indexer: 'Indexer One', indexerId: 3,
+    },
+    {
+        title: 'Dune.2021.2160p.WEB-DL.x265-OTHER', protocol: 'torrent', downloadUrl: 'http://127.0.0.1/download/2',
+        infoHash: 'ABCDEF0123456789ABCDEF0123456789ABCDEF01', seeders: 12, size: 21474836480, indexer: 'Indexer Two', indexerId: 4,
+    },
+    { title: 'Dune.2021.1080p.NZB', protocol: 'usenet', downloadUrl: 'http://127.0.0.1/nzb/3', size: 1 },
+];
+
+const TORZNAB_CAPS = `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+  <searching>
+    <search available="yes" supportedParams="q"/>
+    <tv-search available="yes" supportedParams="q,season,ep"/>
+    <movie-search available="yes" supportedParams="q,imdbid"/>
+  </searching>
+</caps>`;
+
+const TORZNAB_RESULTS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+<channel>
+  <item>
+    <title><![CDATA[Dune.2021.1080p.BluRay.x264-GROUP]]></title>
+    <guid>https://indexer.example/t/1</guid>
+    <jackettindexer id="indexerone">Indexer One &amp; Co</jackettindexer>
+    <link>http://127.0.0.1/dl/1.torrent</link>
+    <pubDate>Sat, 01 Jan 2022 00:00:00 +0000</pubDate>
+    <size>10737418240</size>
+    <enclosure url="http://127.0.0.1/dl/1.torrent" length="10737418240" type="application/x-bittorrent"/>
+    <torznab:attr name="seeders" value="40"/>
+    <torznab:attr name="peers" value="45"/>
+    <torznab:attr name="infohash" value="${HASH}"/>
+    <torznab:attr name="imdbid" value="tt1160419"/>
+  </item>
+  <item>
+    <title>Dune 2021 2160p WEB-DL</title>
+    <link>magnet:?xt=urn:btih:${HASH.toUpperCase()}&amp;dn=dune</link>
+    <pubDate>not a date</pubDate>
+    <enclosure url="magnet:?xt=urn:btih:${HASH.toUpperCase()}&amp;dn=dune" length="2048" type="application/x-bittorrent"/>
+  </item>
+</channel>
+</rss>`;
+
+const requests = [];
+// Answer of the Torznab search endpoint; replaced per test
+let torznabAnswer;
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: url.searchParams, apiKey: req.headers['x-api-key'] });
+    if (url.pathname === '/prowlarr/api/v1/search') {
+        if (req.headers['x-api-key'] !== 'PROWLARR-KEY') {
+            res.writeHead(401);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(PROWLARR_RELEASES));
+    }
+    if (url.pathname === '/torznab/api') {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(url.searchParams.get('t') === 'caps' ? TORZNAB_CAPS : torznabAnswer);
+    }
+    if (url.pathname === '/nocaps/api') {
+        if (url.searchParams.get('t') === 'caps') {
+            res.writeHead(500);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(torznabAnswer);
+    }
+    res.writeHead(404);
+    res.end();
+});
+
+let base;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+test.beforeEach(() => {
+    requests.length = 0;
+    torznabAnswer = TORZNAB_RESULTS;
+});
+
+test('Prowlarr results are normalized and usenet releases dropped', async () => {
+    const [target] = prowlarr.getTargets({ PROWLARR_URL: `${base}/prowlarr`, PROWLARR_API_KEY: 'PROWLARR-KEY' });
+    const results = await target.search({ query: 'Dune 2021', title: 'Dune', imdbId: 'tt1160419', type: 'movie', limit: 50 });
+    assert.deepEqual(results.map(result => result.Title), ['Dune.2021.1080p.BluRay.x264-GROUP', 'Dune.2021.2160p.WEB-DL.x265-OTHER']);
+    const [magnet, download] = results;
+    assert.equal(magnet.InfoHash, HASH);
+    assert.equal(magnet.Link, null);
+    assert.equal(magnet.Peers, 45);
+    assert.equal(magnet.Tracker, 'Indexer One');
+    assert.equal(magnet.TrackerId, '3');
+    assert.equal(magnet.Provider, 'prowlarr');
+    assert.equal(download.Link, 'http://127.0.0.1/download/2');
+    assert.equal(download.MagnetUri, null);
+    assert.equal(download.Peers, 0);
+
+    const { query } = requests[0];
+    assert.equal(requests[0].apiKey, 'PROWLARR-KEY');
+    assert.equal(query.get('type'), 'movie');
+    assert.equal(query.get('query'), '{ImdbId:tt1160419}');
+    assert.deepEqual(query.getAll('categories'), ['2000']);
+});
+
+test('Prowlarr episode searches put season and episode into the query', async () => {
+    const [target] = prowlarr.getTargets({ PROWLARR_URL: `${base}/prowlarr`, PROWLARR_API_KEY: 'PROWLARR-KEY' });
+    await target.search({ query: 'Show S01E02', title: 'Show', type: 'series', season: 1, episode: 2, limit: 50 });
+    assert.equal(requests[0].query.get('type'), 'tvsearch');
+    assert.equal(requests[0].query.get('query'), 'Show{Season:1}{Episode:2}');
+});
+
+test('Prowlarr without an API key has no targets, and a refused key fails the search', async () => {
+    assert.deepEqual(prowlarr.getTargets({ PROWLARR_URL: `${base}/prowlarr`, PROWLARR_API_KEY: '' }), []);
+    const [target] = prowlarr.getTargets({ PROWLARR_URL: `${base}/prowlarr`, PROWLARR_API_KEY: 'WRONG' });
+    await assert.rejects(target.search({ query: 'Dune', type: 'movie', limit: 10 }), /HTTP 401/);
+});
+
+test('Torznab items are parsed into the shared result shape', async () => {
+    const [target] = torznab.getTargets({ TORZNAB_FEEDS: [`${base}/torznab/api?apikey=FEED-KEY`] });
+    assert.equal(target.id, `127.0.0.1:${server.address().port}`);
+    const results = await target.search({ query: 'Dune 2021', title: 'Dune', imdbId: 'tt1160419', type: 'movie', limit: 50 });
+    assert.equal(results.length, 2);
+    const [torrent, magnet] = results;
+    assert.deepEqual(torrent, {
+        Title: 'Dune.2021.1080p.BluRay.x264-GROUP',
+        Guid: 'https://indexer.example/t/1',
+        Link: 'http://127.0.0.1/dl/1.torrent',
+        MagnetUri: null,
+        InfoHash: HASH,
+        Seeders: 40,
+        Peers: 45,
+        Size: 10737418240,
+        PublishDate: '2022-01-01T00:00:00.000Z',
+        Imdb: 1160419,
+        Tracker: 'Indexer One & Co',
+        TrackerId: 'indexerone',
+        Provider: 'torznab',
+    });
+    assert.equal(magnet.Link, null);
+    assert.equal(magnet.MagnetUri, `magnet:?xt=urn:btih:${HASH.toUpperCase()}&dn=dune`);
+    assert.equal(magnet.Size, 2048);
+    assert.equal(magnet.PublishDate, null);
+    assert.equal(magnet.Tracker, target.id);
+
+    const search = requests.find(request => request.query.get('t') !== 'caps').query;
+    assert.equal(search.get('t'), 'movie');
+    assert.equal(search.get('imdbid'), '1160419');
+    assert.equal(search.get('apikey'), 'FEED-KEY');
+});
+
+test('Torznab episode searches use the season and episode the feed supports', async () => {
+    const [target] = torznab.getTargets({ TORZNAB_FEEDS: [`${base}/torznab/api?apikey=FEED-KEY`] });
+    await target.search({ query: 'Show S01E02', title: 'Show', imdbId: 'tt0000001', type: 'series', season: 1, episode: 2, limit: 50 });
+    const search = requests.find(request => request.query.get('t') !== 'caps').query;
+    assert.equal(search.get('t'), 'tvsearch');
+    assert.equal(search.get('q'), 'Show');
+    assert.equal(search.get('season'), '1');
+    assert.equal(search.get('ep'), '2');
+});
+
+test('a Torznab feed without capabilities is searched with t=search', async () => {
+    const [target] = torznab.getTargets({ TORZNAB_FEEDS: [`${base}/nocaps/api`] });
+    await target.search({ query: 'Dune 2021', title: 'Dune', imdbId: 'tt1160419', type: 'movie', limit: 50 });
+    const search = requests.find(request => request.query.get('t') !== 'caps').query;
+    assert.equal(search.get('t'), 'search');
+    assert.equal(search.get('q'), 'Dune 2021');
+});
+
+test('a Torznab error element fails the search', async () => {
+    torznabAnswer = '<?xml version="1.0" encoding="UTF-8"?><error code="100" description="Incorrect user credentials"/>';
+    const [target] = torznab.getTargets({ TORZNAB_FEEDS: [`${base}/torznab/api?apikey=BAD`] });
+    await assert.rejects(target.search({ query: 'Dune', type: 'movie', limit: 10 }), /Torznab error 100: Incorrect user credentials/);
+});
@@ -0,0 +1,35 @@
+// test/releaseParser.test.js - Parses the real release names in fixtures/releases.json
+//
+// Each fixture lists the parser output for one name. Fields left out of "expected" must have their empty
+// value (below), and flags not listed must be false, so every fixture checks the whole parse.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRelease } = require('../lib/releaseParser');
+const fixtures = require('./fixtures/releases.json');
+
+const EMPTY_FIELDS = {
+    absoluteEpisodes: [],
+    batch: false,
+    version: null,
+    complete: false,
+    hdr: [],
+    bitDepth: null,
+    audio: [],
+    channels: null,
+    edition: null,
+};
+
+for (const { name, expected } of fixtures) {
+    test(name, () => {
+        const release = parseRelease(name);
+        const { flags = {}, ...fields } = Object.assign({}, EMPTY_FIELDS, expected);
+        for (const [field, value] of Object.entries(fields)) {
+            assert.deepEqual(release[field], value, `${field} of "${name}"`);
+        }
+        for (const [flag, value] of Object.entries(release.flags)) {
+            assert.equal(value, !!flags[flag], `flag ${flag} of "${name}"`);
+        }
+    });
+}
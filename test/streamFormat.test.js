@@ -0,0 +1,38 @@
+// test/streamFormat.test.js - Stream names and descriptions rendered from templates
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRelease } = require('../lib/releaseParser');
+const { getReleaseLanguages } = require('../lib/languages');
+const { formatStream } = require('../lib/streamFormat');
+
+const CONFIG = { STREAM_NAME_TEMPLATE: 'Jackett', STREAM_DESCRIPTION_TEMPLATE: '[[🌐 {languages}]]\n[[💬 {subtitles}]]', STREAM_EMOJI: false };
+
+function describe(name, languageOptions) {
+    const release = parseRelease(name);
+    const stream = {
+        originalResult: { Title: name, Size: 2e9, Seeders: 10 },
+        parsedDetails: { resolution: release.resolution },
+        release,
+        languages: getReleaseLanguages(release, languageOptions),
+    };
+    return formatStream(stream, CONFIG, { now: Date.now() }).description;
+}
+
+test('languages show the computed audio and subtitle languages, marking assumed ones', () => {
+    const description = describe('Spirited.Away.2001.Dual.Audio.1080p.BluRay.x264.ESub-GRP', { untaggedLanguage: 'en', originalLanguage: 'ja' });
+    assert.equal(description, 'English (assumed) / Japanese (assumed) / Dual Audio\nEnglish');
+});
+
+test('the language an indexer reports is shown over the name', () => {
+    assert.equal(describe('Dune.Part.Two.2024.1080p.WEB.x264-GRP', { untaggedLanguage: 'en', indexerLanguage: 'fre' }), 'French');
+});
+
+test('languages tagged in the name are not marked as assumed', () => {
+    assert.equal(describe('Pathaan.2023.Hindi.1080p.WEB-DL.x264-GRP', { untaggedLanguage: 'en' }), 'Hindi');
+});
+
+test('an untagged release without a default shows no languages', () => {
+    assert.equal(describe('Arrival.2016.1080p.BluRay.x264-GECKOS', { untaggedLanguage: 'none' }), '');
+});
@@ -0,0 +1,35 @@
+// test/titleMatcher.test.js - Release titles against expected titles
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { matchTitle } = require('../lib/titleMatcher');
+const { parseRelease } = require('../lib/releaseParser');
+
+function match(expectedTitle, name, options) {
+    return matchTitle([expectedTitle], parseRelease(name), options);
+}
+
+test('a plural is another title, not a typo', () => {
+    assert.equal(match('Alien', 'Aliens.1986.1080p.BluRay.x264-GRP').matched, false);
+    assert.equal(match('Aliens', 'Alien.1979.1080p.BluRay.x264-GRP').matched, false);
+});
+
+test('a one-letter typo in a longer word still matches', () => {
+    assert.equal(match('Interstellar', 'Interstelar.2014.1080p.BluRay.x264-GRP').confidence, 0.8);
+});
+
+test('abbreviations match their written-out form', () => {
+    assert.equal(match('Kill Bill: Vol. 1', 'Kill.Bill.Volume.1.2003.1080p.BluRay.x264-GRP').confidence, 1);
+    assert.equal(match('Kill Bill: Vol. 1', 'Kill.Bill.Volume.I.2003.1080p.BluRay.x264-GRP').confidence, 1);
+    assert.equal(match('Harry Potter and the Deathly Hallows: Part 1', 'Harry.Potter.and.the.Deathly.Hallows.Pt.1.2010.1080p.BluRay.x264-GRP').confidence, 1);
+});
+
+test('another volume is rejected', () => {
+    assert.equal(match('Kill Bill: Vol. 1', 'Kill.Bill.Vol.2.2004.1080p.BluRay.x264-GRP').matched, false);
+});
+
+test('movies must be within a year of the expected year', () => {
+    assert.equal(match('Dune', 'Dune.1984.1080p.BluRay.x264-GRP', { year: 2021, type: 'movie' }).matched, false);
+    assert.equal(match('Dune', 'Dune.2021.1080p.BluRay.x264-GRP', { year: 2021, type: 'movie' }).matched, true);
+});
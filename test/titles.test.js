@@ -0,0 +1,52 @@
+// test/titles.test.js - Title aliases searched and accepted for a title
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getTitleAliases } = require('../lib/titles');
+const { matchTitle } = require('../lib/titleMatcher');
+const { parseRelease } = require('../lib/releaseParser');
+
+const PARASITE = {
+    title: 'Parasite',
+    originalTitle: '기생충',
+    originalLanguage: 'ko',
+    alternativeTitles: ['Gisaengchung', 'Parasite', 'Gi-saeng-chung'],
+    translatedTitles: { fr: 'Parasite', de: 'Parasite', es: 'Parásitos' },
+};
+
+test('the main title is searched first, then translations into the preferred languages', () => {
+    const { searchTitles } = getTitleAliases(PARASITE, ['es', 'en']);
+    assert.deepEqual(searchTitles, ['Parasite', 'Parásitos']);
+});
+
+test('an original title in another script is only searched when its language is preferred', () => {
+    assert.ok(!getTitleAliases(PARASITE, ['en']).searchTitles.includes('기생충'));
+    assert.deepEqual(getTitleAliases(PARASITE, ['ko']).searchTitles, ['Parasite', '기생충']);
+});
+
+test('a Latin-script original title is searched whatever the languages', () => {
+    const metadata = { title: 'The Intouchables', originalTitle: 'Intouchables', originalLanguage: 'fr' };
+    assert.deepEqual(getTitleAliases(metadata, ['en']).searchTitles, ['The Intouchables', 'Intouchables']);
+});
+
+test('spelling variants are searched up to TITLE_SEARCH_VARIANTS distinct titles', () => {
+    const metadata = { title: 'Mission: Impossible - Dead Reckoning Part One', originalTitle: 'Mission: Impossible - Dead Reckoning Part One' };
+    assert.deepEqual(getTitleAliases(metadata, ['en']).searchTitles, ['Mission: Impossible - Dead Reckoning Part One', 'Mission: Impossible']);
+    const ampersand = { title: 'Fast & Furious', translatedTitles: { de: 'Fast & Furious 4', fr: 'Fast and Furious 4' } };
+    const { searchTitles } = getTitleAliases(ampersand, ['de', 'fr']);
+    assert.equal(searchTitles.length, 3);
+    assert.deepEqual(searchTitles, ['Fast & Furious', 'Fast & Furious 4', 'Fast and Furious 4']);
+});
+
+test('aliases collect every distinct other title, without the main one', () => {
+    const { aliases } = getTitleAliases(PARASITE, ['en']);
+    assert.deepEqual(aliases, ['기생충', 'Gisaengchung', 'Gi-saeng-chung']);
+});
+
+test('a release named by an alias is accepted when validating', () => {
+    const { aliases } = getTitleAliases(PARASITE, ['en']);
+    const release = parseRelease('Gisaengchung.2019.1080p.BluRay.x264-GROUP');
+    assert.equal(matchTitle(['Parasite'], release, { year: 2019, type: 'movie' }).matched, false);
+    assert.equal(matchTitle(['Parasite', ...aliases], release, { year: 2019, type: 'movie' }).matched, true);
+});
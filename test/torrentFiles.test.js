@@ -0,0 +1,103 @@
+// test/torrentFiles.test.js - .torrent parsing and resolving .torrent-only results against a local stub
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'torrent-files-test-'));
+process.env.CACHE_DIR = cacheDir;
+process.env.LOG_LEVEL = 'error';
+process.env.TORRENT_MAX_SIZE_KB = '1';
+
+const { parseTorrent, resolveTorrentLinks } = require('../lib/torrentFiles');
+
+// Multi-file torrent; its infohash is the SHA-1 of the bencoded info dictionary, computed independently
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'season-pack.torrent'));
+const FIXTURE_INFO_HASH = 'ad17c991d52bc95ee946dfc52b20f6a701820ef7';
+const MAGNET_HASH = '0123456789abcdef0123456789abcdef01234567';
+
+const downloads = [];
+
+const server = http.createServer((req, res) => {
+    downloads.push(req.url);
+    if (req.url === '/dl/pack.torrent') {
+        res.writeHead(200, { 'Content-Type': 'application/x-bittorrent' });
+        return res.end(FIXTURE);
+    }
+    if (req.url === '/dl/proxy') {
+        res.writeHead(302, { Location: '/dl/pack.torrent' });
+        return res.end();
+    }
+    if (req.url === '/dl/magnet') {
+        res.writeHead(302, { Location: `magnet:?xt=urn:btih:${MAGNET_HASH.toUpperCase()}&dn=movie` });
+        return res.end();
+    }
+    if (req.url === '/dl/huge.torrent') {
+        res.writeHead(200, { 'Content-Type': 'application/x-bittorrent' });
+        return res.end(Buffer.alloc(4096, 0x64));
+    }
+    res.writeHead(404);
+    res.end();
+});
+
+let base;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+}));
+
+test('parses the infohash, trackers and file list of a .torrent file', () => {
+    const torrent = parseTorrent(FIXTURE);
+    assert.equal(torrent.infoHash, FIXTURE_INFO_HASH);
+    assert.equal(torrent.name, 'Show.S01.1080p.WEB-DL');
+    assert.deepEqual(torrent.trackers, ['udp://tracker.one.example:1337/announce', 'http://tracker.two.example/announce']);
+    assert.deepEqual(torrent.files, [
+        { index: 0, name: 'Show.S01.1080p.WEB-DL/Show.S01E01.1080p.mkv', size: 1073741824 },
+        { index: 1, name: 'Show.S01.1080p.WEB-DL/Extras/Show.S01E02.1080p.mkv', size: 1073741825 },
+        { index: 2, name: 'Show.S01.1080p.WEB-DL/Show.nfo', size: 1024 },
+    ]);
+});
+
+test('a buffer without an info dictionary is refused', () => {
+    assert.throws(() => parseTorrent(Buffer.from('d8:announce3:urle')), /no info dictionary/);
+});
+
+test('.torrent-only results gain the infohash, trackers, files and size of the download', async () => {
+    const results = [
+        { Title: 'Show S01 1080p', Link: `${base}/dl/proxy`, Seeders: 5, Size: 0 },
+        { Title: 'Movie 1080p', Link: `${base}/dl/magnet`, Seeders: 9, Size: 4000 },
+        { Title: 'Has hash', InfoHash: 'f'.repeat(40), Link: `${base}/dl/never` },
+        { Title: 'Too big', Link: `${base}/dl/huge.torrent`, Seeders: 1 },
+    ];
+    const { results: resolved, resolved: count, attempted } = await resolveTorrentLinks(results);
+    assert.equal(attempted, 3);
+    assert.equal(count, 2);
+
+    const [pack, movie, hashed, huge] = resolved;
+    assert.equal(pack.InfoHash, FIXTURE_INFO_HASH);
+    assert.equal(pack.Size, 1073741824 + 1073741825 + 1024);
+    assert.deepEqual(pack.TorrentTrackers, ['udp://tracker.one.example:1337/announce', 'http://tracker.two.example/announce']);
+    assert.equal(pack.TorrentFiles.length, 3);
+    assert.equal(movie.InfoHash, MAGNET_HASH);
+    assert.equal(movie.MagnetUri, `magnet:?xt=urn:btih:${MAGNET_HASH.toUpperCase()}&dn=movie`);
+    assert.equal(movie.Size, 4000);
+    assert.equal(hashed, results[2]);
+    assert.equal(huge, results[3]);
+    assert.ok(!downloads.includes('/dl/never'));
+});
+
+test('resolved links are cached and not downloaded again', async () => {
+    downloads.length = 0;
+    const { resolved } = await resolveTorrentLinks([{ Title: 'Show S01 1080p', Link: `${base}/dl/proxy` }]);
+    assert.equal(resolved, 1);
+    assert.deepEqual(downloads, []);
+});
@@ -0,0 +1,154 @@
+// test/torrentProcessorWorker.test.js - Result processing in the worker, run on a one-worker pool
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+process.env.LOG_LEVEL = 'warn';
+
+const { DEFAULT_CONFIG } = require('../lib/config');
+const { createWorkerPool } = require('../lib/workerPool');
+const { getStreamSources } = require('../lib/trackers');
+
+const pool = createWorkerPool(path.join(__dirname, '..', 'torrentProcessorWorker.js'), { name: 'test-pool', size: 1 });
+test.after(() => pool.close());
+
+const METADATA = { title: 'Dune', year: 2021, type: 'movie', runtimeMinutes: 155 };
+const GB = 1024 * 1024 * 1024;
+
+/**
+ * Processes search results with the default config (plus `config`) and no public trackers; the request is
+ * METADATA unless `metadata`, `season` and `episode` say otherwise. `explain` adds the rejections.
+ */
+function processResults(results, { config = {}, metadata = METADATA, season = null, episode = null, deadlineAt, explain } = {}) {
+    return pool.run({ jackettResults: results, metadata, season, episode, deadlineAt, explain }, {
+        contexts: {
+            config: { key: JSON.stringify(config), value: Object.assign({}, DEFAULT_CONFIG, config) },
+            infoHashRules: { key: 'none', value: { allowed: [], blocked: [] } },
+            trackers: { key: 'none', value: [] },
+        },
+    });
+}
+
+function result(overrides) {
+    return Object.assign({
+        Title: 'Dune.2021.1080p.BluRay.x264-GROUP',
+        Seeders: 10,
+        Peers: 12,
+        Size: 10 * GB,
+        Tracker: 'Indexer',
+        PublishDate: '2022-01-01T00:00:00Z',
+    }, overrides);
+}
+
+test('re-uploads of a release collapse into one stream that carries both copies', async () => {
+    const { streams, funnel } = await processResults([
+        result({ InfoHash: 'a'.repeat(40), Seeders: 50, Tracker: 'First', TorrentTrackers: ['udp://one.example:1337/announce'] }),
+        result({ Title: 'www.Site.org - Dune.2021.1080p.BluRay.x264-GROUP.mkv', InfoHash: 'b'.repeat(40), Size: 10.1 * GB, Tracker: 'Second', TorrentTrackers: ['udp://two.example:1337/announce'] }),
+    ]);
+    assert.equal(streams.length, 1);
+    assert.equal(funnel.nearDuplicate, 1);
+    const [stream] = streams;
+    assert.equal(stream.infoHash, 'a'.repeat(40));
+    assert.deepEqual(stream.trackerNames, ['First', 'Second']);
+    assert.deepEqual(stream.alternatives.map(alternative => alternative.infoHash), ['b'.repeat(40)]);
+    assert.deepEqual(getStreamSources(stream, ['udp://public.example:80/announce']), [
+        'tracker:udp://one.example:1337/announce',
+        'tracker:udp://two.example:1337/announce',
+        'tracker:udp://public.example:80/announce',
+        `dht:${'a'.repeat(40)}`,
+    ]);
+});
+
+test('copies whose sizes differ beyond the tolerance stay separate streams', async () => {
+    const { streams } = await processResults([
+        result({ InfoHash: 'a'.repeat(40) }),
+        result({ InfoHash: 'b'.repeat(40), Size: 12 * GB }),
+    ]);
+    assert.equal(streams.length, 2);
+    assert.ok(streams.every(stream => stream.alternatives.length === 0));
+});
+
+test('results sharing an infohash merge their seeders, trackers and publish date', async () => {
+    const { streams, funnel } = await processResults([
+        result({ InfoHash: 'A'.repeat(40), Seeders: 5, Tracker: 'First', PublishDate: '2022-02-01T00:00:00Z' }),
+        result({ MagnetUri: `magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=dune`, Seeders: 30, Tracker: 'Second', PublishDate: '2022-01-01T00:00:00Z' }),
+    ]);
+    assert.equal(streams.length, 1);
+    assert.equal(funnel.duplicate, 1);
+    assert.equal(streams[0].originalResult.Seeders, 30);
+    assert.deepEqual(streams[0].trackerNames, ['First', 'Second']);
+    assert.equal(streams[0].effectivePublishedDate, '2022-01-01T00:00:00Z');
+});
+
+test('a base32 magnet infohash becomes hex and a malformed one is dropped', async () => {
+    const { streams, funnel } = await processResults([
+        result({ MagnetUri: 'magnet:?xt=urn:btih:VKVKVKVKVKVKVKVKVKVKVKVKVKVKVKVK&dn=dune' }),
+        result({ Title: 'Dune.2021.2160p.WEB-DL.x265-OTHER', Size: 20 * GB, MagnetUri: 'magnet:?xt=urn:btih:abc123&dn=dune' }),
+    ]);
+    assert.deepEqual(streams.map(stream => stream.infoHash), ['aa'.repeat(20)]);
+    assert.equal(funnel.noInfoHash, 1);
+});
+
+test('a passed deadline returns the streams processed so far as partial', async () => {
+    const results = [result({ InfoHash: 'a'.repeat(40) }), result({ InfoHash: 'b'.repeat(40), Size: 20 * GB })];
+    const complete = await processResults(results, { deadlineAt: Date.now() + 60000 });
+    assert.equal(complete.partial, false);
+    assert.equal(complete.streams.length, 2);
+    const late = await processResults(results, { deadlineAt: Date.now() - 1 });
+    assert.equal(late.partial, true);
+    assert.deepEqual(late.streams, []);
+});
+
+test('implausible sizes and fake signs are dropped unless their checks are off', async () => {
+    const results = [
+        result({ InfoHash: 'a'.repeat(40), Size: 700 * 1024 * 1024 }),
+        result({ InfoHash: 'b'.repeat(40), Title: 'Dune.2021.1080p.BluRay.x264-GROUP.rar', Size: 12 * GB }),
+        result({ InfoHash: 'c'.repeat(40), Size: 14 * GB, TorrentFiles: [{ name: 'Dune/Dune.2021.1080p.srt', size: 100 * 1024 }, { name: 'Dune/README.txt', size: 1024 }] }),
+        result({ InfoHash: 'd'.repeat(40), Size: 16 * GB, Seeders: 5000, Peers: 5010 }),
+        result({ InfoHash: 'e'.repeat(40) }),
+    ];
+    const { streams, funnel, rejections } = await processResults(results, { explain: true });
+    assert.deepEqual(streams.map(stream => stream.infoHash), ['e'.repeat(40)]);
+    assert.equal(funnel.size, 1);
+    assert.equal(funnel.fake, 3);
+    assert.deepEqual(rejections.map(rejection => [rejection.resultIndex, rejection.filter]), [[0, 'size'], [1, 'fake'], [2, 'fake'], [3, 'fake']]);
+    assert.match(rejections[0].reason, /too low for 1080p/);
+    assert.equal(rejections[2].reason, 'no video file in the torrent');
+
+    const unchecked = await processResults(results, { config: { BITRATE_CHECK: false, FAKE_CHECK: false } });
+    assert.equal(unchecked.streams.length, 5);
+});
+
+// Sousou no Frieren 2nd Season, 28 episodes after the first season
+const ANIME_METADATA = {
+    title: 'Sousou no Frieren 2nd Season',
+    titles: ['Sousou no Frieren 2nd Season', "Frieren: Beyond Journey's End Season 2", 'Sousou no Frieren'],
+    seasonTitles: ['Sousou no Frieren 2nd Season', "Frieren: Beyond Journey's End Season 2"],
+    year: 2026,
+    type: 'series',
+    runtimeMinutes: 24,
+    absoluteEpisode: 30,
+};
+
+test('anime releases match by absolute number or by the season\'s own number', async () => {
+    const anime = (title, infoHash) => result({ Title: title, InfoHash: infoHash, Size: 1.4 * GB, PublishDate: '2026-01-01T00:00:00Z' });
+    const { streams, rejections } = await processResults([
+        anime('[SubsPlease] Sousou no Frieren - 30 (1080p) [ABCD1234].mkv', 'a'.repeat(40)),
+        anime('[SubsPlease] Sousou no Frieren 2nd Season - 02 (1080p) [ABCD1234].mkv', 'b'.repeat(40)),
+        anime('[Erai-raws] Sousou no Frieren S2 - 02 [1080p]', 'c'.repeat(40)),
+        anime('[SubsPlease] Sousou no Frieren - 02 (1080p) [ABCD1234].mkv', 'd'.repeat(40)),
+        anime('[SubsPlease] Sousou no Frieren - 31 (1080p) [ABCD1234].mkv', 'e'.repeat(40)),
+    ], { metadata: ANIME_METADATA, season: 2, episode: 2, explain: true });
+    assert.deepEqual(streams.map(stream => stream.infoHash).sort(), ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)]);
+    // Episode 2 of the first season, and the next episode
+    assert.deepEqual(rejections.map(rejection => [rejection.resultIndex, rejection.filter]), [[3, 'validation'], [4, 'validation']]);
+});
+
+test('an anime batch covering the absolute episode counts as a season pack', async () => {
+    const { streams } = await processResults([
+        result({ Title: '[Judas] Sousou no Frieren (Season 2) [1080p][HEVC x265 10bit][Batch]', InfoHash: 'a'.repeat(40), Size: 14 * GB }),
+    ], { metadata: ANIME_METADATA, season: 2, episode: 2 });
+    assert.equal(streams.length, 1);
+    assert.ok(streams[0].seasonPack);
+});
@@ -0,0 +1,121 @@
+// test/trackerClient.test.js - Tracker scrapes against local UDP (BEP 15) and HTTP stub trackers
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('node:dgram');
+const http = require('node:http');
+
+const { TrackerError, connectUdpTracker, scrapeTracker } = require('../lib/trackerClient');
+const { normalizeInfoHash } = require('../lib/releaseRules');
+
+const KNOWN = 'aa'.repeat(20);
+const UNKNOWN = 'bb'.repeat(20);
+// KNOWN as a magnet link carries it in base32
+const KNOWN_BASE32_MAGNET = 'magnet:?xt=urn:btih:VKVKVKVKVKVKVKVKVKVKVKVKVKVKVKVK&dn=known';
+const CONNECTION_ID = 0x1122334455667788n;
+// Swarm sizes the stubs report: [seeders, completed, leechers]
+const SWARMS = { [KNOWN]: [120, 900, 15] };
+
+const udpRequests = [];
+const udpTracker = dgram.createSocket('udp4');
+udpTracker.on('message', (message, remote) => {
+    const connectionId = message.readBigUInt64BE(0);
+    const action = message.readUInt32BE(8);
+    const transactionId = message.readUInt32BE(12);
+    udpRequests.push({ connectionId, action });
+    let response;
+    if (action === 0) {
+        response = Buffer.alloc(16);
+        response.writeBigUInt64BE(CONNECTION_ID, 8);
+    } else if (connectionId !== CONNECTION_ID) {
+        response = Buffer.concat([Buffer.alloc(8), Buffer.from('bad connection id')]);
+        response.writeUInt32BE(3, 0);
+    } else {
+        const count = (message.length - 16) / 20;
+        response = Buffer.alloc(8 + count * 12);
+        for (let i = 0; i < count; i++) {
+            const infoHash = message.subarray(16 + i * 20, 36 + i * 20).toString('hex');
+            (SWARMS[infoHash] || [0, 0, 0]).forEach((value, field) => response.writeUInt32BE(value, 8 + i * 12 + field * 4));
+        }
+    }
+    if (response.readUInt32BE(0) !== 3) response.writeUInt32BE(action, 0);
+    response.writeUInt32BE(transactionId, 4);
+    udpTracker.send(response, remote.port, remote.address);
+});
+
+const httpTracker = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/scrape') {
+        res.end('d14:failure reason12:not scrapinge');
+        return;
+    }
+    // info_hash values are percent-encoded raw bytes; the bencoded files dict is keyed by them
+    const files = req.url.split('?')[1].split('&')
+        .map(part => Buffer.from(part.split('=')[1].replace(/%/g, ''), 'hex'))
+        .filter(raw => SWARMS[raw.toString('hex')])
+        .map(raw => {
+            const [complete, downloaded, incomplete] = SWARMS[raw.toString('hex')];
+            return Buffer.concat([Buffer.from('20:'), raw, Buffer.from(`d8:completei${complete}e10:downloadedi${downloaded}e10:incompletei${incomplete}ee`)]);
+        });
+    res.end(Buffer.concat([Buffer.from('d5:filesd'), ...files, Buffer.from('ee')]));
+});
+
+let udpUrl;
+let httpUrl;
+
+test.before(async () => {
+    await new Promise(resolve => udpTracker.bind(0, '127.0.0.1', resolve));
+    await new Promise(resolve => httpTracker.listen(0, '127.0.0.1', resolve));
+    udpUrl = `udp://127.0.0.1:${udpTracker.address().port}/announce`;
+    httpUrl = `http://127.0.0.1:${httpTracker.address().port}/announce`;
+});
+test.after(async () => {
+    udpTracker.close();
+    httpTracker.closeAllConnections();
+    await new Promise(resolve => httpTracker.close(resolve));
+});
+
+test('UDP scrape connects, then scrapes with the connection id', async () => {
+    udpRequests.length = 0;
+    const stats = await scrapeTracker(udpUrl, [KNOWN, UNKNOWN], AbortSignal.timeout(2000));
+    assert.deepEqual([...stats], [[KNOWN, { seeders: 120, completed: 900, leechers: 15 }]]);
+    assert.deepEqual(udpRequests.map(request => request.action), [0, 2]);
+    assert.equal(udpRequests[1].connectionId, CONNECTION_ID);
+});
+
+test('UDP connect check answers', async () => {
+    await connectUdpTracker(new URL(udpUrl), AbortSignal.timeout(2000));
+});
+
+test('UDP tracker that never answers times out', async () => {
+    const silent = dgram.createSocket('udp4');
+    await new Promise(resolve => silent.bind(0, '127.0.0.1', resolve));
+    try {
+        await assert.rejects(
+            scrapeTracker(`udp://127.0.0.1:${silent.address().port}/announce`, [KNOWN], AbortSignal.timeout(100)),
+            error => error instanceof TrackerError && error.message === 'no answer in time'
+        );
+    } finally {
+        silent.close();
+    }
+});
+
+test('HTTP scrape reads the bencoded files dict', async () => {
+    const stats = await scrapeTracker(httpUrl, [KNOWN, UNKNOWN], AbortSignal.timeout(2000));
+    assert.deepEqual([...stats], [[KNOWN, { seeders: 120, completed: 900, leechers: 15 }]]);
+});
+
+test('HTTP tracker without a scrape convention is refused', async () => {
+    const url = httpUrl.replace('/announce', '/tracker');
+    await assert.rejects(scrapeTracker(url, [KNOWN], AbortSignal.timeout(2000)), /does not support scraping/);
+});
+
+test('a base32 magnet infohash is scraped as its hex form, and junk values are skipped', async () => {
+    const infoHash = normalizeInfoHash(KNOWN_BASE32_MAGNET.match(/btih:([^&/]+)/i)[1]);
+    assert.equal(infoHash, KNOWN);
+    // A 32-character value passed as-is would shift every hash after it in the packet
+    const udpStats = await scrapeTracker(udpUrl, ['vkvkvkvkvkvkvkvkvkvkvkvkvkvkvkvk', 'not-a-hash', infoHash], AbortSignal.timeout(2000));
+    assert.deepEqual([...udpStats], [[KNOWN, { seeders: 120, completed: 900, leechers: 15 }]]);
+    const httpStats = await scrapeTracker(httpUrl, ['not-a-hash', infoHash], AbortSignal.timeout(2000));
+    assert.deepEqual([...httpStats], [[KNOWN, { seeders: 120, completed: 900, leechers: 15 }]]);
+});
@@ -0,0 +1,69 @@
+// test/trackers.test.js - Tracker sources loaded from a local HTTP stub
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trackers-test-'));
+process.env.CACHE_DIR = cacheDir;
+process.env.LOG_LEVEL = 'error';
+
+// MAX_SOURCE_BYTES in lib/trackers.js
+const LIMIT = 1024 * 1024;
+const CHUNK = `udp://tracker.example.org:1337/announce\n`.repeat(1600);
+// Bytes the endless source managed to send before the client hung up
+let endlessSent = 0;
+
+const server = http.createServer((req, res) => {
+    if (req.url === '/good') {
+        res.end('# best trackers\nudp://good.example.org:6969/announce\n\nnot a tracker\nhttps://good.example.org/announce\n');
+    } else if (req.url === '/declared') {
+        res.writeHead(200, { 'Content-Length': String(LIMIT * 4) });
+        res.write(CHUNK);
+        res.on('error', () => {});
+    } else {
+        // No Content-Length: keeps sending until the client stops reading
+        res.on('error', () => {});
+        const timer = setInterval(() => {
+            if (res.destroyed || endlessSent > LIMIT * 8) {
+                clearInterval(timer);
+                res.end();
+                return;
+            }
+            endlessSent += CHUNK.length;
+            res.write(CHUNK);
+        }, 1);
+        res.on('close', () => clearInterval(timer));
+    }
+});
+
+// Loaded once the stub listens, as the sources are read from TRACKER_SOURCES at load time
+let trackers;
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    process.env.TRACKER_SOURCES = `${base}/good,${base}/declared,${base}/endless`;
+    trackers = require('../lib/trackers');
+});
+test.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('sources over the size limit are refused, by declared length or while reading', async () => {
+    await trackers.refreshTrackers();
+    assert.deepEqual(trackers.getTrackers(), ['udp://good.example.org:6969/announce', 'https://good.example.org/announce']);
+    const [good, declared, endless] = trackers.getTrackersState().sources;
+    assert.deepEqual([good.status, good.count, good.invalid], ['ok', 2, 1]);
+    assert.equal(declared.status, 'error');
+    assert.match(declared.lastError, /declared/);
+    assert.equal(endless.status, 'error');
+    assert.match(endless.lastError, /larger than/);
+    // The download stopped near the limit rather than running to the end
+    assert.ok(endlessSent < LIMIT * 8, `${endlessSent} bytes sent`);
+});
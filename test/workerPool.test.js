@@ -0,0 +1,87 @@
+// test/workerPool.test.js - Worker pool queue bound, cancellation and respawns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+process.env.LOG_LEVEL = 'error';
+
+const { PoolQueueFullError, JobCancelledError, createWorkerPool } = require('../lib/workerPool');
+
+const SCRIPT = path.join(__dirname, 'fixtures', 'poolWorker.js');
+
+function createPool(options) {
+    const pool = createWorkerPool(SCRIPT, Object.assign({ name: 'test-pool', size: 1 }, options));
+    test.after(() => pool.close());
+    return pool;
+}
+
+test('runs jobs and sends each context value to a worker once', async () => {
+    const pool = createPool();
+    const contexts = { config: { key: 'c1', value: { MAX_STREAMS: 5 } } };
+    assert.deepEqual(await pool.run({ value: 1 }, { contexts }), { value: 1, cancelled: false, context: { MAX_STREAMS: 5 } });
+    assert.deepEqual(await pool.run({ value: 2 }, { contexts }), { value: 2, cancelled: false, context: { MAX_STREAMS: 5 } });
+    assert.equal(pool.getStats().completed, 2);
+});
+
+test('jobs beyond the queue bound are refused while every worker is busy', async () => {
+    const pool = createPool({ maxQueue: 1 });
+    const running = pool.run({ spinMs: 200, value: 'running' });
+    const queued = pool.run({ value: 'queued' });
+    await assert.rejects(pool.run({ value: 'refused' }), PoolQueueFullError);
+    assert.equal(pool.getStats().rejected, 1);
+    assert.equal(pool.getStats().queued, 1);
+    assert.equal((await running).value, 'running');
+    assert.equal((await queued).value, 'queued');
+});
+
+test('a queued job is dropped when its signal aborts', async () => {
+    const pool = createPool();
+    const running = pool.run({ spinMs: 150, value: 'running' });
+    const controller = new AbortController();
+    const queued = pool.run({ value: 'queued' }, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(queued, JobCancelledError);
+    assert.equal(pool.getStats().queued, 0);
+    await running;
+});
+
+test('a job whose signal already aborted is never queued', async () => {
+    const pool = createPool();
+    await assert.rejects(pool.run({ value: 1 }, { signal: AbortSignal.abort() }), JobCancelledError);
+});
+
+test('a running job sees the cancel flag and hands back its partial result', async () => {
+    const pool = createPool();
+    const startedAt = Date.now();
+    const result = await pool.run({ spinMs: 5000, value: 'partial' }, { signal: AbortSignal.timeout(50) });
+    assert.deepEqual(result, { value: 'partial', cancelled: true, context: undefined });
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.equal(pool.getStats().cancelled, 1);
+});
+
+test('a cancelled job that ignores the flag has its worker terminated and replaced', async () => {
+    const pool = createPool({ cancelGraceMs: 50 });
+    await assert.rejects(pool.run({ spinMs: 3000, ignoreCancel: true }, { signal: AbortSignal.timeout(50) }), JobCancelledError);
+    assert.equal(pool.getStats().respawned, 1);
+    assert.equal((await pool.run({ value: 'after' })).value, 'after');
+});
+
+test('worker errors reject the job, and a crashed worker is replaced', async () => {
+    const pool = createPool();
+    await assert.rejects(pool.run({ fail: 'bad input' }), /Worker Error: bad input/);
+    await assert.rejects(pool.run({ exit: true }), /exited unexpectedly with code 3/);
+    assert.equal(pool.getStats().failed, 2);
+    // The crash came right after the worker started, so it is respawned after RESPAWN_DELAY_MS
+    assert.equal((await pool.run({ value: 'recovered' })).value, 'recovered');
+});
+
+test('closing the pool rejects queued jobs and new ones', async () => {
+    const pool = createWorkerPool(SCRIPT, { name: 'test-pool', size: 1 });
+    const running = pool.run({ spinMs: 100 }).catch(error => error);
+    const queued = assert.rejects(pool.run({ value: 'queued' }), JobCancelledError);
+    await pool.close();
+    await queued;
+    await assert.rejects(pool.run({ value: 1 }), /closed/);
+    await running;
+});
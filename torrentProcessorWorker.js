@@ -1,6 +1,15 @@
 // torrentProcessorWorker.js
-const { parentPort } = require('worker_threads');
+const { parentPort, workerData } = require('worker_threads');
 const { performance } = require('perf_hooks'); // Import performance for timing in worker
+const { parseRelease } = require('./lib/releaseParser');
+const { matchTitle } = require('./lib/titleMatcher');
+const { normalizeInfoHash, compileRules, checkRelease } = require('./lib/releaseRules');
+const { selectStreamTrackers } = require('./lib/trackers');
+const { checkSize, findSuspiciousSigns } = require('./lib/plausibility');
+const { getReleaseLanguages, hasRequiredLanguage } = require('./lib/languages');
+const { createLogger, withLogContext } = require('./lib/logger');
+
+const log = createLogger('worker');
 
 // Simple 'get' helper function for safer property access without external dependency
 const simpleGet = (obj, path, defaultValue) => {
@@ -15,174 +24,152 @@ const simpleGet = (obj, path, defaultValue) => {
     return current !== undefined ? current : defaultValue;
 };
 
-// Configuration values will be received via postMessage
+// Set by the worker pool when the running job is cancelled (see lib/workerPool.js)
+const cancelFlag = workerData && workerData.cancelBuffer ? new Int32Array(workerData.cancelBuffer) : null;
+// Shared values sent once by the pool (configs, public trackers), by context name and key
+const contexts = new Map();
+
+// Configuration values are applied per job from the config context
 let MINIMUM_SEEDERS;
 let MIN_TORRENT_SIZE_MB;
 let MAX_TORRENT_SIZE_MB;
 let PREFERRED_LANGUAGES;
+let REQUIRED_LANGUAGES;
+let UNTAGGED_LANGUAGE;
 let PREFERRED_VIDEO_QUALITIES_CONFIG;
 let PREFERRED_AUDIO_QUALITIES_CONFIG;
+let ALLOW_SEASON_PACKS;
+let BITRATE_CHECK;
+let FAKE_CHECK;
+// Block/allow rules of the current job (see lib/releaseRules.js)
+let RELEASE_RULES;
+
+// Rejected results logged per job (with the reason); the rest are only counted
+const MAX_LOGGED_REJECTIONS = 10;
+// Re-uploads of a release are collapsed when their sizes differ by at most this share
+const DUPLICATE_SIZE_TOLERANCE = parseFloat(process.env.DUPLICATE_SIZE_TOLERANCE_PERCENT || '2') / 100;
 
 // --- Utility Functions for Validation, Parsing, and Filtering ---
 
 /**
- * Sanitizes and standardizes a title for robust comparison.
- * Converts to lowercase, removes special characters, replaces separators, and normalizes common tags.
- * Also attempts to extract a year from the title (for validation purposes, not for pubDate).
- * @param {string} title - The title string to standardize.
- * @returns {{standardizedTitle: string, extractedYear: number|null}} - The standardized title and any extracted year.
+ * Lists the anime-style (absolute) episode numbers a release may use for the requested episode: the
+ * absolute number across seasons, and the season's own number when the release names that season
+ * ("Title S2 - 05", or a season title such as "Title 2nd Season - 05").
  */
-function standardizeTitle(title) {
-    let extractedYear = null;
-
-    // Try to extract year first, as it might be in brackets/parentheses for validation
-    const yearMatch = title.match(/[\(\[](\d{4})[\)\]]/);
-    if (yearMatch) {
-        extractedYear = parseInt(yearMatch[1], 10);
-        title = title.replace(yearMatch[0], '').trim();
-    } else {
-        const simpleYearMatch = title.match(/\s(\d{4})$/);
-        if (simpleYearMatch) {
-            extractedYear = parseInt(simpleYearMatch[1], 10);
-            title = title.replace(simpleYearMatch[0], '').trim();
-        }
-    }
+function getAbsoluteEpisodeCandidates(metadata, season, episode, release) {
+    if (season && release.seasons.length > 0 && !release.seasons.includes(season)) return [];
+    const candidates = [];
+    if (metadata.absoluteEpisode) candidates.push(metadata.absoluteEpisode);
+    else if (season === 1) candidates.push(episode);
+    const namesSeason = release.seasons.includes(season) ||
+        (metadata.seasonTitles && metadata.seasonTitles.length > 0 && matchTitle(metadata.seasonTitles, release).matched);
+    if (namesSeason && !candidates.includes(episode)) candidates.push(episode);
+    return candidates;
+}
 
-    let standardized = title.toLowerCase();
-    standardized = standardized.replace(/[^\w\s]/g, ' ');
-    standardized = standardized.replace(/[\s\.\-]+/g, ' ').trim();
-    standardized = standardized.
-        replace(/(hdrip|webrip|web-dl|x264|x265|h264|h265|aac|ac3|dts|bluray|dvdrip|brrip|bdrip|repack|proper|internal|ita|eng|dubbed|subbed|multi|german|french|spanish|hindi|tamil|korean|japanese|chinese|kannada|malayalam|telugu|720p|1080p|2160p|4k|uhd|fhd|mp4|mkv|avi|xvid|hevc|remux|extended|director's cut|uncut|unrated|s\d{2}e\d{2}|s\d{2}|e\d{2}|freeleech|true|ddp|hdr|dts-hd|ma|atmos|xvid|av1|rip|by|rg|uh|etrg|ethd|t0m|war|din|hurtom|rutracker|generalfilm|nahom|edge2020|xvi|mp3|eac3|subs)\b/g, ' ');
-    
-    if (extractedYear) {
-        standardized = standardized.replace(new RegExp(`\\s${extractedYear}\\s`, 'g'), ' ');
+/**
+ * Checks a release's season/episode numbers against the requested episode.
+ * @returns {{seasonPack: Object|null}|{reason: string}}
+ */
+function matchEpisode(metadata, season, episode, release) {
+    if (release.episodes.includes(episode) && (season ? release.seasons.includes(season) : release.seasons.length <= 1)) {
+        return { seasonPack: null };
     }
-
-    standardized = standardized.replace(/\s+/g, ' ').trim();
-
-    return { standardizedTitle: standardized, extractedYear: extractedYear };
+    const absoluteCandidates = getAbsoluteEpisodeCandidates(metadata, season, episode, release);
+    const absoluteMatch = release.absoluteEpisodes.some(number => absoluteCandidates.includes(number));
+    if (absoluteMatch && !release.batch) {
+        return { seasonPack: null };
+    }
+    // Season packs name seasons but no episodes: "S02", "S01-S05", "Season 2 Complete", "Complete Series"
+    if (!ALLOW_SEASON_PACKS) {
+        return { reason: 'not the requested episode (season packs disabled)' };
+    }
+    if (absoluteMatch) {
+        return { seasonPack: { from: season || 1, to: season || 1, episodes: absoluteCandidates } };
+    }
+    if (release.episodes.length > 0 || release.absoluteEpisodes.length > 0) {
+        return { reason: 'not the requested episode' };
+    }
+    if (season && release.seasons.includes(season)) {
+        return { seasonPack: { from: Math.min(...release.seasons), to: Math.max(...release.seasons) } };
+    }
+    if (release.seasons.length === 0 && (release.complete || release.batch)) {
+        return { seasonPack: { from: 1, to: 99, episodes: absoluteCandidates.length > 0 ? absoluteCandidates : undefined } };
+    }
+    return { reason: release.seasons.length > 0 ? 'not the requested season' : 'no season or episode number' };
 }
 
 /**
  * Validates if a torrent title matches the expected movie/series title and year/season/episode.
- * @param {Object} metadata - The metadata object ({ title, year, type }).
- * @param {number} [season] - Season number for series.
+ * The release title is fuzzy-matched (see lib/titleMatcher.js) against the main title and its aliases
+ * (metadata.titles: original, alternative and localized titles, or romaji and English titles of anime).
+ * For series, season packs covering the requested season are accepted as well, and anime releases
+ * may number episodes absolutely ("[Group] Title - 1087") or come as batches ("Title (01-24)").
+ * @param {Object} metadata - The metadata object ({ title, titles?, year, type, absoluteEpisode?, seasonTitles? }).
+ * @param {number} [season] - Season number for series (unknown for some anime IDs).
  * @param {number} [episode] - Episode number for series.
- * @param {string} torrentTitle - The original torrent title from Jackett.
- * @returns {boolean} - True if validated, false otherwise.
+ * @param {Object} release - The parsed release name (see lib/releaseParser.js).
+ * @returns {{matched: true, seasonPack: {from: number, to: number, episodes?: number[]}|null, titleConfidence: number}
+ *   |{matched: false, reason: string}} - Validation details, or why the release was rejected. `episodes` lists the
+ *   file numbers to look for in an anime batch.
  */
-function validateTorrentTitle(metadata, season, episode, torrentTitle) {
+function validateTorrentTitle(metadata, season, episode, release) {
     if (!metadata || !metadata.title) {
-        return false;
+        return { matched: false, reason: 'no metadata' };
     }
 
-    const { standardizedTitle: expectedStandardizedTitle, extractedYear: expectedYear } = standardizeTitle(metadata.title);
-    const { standardizedTitle: torrentStandardizedTitle, extractedYear: torrentExtractedYear } = standardizeTitle(torrentTitle);
-
-    if (!torrentStandardizedTitle.includes(expectedStandardizedTitle)) {
-        return false;
+    const titleMatch = matchTitle([metadata.title, ...(metadata.titles || [])], release, { year: metadata.year, type: metadata.type });
+    if (!titleMatch.matched) {
+        return { matched: false, reason: titleMatch.reason };
     }
 
-    if (metadata.type === 'movie') {
-        if (expectedYear && torrentExtractedYear && expectedYear !== torrentExtractedYear) {
-            return false;
-        }
-    } else if (metadata.type === 'series') {
-        if (season && episode) {
-            const seasonEpisodeIdentifier = `s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`;
-            if (!torrentStandardizedTitle.includes(seasonEpisodeIdentifier)) {
-                return false;
-            }
+    if (metadata.type === 'series' && episode) {
+        const episodeMatch = matchEpisode(metadata, season, episode, release);
+        if (episodeMatch.reason) {
+            return { matched: false, reason: episodeMatch.reason };
         }
+        return { matched: true, seasonPack: episodeMatch.seasonPack, titleConfidence: titleMatch.confidence };
     }
-    return true;
+    return { matched: true, seasonPack: null, titleConfidence: titleMatch.confidence };
 }
 
+// Alternative spellings of parsed codecs, so preference lists may use either (e.g. 'x265' or 'hevc')
+const CODEC_ALIASES = {
+    hevc: ['hevc', 'x265', 'h265'],
+    avc: ['avc', 'x264', 'h264'],
+};
+
 /**
- * Detects the language from a torrent title based on common tags.
- * @param {string} torrentTitle - The torrent title to analyze.
- * @returns {string|null} - Detected language (e.g., 'english', 'hindi') or null if not found.
+ * Picks the display/ranking value for a quality dimension: the first entry of the preference list
+ * that the release has, otherwise the first tag the release has.
+ * @param {string[]} tags - Tags found on the release, most significant first.
+ * @param {string[]} preferences - Preference list from config, highest first.
+ * @returns {string|null}
  */
-function getTorrentLanguage(torrentTitle) {
-    const lowerTitle = torrentTitle.toLowerCase();
-    const languageMap = {
-        'eng': 'english', 'english': 'english',
-        'hin': 'hindi', 'hindi': 'hindi',
-        'tam': 'tamil', 'tamil': 'tamil',
-        'mal': 'malayalam', 'malayalam': 'malayalam',
-        'kan': 'kannada', 'kannada': 'kannada',
-        'tel': 'telugu', 'telugu': 'telugu',
-        'chn': 'chinese', 'chinese': 'chinese',
-        'kor': 'korean', 'korean': 'korean',
-        'spa': 'spanish', 'spanish': 'spanish',
-        'ger': 'german', 'german': 'german',
-        'jpn': 'japanese', 'japanese': 'japanese',
-        'ukr': 'ukrainian', 'ukrainian': 'ukrainian',
-        'ita': 'italian', 'italian': 'italian',
-        'fre': 'french', 'french': 'french',
-        'duo': 'dual-audio',
-        'multi': 'multi-language'
-    };
-
-    for (const key in languageMap) {
-        if (lowerTitle.includes(key) || lowerTitle.includes(languageMap[key])) {
-            return languageMap[key];
-        }
+function pickPreferredTag(tags, preferences) {
+    const present = tags.filter(Boolean);
+    for (const preference of preferences) {
+        if (present.includes(preference)) return preference;
     }
-    return null;
+    return present.length > 0 ? present[0] : null;
 }
 
 /**
- * Extracts detailed quality information from a torrent title.
- * @param {string} torrentTitle - The torrent title to parse.
+ * Extracts the quality details used for filtering, ranking and display from a parsed release name.
+ * @param {Object} release - Parsed release name (see lib/releaseParser.js).
  * @returns {Object} - Object containing parsed details (resolution, videoQuality, audioQuality, language).
  */
-function parseTorrentDetails(torrentTitle) {
-    const lowerTitle = torrentTitle.toLowerCase();
-    let resolution = null;
-    let videoQuality = null;
-    let audioQuality = null;
-    let language = getTorrentLanguage(torrentTitle);
-
-    // Resolution: e.g., 2160p, 1080p, 720p, 480p, 4k
-    const resolutionMatch = lowerTitle.match(/(\d{3,4}p|4k|uhd|fhd)/);
-    if (resolutionMatch) {
-        resolution = resolutionMatch[1];
-        if (['4k', 'uhd', 'fhd'].includes(resolution)) {
-            resolution = '2160p';
-        }
-    }
-
-    // Video Quality: e.g., remux, bluray, web-dl, webrip, hdrip, hdtv, dvdrip, x264, x265, hevc, hdr, bdrip, xvid, av1
-    const videoQualityMatches = lowerTitle.match(/(remux|bluray|bdrip|web-dl|webrip|hdrip|hdtv|dvdrip|x264|x265|hevc|hdr|xvid|av1)/g);
-    if (videoQualityMatches) {
-        for (const prefQuality of PREFERRED_VIDEO_QUALITIES_CONFIG) {
-            if (videoQualityMatches.includes(prefQuality)) {
-                videoQuality = prefQuality;
-                break;
-            }
-        }
-        if (!videoQuality && videoQualityMatches.length > 0) {
-            videoQuality = videoQualityMatches[0];
-        }
-    }
-
-    // Audio Quality: e.g., truehd, dts-hd, atmos, dts, ac3, aac, mp3, eac3, ddp
-    // Also include channel info if possible (e.g., 5.1, 7.1) for better context
-    const audioQualityMatches = lowerTitle.match(/(truehd|dts-hd|atmos|dts|eac3|ddp|ac3|aac|mp3|(\d\.\d)|(ch))(\s*(ma))?/g);
-    if (audioQualityMatches) {
-        for (const prefQuality of PREFERRED_AUDIO_QUALITIES_CONFIG) {
-            if (audioQualityMatches.includes(prefQuality)) {
-                audioQuality = prefQuality;
-                break;
-            }
-        }
-        if (!audioQuality && audioQualityMatches.length > 0) {
-            audioQuality = audioQualityMatches[0];
-        }
-    }
-
-    return { resolution, videoQuality, audioQuality, language };
+function parseTorrentDetails(release) {
+    const codecTags = release.codec ? (CODEC_ALIASES[release.codec] || [release.codec]) : [];
+    const videoTags = [release.source, release.encoder, ...codecTags, release.hdr.length > 0 ? 'hdr' : null];
+    const audioTags = [...release.audio, release.channels];
+
+    return {
+        resolution: release.resolution,
+        videoQuality: pickPreferredTag(videoTags, PREFERRED_VIDEO_QUALITIES_CONFIG),
+        audioQuality: pickPreferredTag(audioTags, PREFERRED_AUDIO_QUALITIES_CONFIG),
+        language: release.languages[0] || null,
+    };
 }
 
 /**
@@ -223,140 +210,410 @@ function getAudioQualityRank(quality) {
     return index !== -1 ? PREFERRED_AUDIO_QUALITIES_CONFIG.length - index : 0;
 }
 
-// Listen for messages from the main thread
-parentPort.on('message', (message) => {
-    const workerStartTime = performance.now();
+/**
+ * Extracts the infohash of a result from its InfoHash field or magnet link, as lowercase hex (base32
+ * values are converted).
+ * @returns {string|null} - null when there is none or it isn't a valid infohash.
+ */
+function getResultInfoHash(result) {
+    const magnetUri = simpleGet(result, 'MagnetUri', null);
+    const infoHash = simpleGet(result, 'InfoHash', null) || (typeof magnetUri === 'string' ? magnetUri.match(/btih:([^&/]+)/i)?.[1] : null);
+    if (!infoHash) return null;
     try {
-        const { jackettResults, metadata, season, episode, config, publicTrackers } = message;
-
-        // Set worker's config from the received message
-        MINIMUM_SEEDERS = config.MINIMUM_SEEDERS;
-        MIN_TORRENT_SIZE_MB = config.MIN_TORRENT_SIZE_MB;
-        MAX_TORRENT_SIZE_MB = config.MAX_TORRENT_SIZE_MB;
-        PREFERRED_LANGUAGES = config.PREFERRED_LANGUAGES;
-        PREFERRED_VIDEO_QUALITIES_CONFIG = config.PREFERRED_VIDEO_QUALITIES_CONFIG;
-        PREFERRED_AUDIO_QUALITIES_CONFIG = config.PREFERRED_AUDIO_QUALITIES_CONFIG;
-
-        const processedStreams = [];
-        const processedInfoHashes = new Set();
-
-        // Jackett results are already limited and sorted by date via the API query in server.js
-        const resultsToProcess = jackettResults; 
-        console.log(`[WORKER] Received ${resultsToProcess.length} results from main thread (already date-sorted and limited by Jackett API).`);
-
-        for (const result of resultsToProcess) {
-            try { // Individual try-catch for each result to prevent worker crash
-                const title = simpleGet(result, 'Title', ''); // Use simpleGet for Title
-                const lowerTitle = title.toLowerCase();
-
-                // --- Early Filtering of low-quality types (TS/Telecine) ---
-                if (lowerTitle.includes('ts') || lowerTitle.includes('telecine')) {
-                    continue; // Skip TS/Telecine
-                }
+        return normalizeInfoHash(infoHash);
+    } catch (error) {
+        return null;
+    }
+}
+
+function isValidDate(date) {
+    return !!date && !isNaN(new Date(date).getTime());
+}
+
+/**
+ * Merges the results that share an infohash (the same torrent listed by several indexers) into the first one.
+ * The indexers see the same swarm, so the highest seeders/peers counts are kept rather than added up; the
+ * tracker names are collected in TrackerNames, the earliest publish date wins, and the .torrent details
+ * come from whichever copy has them.
+ * @param {Array<Object>} results - Search results.
+ * @returns {{merged: Array<{result: Object, resultIndex: number}>, duplicates: Array<{resultIndex: number, into: number}>}}
+ *   - The results to process (merged copies) with their position, and the results merged into another.
+ */
+function mergeSameInfoHash(results) {
+    const merged = [];
+    const duplicates = [];
+    const byInfoHash = new Map();
+    results.forEach((result, resultIndex) => {
+        const infoHash = getResultInfoHash(result);
+        const first = infoHash ? byInfoHash.get(infoHash) : null;
+        if (!first) {
+            const tracker = simpleGet(result, 'Tracker', null);
+            const entry = { result: Object.assign({}, result, { TrackerNames: tracker ? [tracker] : [] }), resultIndex };
+            if (infoHash) byInfoHash.set(infoHash, entry);
+            merged.push(entry);
+            return;
+        }
+
+        const target = first.result;
+        target.Seeders = Math.max(simpleGet(target, 'Seeders', 0), simpleGet(result, 'Seeders', 0));
+        target.Peers = Math.max(simpleGet(target, 'Peers', 0), simpleGet(result, 'Peers', 0));
+        const tracker = simpleGet(result, 'Tracker', null);
+        if (tracker && !target.TrackerNames.includes(tracker)) target.TrackerNames.push(tracker);
+        const publishDate = simpleGet(result, 'PublishDate', null);
+        if (isValidDate(publishDate) && (!isValidDate(target.PublishDate) || new Date(publishDate) < new Date(target.PublishDate))) {
+            target.PublishDate = publishDate;
+        }
+        const torrentTrackers = simpleGet(result, 'TorrentTrackers', []);
+        if (torrentTrackers.length > 0) target.TorrentTrackers = [...new Set([...simpleGet(target, 'TorrentTrackers', []), ...torrentTrackers])];
+        if (!target.TorrentFiles && result.TorrentFiles) target.TorrentFiles = result.TorrentFiles;
+        if (!target.Link && result.Link) target.Link = result.Link;
+        duplicates.push({ resultIndex, into: first.resultIndex });
+    });
+    return { merged, duplicates };
+}
+
+/**
+ * Normalizes a release name for spotting re-uploads: lowercase, without a file extension, site prefixes or
+ * trailing uploader tags ("[rarbg]"), and without punctuation.
+ */
+function normalizeReleaseName(title) {
+    return String(title || '').toLowerCase()
+        .replace(/\.(mkv|mp4|avi|m4v|ts)$/, '')
+        .replace(/^\s*www\.[^\s]+\s*-\s*/, '')
+        .replace(/\s*\[[^\]]*\]\s*$/, '')
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Collapses re-uploads of the same release (different infohashes, same normalized name, sizes within
+ * DUPLICATE_SIZE_TOLERANCE) into the best-seeded copy. The kept stream lists the others in `alternatives`
+ * (with their .torrent trackers, which join the stream's sources) and their indexers in `trackerNames`.
+ * @param {Array<Object>} streams - Processed streams.
+ * @returns {{streams: Array<Object>, collapsed: Array<{stream: Object, into: Object}>}} - Remaining streams in
+ *   their original order, and the collapsed ones with the stream that lists them.
+ */
+function collapseNearDuplicates(streams) {
+    const keptByName = new Map();
+    const collapsed = [];
+    const bySeeders = streams.slice().sort((a, b) => simpleGet(b.originalResult, 'Seeders', 0) - simpleGet(a.originalResult, 'Seeders', 0));
+    for (const stream of bySeeders) {
+        const name = normalizeReleaseName(stream.originalResult.Title);
+        if (!name) continue;
+        const size = simpleGet(stream.originalResult, 'Size', 0);
+        const kept = keptByName.get(name) || [];
+        const primary = kept.find(other => {
+            const otherSize = simpleGet(other.originalResult, 'Size', 0);
+            return Math.abs(otherSize - size) <= Math.max(otherSize, size) * DUPLICATE_SIZE_TOLERANCE;
+        });
+        if (!primary) {
+            kept.push(stream);
+            keptByName.set(name, kept);
+            continue;
+        }
+        primary.alternatives.push({
+            infoHash: stream.infoHash,
+            trackers: stream.trackers,
+            trackerNames: stream.trackerNames,
+            seeders: simpleGet(stream.originalResult, 'Seeders', 0),
+            resultIndex: stream.resultIndex,
+        });
+        for (const tracker of stream.trackerNames) {
+            if (!primary.trackerNames.includes(tracker)) primary.trackerNames.push(tracker);
+        }
+        collapsed.push({ stream, into: primary });
+    }
+    const collapsedStreams = new Set(collapsed.map(entry => entry.stream));
+    return { streams: streams.filter(stream => !collapsedStreams.has(stream)), collapsed };
+}
+
+/**
+ * Applies a config received from the main thread to the worker's filter settings.
+ * @param {Object} config - Worker-relevant subset of the request config.
+ * @param {{allowed: string[], blocked: string[]}} infoHashRules - Admin infohash lists.
+ */
+function applyConfig(config, infoHashRules) {
+    MINIMUM_SEEDERS = config.MINIMUM_SEEDERS;
+    MIN_TORRENT_SIZE_MB = config.MIN_TORRENT_SIZE_MB;
+    MAX_TORRENT_SIZE_MB = config.MAX_TORRENT_SIZE_MB;
+    PREFERRED_LANGUAGES = config.PREFERRED_LANGUAGES;
+    REQUIRED_LANGUAGES = config.REQUIRED_LANGUAGES;
+    UNTAGGED_LANGUAGE = config.UNTAGGED_LANGUAGE;
+    PREFERRED_VIDEO_QUALITIES_CONFIG = config.PREFERRED_VIDEO_QUALITIES_CONFIG;
+    PREFERRED_AUDIO_QUALITIES_CONFIG = config.PREFERRED_AUDIO_QUALITIES_CONFIG;
+    ALLOW_SEASON_PACKS = config.SEASON_PACKS;
+    BITRATE_CHECK = config.BITRATE_CHECK;
+    FAKE_CHECK = config.FAKE_CHECK;
+    RELEASE_RULES = compileRules(config, infoHashRules);
+}
+
+/**
+ * Looks up a context value the pool sent earlier.
+ */
+function getContext(name, key) {
+    const values = contexts.get(name);
+    if (!values || !values.has(key)) throw new Error(`Missing ${name} context ${key}`);
+    return values.get(key);
+}
+
+/**
+ * Filters, validates and parses the search results of one stream request.
+ * Stops at deadlineAt (or when the job is cancelled) and returns the streams processed so far.
+ * Results sharing an infohash are merged first and re-uploads of a release are collapsed last, so each
+ * stream is a distinct option. Each stream carries `resultIndex`, its position in jackettResults.
+ * @param {boolean} [explain] - Also report why each dropped result was dropped (debug route).
+ * @returns {{streams: Array<Object>, partial: boolean, funnel: Object<string, number>, ruleHits: Object<string, number>,
+ *   rejections?: Array<Object>}} - funnel counts the results dropped by each filter; ruleHits the results dropped
+ *   by each block/allow rule ('group_deny:yify'); rejections (with explain) lists { resultIndex, filter, reason,
+ *   release } per dropped result.
+ */
+function processResults(jackettResults, metadata, season, episode, publicTrackers, deadlineAt, explain) {
+    const workerStartTime = performance.now();
+    let processedStreams = [];
+    let partial = false;
+    let validationRejections = 0;
+    // Results dropped per filter, reported to the main thread for the /metrics funnel
+    const funnel = { duplicate: 0, lowQuality: 0, noInfoHash: 0, rules: 0, validation: 0, resolution: 0, seeders: 0, size: 0, fake: 0, language: 0, nearDuplicate: 0, error: 0 };
+    const ruleHits = {};
+    const rejections = explain ? [] : null;
+    const reject = (resultIndex, filter, reason, release) => {
+        funnel[filter]++;
+        if (rejections) rejections.push({ resultIndex, filter, reason, release: release || null });
+    };
 
-                // --- Basic InfoHash/MagnetUri Validation ---
-                if (!simpleGet(result, 'InfoHash', null) && (!simpleGet(result, 'MagnetUri', null) || typeof simpleGet(result, 'MagnetUri', null) !== 'string')) continue;
+    // Search results are already limited per provider via the API queries in server.js
+    log.info(`Received ${jackettResults.length} results from main thread (already limited by the search providers).`);
 
-                let infoHash = simpleGet(result, 'InfoHash', null) || (typeof simpleGet(result, 'MagnetUri', null) === 'string' ? simpleGet(result, 'MagnetUri', null).match(/btih:([^&/]+)/)?.[1] : null);
-                if (!infoHash) continue;
-                infoHash = infoHash.toLowerCase();
+    // --- Merge the copies of a torrent listed by several indexers ---
+    const { merged: resultsToProcess, duplicates } = mergeSameInfoHash(jackettResults);
+    for (const duplicate of duplicates) {
+        reject(duplicate.resultIndex, 'duplicate', `same infohash as result #${duplicate.into + 1}, merged into it`);
+    }
 
-                if (processedInfoHashes.has(infoHash)) continue;
+    for (const { result, resultIndex } of resultsToProcess) {
+        // --- Response deadline or cancellation: stop and hand back what has been processed so far ---
+        if ((deadlineAt && Date.now() >= deadlineAt) || (cancelFlag && Atomics.load(cancelFlag, 0) === 1)) {
+            partial = true;
+            log.warn(`Response deadline reached or job cancelled after ${processedStreams.length} kept results. Returning partial results.`);
+            break;
+        }
+        try { // Individual try-catch for each result to prevent worker crash
+            const title = simpleGet(result, 'Title', ''); // Use simpleGet for Title
+            const release = parseRelease(title);
+
+            // --- Early Filtering of low-quality sources (CAM/TS/TC/SCR) ---
+            if (release.lowQuality) {
+                reject(resultIndex, 'lowQuality', `low-quality source (${release.source})`, release);
+                continue;
+            }
 
-                // --- Validate Torrent Title vs. Expected Metadata ---
-                if (!validateTorrentTitle(metadata, season, episode, title)) continue;
+            // --- Basic InfoHash/MagnetUri Validation ---
+            if (!simpleGet(result, 'InfoHash', null) && (!simpleGet(result, 'MagnetUri', null) || typeof simpleGet(result, 'MagnetUri', null) !== 'string')) {
+                reject(resultIndex, 'noInfoHash', 'no infohash or magnet link', release);
+                continue;
+            }
 
-                // --- Prioritize Torznab API fields, fallback to title parsing ONLY IF NOT AVAILABLE ---
-                let torrentResolution = simpleGet(result, 'Resolution', null);
-                let torrentVideoQuality = simpleGet(result, 'Quality', null); // Jackett's 'Quality' field
-                let torrentAudioQuality = simpleGet(result, 'AudioChannels', null); // Jackett's 'AudioChannels' or similar
-                let torrentLanguage = simpleGet(result, 'Language', null); // Jackett's 'Language' field
+            const infoHash = getResultInfoHash(result);
+            if (!infoHash) {
+                reject(resultIndex, 'noInfoHash', 'no valid infohash in the result or its magnet link', release);
+                continue;
+            }
 
-                // Fallback to title parsing only if Torznab API fields are explicitly null/undefined/empty
-                const parsedDetailsFromTitle = parseTorrentDetails(title);
+            // --- Block/allow rules (tracker, group, title, file extension, infohash) ---
+            const ruleHit = checkRelease(RELEASE_RULES, {
+                infoHash,
+                trackers: [...result.TrackerNames, simpleGet(result, 'TrackerId', null)],
+                group: release.group,
+                title,
+                files: simpleGet(result, 'TorrentFiles', []).map(file => file.name),
+            });
+            if (ruleHit) {
+                const hitKey = `${ruleHit.rule}:${ruleHit.value}`;
+                ruleHits[hitKey] = (ruleHits[hitKey] || 0) + 1;
+                reject(resultIndex, 'rules', ruleHit.reason, release);
+                continue;
+            }
 
-                if (!torrentResolution) {
-                     torrentResolution = parsedDetailsFromTitle.resolution;
-                }
-                if (!torrentVideoQuality) {
-                     torrentVideoQuality = parsedDetailsFromTitle.videoQuality;
-                }
-                if (!torrentAudioQuality) {
-                     torrentAudioQuality = parsedDetailsFromTitle.audioQuality;
-                }
-                if (!torrentLanguage) {
-                     torrentLanguage = parsedDetailsFromTitle.language;
-                }
+            // --- Validate Torrent Title vs. Expected Metadata ---
+            const validation = validateTorrentTitle(metadata, season, episode, release);
+            if (!validation.matched) {
+                if (validationRejections < MAX_LOGGED_REJECTIONS) log.debug(`Rejected "${title}": ${validation.reason}`);
+                validationRejections++;
+                reject(resultIndex, 'validation', validation.reason, release);
+                continue;
+            }
 
-                // Create a consolidated parsedDetails object
-                const consolidatedParsedDetails = {
-                    resolution: torrentResolution,
-                    videoQuality: torrentVideoQuality,
-                    audioQuality: torrentAudioQuality,
-                    language: torrentLanguage
-                };
-
-                // --- Filter out resolutions less than 720p (early) ---
-                if (getResolutionRank(consolidatedParsedDetails.resolution) < getResolutionRank('720p')) {
-                    continue; // Skip resolutions below 720p
-                }
+            // --- Prioritize Torznab API fields, fallback to title parsing ONLY IF NOT AVAILABLE ---
+            let torrentResolution = simpleGet(result, 'Resolution', null);
+            let torrentVideoQuality = simpleGet(result, 'Quality', null); // Jackett's 'Quality' field
+            let torrentAudioQuality = simpleGet(result, 'AudioChannels', null); // Jackett's 'AudioChannels' or similar
 
-                // --- Existing Filters (Seeders, Size, Language Preference) ---
-                const currentSeeders = simpleGet(result, 'Seeders', 0); // Use simpleGet for Seeders
-                if (currentSeeders < MINIMUM_SEEDERS) {
+            // Fallback to title parsing only if Torznab API fields are explicitly null/undefined/empty
+            const parsedDetailsFromTitle = parseTorrentDetails(release);
+
+            if (!torrentResolution) {
+                 torrentResolution = parsedDetailsFromTitle.resolution;
+            }
+            if (!torrentVideoQuality) {
+                 torrentVideoQuality = parsedDetailsFromTitle.videoQuality;
+            }
+            if (!torrentAudioQuality) {
+                 torrentAudioQuality = parsedDetailsFromTitle.audioQuality;
+            }
+            // Audio and subtitle languages; untagged releases get UNTAGGED_LANGUAGE (see lib/languages.js).
+            // Jackett's 'Language' field wins over the name when it holds a known language.
+            const releaseLanguages = getReleaseLanguages(release, {
+                untaggedLanguage: UNTAGGED_LANGUAGE,
+                originalLanguage: metadata.originalLanguage,
+                indexerLanguage: simpleGet(result, 'Language', null),
+            });
+            // The audio language of the best preferred tier (if any) is shown
+            const preferredLanguage = PREFERRED_LANGUAGES.flat().find(language => releaseLanguages.audio.includes(language));
+            const torrentLanguage = preferredLanguage || releaseLanguages.audio[0] || null;
+
+            // Create a consolidated parsedDetails object
+            const consolidatedParsedDetails = {
+                resolution: torrentResolution,
+                videoQuality: torrentVideoQuality,
+                audioQuality: torrentAudioQuality,
+                language: torrentLanguage
+            };
+
+            // --- Filter out resolutions less than 720p (early) ---
+            if (getResolutionRank(consolidatedParsedDetails.resolution) < getResolutionRank('720p')) {
+                reject(resultIndex, 'resolution', `resolution ${consolidatedParsedDetails.resolution || 'unknown'} is below 720p`, release);
+                continue; // Skip resolutions below 720p
+            }
+
+            // --- Existing Filters (Seeders, Size, Languages) ---
+            const currentSeeders = simpleGet(result, 'Seeders', 0); // Use simpleGet for Seeders
+            if (currentSeeders < MINIMUM_SEEDERS) {
+                reject(resultIndex, 'seeders', `${currentSeeders} seeders, minimum is ${MINIMUM_SEEDERS}`, release);
+                continue;
+            }
+
+            // Size limits apply per episode, so a season pack is only checked against the lower bound.
+            // MAX_TORRENT_SIZE_MB 0 leaves the upper bound to the bitrate check.
+            const currentSize = simpleGet(result, 'Size', 0); // Use simpleGet for Size
+            const torrentSizeMB = currentSize / (1024 * 1024);
+            if (torrentSizeMB < MIN_TORRENT_SIZE_MB || (!validation.seasonPack && MAX_TORRENT_SIZE_MB > 0 && torrentSizeMB > MAX_TORRENT_SIZE_MB)) {
+                const range = MAX_TORRENT_SIZE_MB > 0 ? `${MIN_TORRENT_SIZE_MB}-${MAX_TORRENT_SIZE_MB} MB` : `over ${MIN_TORRENT_SIZE_MB} MB`;
+                reject(resultIndex, 'size', `${Math.round(torrentSizeMB)} MB is outside ${range}`, release);
+                continue;
+            }
+
+            // --- Size against resolution and runtime (see lib/plausibility.js); season packs hold several episodes ---
+            let bitrateMbps = null;
+            if (!validation.seasonPack) {
+                const sizeCheck = checkSize({
+                    size: currentSize,
+                    resolution: consolidatedParsedDetails.resolution,
+                    release,
+                    type: metadata.type === 'movie' ? 'movie' : 'episode',
+                    runtimeMinutes: metadata.runtimeMinutes || null,
+                });
+                if (BITRATE_CHECK && sizeCheck.reason) {
+                    reject(resultIndex, 'size', sizeCheck.reason, release);
                     continue;
                 }
+                bitrateMbps = sizeCheck.bitrateMbps;
+            }
 
-                const currentSize = simpleGet(result, 'Size', 0); // Use simpleGet for Size
-                const torrentSizeMB = currentSize / (1024 * 1024);
-                if (torrentSizeMB < MIN_TORRENT_SIZE_MB || torrentSizeMB > MAX_TORRENT_SIZE_MB) {
+            // --- Fake releases: executables, archives, password hints, inflated swarms ---
+            if (FAKE_CHECK) {
+                const suspicious = findSuspiciousSigns({
+                    title,
+                    files: simpleGet(result, 'TorrentFiles', []),
+                    seeders: currentSeeders,
+                    peers: simpleGet(result, 'Peers', null),
+                });
+                if (suspicious) {
+                    reject(resultIndex, 'fake', suspicious, release);
                     continue;
                 }
+            }
 
-                // Check language preference using the consolidated language
-                if (PREFERRED_LANGUAGES.length > 0) {
-                    if (!consolidatedParsedDetails.language || !PREFERRED_LANGUAGES.includes(consolidatedParsedDetails.language)) {
-                        continue;
-                    }
-                }
+            // Required languages, as audio or subtitles; preferred tiers only affect the ranking
+            if (!hasRequiredLanguage(releaseLanguages, REQUIRED_LANGUAGES)) {
+                const audio = releaseLanguages.audio.join(', ') + (releaseLanguages.assumed && releaseLanguages.audio.length > 0 ? ' (untagged)' : '');
+                reject(resultIndex, 'language', `audio [${audio || 'none tagged'}] and subtitles [${releaseLanguages.subtitles.join(', ')}] include none of the required [${REQUIRED_LANGUAGES.join(', ')}]`, release);
+                continue;
+            }
 
-                // --- Published Date Handling ---
-                // Strictly use result.PublishedDate from API. If invalid/missing, set to null. No title parsing for date.
-                let torrentPublishedDate = simpleGet(result, 'PublishedDate', null);
-                if (torrentPublishedDate && isNaN(new Date(torrentPublishedDate).getTime())) {
-                    console.warn(`[WORKER] Invalid PublishedDate from API for "${title}". Setting to null for sorting.`);
-                    torrentPublishedDate = null;
-                }
+            // --- Published Date Handling ---
+            // Strictly use result.PublishDate from the provider. If invalid/missing, set to null. No title parsing for date.
+            let torrentPublishedDate = simpleGet(result, 'PublishDate', null);
+            if (torrentPublishedDate && isNaN(new Date(torrentPublishedDate).getTime())) {
+                log.warn(`Invalid PublishDate from provider for "${title}". Setting to null for sorting.`);
+                torrentPublishedDate = null;
+            }
 
-                const magnetLink = `magnet:?xt=urn:btih:${infoHash}&${publicTrackers.map(t => `tr=${encodeURIComponent(t)}`).join('&')}`;
+            // Trackers from the .torrent file itself are only known for results resolved from a torrent download
+            const torrentTrackers = simpleGet(result, 'TorrentTrackers', []);
+            const magnetTrackers = selectStreamTrackers(torrentTrackers, publicTrackers);
+            const magnetLink = `magnet:?xt=urn:btih:${infoHash}&${magnetTrackers.map(t => `tr=${encodeURIComponent(t)}`).join('&')}`;
+
+            processedStreams.push({
+                resultIndex: resultIndex, // Position in the search results, for the debug route
+                originalResult: result, // Keep original result for data like Title, Tracker, Seeders etc.
+                magnetLink: magnetLink,
+                infoHash: infoHash,
+                trackers: torrentTrackers,
+                parsedDetails: consolidatedParsedDetails, // Use consolidated details
+                release: release, // Full parsed release name (source, codec, HDR, audio, languages, group, flags...)
+                resolutionRank: getResolutionRank(consolidatedParsedDetails.resolution),
+                videoQualityRank: getVideoQualityRank(consolidatedParsedDetails.videoQuality),
+                audioQualityRank: getAudioQualityRank(consolidatedParsedDetails.audioQuality),
+                languages: releaseLanguages, // Audio and subtitle languages (ISO 639-1), used for ranking
+                effectivePublishedDate: torrentPublishedDate, // Pass the strictly API-derived or nullified PublishedDate
+                seasonPack: validation.seasonPack, // Season range for packs; the episode file is located in the main thread
+                titleConfidence: validation.titleConfidence, // How closely the release title matched (0..1), used in ranking
+                bitrateMbps: bitrateMbps, // Estimated from the size and the runtime; null when either is unknown
+                trackerNames: result.TrackerNames.slice(), // Every indexer listing this torrent or a collapsed re-upload
+                alternatives: [] // Collapsed re-uploads of the same release (see collapseNearDuplicates)
+            });
+        } catch (innerErr) {
+            // Catch errors for an individual torrent result to prevent the entire worker from crashing
+            reject(resultIndex, 'error', innerErr.message);
+            log.error(`Error processing individual torrent "${simpleGet(result, 'Title', 'Unknown Title')}"`, { error: innerErr });
+        }
+    }
 
-                processedInfoHashes.add(infoHash);
+    if (validationRejections > MAX_LOGGED_REJECTIONS) {
+        log.info(`... and ${validationRejections - MAX_LOGGED_REJECTIONS} more results rejected by title/episode validation.`);
+    }
 
-                processedStreams.push({
-                    originalResult: result, // Keep original result for data like Title, Tracker, Seeders etc.
-                    magnetLink: magnetLink,
-                    infoHash: infoHash,
-                    parsedDetails: consolidatedParsedDetails, // Use consolidated details
-                    resolutionRank: getResolutionRank(consolidatedParsedDetails.resolution),
-                    videoQualityRank: getVideoQualityRank(consolidatedParsedDetails.videoQuality),
-                    audioQualityRank: getAudioQualityRank(consolidatedParsedDetails.audioQuality),
-                    hasPreferredLanguage: PREFERRED_LANGUAGES.length > 0 && consolidatedParsedDetails.language && PREFERRED_LANGUAGES.includes(consolidatedParsedDetails.language),
-                    effectivePublishedDate: torrentPublishedDate // Pass the strictly API-derived or nullified PublishedDate
-                });
-            } catch (innerErr) {
-                // Catch errors for an individual torrent result to prevent the entire worker from crashing
-                console.error(`[ERROR][WORKER] Error processing individual torrent "${simpleGet(result, 'Title', 'Unknown Title')}": ${innerErr.message}`);
-                console.error(innerErr.stack);
-            }
-        }
+    // --- Collapse re-uploads of the same release into one stream ---
+    const { streams: distinctStreams, collapsed } = collapseNearDuplicates(processedStreams);
+    for (const { stream, into } of collapsed) {
+        reject(stream.resultIndex, 'nearDuplicate', `re-upload of result #${into.resultIndex + 1}, listed as its alternative`, stream.release);
+    }
+    processedStreams = distinctStreams;
+    const workerEndTime = performance.now();
+    log.info(`Processing ${jackettResults.length} raw results to ${processedStreams.length} filtered results in: ${((workerEndTime - workerStartTime) / 1000).toFixed(2)} seconds.`);
+    return { streams: processedStreams, partial, funnel, ruleHits, rejections: rejections || undefined };
+}
 
-        const workerEndTime = performance.now();
-        console.log(`[INFO][WORKER] Processing ${jackettResults.length} raw results to ${processedStreams.length} filtered results in: ${((workerEndTime - workerStartTime) / 1000).toFixed(2)} seconds.`);
-        parentPort.postMessage(processedStreams);
+// Listen for messages from the worker pool
+parentPort.on('message', (message) => {
+    if (message.type === 'context') {
+        if (!contexts.has(message.name)) contexts.set(message.name, new Map());
+        const values = contexts.get(message.name);
+        if (message.evict !== undefined) values.delete(message.evict);
+        values.set(message.key, message.value);
+        return;
+    }
+    if (message.type !== 'job') return;
+
+    try {
+        const { jackettResults, metadata, season, episode, deadlineAt, requestId, explain } = message.payload;
+        applyConfig(getContext('config', message.contexts.config), getContext('infoHashRules', message.contexts.infoHashRules));
+        const publicTrackers = getContext('trackers', message.contexts.trackers);
+        // Log lines of this job carry the ID of the stream request it belongs to
+        const result = withLogContext({ requestId }, () => processResults(jackettResults, metadata, season, episode, publicTrackers, deadlineAt, explain));
+        parentPort.postMessage({ type: 'result', id: message.id, result });
     } catch (err) {
         // Catch any broader errors outside the individual torrent loop that could crash the worker
-        console.error(`[ERROR][WORKER] Unhandled error during torrent processing: ${err.message}`);
-        console.error(err.stack);
-        parentPort.postMessage({ error: err.message, stack: err.stack });
+        log.error('Unhandled error during torrent processing', { error: err });
+        parentPort.postMessage({ type: 'error', id: message.id, error: err.message, stack: err.stack });
     }
 });